@@ -16,6 +16,7 @@ let map; // El mapa principal de Leaflet
 // Gestión de múltiples KMLs
 let kmlLayers = new Map(); // id -> { layer, geoJson, bounds, metrics, clippedLayers, color, name, areaType, isActive, isAnalyzed }
 let kmlCounter = 0; // Para asignar IDs únicos a cada KML
+let drawnAreaCounter = 0; // Para nombrar las áreas dibujadas en el mapa
 let activeKmlId = null; // KML actualmente seleccionado para vista detallada
 
 // Colores únicos para cada KML (máximo 10)
@@ -31,6 +32,7 @@ let autoAnalyze = false; // Análisis automático al cargar
 // Variables para reportes globales
 let combinedAnalysis = null; // Análisis combinado cuando se solicita
 let combinedMode = false; // Si estamos en modo análisis combinado
+let combinedFootprintLayer = null; // Huella de las áreas combinadas dibujada en el mapa
 
 // ============================================================================
 // UTILIDADES Y VARIABLES DE DATOS
@@ -42,26 +44,15 @@ function formatNumber(n) {
     try { return n.toLocaleString('es-MX'); } catch (_) { return String(n); }
 }
 
-// Función para obtener el nombre de visualización amigable para una capa
+// Escapa texto de archivos del usuario (nombres, atributos) antes de insertarlo como HTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Función para obtener el nombre de visualización amigable para una capa (según el catálogo)
 function getLayerDisplayName(layerName) {
-    const displayNames = {
-        'localidades': 'Localidades',
-        'localidades_puntos': 'Localidades (Puntos)',
-        'atlas': 'Atlas Pueblos Indígenas',
-        'municipios': 'Municipios',
-        'regiones': 'Regiones Indígenas',
-        'ran': 'RAN',
-        'lenguas': 'Lenguas Indígenas',
-        'za_publico': 'ZA Público',
-        'za_publico_a': 'ZA Público A',
-        'anp_estatal': 'ANP Estatales',
-        'ramsar': 'Ramsar',
-        'sitio_arqueologico': 'Sitios Arqueológicos',
-        'z_historicos': 'Zonas Históricas',
-        'loc_indigenas_datos': 'Loc Indígenas Datos',
-        'rutaWixarika': 'Ruta Wixarika'
-    };
-    return displayNames[layerName] || layerName;
+    const entry = getCatalogLayer(layerName);
+    return entry ? entry.name : layerName;
 }
 
 // Función para corregir problemas de encoding (mojibake) comunes en español
@@ -146,6 +137,7 @@ let regionesData = null;        // Regiones Indígenas
 let ranData = null;             // Registro Agrario Nacional
 let ranNoGeomData = null;       // RAN sin geometría (datos tabulares)
 let ranLookupMap = new Map();   // Índice Clv_Unica -> propiedades tabulares
+let localityDataLookupMap = new Map(); // Índice CVEGEO -> datos censales de la localidad
 let lenguasData = null;         // Lenguas Indígenas
 let zaPublicoData = null;       // Zonas de Amortiguamiento Público
 let zaPublicoAData = null;      // Zonas de Amortiguamiento Público A
@@ -158,6 +150,673 @@ let rutaWixarikaData = null;    // Ruta Wixarika
 let localidadesDatosData = null; // Localidades Datos Adicionales (JSON tabular)
 let localitiesPointsData = null; // Datos de localidades puntos (coordenadas sin polígono)
 
+// ============================================================================
+// CATÁLOGO DE CAPAS
+// ============================================================================
+
+/**
+ * Catálogo predeterminado. Cada capa define:
+ *   id, name, url, format ('geojson' | 'json'), geometry ('point' | 'polygon' | 'line' | 'table'),
+ *   analysis (si se ofrece en el análisis), sensitive (elemento sensible en el análisis de sensibilidad),
+ *   keyField (campo clave para navegar y agrupar),
+ *   style (opciones de Leaflet; en puntos, las del circleMarker),
+ *   popup { title, icon, fields: [{ label?, fields: [propiedades en orden de preferencia], main?, default? }] },
+ *   columns [{ header, fields }] para los reportes, y join { to, fields } en tablas que enriquecen otra capa.
+ * Es JSON puro: se puede descargar, editar y volver a cargar desde un archivo local.
+ */
+const DEFAULT_LAYER_CATALOG = {
+    version: 1,
+    layers: [
+        {
+            id: 'localidades', name: 'Localidades', geometry: 'polygon', analysis: true, keyField: 'CVEGEO',
+            url: 'https://cdn.sassoapps.com/Gabvy/localidades_4326.geojson',
+            style: { color: '#008000', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'Localidad', icon: '🏘️', fields: [
+                    { fields: ['NOMGEO', 'NOM_LOC', 'NOMBRE'], main: true, default: 'Sin nombre' },
+                    { label: 'CVEGEO', fields: ['CVEGEO'] },
+                    { label: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] },
+                    { label: 'Estado', fields: ['NOM_ENT', 'ESTADO'] },
+                    { label: 'Ámbito', fields: ['AMBITO'] },
+                    { label: 'Población Total', fields: ['POBTOT', 'POBTOTAL'] },
+                    { label: 'Población Femenina', fields: ['POBFEM'] },
+                    { label: 'Población Masculina', fields: ['POBMAS'] }
+                ]
+            },
+            columns: [
+                { header: 'CVEGEO', fields: ['CVEGEO'] },
+                { header: 'Localidad', fields: ['NOMGEO', 'NOM_LOC'] },
+                { header: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] },
+                { header: 'Estado', fields: ['NOM_ENT', 'ESTADO'] },
+                { header: 'Ámbito', fields: ['AMBITO'] },
+                { header: 'Población Total', fields: ['POBTOT', 'POBTOTAL'] },
+                { header: 'Población Femenina', fields: ['POBFEM'] },
+                { header: 'Población Masculina', fields: ['POBMAS'] }
+            ]
+        },
+        {
+            id: 'localidades_puntos', name: 'Localidades (Puntos)', geometry: 'point', analysis: true, keyField: 'CVEGEO',
+            url: 'https://cdn.sassoapps.com/Gabvy/localidades_puntos.geojson',
+            style: { radius: 5, fillColor: '#FF00FF', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 },
+            popup: {
+                title: 'Localidad (Puntos)', icon: '📍', fields: [
+                    { fields: ['NOM_LOC', 'NOMGEO'], main: true, default: 'Sin nombre' },
+                    { label: 'CVEGEO', fields: ['CVEGEO'] },
+                    { label: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] },
+                    { label: 'Estado', fields: ['NOM_ENT', 'ESTADO'] }
+                ]
+            },
+            columns: [
+                { header: 'CVEGEO', fields: ['CVEGEO'] },
+                { header: 'Localidad', fields: ['NOM_LOC', 'NOMGEO'] },
+                { header: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] },
+                { header: 'Estado', fields: ['NOM_ENT', 'ESTADO'] }
+            ]
+        },
+        {
+            id: 'atlas', name: 'Atlas Pueblos Indígenas', geometry: 'point', analysis: true, sensitive: true, keyField: 'CVEGEO',
+            url: 'https://cdn.sassoapps.com/Gabvy/atlaspueblosindigenas.geojson',
+            style: { radius: 5, fillColor: '#ff00ff', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 },
+            popup: {
+                title: 'Atlas Pueblos Indígenas', icon: '🏛️', fields: [
+                    { fields: ['Localidad', 'CVEGEO'], main: true, default: 'Sin nombre' },
+                    { label: 'CVEGEO', fields: ['CVEGEO'] },
+                    { label: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] }
+                ]
+            },
+            columns: [
+                { header: 'CVEGEO', fields: ['CVEGEO'] },
+                { header: 'Localidad', fields: ['Localidad', 'NOMGEO', 'NOM_LOC'] },
+                { header: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] }
+            ]
+        },
+        {
+            id: 'municipios', name: 'Municipios', geometry: 'polygon', analysis: true, keyField: 'CVEGEO',
+            url: 'https://cdn.sassoapps.com/Gabvy/municipios_4326.geojson',
+            style: { color: '#0000ff', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'Municipio', icon: '🏛️', fields: [
+                    { fields: ['NOMGEO', 'NOM_MUN', 'NOMBRE', 'MUNICIPIO'], main: true, default: 'Sin nombre' },
+                    { label: 'CVEGEO', fields: ['CVEGEO'] },
+                    { label: 'Estado', fields: ['NOM_ENT', 'ESTADO'] },
+                    { label: 'Cabecera', fields: ['NOM_CAB', 'CABECERA'] }
+                ]
+            },
+            columns: [
+                { header: 'CVEGEO', fields: ['CVEGEO'] },
+                { header: 'Municipio', fields: ['NOMGEO', 'NOM_MUN', 'MUNICIPIO'] },
+                { header: 'Estado', fields: ['NOM_ENT', 'ESTADO'] },
+                { header: 'Cabecera', fields: ['NOM_CAB', 'CABECERA'] }
+            ]
+        },
+        {
+            id: 'regiones', name: 'Regiones Indígenas', geometry: 'polygon', analysis: true, keyField: 'Name',
+            url: 'https://cdn.sassoapps.com/Gabvy/regionesindigenas.geojson',
+            style: { color: '#ffa500', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'Región Indígena', icon: '🌄', fields: [
+                    { fields: ['Name', 'NOMBRE'], main: true, default: 'Sin nombre' },
+                    { label: 'Tipo', fields: ['Tipo', 'TIPO'] },
+                    { label: 'Descripción', fields: ['Descripci', 'DESCRIPCION'] }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['Name', 'NOMBRE'] },
+                { header: 'Tipo', fields: ['Tipo', 'TIPO'] },
+                { header: 'Descripción', fields: ['Descripci', 'DESCRIPCION'] }
+            ]
+        },
+        {
+            id: 'ran', name: 'RAN', geometry: 'polygon', analysis: true, sensitive: true, keyField: 'Clv_Unica',
+            url: 'https://cdn.sassoapps.com/Gabvy/RAN_4326.geojson',
+            style: { color: '#ff0000', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'RAN', icon: '🌾', fields: [
+                    { fields: ['NOM_NUC', 'Clv_Unica'], main: true, default: 'Sin nombre' },
+                    { label: 'Clv_Unica', fields: ['Clv_Unica'] },
+                    { label: 'Tipo', fields: ['tipo', 'Tipo'] },
+                    { label: 'Estado', fields: ['Estado', 'ESTADO'] },
+                    { label: 'Municipio', fields: ['Municipio', 'MUNICIPIO'] }
+                ]
+            },
+            columns: [
+                { header: 'NOM_NUC', fields: ['NOM_NUC'] },
+                { header: 'Clv_Unica', fields: ['Clv_Unica'] },
+                { header: 'Municipio', fields: ['Municipio', 'MUNICIPIO'] },
+                { header: 'Estado', fields: ['Estado', 'ESTADO'] },
+                { header: 'Tipo', fields: ['tipo', 'Tipo', 'TIPO'] }
+            ]
+        },
+        {
+            id: 'ran_sin_geom', name: 'RAN (datos tabulares)', geometry: 'table', analysis: false,
+            url: 'https://cdn.sassoapps.com/Gabvy/RAN_4326_sin_geometria.geojson',
+            join: { to: 'ran', fields: ['Clv_Unica', 'CLV_UNICA'] }
+        },
+        {
+            id: 'lenguas', name: 'Lenguas Indígenas', geometry: 'point', analysis: true, sensitive: true, keyField: 'Lengua',
+            url: 'https://cdn.sassoapps.com/Gabvy/lenguasindigenas.geojson',
+            style: { radius: 5, fillColor: '#00ffff', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 },
+            popup: {
+                title: 'Lengua Indígena', icon: '🗣️', fields: [
+                    { fields: ['Lengua', 'LENGUA'], main: true, default: 'Sin especificar' },
+                    { label: 'Localidad', fields: ['NOM_LOC', 'LOCALIDAD'] },
+                    { label: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] },
+                    { label: 'Estado', fields: ['NOM_ENT', 'ESTADO'] }
+                ]
+            },
+            columns: [
+                { header: 'Lengua', fields: ['Lengua', 'LENGUA'] },
+                { header: 'Localidad', fields: ['NOM_LOC', 'LOCALIDAD'] },
+                { header: 'Municipio', fields: ['NOM_MUN', 'MUNICIPIO'] },
+                { header: 'Estado', fields: ['NOM_ENT', 'ESTADO'] }
+            ]
+        },
+        {
+            id: 'za_publico', name: 'Zonas Arqueológicas (Puntos)', geometry: 'point', analysis: true, sensitive: true, keyField: 'Zona Arqueológica',
+            url: 'https://cdn.sassoapps.com/Gabvy/ZA_publico.geojson',
+            style: { radius: 6, fillColor: '#800080', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 },
+            popup: {
+                title: 'ZA Público', icon: '🏞️', fields: [
+                    { fields: ['Zona Arqueológica'], main: true, default: 'Sin nombre' },
+                    { label: 'Estado', fields: ['ESTADO'] },
+                    { label: 'Municipio', fields: ['MUNICIPIO'] },
+                    { label: 'Localidad', fields: ['LOCALIDAD'] }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['Zona Arqueológica', 'NOMBRE'] },
+                { header: 'Estado', fields: ['ESTADO'] },
+                { header: 'Municipio', fields: ['MUNICIPIO'] },
+                { header: 'Localidad', fields: ['LOCALIDAD'] }
+            ]
+        },
+        {
+            id: 'za_publico_a', name: 'Zonas Arqueológicas (Áreas)', geometry: 'polygon', analysis: true, sensitive: true, keyField: 'Zona Arqueológica',
+            url: 'https://cdn.sassoapps.com/Gabvy/ZA_publico_a.geojson',
+            style: { color: '#800000', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'ZA Público A', icon: '🏞️', fields: [
+                    { fields: ['Zona Arqueológica'], main: true, default: 'Sin nombre' },
+                    { label: 'Estado', fields: ['ESTADO'] },
+                    { label: 'Municipio', fields: ['MUNICIPIO'] },
+                    { label: 'Localidad', fields: ['LOCALIDAD'] }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['Zona Arqueológica', 'NOMBRE'] },
+                { header: 'Estado', fields: ['ESTADO'] },
+                { header: 'Municipio', fields: ['MUNICIPIO'] },
+                { header: 'Localidad', fields: ['LOCALIDAD'] }
+            ]
+        },
+        {
+            id: 'anp_estatal', name: 'ANP Estatal', geometry: 'polygon', analysis: true, sensitive: true, keyField: 'NOMBRE',
+            url: 'https://cdn.sassoapps.com/Gabvy/anp_estatal.geojson',
+            style: { color: '#008080', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'ANP Estatal', icon: '🌿', fields: [
+                    { fields: ['NOMBRE'], main: true, default: 'Sin nombre' },
+                    { label: 'Tipo', fields: ['TIPO'] },
+                    { label: 'Categoría DEC', fields: ['CAT_DEC'] },
+                    { label: 'Entidad', fields: ['ENTIDAD'] },
+                    { label: 'Municipio DEC', fields: ['MUN_DEC'] }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['NOMBRE'] },
+                { header: 'Tipo', fields: ['TIPO'] },
+                { header: 'Categoría DEC', fields: ['CAT_DEC'] },
+                { header: 'Entidad', fields: ['ENTIDAD'] },
+                { header: 'Municipio DEC', fields: ['MUN_DEC'] }
+            ]
+        },
+        {
+            id: 'ramsar', name: 'Ramsar', geometry: 'polygon', analysis: true, sensitive: true, keyField: 'RAMSAR',
+            url: 'https://cdn.sassoapps.com/Gabvy/ramsar.geojson',
+            style: { color: '#808000', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'Sitio Ramsar', icon: '🦆', fields: [
+                    { fields: ['RAMSAR'], main: true, default: 'Sin nombre' },
+                    { label: 'Estado', fields: ['ESTADO'] },
+                    { label: 'Municipio', fields: ['MUNICIPIOS'] }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['RAMSAR', 'NOMBRE'] },
+                { header: 'Estado', fields: ['ESTADO'] },
+                { header: 'Municipio', fields: ['MUNICIPIOS', 'MUNICIPIO'] }
+            ]
+        },
+        {
+            id: 'sitio_arqueologico', name: 'Sitios Arqueológicos', geometry: 'point', analysis: true, sensitive: true, keyField: 'nombre',
+            url: 'https://cdn.sassoapps.com/Gabvy/sitio_arqueologico.geojson',
+            style: { radius: 5, fillColor: '#808080', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 },
+            popup: {
+                title: 'Sitio Arqueológico', icon: '🏛️', fields: [
+                    { fields: ['nombre'], main: true, default: 'Sin nombre' },
+                    { label: 'Estado', fields: ['nom_ent'] },
+                    { label: 'Municipio', fields: ['nom_mun'] },
+                    { label: 'Localidad', fields: ['nom_loc'] }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['nombre'] },
+                { header: 'Estado', fields: ['nom_ent'] },
+                { header: 'Municipio', fields: ['nom_mun'] },
+                { header: 'Localidad', fields: ['nom_loc'] }
+            ]
+        },
+        {
+            id: 'z_historicos', name: 'Zonas Históricas', geometry: 'polygon', analysis: true, sensitive: true, keyField: 'Nombre',
+            url: 'https://cdn.sassoapps.com/Gabvy/z_historicos.geojson',
+            style: { color: '#400080', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'Zona Histórica', icon: '🏰', fields: [
+                    { fields: ['Nombre', 'NOMBRE'], main: true, default: 'Sin nombre' },
+                    { label: 'Estado', fields: ['ESTADO'] },
+                    { label: 'Municipio', fields: ['MUNICIPIO'] },
+                    { label: 'Localidad', fields: ['LOCALIDAD'] }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['Nombre', 'NOMBRE'] },
+                { header: 'Estado', fields: ['ESTADO'] },
+                { header: 'Municipio', fields: ['MUNICIPIO'] }
+            ]
+        },
+        {
+            id: 'loc_indigenas_datos', name: 'Loc Indígenas Datos', geometry: 'point', analysis: true, sensitive: true, keyField: 'LOCALIDAD',
+            url: 'https://cdn.sassoapps.com/Gabvy/loc_indigenas_datos.geojson',
+            style: { radius: 5, fillColor: '#8000ff', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 },
+            popup: {
+                title: 'Loc Indígenas Datos', icon: '🏘️', fields: [
+                    { fields: ['LOCALIDAD'], main: true, default: 'Sin Localidad' },
+                    { label: 'Entidad', fields: ['ENTIDAD'] },
+                    { label: 'Municipio', fields: ['MUNICIPIO'] },
+                    { label: 'Localidad', fields: ['LOCALIDAD'] },
+                    { label: 'Población Total', fields: ['POBTOTAL'] }
+                ]
+            },
+            columns: [
+                { header: 'Entidad', fields: ['ENTIDAD'] },
+                { header: 'Municipio', fields: ['MUNICIPIO'] },
+                { header: 'Localidad', fields: ['LOCALIDAD'] },
+                { header: 'Población Total', fields: ['POBTOTAL'] },
+                { header: 'PIHOGARES', fields: ['PIHOGARES'] },
+                { header: 'pPIHOGARES', fields: ['pPIHOGARES'] },
+                { header: 'TIPOLOC_PI', fields: ['TIPOLOC_PI'] },
+                { header: 'POB_AFRO', fields: ['POB_AFRO'] },
+                { header: 'pPOB_AFRO', fields: ['pPOB_AFRO'] },
+                { header: 'TIPOLOC_AF', fields: ['TIPOLOC_AF'] },
+                { header: 'cve_ent', fields: ['cve_ent'] },
+                { header: 'cve_mun', fields: ['cve_mun'] },
+                { header: 'cve_loc', fields: ['cve_loc'] },
+                { header: 'cvegeo', fields: ['cvegeo'] }
+            ]
+        },
+        {
+            id: 'rutaWixarika', name: 'Ruta Wixarika', geometry: 'polygon', analysis: true, sensitive: true, keyField: 'Name',
+            url: 'https://cdn.sassoapps.com/Gabvy/rutaWixarika.geojson',
+            style: { color: '#ff8000', weight: 2, fillOpacity: 0.1 },
+            popup: {
+                title: 'Ruta Wixarika', icon: '🛤️', fields: [
+                    { fields: ['Name'], main: true, default: 'Sin nombre' }
+                ]
+            },
+            columns: [
+                { header: 'Nombre', fields: ['Name'] }
+            ]
+        },
+        {
+            id: 'localidadesdatos_solo_datos', name: 'Localidades Datos Adicionales', geometry: 'table', format: 'json', analysis: false,
+            url: 'https://cdn.sassoapps.com/Gabvy/localidadesdatos_solo_datos.json',
+            join: { to: 'localidades', fields: ['CVEGEO'] }
+        }
+    ]
+};
+
+const LAYER_CATALOG_STORAGE_KEY = 'geovisualizador.layerCatalog';
+const LAYER_GEOMETRY_TYPES = ['point', 'polygon', 'line', 'table'];
+
+let layerCatalog = loadStoredLayerCatalog() || DEFAULT_LAYER_CATALOG;
+const layerDataById = {}; // id del catálogo -> datos cargados (FeatureCollection o arreglo)
+const customReferenceLayers = []; // capas de referencia subidas por el usuario (mismo formato que el catálogo)
+
+/**
+ * Valida un catálogo (objeto ya parseado) y lanza un Error descriptivo si no es usable
+ */
+function validateLayerCatalog(catalog) {
+    if (!catalog || !Array.isArray(catalog.layers) || catalog.layers.length === 0) {
+        throw new Error('El catálogo debe tener un arreglo "layers" con al menos una capa');
+    }
+    const ids = new Set();
+    catalog.layers.forEach((layer, index) => {
+        const where = `Capa ${index + 1}${layer && layer.id ? ` (${layer.id})` : ''}`;
+        if (!layer || typeof layer.id !== 'string' || !layer.id.trim()) throw new Error(`${where}: falta "id"`);
+        if (ids.has(layer.id)) throw new Error(`${where}: "id" repetido`);
+        ids.add(layer.id);
+        if (typeof layer.url !== 'string' || !layer.url.trim()) throw new Error(`${where}: falta "url"`);
+        if (!LAYER_GEOMETRY_TYPES.includes(layer.geometry)) {
+            throw new Error(`${where}: "geometry" debe ser ${LAYER_GEOMETRY_TYPES.join(', ')}`);
+        }
+        if (layer.popup && !Array.isArray(layer.popup.fields)) throw new Error(`${where}: "popup.fields" debe ser un arreglo`);
+        if (layer.columns && !Array.isArray(layer.columns)) throw new Error(`${where}: "columns" debe ser un arreglo`);
+    });
+    catalog.layers.forEach(layer => {
+        if (layer.join && (!ids.has(layer.join.to) || !Array.isArray(layer.join.fields))) {
+            throw new Error(`Capa ${layer.id}: "join" debe indicar una capa existente en "to" y un arreglo "fields"`);
+        }
+    });
+    return catalog;
+}
+
+/**
+ * Catálogo guardado por el usuario en este navegador (null si no hay o es inválido)
+ */
+function loadStoredLayerCatalog() {
+    try {
+        const stored = localStorage.getItem(LAYER_CATALOG_STORAGE_KEY);
+        return stored ? validateLayerCatalog(JSON.parse(stored)) : null;
+    } catch (error) {
+        console.warn('[DEBUG] Catálogo guardado inválido; se usa el predeterminado:', error);
+        return null;
+    }
+}
+
+/**
+ * Activa un catálogo; `persist` lo guarda para las siguientes sesiones (null restablece el predeterminado)
+ */
+function setLayerCatalog(catalog, persist = false) {
+    layerCatalog = catalog ? validateLayerCatalog(catalog) : DEFAULT_LAYER_CATALOG;
+    if (persist) {
+        try {
+            if (catalog) localStorage.setItem(LAYER_CATALOG_STORAGE_KEY, JSON.stringify(catalog));
+            else localStorage.removeItem(LAYER_CATALOG_STORAGE_KEY);
+        } catch (error) {
+            console.warn('[DEBUG] No se pudo guardar el catálogo:', error);
+        }
+    }
+}
+
+/**
+ * Capas del catálogo seguidas de las capas de referencia del usuario
+ */
+function getAllCatalogLayers() {
+    return [...layerCatalog.layers, ...customReferenceLayers];
+}
+
+function getCatalogLayer(id) {
+    return getAllCatalogLayers().find(layer => layer.id === id) || null;
+}
+
+/**
+ * Capas que se ofrecen en el análisis, en el orden del catálogo
+ */
+function getAnalysisLayers() {
+    return getAllCatalogLayers().filter(layer => layer.analysis && layer.geometry !== 'table');
+}
+
+function getLayerData(id) {
+    return layerDataById[id] || null;
+}
+
+/**
+ * Primer valor no vacío de una lista de propiedades
+ */
+function getCatalogFieldValue(properties, fields, fallback = '') {
+    const props = properties || {};
+    for (const field of fields || []) {
+        const value = props[field];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return fallback;
+}
+
+/**
+ * Opciones de L.geoJSON (estilo y marcadores) para una capa del catálogo
+ */
+function buildCatalogLayerOptions(id, fallbackColor = '#197E74') {
+    const entry = getCatalogLayer(id);
+    if (!entry || !entry.style) {
+        return { style: { color: fallbackColor, weight: 2, fillOpacity: 0.3 } };
+    }
+    return {
+        style: () => ({ ...entry.style }),
+        pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 5, ...entry.style })
+    };
+}
+
+/**
+ * HTML del popup de una feature según los campos definidos en el catálogo
+ */
+function buildCatalogPopup(id, properties, extraFields = []) {
+    const entry = getCatalogLayer(id);
+    const props = properties || {};
+    if (!entry || !entry.popup) {
+        return `
+            <div class="popup-content">
+                <strong>${props.NOMBRE || props.nombre || props.Name || props.name || 'Elemento'}</strong><br/>
+                <small>Capa: ${entry ? entry.name : id}</small>
+            </div>`;
+    }
+    // Las capas de referencia traen nombres de campo y valores del archivo del usuario: se escapan
+    const text = (value) => (entry.custom && typeof value === 'string') ? escapeHtml(value) : value;
+    const fields = entry.popup.fields.map(field => ({
+        label: text(field.label),
+        value: text(getCatalogFieldValue(props, field.fields, field.default)),
+        isMain: !!field.main
+    }));
+    const position = { label: 'Posición', value: getContainmentLabel(props._contencion) };
+    const distances = [
+        { label: 'Distancia al proyecto', value: props._dist_km != null ? `${formatNumber(props._dist_km)} km` : '' },
+        { label: 'Distancia al límite', value: props._dist_borde_km != null ? `${formatNumber(props._dist_borde_km)} km` : '' }
+    ];
+    return createPopupContent(text(entry.popup.title || entry.name), entry.popup.icon || '📍', [...fields, ...extraFields, position, ...distances, ...getClipPopupFields(props)]);
+}
+
+/**
+ * Color representativo de una capa (relleno en puntos, contorno en polígonos)
+ */
+function getCatalogLayerColor(id, fallback = '#666666') {
+    const style = getCatalogLayer(id)?.style;
+    return (style && (style.fillColor || style.color)) || fallback;
+}
+
+/**
+ * Nombre corto de una feature: el campo principal de su popup en el catálogo
+ */
+function getCatalogFeatureLabel(id, properties) {
+    const entry = getCatalogLayer(id);
+    const main = entry && entry.popup && entry.popup.fields.find(field => field.main);
+    if (!main) return (properties && (properties[entry?.keyField] || properties.NOMBRE || properties.Name)) || 'Sin nombre';
+    return getCatalogFieldValue(properties, main.fields, main.default || 'Sin nombre');
+}
+
+/**
+ * Configuración de hojas de Excel por capa: { id: { property, headers, columns } }
+ * @param {string[]} leadingHeaders - columnas que van antes de las del catálogo (p. ej. 'Área')
+ */
+function buildReportLayerConfigs(leadingHeaders = []) {
+    const configs = {};
+    getAllCatalogLayers().forEach(entry => {
+        if (!entry.analysis || !Array.isArray(entry.columns) || entry.columns.length === 0) return;
+        configs[entry.id] = {
+            property: entry.keyField,
+            headers: [...leadingHeaders, ...entry.columns.map(column => column.header)],
+            columns: entry.columns
+        };
+    });
+    return configs;
+}
+
+/**
+ * Valor de una columna de reporte definida en el catálogo ('' si la columna no existe)
+ */
+function getCatalogColumnValue(id, feature, header) {
+    const entry = getCatalogLayer(id);
+    const column = entry && (entry.columns || []).find(c => c.header === header);
+    const props = (feature && feature.properties) || {};
+    return column ? getCatalogFieldValue(props, column.fields) : (props[header] ?? '');
+}
+
+/**
+ * Aplica las capas tabulares con "join" sobre las capas que enriquecen (por campo clave).
+ * Devuelve los índices construidos: { idCapaDestino: Map(clave -> propiedades) }
+ */
+function applyCatalogJoins() {
+    const lookups = {};
+    layerCatalog.layers.forEach(entry => {
+        const source = getLayerData(entry.id);
+        const target = getLayerData(entry.join?.to);
+        if (!entry.join || !source || !target || !Array.isArray(target.features)) return;
+
+        const rows = Array.isArray(source) ? source : (source.features || []).map(f => f.properties || {});
+        const keyOf = (props) => String(getCatalogFieldValue(props, entry.join.fields)).trim();
+        const lookup = new Map();
+        rows.forEach(row => {
+            const key = keyOf(row);
+            if (key) lookup.set(key, { ...row });
+        });
+        let matched = 0;
+        target.features.forEach(feature => {
+            const extra = lookup.get(keyOf(feature.properties));
+            if (extra) {
+                Object.assign(feature.properties, extra);
+                matched++;
+            }
+        });
+        lookups[entry.join.to] = lookup;
+        console.log(`[DEBUG] ${entry.name}: ${lookup.size} claves, ${matched} features de ${entry.join.to} enriquecidas`);
+    });
+    return lookups;
+}
+
+/**
+ * Libera los datos de las capas del catálogo (las capas de referencia del usuario se conservan)
+ */
+function clearCatalogLayerData() {
+    layerCatalog.layers.forEach(entry => delete layerDataById[entry.id]);
+    syncLegacyLayerData();
+}
+
+/**
+ * Mantiene las variables históricas por capa (usadas por navegación, gráficas y reportes) en sincronía con el catálogo
+ */
+function syncLegacyLayerData() {
+    localitiesData = getLayerData('localidades');
+    localitiesPointsData = getLayerData('localidades_puntos');
+    atlasData = getLayerData('atlas');
+    municipiosData = getLayerData('municipios');
+    regionesData = getLayerData('regiones');
+    ranData = getLayerData('ran');
+    ranNoGeomData = getLayerData('ran_sin_geom');
+    lenguasData = getLayerData('lenguas');
+    zaPublicoData = getLayerData('za_publico');
+    zaPublicoAData = getLayerData('za_publico_a');
+    anpEstatalData = getLayerData('anp_estatal');
+    ramsarData = getLayerData('ramsar');
+    sitioArqueologicoData = getLayerData('sitio_arqueologico');
+    zHistoricosData = getLayerData('z_historicos');
+    locIndigenasData = getLayerData('loc_indigenas_datos');
+    rutaWixarikaData = getLayerData('rutaWixarika');
+    localidadesDatosData = getLayerData('localidadesdatos_solo_datos');
+}
+
+/**
+ * Aplica un catálogo nuevo (o el predeterminado con null) y vuelve a cargar las capas
+ */
+function applyLayerCatalog(catalog) {
+    setLayerCatalog(catalog, true);
+    clearCatalogLayerData();
+    if (typeof window.loadDataOptional === 'function') window.loadDataOptional();
+}
+
+/**
+ * Muestra el catálogo activo y permite cargar uno desde archivo, descargarlo o restablecer el predeterminado
+ */
+function openLayerCatalogPanel() {
+    const modalId = 'layerCatalogModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const isDefault = layerCatalog === DEFAULT_LAYER_CATALOG;
+    const geometryLabels = { point: 'Puntos', polygon: 'Polígonos', line: 'Líneas', table: 'Tabla' };
+    const rows = layerCatalog.layers.map(layer => `
+        <tr>
+            <td><code>${layer.id}</code></td>
+            <td>${layer.name || layer.id}</td>
+            <td>${geometryLabels[layer.geometry] || layer.geometry}</td>
+            <td class="text-center">${layer.join ? `une a <code>${layer.join.to}</code>` : (layer.analysis ? '✓' : '—')}</td>
+            <td class="small text-muted text-break">${layer.url}</td>
+        </tr>`).join('');
+
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Catálogo de capas</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <p class="small mb-2">Catálogo activo: <strong>${isDefault ? 'predeterminado' : 'personalizado (guardado en este navegador)'}</strong>.
+                        Define por capa su URL, tipo de geometría, estilo, campos del popup, columnas de los reportes y campo clave.</p>
+                    <table class="table table-sm table-bordered small mb-2">
+                        <thead class="table-light">
+                            <tr><th>Id</th><th>Nombre</th><th>Geometría</th><th class="text-center">Análisis</th><th>URL</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <div class="form-text">Para agregar o modificar capas, descarga el catálogo, edítalo y cárgalo de nuevo. Las capas se recargan al aplicarlo.</div>
+                    <input type="file" id="layerCatalogFile" accept=".json,application/json" class="d-none">
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-outline-danger me-auto" id="resetLayerCatalogBtn" ${isDefault ? 'disabled' : ''}>Restablecer predeterminado</button>
+                    <button type="button" class="btn btn-outline-secondary" id="downloadLayerCatalogBtn"><i class="bi bi-download me-1"></i>Descargar JSON</button>
+                    <button type="button" class="btn btn-primary" id="loadLayerCatalogBtn"><i class="bi bi-upload me-1"></i>Cargar catálogo</button>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+
+    const bsModal = new bootstrap.Modal(modalEl);
+    const fileInput = modalEl.querySelector('#layerCatalogFile');
+
+    modalEl.querySelector('#downloadLayerCatalogBtn').addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(layerCatalog, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'catalogo_capas.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+    modalEl.querySelector('#loadLayerCatalogBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            const catalog = validateLayerCatalog(JSON.parse(await file.text()));
+            bsModal.hide();
+            showAlert(`Catálogo "${file.name}" aplicado: ${catalog.layers.length} capas. Recargando datos...`, 'success', 4000);
+            applyLayerCatalog(catalog);
+        } catch (error) {
+            console.error('Catálogo inválido:', error);
+            showAlert(`Catálogo inválido: ${error.message}`, 'danger', 6000);
+            fileInput.value = '';
+        }
+    });
+    modalEl.querySelector('#resetLayerCatalogBtn').addEventListener('click', () => {
+        bsModal.hide();
+        showAlert('Catálogo predeterminado restablecido. Recargando datos...', 'info', 3000);
+        applyLayerCatalog(null);
+    });
+    modalEl.addEventListener('hidden.bs.modal', () => modalEl.remove(), { once: true });
+    bsModal.show();
+}
+
 // Define layers to clip
 const layersToClip = [
     { data: localitiesData, name: 'localidades', displayName: 'Localidades', property: 'CVEGEO', color: '#008000' },
@@ -165,22 +824,8 @@ const layersToClip = [
     { data: atlasData, name: 'atlas', displayName: 'Atlas Pueblos Indígenas', property: 'CVEGEO', color: '#ff00ff' }
 ];
 
-// Variables para las capas filtradas que se muestran en el mapa
-let clippedLocalitiesLayer = null;
-let clippedAtlasLayer = null;
-let clippedMunicipiosLayer = null;
-let clippedRegionesLayer = null;
-let clippedRanLayer = null;
-let clippedLenguasLayer = null;
-let clippedZaPublicoLayer = null;
-let clippedZaPublicoALayer = null;
-let clippedAnpEstatalLayer = null;
-let clippedRamsarLayer = null;
-let clippedSitioArqueologicoLayer = null;
-let clippedZHistoricosLayer = null;
-let clippedLocIndigenasLayer = null;
-let clippedRutaWixarikaLayer = null;
-let clippedLocalitiesPointsLayer = null;
+// Capas filtradas que se muestran en el mapa, por id del catálogo (la de la última área analizada en cada capa)
+const clippedLayersById = {};
 
 // Control de capas de Leaflet y utilidades de navegación
 let layersControl = null;
@@ -248,6 +893,42 @@ async function ensureTurf() {
     throw new Error('Turf no disponible desde ningún CDN');
 }
 
+/**
+ * Se asegura de que JSZip esté disponible (se carga solo al abrir un KMZ/ZIP)
+ */
+async function ensureJSZip() {
+    if (window.JSZip) return window.JSZip;
+    const cdns = [
+        'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
+        'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js'
+    ];
+    for (const url of cdns) {
+        try {
+            await loadScript(url);
+            if (window.JSZip) return window.JSZip;
+        } catch (_) { /* Si falla un CDN, prueba el siguiente */ }
+    }
+    throw new Error('JSZip no disponible desde ningún CDN');
+}
+
+/**
+ * Carga RBush (índice espacial R-tree) bajo demanda
+ */
+async function ensureRBush() {
+    if (window.RBush) return window.RBush;
+    const cdns = [
+        'https://cdn.jsdelivr.net/npm/rbush@3.0.1/rbush.min.js',
+        'https://unpkg.com/rbush@3.0.1/rbush.min.js'
+    ];
+    for (const url of cdns) {
+        try {
+            await loadScript(url);
+            if (window.RBush) return window.RBush;
+        } catch (_) { /* Si falla un CDN, prueba el siguiente */ }
+    }
+    throw new Error('RBush no disponible desde ningún CDN');
+}
+
 // ============================================================================
 // SISTEMA DE NOTIFICACIONES Y FEEDBACK AL USUARIO
 // ============================================================================
@@ -371,6 +1052,9 @@ function showPreloader() {
                         aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"></div>
                 </div>
                 <p id="preloaderMessage" class="mt-2 mb-0 small text-muted">Preparando…</p>
+                <button id="preCancelBtn" type="button" class="btn btn-outline-secondary btn-sm mt-3" hidden>
+                    <i class="bi bi-x-circle me-1"></i>Cancelar análisis
+                </button>
             </div>`;
         document.body.appendChild(pre);
     }
@@ -381,6 +1065,20 @@ function showPreloader() {
     pre.style.display = 'flex';
 }
 
+/**
+ * Muestra u oculta el botón "Cancelar análisis" del preloader
+ */
+function setPreloaderCancelable(enabled) {
+    const btn = document.getElementById('preCancelBtn');
+    if (!btn) return;
+    btn.hidden = !enabled;
+    btn.disabled = false;
+    btn.onclick = enabled ? () => {
+        btn.disabled = true;
+        cancelRunningAnalysis();
+    } : null;
+}
+
 /**
  * Actualiza la barra de progreso para mostrar el avance de las operaciones
  */
@@ -582,6 +1280,9 @@ function initApp() {
             // Guardar referencia al control de capas para sincronización
             window.layersControl = layersControl;
 
+            // Herramientas para dibujar y editar áreas de interés
+            initDrawingTools();
+
         } catch (mapError) {
             console.error('Error initializing map:', mapError);
             throw new Error('Failed to initialize map: ' + mapError.message);
@@ -591,46 +1292,7 @@ function initApp() {
         // CONFIGURACIÓN DE DATOS Y ELEMENTOS DEL DOM
         // ====================================================================
 
-        // URLs de las capas geoespaciales
-        const urls = {
-            localidades: 'https://cdn.sassoapps.com/Gabvy/localidades_4326.geojson',
-            atlas: 'https://cdn.sassoapps.com/Gabvy/atlaspueblosindigenas.geojson',
-            municipios: 'https://cdn.sassoapps.com/Gabvy/municipios_4326.geojson',
-            regiones: 'https://cdn.sassoapps.com/Gabvy/regionesindigenas.geojson',
-            ran: 'https://cdn.sassoapps.com/Gabvy/RAN_4326.geojson',
-            ran_sin_geom: 'https://cdn.sassoapps.com/Gabvy/RAN_4326_sin_geometria.geojson',
-            lenguas: 'https://cdn.sassoapps.com/Gabvy/lenguasindigenas.geojson',
-            za_publico: 'https://cdn.sassoapps.com/Gabvy/ZA_publico.geojson',
-            za_publico_a: 'https://cdn.sassoapps.com/Gabvy/ZA_publico_a.geojson',
-            anp_estatal: 'https://cdn.sassoapps.com/Gabvy/anp_estatal.geojson',
-            ramsar: 'https://cdn.sassoapps.com/Gabvy/ramsar.geojson',
-            sitio_arqueologico: 'https://cdn.sassoapps.com/Gabvy/sitio_arqueologico.geojson',
-            z_historicos: 'https://cdn.sassoapps.com/Gabvy/z_historicos.geojson',
-            loc_indigenas_datos: 'https://cdn.sassoapps.com/Gabvy/loc_indigenas_datos.geojson',
-            rutaWixarika: 'https://cdn.sassoapps.com/Gabvy/rutaWixarika.geojson',
-            localidadesdatos_solo_datos: 'https://cdn.sassoapps.com/Gabvy/localidadesdatos_solo_datos.json',
-            localities_points: 'https://cdn.sassoapps.com/Gabvy/localidades_puntos.geojson' // Puntos
-        };
-
-        // URLs alternativas con proxy CORS (fallback automático)
-        const proxyUrls = {
-            localidades: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.localidades),
-            atlas: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.atlas),
-            municipios: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.municipios),
-            regiones: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.regiones),
-            ran: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.ran),
-            ran_sin_geom: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.ran_sin_geom),
-            lenguas: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.lenguas),
-            za_publico: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.za_publico),
-            za_publico_a: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.za_publico_a),
-            anp_estatal: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.anp_estatal),
-            ramsar: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.ramsar),
-            sitio_arqueologico: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.sitio_arqueologico),
-            z_historicos: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.z_historicos),
-            loc_indigenas_datos: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.loc_indigenas_datos),
-            rutaWixarika: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.rutaWixarika),
-            localidadesdatos_solo_datos: 'https://api.allorigins.win/get?url=' + encodeURIComponent(urls.localidadesdatos_solo_datos)
-        };
+        // Las URLs, estilos y campos de cada capa se definen en el catálogo (ver CATÁLOGO DE CAPAS)
 
         // Elementos del DOM para multi-KML
         const kmlFileInput = document.getElementById('kmlFile');
@@ -648,9 +1310,24 @@ function initApp() {
         kmlResultsContainer = document.getElementById('kmlResultsContainer');
         kmlSummaryEl = document.getElementById('kmlSummary');
         kmlChartsContainer = document.getElementById('kmlChartsContainer');
+        const kmlIndigenousContainer = document.getElementById('kmlIndigenousContainer');
+        const kmlPeoplesContainer = document.getElementById('kmlPeoplesContainer');
+        // Las gráficas dibujadas con la pestaña oculta se ajustan al ancho real al mostrarla
+        const kmlPeoplesTab = document.getElementById('kmlPeoplesTab');
+        if (kmlPeoplesTab && kmlPeoplesContainer) {
+            kmlPeoplesTab.addEventListener('shown.bs.tab', () => {
+                Highcharts.charts.forEach(chart => {
+                    if (chart && kmlPeoplesContainer.contains(chart.renderTo)) chart.reflow();
+                });
+            });
+        }
         const kmlLayerChartEl = document.getElementById('kmlLayerChart');
         const kmlPopulationChartEl = document.getElementById('kmlPopulationChart');
         const reloadDataBtn = document.getElementById('reloadDataBtn');
+        const layerCacheBtn = document.getElementById('layerCacheBtn');
+        const layerCatalogBtn = document.getElementById('layerCatalogBtn');
+        const referenceLayerFileInput = document.getElementById('referenceLayerFile');
+        const addReferenceLayerBtn = document.getElementById('addReferenceLayerBtn');
         const clearMapBtn = document.getElementById('clearMap');
         // Referencia para Excel global (solo wiring más adelante, idempotente)
         const downloadReportBtn = document.getElementById('downloadReportBtn');
@@ -668,29 +1345,15 @@ function initApp() {
             if (!kmlResultsContainer) return;
             if (!kmlEntry || !kmlEntry.isAnalyzed) {
                 kmlResultsContainer.innerHTML = '<p class="text-muted mb-0">Selecciona un área analizada para ver sus resultados por capas.</p>';
+                if (kmlIndigenousContainer) kmlIndigenousContainer.innerHTML = '<p class="text-muted mb-0">Selecciona un área analizada.</p>';
+                if (kmlPeoplesContainer) kmlPeoplesContainer.innerHTML = '<p class="text-muted mb-0">Selecciona un área analizada.</p>';
                 if (kmlChartsContainer) kmlChartsContainer.style.display = 'none';
                 if (kmlSummaryEl) kmlSummaryEl.innerHTML = '';
                 // Single export button remains in Section 4
                 return;
             }
 
-            // Construir lista por capas como en index2, usando createLayerSection ya existente
-            const colors = {
-                localidades: '#008000', localidades_puntos: '#FF00FF', atlas: '#ff00ff', municipios: '#0000ff', regiones: '#ffa500', ran: '#ff0000',
-                lenguas: '#00ffff', za_publico: '#800080', za_publico_a: '#800000', anp_estatal: '#008080', ramsar: '#808000',
-                sitio_arqueologico: '#808080', z_historicos: '#400080', loc_indigenas_datos: '#8000ff', rutaWixarika: '#ff8000'
-            };
-            const titles = {
-                localidades: 'Localidades', localidades_puntos: 'Localidades (Puntos)', atlas: 'Atlas Pueblos Indígenas', municipios: 'Municipios', regiones: 'Regiones Indígenas', ran: 'RAN',
-                lenguas: 'Lenguas Indígenas', za_publico: 'Zonas Arqueológicas (Puntos)', za_publico_a: 'Zonas Arqueológicas (Áreas)', anp_estatal: 'ANP Estatales', ramsar: 'Ramsar',
-                sitio_arqueologico: 'Sitios Arqueológicos', z_historicos: 'Zonas Históricas', loc_indigenas_datos: 'Loc Indígenas Datos', rutaWixarika: 'Ruta Wixarika'
-            };
-            const propsKey = {
-                localidades: 'CVEGEO', localidades_puntos: 'CVEGEO', atlas: 'CVEGEO', municipios: 'CVEGEO', regiones: 'Name', ran: 'Clv_Unica', lenguas: 'Lengua',
-                za_publico: 'Zona Arqueológica', za_publico_a: 'Zona Arqueológica', anp_estatal: 'NOMBRE', ramsar: 'RAMSAR', sitio_arqueologico: 'nombre',
-                z_historicos: 'Nombre', loc_indigenas_datos: 'LOCALIDAD', rutaWixarika: 'Name'
-            };
-
+            // Construir lista por capas como en index2, usando createLayerSection ya existente (nombres, claves y colores del catálogo)
             const container = document.createElement('div');
             container.className = 'layers-container';
             const results = kmlEntry.results || {};
@@ -703,16 +1366,26 @@ function initApp() {
                         <span class="badge bg-primary">Área: ${formatNumber(m.area || 0)} km²</span>
                         <span class="badge bg-secondary">Capas: ${layersFound}</span>
                         <span class="badge bg-success">Elementos: ${formatNumber(m.totalElements || 0)}</span>
-                        ${m.totalPopulation ? `<span class=\"badge bg-warning text-dark\">Población: ${formatNumber(m.totalPopulation)}</span>` : ''}
-                    </div>`;
+                        ${m.totalPopulation ? `<span class=\"badge bg-warning text-dark\">Población${m.populationMethod === 'superficie' ? ' prorrateada' : ''}: ${formatNumber(m.totalPopulation)}</span>` : ''}
+                        ${m.populationMethod === 'superficie' ? `<span class=\"badge bg-light text-dark border\" title=\"${getPopulationMethodLabel(m.populationMethod)}\">Sin prorrateo: ${formatNumber(m.rawPopulation || 0)}</span>` : ''}
+                    </div>
+                    ${m.containment && describeContainmentCounts(m.containment) ? `<div class="small text-muted mt-1">Posición respecto al proyecto: ${describeContainmentCounts(m.containment)}</div>` : ''}
+                    ${renderNearbySummary(m.nearby)}
+                    ${renderRingSummaryTable(m.rings)}
+                    ${renderCorridorSummary(m.corridor)}
+                    ${renderDistanceSummary(m.distance)}
+                    ${renderDemographicPanel(m.demographics)}`;
+                renderDistanceCurveChart('distanceCurveChart', m.distance);
+                renderPopulationPyramid('populationPyramidChart', m.demographics);
+                wireDemographicPanel(kmlSummaryEl, m.demographics);
             }
             Object.entries(results).forEach(([layerName, data]) => {
                 if (!data || !data.features || data.features.length === 0) return;
                 const section = createLayerSection(
-                    titles[layerName] || layerName,
+                    getLayerDisplayName(layerName),
                     data.features,
-                    propsKey[layerName] || 'id',
-                    colors[layerName] || '#666',
+                    getCatalogLayer(layerName)?.keyField || 'id',
+                    getCatalogLayerColor(layerName),
                     layerName === 'lenguas',
                     layerName
                 );
@@ -725,6 +1398,42 @@ function initApp() {
                 kmlResultsContainer.appendChild(container);
             }
 
+            // Pestaña de población indígena y afromexicana: cada localidad señalada navega al mapa
+            if (kmlIndigenousContainer) {
+                const synthesis = kmlEntry.metrics?.indigenous;
+                kmlIndigenousContainer.innerHTML = renderIndigenousSynthesis(synthesis);
+                const indigenousFeatures = results.loc_indigenas_datos?.features || [];
+                const keyField = getCatalogLayer('loc_indigenas_datos')?.keyField || 'LOCALIDAD';
+                kmlIndigenousContainer.querySelectorAll('.indigenous-flagged').forEach(row => {
+                    row.addEventListener('click', () => {
+                        const feature = indigenousFeatures[Number(row.dataset.index)];
+                        if (feature) navigateToFeature(feature.properties[keyField], 'loc_indigenas_datos', [feature], keyField);
+                    });
+                });
+            }
+
+            // Pestaña de pueblos y lenguas: cada lengua navega a sus puntos; el botón colorea las lenguas por familia
+            if (kmlPeoplesContainer) {
+                const peoples = kmlEntry.metrics?.peoples;
+                const lenguasFeatures = results.lenguas?.features || [];
+                clearLanguageFamilyLayer();
+                kmlPeoplesContainer.innerHTML = renderPeoplesAndLanguages(peoples);
+                renderLanguageFamilyChart('languageFamilyChart', peoples);
+                kmlPeoplesContainer.querySelectorAll('.language-link').forEach(link => {
+                    link.addEventListener('click', (event) => {
+                        event.preventDefault();
+                        navigateToFeature(decodeURIComponent(link.dataset.language), 'lenguas', lenguasFeatures, 'Lengua');
+                    });
+                });
+                const familyMapBtn = kmlPeoplesContainer.querySelector('#languageFamilyMapBtn');
+                if (familyMapBtn) {
+                    familyMapBtn.addEventListener('click', () => {
+                        const shown = toggleLanguageFamilyLayer(lenguasFeatures);
+                        familyMapBtn.classList.toggle('active', shown);
+                    });
+                }
+            }
+
             // Gráficos por área reaprovechando generadores existentes con IDs específicos
             try {
                 console.log('[DEBUG] Rendering charts for area:', kmlEntry.name);
@@ -762,6 +1471,10 @@ function initApp() {
 
             // Per-area export button was removed; use the unified Excel export instead
         }
+        // Se invoca también desde el flujo de análisis (fuera de initApp)
+        window.renderKmlResultsPanel = renderKmlResultsPanel;
+        // El panel del catálogo recarga las capas al cambiar de catálogo
+        window.loadDataOptional = loadDataOptional;
 
         // Eventos del selector
         if (kmlSelect) {
@@ -823,13 +1536,11 @@ function initApp() {
                 // Intentar primero con CORS normal
                 let response;
                 try {
+                    // La vigencia de cada capa la decide la caché local (IndexedDB)
                     response = await fetch(url, {
                         signal: controller.signal,
                         mode: 'cors',
-                        headers: {
-                            'Accept': 'application/json',
-                            'Cache-Control': 'no-cache'
-                        }
+                        headers: { 'Accept': 'application/json' }
                     });
                 } catch (corsError) {
                     console.warn(`CORS falló para ${name}, intentando sin CORS:`, corsError);
@@ -837,8 +1548,7 @@ function initApp() {
                     // Fallback: intentar sin CORS (para navegadores Chromium estrictos)
                     response = await fetch(url, {
                         signal: controller.signal,
-                        mode: 'no-cors',
-                        cache: 'no-cache'
+                        mode: 'no-cors'
                     });
                 }
 
@@ -870,25 +1580,7 @@ function initApp() {
                 if (error.name === 'AbortError') {
                     throw new Error(`Timeout cargando ${name} (15s)`);
                 }
-
-                // Último fallback: usar un proxy CORS público
-                console.warn(`Intentando proxy CORS para ${name}...`);
-                try {
-                    const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`;
-                    const proxyResponse = await fetch(proxyUrl, {
-                        headers: { 'Accept': 'application/json' }
-                    });
-
-                    if (proxyResponse.ok) {
-                        const proxyData = await proxyResponse.json();
-                        const data = JSON.parse(proxyData.contents);
-                        console.log(`${name} cargado vía proxy: ${data.features?.length || 0} features`);
-                        return data;
-                    }
-                } catch (proxyError) {
-                    console.error(`Proxy también falló para ${name}:`, proxyError);
-                }
-
+                // Sin proxy público: si falla la descarga, loadLayerCacheFirst recurre a la copia local
                 throw new Error(`Error cargando ${name}: ${error.message}`);
             }
         }
@@ -906,10 +1598,7 @@ function initApp() {
                 const response = await fetch(url, {
                     signal: controller.signal,
                     mode: 'cors',
-                    headers: {
-                        'Accept': 'application/json',
-                        'Cache-Control': 'no-cache'
-                    }
+                    headers: { 'Accept': 'application/json' }
                 });
 
                 clearTimeout(timeoutId);
@@ -927,31 +1616,20 @@ function initApp() {
                 if (error.name === 'AbortError') {
                     throw new Error(`Timeout cargando ${name} (15s)`);
                 }
-
-                // Último fallback: usar un proxy CORS público
-                console.warn(`Intentando proxy CORS para ${name}...`);
-                try {
-                    const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`;
-                    const proxyResponse = await fetch(proxyUrl, {
-                        headers: { 'Accept': 'application/json' }
-                    });
-
-                    if (proxyResponse.ok) {
-                        const proxyData = await proxyResponse.json();
-                        const data = JSON.parse(proxyData.contents);
-                        console.log(`${name} cargado vía proxy: ${Array.isArray(data) ? data.length : 'N/A'} registros`);
-                        return data;
-                    }
-                } catch (proxyError) {
-                    console.error(`Proxy también falló para ${name}:`, proxyError);
-                }
-
                 throw new Error(`Error cargando ${name}: ${error.message}`);
             }
         }
 
-        async function loadDataOptional() {
+        /**
+         * @param {{refreshStale?:boolean}} options - refreshStale: descargar solo las capas cuya versión cambió
+         */
+        async function loadDataOptional(options = {}) {
             console.log('[DEBUG] loadDataOptional started');
+            // Cada capa se lee primero de la caché local (IndexedDB)
+            const cacheStats = { cached: 0, downloaded: 0, failed: 0 };
+            const cacheOptions = { refreshStale: !!options.refreshStale, stats: cacheStats };
+            const loadLayer = (url, name) => loadLayerCacheFirst(url, name, loadSingleLayer, cacheOptions);
+            const loadJson = (url, name) => loadLayerCacheFirst(url, name, loadJsonData, cacheOptions);
             try {
                 console.log('[DEBUG] Showing preloader');
                 showPreloader();
@@ -962,97 +1640,38 @@ function initApp() {
                     updateProgress(8, 'Detectado navegador Chromium - usando estrategia CORS especial...');
                 }
 
-                // Cargar capas secuencialmente para evitar problemas de concurrencia
-                updateProgress(5, 'Cargando localidades...');
-                localitiesData = await loadSingleLayer(urls.localidades, 'Localidades');
-
-                updateProgress(10, 'Cargando atlas pueblos indígenas...');
-                atlasData = await loadSingleLayer(urls.atlas, 'Atlas Pueblos Indígenas');
-
-                updateProgress(15, 'Cargando municipios...');
-                municipiosData = await loadSingleLayer(urls.municipios, 'Municipios');
-
-                updateProgress(20, 'Cargando regiones indígenas...');
-                regionesData = await loadSingleLayer(urls.regiones, 'Regiones Indígenas');
-
-                updateProgress(25, 'Cargando RAN...');
-                ranData = await loadSingleLayer(urls.ran, 'RAN');
-
-                updateProgress(28, 'Cargando RAN (datos tabulares)...');
-                ranNoGeomData = await loadSingleLayer(urls.ran_sin_geom, 'RAN (sin geometría)');
-                // Construir índice por Clv_Unica
-                ranLookupMap = new Map();
-                if (ranNoGeomData && Array.isArray(ranNoGeomData.features)) {
-                    ranNoGeomData.features.forEach(f => {
-                        const k = (f.properties?.Clv_Unica ?? f.properties?.CLV_UNICA ?? '').toString().trim();
-                        if (k) ranLookupMap.set(k, { ...f.properties });
-                    });
-                    console.log('[DEBUG] [V3] RAN lookup construido con', ranLookupMap.size, 'claves');
-                }
-
-                // Enriquecer ranData con datos tabulares usando Clv_Unica
-                if (ranData && ranLookupMap.size > 0) {
-                    ranData.features.forEach(feature => {
-                        const k = (feature.properties?.Clv_Unica ?? feature.properties?.CLV_UNICA ?? '').toString().trim();
-                        const extra = ranLookupMap.get(k);
-                        if (extra) {
-                            Object.assign(feature.properties, extra);
-                        }
-                    });
-                    console.log('[DEBUG] [V3] RAN data enriquecido con lookup');
+                // Cargar las capas del catálogo secuencialmente para evitar problemas de concurrencia
+                const catalogLayers = layerCatalog.layers;
+                for (let i = 0; i < catalogLayers.length; i++) {
+                    const entry = catalogLayers[i];
+                    updateProgress(5 + Math.round((i / catalogLayers.length) * 80), `Cargando ${entry.name}...`);
+                    layerDataById[entry.id] = entry.format === 'json'
+                        ? await loadJson(entry.url, entry.name)
+                        : await loadLayer(entry.url, entry.name);
                 }
 
-                updateProgress(30, 'Cargando lenguas indígenas...');
-                lenguasData = await loadSingleLayer(urls.lenguas, 'Lenguas Indígenas');
-
-                updateProgress(35, 'Cargando zonas de amortiguamiento público...');
-                zaPublicoData = await loadSingleLayer(urls.za_publico, 'ZA Público');
-
-                updateProgress(40, 'Cargando zonas de amortiguamiento público A...');
-                zaPublicoAData = await loadSingleLayer(urls.za_publico_a, 'ZA Público A');
-
-                updateProgress(45, 'Cargando ANP estatales...');
-                anpEstatalData = await loadSingleLayer(urls.anp_estatal, 'ANP Estatales');
-
-                updateProgress(50, 'Cargando sitios Ramsar...');
-                ramsarData = await loadSingleLayer(urls.ramsar, 'Ramsar');
-
-                updateProgress(55, 'Cargando sitios arqueológicos...');
-                sitioArqueologicoData = await loadSingleLayer(urls.sitio_arqueologico, 'Sitios Arqueológicos');
+                // Enriquecer capas con sus tablas asociadas (campo clave definido en el catálogo)
+                updateProgress(87, 'Uniendo datos tabulares...');
+                const joinLookups = applyCatalogJoins();
+                ranLookupMap = joinLookups.ran || new Map();
+                localityDataLookupMap = joinLookups.localidades || new Map();
+                syncLegacyLayerData();
 
-                updateProgress(60, 'Cargando zonas históricas...');
-                zHistoricosData = await loadSingleLayer(urls.z_historicos, 'Zonas Históricas');
-
-                updateProgress(65, 'Cargando localidades indígenas datos...');
-                locIndigenasData = await loadSingleLayer(urls.loc_indigenas_datos, 'Loc Indígenas Datos');
-
-                updateProgress(70, 'Cargando ruta Wixarika...');
-                rutaWixarikaData = await loadSingleLayer(urls.rutaWixarika, 'Ruta Wixarika');
-
-                updateProgress(75, 'Cargando localidades datos adicionales...');
-                localidadesDatosData = await loadJsonData(urls.localidadesdatos_solo_datos, 'Localidades Datos Adicionales');
-
-                updateProgress(80, 'Cargando localidades puntos...');
-                localitiesPointsData = await loadSingleLayer(urls.localities_points, 'Localidades Puntos');
-
-                // Merge localidades datos adicionales into localitiesData
-                if (localitiesData && localidadesDatosData) {
-                    console.log('Mezclando datos adicionales de localidades...');
-                    localitiesData.features.forEach(feature => {
-                        const cvegeo = feature.properties.CVEGEO;
-                        const extra = localidadesDatosData.find(d => d.CVEGEO === cvegeo);
-                        if (extra) {
-                            Object.assign(feature.properties, extra);
-                        }
-                    });
-                    console.log('Mezcla completada.');
-                    console.log('[DEBUG] Localidades merged properties sample:', localitiesData.features[0]?.properties);
-                }
+                updateProgress(90, 'Construyendo índices espaciales...');
+                assignFeatureIds();
+                await buildSpatialIndexes();
 
                 updateProgress(100, 'Todas las capas cargadas exitosamente');
                 console.log("Todas las capas cargadas correctamente.");
                 console.log('[DEBUG] About to hide preloader after successful load');
-                showAlert('Todas las capas geoespaciales han sido cargadas exitosamente', 'success');
+                if (options.refreshStale) {
+                    showAlert(`Datos actualizados: ${cacheStats.downloaded} capa(s) descargadas, ${cacheStats.cached} vigentes en caché`, 'success');
+                } else {
+                    showAlert(`Todas las capas geoespaciales han sido cargadas exitosamente${cacheStats.cached ? ` (${cacheStats.cached} desde caché local)` : ''}`, 'success');
+                }
+                if (cacheStats.failed > 0) {
+                    showAlert(`${cacheStats.failed} capa(s) no se pudieron descargar; se usa su copia local`, 'warning', 6000);
+                }
 
                 setTimeout(() => {
                     console.log('[DEBUG] Hiding preloader after timeout');
@@ -1086,6 +1705,8 @@ function initApp() {
                 console.warn('Carga de datos externos falló. Usando datos de ejemplo para desarrollo.');
                 console.log('[DEBUG] Creating sample data');
                 createSampleData();
+                assignFeatureIds();
+                buildSpatialIndexes();
             }
         }
 
@@ -1352,6 +1973,24 @@ function initApp() {
             ranData = { type: "FeatureCollection", features: [] };
             anpEstatalData = { type: "FeatureCollection", features: [] };
 
+            // Registrar los datos de ejemplo bajo los ids del catálogo
+            Object.assign(layerDataById, {
+                localidades: localitiesData,
+                municipios: municipiosData,
+                atlas: atlasData,
+                regiones: regionesData,
+                ran: ranData,
+                lenguas: lenguasData,
+                za_publico: zaPublicoData,
+                za_publico_a: zaPublicoAData,
+                anp_estatal: anpEstatalData,
+                ramsar: ramsarData,
+                sitio_arqueologico: sitioArqueologicoData,
+                z_historicos: zHistoricosData,
+                loc_indigenas_datos: locIndigenasData,
+                rutaWixarika: rutaWixarikaData
+            });
+
             showAlert('Usando datos de ejemplo para desarrollo. Carga un KML para probar la funcionalidad.', 'info', 5000);
         }
 
@@ -1371,25 +2010,7 @@ function initApp() {
             if (!features || features.length === 0) return;
 
             // Activar automáticamente la capa correspondiente si no está visible
-            const layerMapping = {
-                'localidades': clippedLocalitiesLayer,
-                'localidades_puntos': clippedLocalitiesPointsLayer,
-                'atlas': clippedAtlasLayer,
-                'municipios': clippedMunicipiosLayer,
-                'regiones': clippedRegionesLayer,
-                'ran': clippedRanLayer,
-                'lenguas': clippedLenguasLayer,
-                'za_publico': clippedZaPublicoLayer,
-                'za_publico_a': clippedZaPublicoALayer,
-                'anp_estatal': clippedAnpEstatalLayer,
-                'ramsar': clippedRamsarLayer,
-                'sitio_arqueologico': clippedSitioArqueologicoLayer,
-                'z_historicos': clippedZHistoricosLayer,
-                'loc_indigenas_datos': clippedLocIndigenasLayer,
-                'rutaWixarika': clippedRutaWixarikaLayer
-            };
-
-            const correspondingLayer = layerMapping[layerName];
+            const correspondingLayer = clippedLayersById[layerName];
             if (correspondingLayer && !map.hasLayer(correspondingLayer)) {
                 map.addLayer(correspondingLayer);
                 showAlert(`Capa "${getLayerDisplayName(layerName)}" activada automáticamente`, 'info', 2000);
@@ -1434,118 +2055,8 @@ function initApp() {
                     },
                     onEachFeature: function (feature, layer) {
                         const props = feature.properties;
-                        let popupContent;
-                        // Use the same popup logic as in navigateToFeature
-                        if (layerName === 'localidades') {
-                            popupContent = createPopupContent('Localidad', '🏘️', [
-                                { value: props.NOMGEO || props.NOM_LOC || props.NOMBRE || 'Sin nombre', isMain: true },
-                                { label: 'CVEGEO', value: props.CVEGEO },
-                                { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO },
-                                { label: 'Estado', value: props.NOM_ENT || props.ESTADO },
-                                { label: 'Ámbito', value: props.AMBITO },
-                                { label: 'Población Total', value: props.POBTOT },
-                                { label: 'Población Femenina', value: props.POBFEM },
-                                { label: 'Población Masculina', value: props.POBMAS }
-                            ]);
-                        } else if (layerName === 'localidades_puntos') {
-                            popupContent = createPopupContent('Localidad (Puntos)', '📍', [
-                                { value: props.NOM_LOC || props.NOMGEO || 'Sin nombre', isMain: true },
-                                { label: 'CVEGEO', value: props.CVEGEO },
-                                { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO },
-                                { label: 'Estado', value: props.NOM_ENT || props.ESTADO },
-                            ]);
-                        } else if (layerName === 'atlas') {
-                            popupContent = createPopupContent('Atlas Pueblos Indígenas', '🏛️', [
-                                { value: props.CVEGEO, isMain: true },
-                                { label: 'Localidad', value: props.NOM_LOC || props.NOMBRE },
-                                { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO }
-                            ]);
-                        } else if (layerName === 'municipios') {
-                            popupContent = createPopupContent('Municipio', '🏛️', [
-                                { value: props.NOMGEO || props.NOM_MUN || props.NOMBRE || 'Sin nombre', isMain: true },
-                                { label: 'CVEGEO', value: props.CVEGEO },
-                                { label: 'Estado', value: props.NOM_ENT || props.ESTADO },
-                                { label: 'Cabecera', value: props.NOM_CAB || props.CABECERA }
-                            ]);
-                        } else if (layerName === 'regiones') {
-                            popupContent = createPopupContent('Región Indígena', '🌄', [
-                                { value: props.Name || props.NOMBRE || 'Sin nombre', isMain: true },
-                                { label: 'Tipo', value: props.Tipo || props.TIPO },
-                                { label: 'Descripción', value: props.Descripci || props.DESCRIPCION }
-                            ]);
-                        } else if (layerName === 'ran') {
-                            popupContent = createPopupContent('RAN', '🌾', [
-                                { value: props.NOM_NUC || props.MUNICIPIO || props.Clv_Unica || 'Sin nombre', isMain: true },
-                                { label: 'Nombre del Núcleo', value: props.NOM_NUC },
-                                { label: 'Clv_Unica', value: props.Clv_Unica },
-                                { label: 'Tipo', value: props.tipo || props.Tipo },
-                                { label: 'Estado', value: props.Estado || props.ESTADO },
-                                { label: 'Municipio', value: props.Municipio || props.MUNICIPIO }
-                            ]);
-                        } else if (layerName === 'lenguas') {
-                            popupContent = createPopupContent('Lengua Indígena', '🗣️', [
-                                { value: props.Lengua || props.LENGUA || 'Sin especificar', isMain: true },
-                                { label: 'Localidad', value: props.NOM_LOC || props.LOCALIDAD },
-                                { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO },
-                                { label: 'Estado', value: props.NOM_ENT || props.ESTADO }
-                            ]);
-                        } else if (layerName === 'za_publico') {
-                            popupContent = createPopupContent('ZA Público', '🏞️', [
-                                { value: props["Zona Arqueológica"] || 'Sin nombre', isMain: true },
-                                { label: 'Estado', value: props.ESTADO },
-                                { label: 'Municipio', value: props.MUNICIPIO },
-                                { label: 'Localidad', value: props.LOCALIDAD }
-                            ]);
-                        } else if (layerName === 'za_publico_a') {
-                            popupContent = createPopupContent('ZA Público A', '🏞️', [
-                                { value: props["Zona Arqueológica"] || 'Sin nombre', isMain: true },
-                                { label: 'Estado', value: props.ESTADO },
-                                { label: 'Municipio', value: props.MUNICIPIO },
-                                { label: 'Localidad', value: props.LOCALIDAD }
-                            ]);
-                        } else if (layerName === 'anp_estatal') {
-                            popupContent = createPopupContent('ANP Estatal', '🌿', [
-                                { value: props.NOMBRE || 'Sin nombre', isMain: true },
-                                { label: 'Tipo', value: props.TIPO },
-                                { label: 'Categoría DEC', value: props.CAT_DEC },
-                                { label: 'Entidad', value: props.ENTIDAD },
-                                { label: 'Municipio DEC', value: props.MUN_DEC }
-                            ]);
-                        } else if (layerName === 'ramsar') {
-                            popupContent = createPopupContent('Sitio Ramsar', '🦆', [
-                                { value: props.RAMSAR || 'Sin nombre', isMain: true },
-                                { label: 'Estado', value: props.ESTADO },
-                                { label: 'Municipio', value: props.MUNICIPIOS }
-                            ]);
-                        } else if (layerName === 'sitio_arqueologico') {
-                            popupContent = createPopupContent('Sitio Arqueológico', '🏛️', [
-                                { value: props.nombre || 'Sin nombre', isMain: true },
-                                { label: 'Estado', value: props.nom_ent },
-                                { label: 'Municipio', value: props.nom_mun },
-                                { label: 'Localidad', value: props.nom_loc }
-                            ]);
-                        } else if (layerName === 'z_historicos') {
-                            popupContent = createPopupContent('Zona Histórica', '🏰', [
-                                { value: props.Nombre || 'Sin nombre', isMain: true },
-                                { label: 'Estado', value: props.ESTADO },
-                                { label: 'Municipio', value: props.MUNICIPIO },
-                                { label: 'Localidad', value: props.LOCALIDAD }
-                            ]);
-                        } else if (layerName === 'loc_indigenas_datos') {
-                            popupContent = createPopupContent('Loc Indígenas Datos', '🏘️', [
-                                { value: props.LOCALIDAD || 'Sin Localidad', isMain: true },
-                                { label: 'Entidad', value: props.ENTIDAD },
-                                { label: 'Municipio', value: props.MUNICIPIO },
-                                { label: 'Localidad', value: props.LOCALIDAD },
-                                { label: 'Población Total', value: props.POBTOTAL }
-                            ]);
-                        } else if (layerName === 'rutaWixarika') {
-                            popupContent = createPopupContent('Ruta Wixarika', '🛤️', [
-                                { value: props.Name || 'Sin nombre', isMain: true }
-                            ]);
-                        } else {
-                            popupContent = `<h6>${props.NOMBRE || props.nombre || props.Name || props.name || 'Elemento'}</h6><small>Capa: ${getLayerDisplayName(layerName)}</small>`;
-                        }
+                        // Popup definido en el catálogo de capas (mismo que en navigateToFeature)
+                        const popupContent = buildCatalogPopup(layerName, props);
                         layer.bindPopup(popupContent);
                         // Only open popup for single features to avoid clutter
                         if (features.length === 1) {
@@ -1618,25 +2129,7 @@ function initApp() {
             if (targetFeatures.length === 0) return;
 
             // Activar automáticamente la capa correspondiente si no está visible
-            const layerMapping = {
-                'localidades': clippedLocalitiesLayer,
-                'localidades_puntos': clippedLocalitiesPointsLayer,
-                'atlas': clippedAtlasLayer,
-                'municipios': clippedMunicipiosLayer,
-                'regiones': clippedRegionesLayer,
-                'ran': clippedRanLayer,
-                'lenguas': clippedLenguasLayer,
-                'za_publico': clippedZaPublicoLayer,
-                'za_publico_a': clippedZaPublicoALayer,
-                'anp_estatal': clippedAnpEstatalLayer,
-                'ramsar': clippedRamsarLayer,
-                'sitio_arqueologico': clippedSitioArqueologicoLayer,
-                'z_historicos': clippedZHistoricosLayer,
-                'loc_indigenas_datos': clippedLocIndigenasLayer,
-                'rutaWixarika': clippedRutaWixarikaLayer
-            };
-
-            const correspondingLayer = layerMapping[layerName];
+            const correspondingLayer = clippedLayersById[layerName];
             if (correspondingLayer && !map.hasLayer(correspondingLayer)) {
                 map.addLayer(correspondingLayer);
                 showAlert(`Capa "${getLayerDisplayName(layerName)}" activada automáticamente`, 'info', 2000);
@@ -1698,117 +2191,7 @@ function initApp() {
                         },
                         onEachFeature: function (feature, layer) {
                             const props = feature.properties;
-                            let popupContent;
-                            if (layerName === 'localidades') {
-                                popupContent = createPopupContent('Localidad', '🏘️', [
-                                    { value: props.NOMGEO || props.NOM_LOC || props.NOMBRE || 'Sin nombre', isMain: true },
-                                    { label: 'CVEGEO', value: props.CVEGEO },
-                                    { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO },
-                                    { label: 'Estado', value: props.NOM_ENT || props.ESTADO },
-                                    { label: 'Ámbito', value: props.AMBITO },
-                                    { label: 'Población Total', value: props.POBTOT },
-                                    { label: 'Población Femenina', value: props.POBFEM },
-                                    { label: 'Población Masculina', value: props.POBMAS }
-                                ]);
-                            } else if (layerName === 'localidades_puntos') {
-                                popupContent = createPopupContent('Localidad (Puntos)', '📍', [
-                                    { value: props.NOM_LOC || props.NOMGEO || 'Sin nombre', isMain: true },
-                                    { label: 'CVEGEO', value: props.CVEGEO },
-                                    { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO },
-                                    { label: 'Estado', value: props.NOM_ENT || props.ESTADO },
-                                ]);
-                            } else if (layerName === 'atlas') {
-                                popupContent = createPopupContent('Atlas Pueblos Indígenas', '🏛️', [
-                                    { value: props.CVEGEO, isMain: true },
-                                    { label: 'Localidad', value: props.NOM_LOC || props.NOMBRE },
-                                    { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO }
-                                ]);
-                            } else if (layerName === 'municipios') {
-                                popupContent = createPopupContent('Municipio', '🏛️', [
-                                    { value: props.NOMGEO || props.NOM_MUN || props.NOMBRE || 'Sin nombre', isMain: true },
-                                    { label: 'CVEGEO', value: props.CVEGEO },
-                                    { label: 'Estado', value: props.NOM_ENT || props.ESTADO },
-                                    { label: 'Cabecera', value: props.NOM_CAB || props.CABECERA }
-                                ]);
-                            } else if (layerName === 'regiones') {
-                                popupContent = createPopupContent('Región Indígena', '🌄', [
-                                    { value: props.Name || props.NOMBRE || 'Sin nombre', isMain: true },
-                                    { label: 'Tipo', value: props.Tipo || props.TIPO },
-                                    { label: 'Descripción', value: props.Descripci || props.DESCRIPCION }
-                                ]);
-                            } else if (layerName === 'ran') {
-                                popupContent = createPopupContent('RAN', '🌾', [
-                                    { value: props.MUNICIPIO || props.Clv_Unica, isMain: true },
-                                    { label: 'Clv_Unica', value: props.Clv_Unica },
-                                    { label: 'Tipo', value: props.tipo || props.Tipo },
-                                    { label: 'Estado', value: props.Estado || props.ESTADO },
-                                    { label: 'Municipio', value: props.Municipio || props.MUNICIPIO }
-                                ]);
-                            } else if (layerName === 'lenguas') {
-                                popupContent = createPopupContent('Lengua Indígena', '🗣️', [
-                                    { value: props.Lengua || props.LENGUA || 'Sin especificar', isMain: true },
-                                    { label: 'Localidad', value: props.NOM_LOC || props.LOCALIDAD },
-                                    { label: 'Municipio', value: props.NOM_MUN || props.MUNICIPIO },
-                                    { label: 'Estado', value: props.NOM_ENT || props.ESTADO }
-                                ]);
-                            } else if (layerName === 'za_publico') {
-                                popupContent = createPopupContent('ZA Público', '🏞️', [
-                                    { value: props["Zona Arqueológica"] || 'Sin nombre', isMain: true },
-                                    { label: 'Estado', value: props.ESTADO },
-                                    { label: 'Municipio', value: props.MUNICIPIO },
-                                    { label: 'Localidad', value: props.LOCALIDAD }
-                                ]);
-                            } else if (layerName === 'za_publico_a') {
-                                popupContent = createPopupContent('ZA Público A', '🏞️', [
-                                    { value: props["Zona Arqueológica"] || 'Sin nombre', isMain: true },
-                                    { label: 'Estado', value: props.ESTADO },
-                                    { label: 'Municipio', value: props.MUNICIPIO },
-                                    { label: 'Localidad', value: props.LOCALIDAD }
-                                ]);
-                            } else if (layerName === 'anp_estatal') {
-                                popupContent = createPopupContent('ANP Estatal', '🌿', [
-                                    { value: props.NOMBRE || 'Sin nombre', isMain: true },
-                                    { label: 'Tipo', value: props.TIPO },
-                                    { label: 'Categoría DEC', value: props.CAT_DEC },
-                                    { label: 'Entidad', value: props.ENTIDAD },
-                                    { label: 'Municipio DEC', value: props.MUN_DEC }
-                                ]);
-                            } else if (layerName === 'ramsar') {
-                                popupContent = createPopupContent('Sitio Ramsar', '🦆', [
-                                    { value: props.RAMSAR || 'Sin nombre', isMain: true },
-                                    { label: 'Estado', value: props.ESTADO },
-                                    { label: 'Municipio', value: props.MUNICIPIOS }
-                                ]);
-                            } else if (layerName === 'sitio_arqueologico') {
-                                popupContent = createPopupContent('Sitio Arqueológico', '🏛️', [
-                                    { value: props.nombre || 'Sin nombre', isMain: true },
-                                    { label: 'Estado', value: props.nom_ent },
-                                    { label: 'Municipio', value: props.nom_mun },
-                                    { label: 'Localidad', value: props.nom_loc }
-                                ]);
-                            } else if (layerName === 'z_historicos') {
-                                popupContent = createPopupContent('Zona Histórica', '🏰', [
-                                    { value: props.Nombre || 'Sin nombre', isMain: true },
-                                    { label: 'Estado', value: props.ESTADO },
-                                    { label: 'Municipio', value: props.MUNICIPIO },
-                                    { label: 'Localidad', value: props.LOCALIDAD }
-                                ]);
-                            } else if (layerName === 'loc_indigenas_datos') {
-                                popupContent = createPopupContent('Loc Indígenas Datos', '🏘️', [
-                                    { value: props.LOCALIDAD || 'Sin Localidad', isMain: true },
-                                    { label: 'Entidad', value: props.ENTIDAD },
-                                    { label: 'Municipio', value: props.MUNICIPIO },
-                                    { label: 'Localidad', value: props.LOCALIDAD },
-                                    { label: 'Población Total', value: props.POBTOTAL }
-                                ]);
-                            } else if (layerName === 'rutaWixarika') {
-                                popupContent = createPopupContent('Ruta Wixarika', '🛤️', [
-                                    { value: props.Name || 'Sin nombre', isMain: true }
-                                ]);
-                            } else {
-                                // Generic popup for other layers
-                                popupContent = `<h6>${props[propertyName] || 'Sin nombre'}</h6>`;
-                            }
+                            const popupContent = buildCatalogPopup(layerName, props);
                             layer.bindPopup(popupContent);
                             // Only open popup for single features to avoid clutter
                             if (targetFeatures.length === 1) {
@@ -1972,7 +2355,13 @@ function initApp() {
                                 const key = f.properties.Clv_Unica;
                                 displayText = `${name} (${key})`;
                             }
-                            li.innerHTML = `<span class="color-dot" style="background:${color}"></span>${displayText}`;
+                            const ringBadge = f.properties._anillo ? ` <span class="badge bg-light text-dark border ms-1">${getRingLabel(f.properties._anillo)}</span>` : '';
+                            const kmBadge = f.properties._km != null ? ` <span class="badge bg-light text-dark border ms-1">km ${Number(f.properties._km).toFixed(1)}</span>` : '';
+                            const haBadge = hasClipData(f.properties) ? ` <span class="badge bg-light text-dark border ms-1" title="${f.properties._pct_elemento}% del elemento dentro del área">${formatNumber(f.properties._ha_dentro)} ha</span>` : '';
+                            const containment = CONTAINMENT_CLASSES[f.properties._contencion];
+                            const containmentBadge = containment ? ` <span class="badge bg-light text-dark border ms-1" title="${containment.description}">${containment.label}</span>` : '';
+                            const distanceBadge = f.properties._dist_km > 0 ? ` <span class="badge bg-light text-dark border ms-1" title="Distancia al proyecto">a ${formatNumber(f.properties._dist_km)} km</span>` : '';
+                            li.innerHTML = `<span class="color-dot" style="background:${color}"></span>${displayText}${containmentBadge}${distanceBadge}${ringBadge}${kmBadge}${haBadge}`;
                             li.dataset.featureId = f.properties[propertyName];
                             li.dataset.layerName = layerName;
                             li.setAttribute('role', 'button');
@@ -2138,7 +2527,6 @@ function initApp() {
 
             // Habilitar/deshabilitar botones de descarga
             const downloadReportBtn = document.getElementById('downloadReportBtn');
-            // PDF deshabilitado por solicitud; dejar botón sin handler si aún existe
         }
 
         /**
@@ -2408,11 +2796,12 @@ function initApp() {
          */
         function clearAllLayers() {
             // Remover todas las capas del mapa
-            [kmlLayer, bufferLayer, clippedLocalitiesLayer, clippedAtlasLayer, clippedMunicipiosLayer, clippedRegionesLayer, clippedRanLayer, clippedLenguasLayer, clippedZaPublicoLayer, clippedZaPublicoALayer, clippedAnpEstatalLayer, clippedRamsarLayer, clippedSitioArqueologicoLayer, clippedZHistoricosLayer, clippedLocIndigenasLayer, clippedRutaWixarikaLayer, highlightLayer]
+            [kmlLayer, bufferLayer, ...Object.values(clippedLayersById), highlightLayer]
                 .forEach(layer => { if (layer) map.removeLayer(layer); });
 
             // Resetear variables de estado
-            kmlLayer = bufferLayer = clippedLocalitiesLayer = clippedAtlasLayer = clippedMunicipiosLayer = clippedRegionesLayer = clippedRanLayer = clippedLenguasLayer = clippedZaPublicoLayer = clippedZaPublicoALayer = clippedAnpEstatalLayer = clippedRamsarLayer = clippedSitioArqueologicoLayer = clippedZHistoricosLayer = clippedLocIndigenasLayer = clippedRutaWixarikaLayer = highlightLayer = null;
+            kmlLayer = bufferLayer = highlightLayer = null;
+            Object.keys(clippedLayersById).forEach(id => delete clippedLayersById[id]);
             kmlGeoJson = null;
             lastAreaBounds = null;
 
@@ -2749,8 +3138,7 @@ function initApp() {
                 }
 
                 // Remover capas anteriores
-                [clippedLocalitiesLayer, clippedAtlasLayer, clippedMunicipiosLayer, clippedRegionesLayer, clippedRanLayer, clippedLenguasLayer, clippedZaPublicoLayer, clippedZaPublicoALayer, clippedAnpEstatalLayer, clippedRamsarLayer, clippedSitioArqueologicoLayer, clippedZHistoricosLayer]
-                    .forEach(layer => { if (layer) map.removeLayer(layer); });
+                Object.values(clippedLayersById).forEach(layer => { if (layer) map.removeLayer(layer); });
 
                 // Recrear control de capas
                 if (layersControl) {
@@ -2788,8 +3176,8 @@ function initApp() {
                             { label: 'Población Femenina', value: p.POBFEM },
                             { label: 'Población Masculina', value: p.POBMAS }
                         ]), clipArea);
-                    clippedLocalitiesLayer = locResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedLocalitiesLayer, "Localidades");
+                    clippedLayersById.localidades = locResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.localidades, "Localidades");
                     layersData.localidades = { features: locResult.clipped };
                     console.log('[DEBUG] Localidades clipped properties sample:', locResult.clipped[0]?.properties);
 
@@ -2817,15 +3205,15 @@ function initApp() {
                             { label: 'CVEGEO', value: p.CVEGEO },
                             { label: 'Municipio', value: p.NOM_MUN || p.MUNICIPIO }
                         ]), clipArea);
-                    clippedAtlasLayer = atlasResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedAtlasLayer, "Atlas Pueblos Indígenas");
+                    clippedLayersById.atlas = atlasResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.atlas, "Atlas Pueblos Indígenas");
                     layersData.atlas = { features: atlasResult.clipped };
                     console.log('[DEBUG] Atlas clipped properties sample:', atlasResult.clipped[0]?.properties);
                     processedCount++;
                 } else {
                     // Crear capa vacía para mostrar en el control de capas
-                    clippedAtlasLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedAtlasLayer, "Atlas Pueblos Indígenas");
+                    clippedLayersById.atlas = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.atlas, "Atlas Pueblos Indígenas");
                 }
 
                 if (municipiosData && municipiosData.features) {
@@ -2838,13 +3226,13 @@ function initApp() {
                             { label: 'Estado', value: p.NOM_ENT || p.ESTADO },
                             { label: 'Cabecera', value: p.NOM_CAB || p.CABECERA }
                         ]), clipArea);
-                    clippedMunicipiosLayer = munResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedMunicipiosLayer, "Municipios");
+                    clippedLayersById.municipios = munResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.municipios, "Municipios");
                     layersData.municipios = { features: munResult.clipped };
                     processedCount++;
                 } else {
-                    clippedMunicipiosLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedMunicipiosLayer, "Municipios");
+                    clippedLayersById.municipios = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.municipios, "Municipios");
                 }
 
                 if (regionesData && regionesData.features) {
@@ -2856,13 +3244,13 @@ function initApp() {
                             { label: 'Tipo', value: p.Tipo || p.TIPO },
                             { label: 'Descripción', value: p.Descripci || p.DESCRIPCION }
                         ]), clipArea);
-                    clippedRegionesLayer = regResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedRegionesLayer, "Regiones Indígenas");
+                    clippedLayersById.regiones = regResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.regiones, "Regiones Indígenas");
                     layersData.regiones = { features: regResult.clipped };
                     processedCount++;
                 } else {
-                    clippedRegionesLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedRegionesLayer, "Regiones Indígenas");
+                    clippedLayersById.regiones = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.regiones, "Regiones Indígenas");
                 }
 
                 if (ranData && ranData.features) {
@@ -2903,13 +3291,13 @@ function initApp() {
                             console.warn('[V3] Rebind RAN popups failed:', e);
                         }
                     }
-                    clippedRanLayer = ranResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedRanLayer, "RAN");
+                    clippedLayersById.ran = ranResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.ran, "RAN");
                     layersData.ran = { features: ranResult.clipped };
                     processedCount++;
                 } else {
-                    clippedRanLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedRanLayer, "RAN");
+                    clippedLayersById.ran = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.ran, "RAN");
                 }
 
                 if (lenguasData && lenguasData.features) {
@@ -2922,14 +3310,14 @@ function initApp() {
                             { label: 'Municipio', value: p.NOM_MUN || p.MUNICIPIO },
                             { label: 'Estado', value: p.NOM_ENT || p.ESTADO }
                         ]), clipArea);
-                    clippedLenguasLayer = lenguasResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedLenguasLayer, "Lenguas Indígenas");
+                    clippedLayersById.lenguas = lenguasResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.lenguas, "Lenguas Indígenas");
                     layersData.lenguas = { features: lenguasResult.clipped };
                     console.log('[DEBUG] Lenguas clipped properties sample:', lenguasResult.clipped[0]?.properties);
                     processedCount++;
                 } else {
-                    clippedLenguasLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedLenguasLayer, "Lenguas Indígenas");
+                    clippedLayersById.lenguas = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.lenguas, "Lenguas Indígenas");
                 }
 
                 if (zaPublicoData && zaPublicoData.features) {
@@ -2942,14 +3330,14 @@ function initApp() {
                             { label: 'Municipio', value: p.MUNICIPIO },
                             { label: 'Localidad', value: p.LOCALIDAD }
                         ]), clipArea);
-                    clippedZaPublicoLayer = zaPublicoResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedZaPublicoLayer, "Zonas Arqueológicas (Puntos)");
+                    clippedLayersById.za_publico = zaPublicoResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.za_publico, "Zonas Arqueológicas (Puntos)");
                     layersData.za_publico = { features: zaPublicoResult.clipped };
                     if (zaPublicoResult.clipped.length > 0) kmlMetrics.intersectsZA = true;
                     processedCount++;
                 } else {
-                    clippedZaPublicoLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedZaPublicoLayer, "Zonas Arqueológicas (Puntos)");
+                    clippedLayersById.za_publico = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.za_publico, "Zonas Arqueológicas (Puntos)");
                 }
 
                 if (zaPublicoAData && zaPublicoAData.features) {
@@ -2962,14 +3350,14 @@ function initApp() {
                             { label: 'Municipio', value: p.MUNICIPIO },
                             { label: 'Localidad', value: p.LOCALIDAD }
                         ]), clipArea);
-                    clippedZaPublicoALayer = zaPublicoAResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedZaPublicoALayer, "Zonas Arqueológicas (Áreas)");
+                    clippedLayersById.za_publico_a = zaPublicoAResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.za_publico_a, "Zonas Arqueológicas (Áreas)");
                     layersData.za_publico_a = { features: zaPublicoAResult.clipped };
                     if (zaPublicoAResult.clipped.length > 0) kmlMetrics.intersectsZA = true;
                     processedCount++;
                 } else {
-                    clippedZaPublicoALayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedZaPublicoALayer, "Zonas Arqueológicas (Áreas)");
+                    clippedLayersById.za_publico_a = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.za_publico_a, "Zonas Arqueológicas (Áreas)");
                 }
 
                 if (anpEstatalData && anpEstatalData.features) {
@@ -2983,14 +3371,14 @@ function initApp() {
                             { label: 'Entidad', value: p.ENTIDAD },
                             { label: 'Municipio DEC', value: p.MUN_DEC }
                         ]), clipArea);
-                    clippedAnpEstatalLayer = anpEstatalResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedAnpEstatalLayer, "ANP Estatales");
+                    clippedLayersById.anp_estatal = anpEstatalResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.anp_estatal, "ANP Estatales");
                     layersData.anp_estatal = { features: anpEstatalResult.clipped };
                     if (anpEstatalResult.clipped.length > 0) kmlMetrics.intersectsANP = true;
                     processedCount++;
                 } else {
-                    clippedAnpEstatalLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedAnpEstatalLayer, "ANP Estatales");
+                    clippedLayersById.anp_estatal = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.anp_estatal, "ANP Estatales");
                 }
 
                 if (ramsarData && ramsarData.features) {
@@ -3004,15 +3392,15 @@ function initApp() {
                             { label: 'Municipio', value: p.MUNICIPIOS }
                         ]), clipArea);
                     console.log('[DEBUG] Ramsar clipped result:', ramsarResult.clipped.length, 'features');
-                    clippedRamsarLayer = ramsarResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedRamsarLayer, "Ramsar");
+                    clippedLayersById.ramsar = ramsarResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.ramsar, "Ramsar");
                     layersData.ramsar = { features: ramsarResult.clipped };
                     if (ramsarResult.clipped.length > 0) kmlMetrics.intersectsRamsar = true;
                     processedCount++;
                 } else {
                     console.log('[DEBUG] Ramsar data not available or empty');
-                    clippedRamsarLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedRamsarLayer, "Ramsar");
+                    clippedLayersById.ramsar = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.ramsar, "Ramsar");
                 }
 
                 if (sitioArqueologicoData && sitioArqueologicoData.features) {
@@ -3027,14 +3415,14 @@ function initApp() {
                             { label: 'Localidad', value: p.nom_loc }
                         ]), clipArea);
                     console.log('[DEBUG] Sitios Arqueológicos clipped result:', sitioArqueologicoResult.clipped.length, 'features');
-                    clippedSitioArqueologicoLayer = sitioArqueologicoResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedSitioArqueologicoLayer, "Sitios Arqueológicos");
+                    clippedLayersById.sitio_arqueologico = sitioArqueologicoResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.sitio_arqueologico, "Sitios Arqueológicos");
                     layersData.sitio_arqueologico = { features: sitioArqueologicoResult.clipped };
                     processedCount++;
                 } else {
                     console.log('[DEBUG] Sitios Arqueológicos data not available or empty');
-                    clippedSitioArqueologicoLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedSitioArqueologicoLayer, "Sitios Arqueológicos");
+                    clippedLayersById.sitio_arqueologico = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.sitio_arqueologico, "Sitios Arqueológicos");
                 }
 
                 if (zHistoricosData && zHistoricosData.features) {
@@ -3049,15 +3437,15 @@ function initApp() {
                             { label: 'Localidad', value: p.LOCALIDAD }
                         ]), clipArea);
                     console.log('[DEBUG] Zonas Históricas clipped result:', zHistoricosResult.clipped.length, 'features');
-                    clippedZHistoricosLayer = zHistoricosResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedZHistoricosLayer, "Zonas Históricas");
+                    clippedLayersById.z_historicos = zHistoricosResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.z_historicos, "Zonas Históricas");
                     layersData.z_historicos = { features: zHistoricosResult.clipped };
                     if (zHistoricosResult.clipped.length > 0) kmlMetrics.intersectsZHistoricas = true;
                     processedCount++;
                 } else {
                     console.log('[DEBUG] Zonas Históricas data not available or empty');
-                    clippedZHistoricosLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedZHistoricosLayer, "Zonas Históricas");
+                    clippedLayersById.z_historicos = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.z_historicos, "Zonas Históricas");
                 }
 
                 if (locIndigenasData && locIndigenasData.features) {
@@ -3073,14 +3461,14 @@ function initApp() {
                             { label: 'Población Total', value: p.POBTOTAL }
                         ]), clipArea);
                     console.log('[DEBUG] Loc Indígenas Datos clipped result:', locIndigenasResult.clipped.length, 'features');
-                    clippedLocIndigenasLayer = locIndigenasResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedLocIndigenasLayer, "Loc Indígenas Datos");
+                    clippedLayersById.loc_indigenas_datos = locIndigenasResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.loc_indigenas_datos, "Loc Indígenas Datos");
                     layersData.loc_indigenas_datos = { features: locIndigenasResult.clipped };
                     processedCount++;
                 } else {
                     console.log('[DEBUG] Loc Indígenas Datos data not available or empty');
-                    clippedLocIndigenasLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedLocIndigenasLayer, "Loc Indígenas Datos");
+                    clippedLayersById.loc_indigenas_datos = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.loc_indigenas_datos, "Loc Indígenas Datos");
                 }
 
                 if (rutaWixarikaData && rutaWixarikaData.features) {
@@ -3092,14 +3480,14 @@ function initApp() {
                             { value: p.Name || 'Sin nombre', isMain: true }
                         ]), clipArea);
                     console.log('[DEBUG] Ruta Wixarika clipped result:', rutaWixarikaResult.clipped.length, 'features');
-                    clippedRutaWixarikaLayer = rutaWixarikaResult.layer.addTo(map);
-                    layersControl.addOverlay(clippedRutaWixarikaLayer, "Ruta Wixarika");
+                    clippedLayersById.rutaWixarika = rutaWixarikaResult.layer.addTo(map);
+                    layersControl.addOverlay(clippedLayersById.rutaWixarika, "Ruta Wixarika");
                     layersData.rutaWixarika = { features: rutaWixarikaResult.clipped };
                     processedCount++;
                 } else {
                     console.log('[DEBUG] Ruta Wixarika data not available or empty');
-                    clippedRutaWixarikaLayer = L.layerGroup().addTo(map);
-                    layersControl.addOverlay(clippedRutaWixarikaLayer, "Ruta Wixarika");
+                    clippedLayersById.rutaWixarika = L.layerGroup().addTo(map);
+                    layersControl.addOverlay(clippedLayersById.rutaWixarika, "Ruta Wixarika");
                 }
 
                 // Procesar puntos adicionales que no tengan polígono
@@ -3133,7 +3521,7 @@ function initApp() {
                 // Crear capa de puntos adicionales si hay resultados
                 if (clippedPoints.length > 0) {
                     const pointsCollection = turf.featureCollection(clippedPoints);
-                    clippedLocalitiesPointsLayer = L.geoJSON(pointsCollection, {
+                    clippedLayersById.localidades_puntos = L.geoJSON(pointsCollection, {
                         pointToLayer: (feature, latlng) => {
                             return L.circleMarker(latlng, { radius: 8, fillColor: '#FF00FF', color: '#222', weight: 1, opacity: 1, fillOpacity: 0.8 });
                         },
@@ -3154,7 +3542,7 @@ function initApp() {
                             try { layersControl.addOverlay(overlayGroupsByKey['localidades_puntos'], 'Localidades (Puntos)'); } catch (_) { }
                         }
                     }
-                    clippedLocalitiesPointsLayer.addTo(overlayGroupsByKey['localidades_puntos']);
+                    clippedLayersById.localidades_puntos.addTo(overlayGroupsByKey['localidades_puntos']);
 
                     // Agregar puntos adicionales al total de elementos
                     totalFound += clippedPoints.length;
@@ -3248,135 +3636,17 @@ function initApp() {
                 const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
                 XLSX.utils.book_append_sheet(workbook, summarySheet, 'Resumen');
 
-                // Generar hojas para cada capa con datos detallados
-                const layerConfigs = {
-                    localidades: { property: 'CVEGEO', headers: ['CVEGEO', 'Localidad', 'Municipio', 'Estado', 'Ámbito', 'Población Total', 'Población Femenina', 'Población Masculina'] },
-                    atlas: { property: 'CVEGEO', headers: ['CVEGEO', 'Localidad'] },
-                    municipios: { property: 'CVEGEO', headers: ['CVEGEO', 'Municipio'] },
-                    regiones: { property: 'Name', headers: ['Nombre'] },
-                    ran: { property: 'Clv_Unica', headers: ['NOM_NUC', 'Clv_Unica', 'Municipio', 'Estado', 'Tipo'] },
-                    lenguas: { property: 'Lengua', headers: ['Lengua', 'Total'] },
-                    za_publico: { property: 'Zona Arqueológica', headers: ['Nombre', 'Estado', 'Municipio'] },
-                    za_publico_a: { property: 'Zona Arqueológica', headers: ['Nombre', 'Estado', 'Municipio'] },
-                    anp_estatal: { property: 'NOMBRE', headers: ['Nombre', 'Tipo', 'Categoría DEC', 'Entidad', 'Municipio DEC'] },
-                    ramsar: { property: 'RAMSAR', headers: ['Nombre', 'Estado', 'Municipio'] },
-                    sitio_arqueologico: { property: 'nombre', headers: ['Nombre', 'Estado', 'Municipio', 'Localidad'] },
-                    z_historicos: { property: 'Nombre', headers: ['Nombre', 'Estado', 'Municipio'] },
-                    loc_indigenas_datos: { property: 'LOCALIDAD', headers: ['Entidad', 'Municipio', 'Localidad', 'Población Total', 'PIHOGARES', 'pPIHOGARES', 'TIPOLOC_PI', 'POB_AFRO', 'pPOB_AFRO', 'TIPOLOC_AF', 'cve_ent', 'cve_mun', 'cve_loc', 'cvegeo'] },
-                    rutaWixarika: { property: 'Name', headers: ['Nombre'] }
-                };
+                // Generar hojas para cada capa con datos detallados (columnas según el catálogo)
+                const layerConfigs = buildReportLayerConfigs();
+                if (layerConfigs.lenguas) layerConfigs.lenguas.headers = ['Lengua', 'Total'];
 
                 Object.entries(layersData).forEach(([layerName, data]) => {
                     if (data.features && data.features.length > 0) {
                         const config = layerConfigs[layerName];
                         if (config) {
-                            // Function to get value for a header
                             const getValueForHeader = (feature, header) => {
-                                let value = '';
-                                switch (header) {
-                                    case 'CVEGEO':
-                                        value = feature.properties.CVEGEO || '';
-                                        break;
-                                    case 'Localidad':
-                                        value = feature.properties.NOMGEO || feature.properties.NOM_LOC || feature.properties.nom_loc || feature.properties.LOCALIDAD || feature.properties.Localidad || '';
-                                        break;
-                                    case 'Municipio':
-                                        value = feature.properties.NOMGEO || feature.properties.NOM_MUN || feature.properties.nom_mun || feature.properties.MUNICIPIO || feature.properties.MUNICIPIOS || '';
-                                        break;
-                                    case 'Estado':
-                                        value = feature.properties.NOM_ENT || feature.properties.nom_ent || feature.properties.ESTADO || '';
-                                        break;
-                                    case 'Ámbito':
-                                        value = feature.properties.AMBITO || '';
-                                        break;
-                                    case 'Cabecera':
-                                        value = feature.properties.NOM_CAB || feature.properties.CABECERA || '';
-                                        break;
-                                    case 'Población Total':
-                                        value = feature.properties.POBTOT || feature.properties.POBTOTAL || '';
-                                        break;
-                                    case 'Población Femenina':
-                                        value = feature.properties.POBFEM || '';
-                                        break;
-                                    case 'Población Masculina':
-                                        value = feature.properties.POBMAS || '';
-                                        break;
-                                    case 'Nombre':
-                                        value = feature.properties[config.property] || feature.properties.NOMBRE || feature.properties.nombre || feature.properties.Name || '';
-                                        break;
-                                    case 'Tipo':
-                                        value = feature.properties.TIPO || feature.properties.Tipo || feature.properties.tipo || '';
-                                        break;
-                                    case 'NOM_NUC':
-                                        value = feature.properties.NOM_NUC || '';
-                                        break;
-                                    case 'Estado':
-                                        value = feature.properties.Estado || feature.properties.ESTADO || '';
-                                        break;
-                                    case 'Descripción':
-                                        value = feature.properties.Descripci || feature.properties.DESCRIPCION || '';
-                                        break;
-                                    case 'Categoría DEC':
-                                        value = feature.properties.CAT_DEC || '';
-                                        break;
-                                    case 'Entidad':
-                                        value = feature.properties.ENTIDAD || '';
-                                        break;
-                                    case 'Municipio DEC':
-                                        value = feature.properties.MUN_DEC || '';
-                                        break;
-                                    case 'Clv_Unica':
-                                        value = feature.properties.Clv_Unica || '';
-                                        break;
-                                    case 'NOM_NUC':
-                                        value = feature.properties.NOM_NUC || '';
-                                        break;
-                                    case 'Lengua':
-                                        value = feature.properties.Lengua || feature.properties.LENGUA || '';
-                                        break;
-                                    case 'Zona Arqueológica':
-                                        value = feature.properties["Zona Arqueológica"] || '';
-                                        break;
-                                    case 'RAMSAR':
-                                        value = feature.properties.RAMSAR || '';
-                                        break;
-                                    case 'PIHOGARES':
-                                        value = feature.properties.PIHOGARES || '';
-                                        break;
-                                    case 'pPIHOGARES':
-                                        value = feature.properties.pPIHOGARES || '';
-                                        break;
-                                    case 'TIPOLOC_PI':
-                                        value = feature.properties.TIPOLOC_PI || '';
-                                        break;
-                                    case 'POB_AFRO':
-                                        value = feature.properties.POB_AFRO || '';
-                                        break;
-                                    case 'pPOB_AFRO':
-                                        value = feature.properties.pPOB_AFRO || '';
-                                        break;
-                                    case 'TIPOLOC_AF':
-                                        value = feature.properties.TIPOLOC_AF || '';
-                                        break;
-                                    case 'cve_ent':
-                                        value = feature.properties.cve_ent || '';
-                                        break;
-                                    case 'cve_mun':
-                                        value = feature.properties.cve_mun || '';
-                                        break;
-                                    case 'cve_loc':
-                                        value = feature.properties.cve_loc || '';
-                                        break;
-                                    case 'cvegeo':
-                                        value = feature.properties.cvegeo || '';
-                                        break;
-                                    case 'Total':
-                                        value = 'N/A'; // For lenguas count
-                                        break;
-                                    default:
-                                        value = feature.properties[header] || '';
-                                }
-                                return value;
+                                if (header === 'Total') return 'N/A'; // For lenguas count
+                                return getCatalogColumnValue(layerName, feature, header);
                             };
 
                             // Filter headers to only include those with data
@@ -3441,20 +3711,17 @@ function initApp() {
 
             const wb = XLSX.utils.book_new();
 
-            // 1) Resumen por área
+            // 1) Resumen por área — una columna por capa del catálogo (los puntos de localidades se suman a Localidades)
+            const summaryLayers = getAnalysisLayers().filter(entry => entry.id !== 'localidades_puntos');
             const headerResumen = [
-                'Área', 'Tipo', 'Área (km²)', 'Perímetro (km)', 'Población', 'Densidad Loc (loc/km²)', 'Densidad Pobl (hab/km²)',
-                'Localidades', 'Atlas', 'Municipios', 'Regiones', 'RAN', 'Lenguas (únicas)', 'ZA público', 'ZA áreas',
-                'ANP', 'Ramsar', 'Sitios Arqueológicos', 'Zonas Históricas', 'Loc Indígenas Datos', 'Ruta Wixarika'
+                'Área', 'Tipo', 'Área (km²)', 'Perímetro (km)', 'Población', 'Población sin prorrateo', 'Población prorrateada', 'Método de población',
+                'Densidad Loc (loc/km²)', 'Densidad Pobl (hab/km²)',
+                ...summaryLayers.map(entry => entry.id === 'lenguas' ? `${entry.name} (únicas)` : entry.name)
             ];
             const rowsResumen = [headerResumen];
 
             // Totales globales
-            const globalTotals = {
-                localidades: 0, atlas: 0, municipios: 0, regiones: 0, ran: 0, lenguasU: 0,
-                za_publico: 0, za_publico_a: 0, anp_estatal: 0, ramsar: 0, sitio_arqueologico: 0,
-                z_historicos: 0, loc_indigenas_datos: 0, rutaWixarika: 0
-            };
+            const globalTotals = Object.fromEntries(summaryLayers.map(entry => [entry.id, 0]));
 
             analyzed.forEach(k => {
                 const name = k.name || 'Área';
@@ -3462,24 +3729,13 @@ function initApp() {
                 const metrics = k.metrics || k.kmlMetrics || {};
                 const r = k.results || {};
 
-                const count = (key) => (r[key] && Array.isArray(r[key].features)) ? r[key].features.length : 0;
-                const lenguasU = (r.lenguas && r.lenguas.features) ? new Set(r.lenguas.features.map(f => f.properties?.Lengua || f.properties?.LENGUA)).size : 0;
-
-                // Update globals
-                globalTotals.localidades += count('localidades');
-                globalTotals.atlas += count('atlas');
-                globalTotals.municipios += count('municipios');
-                globalTotals.regiones += count('regiones');
-                globalTotals.ran += count('ran');
-                globalTotals.lenguasU += lenguasU;
-                globalTotals.za_publico += count('za_publico');
-                globalTotals.za_publico_a += count('za_publico_a');
-                globalTotals.anp_estatal += count('anp_estatal');
-                globalTotals.ramsar += count('ramsar');
-                globalTotals.sitio_arqueologico += count('sitio_arqueologico');
-                globalTotals.z_historicos += count('z_historicos');
-                globalTotals.loc_indigenas_datos += count('loc_indigenas_datos');
-                globalTotals.rutaWixarika += count('rutaWixarika');
+                const count = (key) => {
+                    const feats = (r[key] && Array.isArray(r[key].features)) ? r[key].features : [];
+                    // Lenguas = únicas
+                    return key === 'lenguas' ? new Set(feats.map(f => f.properties?.Lengua || f.properties?.LENGUA)).size : feats.length;
+                };
+                const layerCounts = summaryLayers.map(entry => count(entry.id));
+                summaryLayers.forEach((entry, i) => { globalTotals[entry.id] += layerCounts[i]; });
 
                 rowsResumen.push([
                     name,
@@ -3487,19 +3743,18 @@ function initApp() {
                     (metrics.area != null ? Number(metrics.area) : '').toString(),
                     (metrics.perimeter != null ? Number(metrics.perimeter) : '').toString(),
                     (metrics.totalPopulation != null ? Number(metrics.totalPopulation) : '').toString(),
+                    metrics.rawPopulation != null ? metrics.rawPopulation : '',
+                    metrics.apportionedPopulation != null ? metrics.apportionedPopulation : '',
+                    metrics.totalPopulation != null ? getPopulationMethodLabel(metrics.populationMethod) : '',
                     (metrics.localityDensity != null ? Number(metrics.localityDensity) : '').toString(),
                     (metrics.populationDensity != null ? Number(metrics.populationDensity) : '').toString(),
-                    count('localidades'), count('atlas'), count('municipios'), count('regiones'), count('ran'), lenguasU,
-                    count('za_publico'), count('za_publico_a'), count('anp_estatal'), count('ramsar'), count('sitio_arqueologico'), count('z_historicos'), count('loc_indigenas_datos'), count('rutaWixarika')
+                    ...layerCounts
                 ]);
             });
 
             // Fila global
             rowsResumen.push([]);
-            rowsResumen.push(['Global', '', '', '', '', '', '',
-                globalTotals.localidades, globalTotals.atlas, globalTotals.municipios, globalTotals.regiones, globalTotals.ran, globalTotals.lenguasU,
-                globalTotals.za_publico, globalTotals.za_publico_a, globalTotals.anp_estatal, globalTotals.ramsar, globalTotals.sitio_arqueologico, globalTotals.z_historicos, globalTotals.loc_indigenas_datos, globalTotals.rutaWixarika
-            ]);
+            rowsResumen.push(['Global', '', '', '', '', '', '', '', '', '', ...summaryLayers.map(entry => globalTotals[entry.id])]);
 
             XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rowsResumen), 'Resumen');
 
@@ -3530,56 +3785,116 @@ function initApp() {
             });
             XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(lenguasSheet), 'Lenguas (conteo)');
 
-            // 3) Detalle por capa (todas las áreas) — una hoja por capa, filas con columna 'Área'
-            const layerConfigs = {
-                localidades: { property: 'CVEGEO', headers: ['Área', 'CVEGEO', 'Localidad', 'Municipio', 'Estado', 'Ámbito', 'Población Total'] },
-                atlas: { property: 'CVEGEO', headers: ['Área', 'CVEGEO', 'Localidad', 'Municipio'] },
-                municipios: { property: 'CVEGEO', headers: ['Área', 'CVEGEO', 'Municipio', 'Estado', 'Cabecera'] },
-                regiones: { property: 'Name', headers: ['Área', 'Nombre', 'Tipo', 'Descripción'] },
-                ran: { property: 'Clv_Unica', headers: ['Área', 'NOM_NUC', 'Clv_Unica', 'Municipio', 'Estado', 'Tipo'] },
-                za_publico: { property: 'Zona Arqueológica', headers: ['Área', 'Nombre', 'Estado', 'Municipio', 'Localidad'] },
-                za_publico_a: { property: 'Zona Arqueológica', headers: ['Área', 'Nombre', 'Estado', 'Municipio', 'Localidad'] },
-                anp_estatal: { property: 'NOMBRE', headers: ['Área', 'Nombre', 'Tipo', 'Categoría DEC', 'Entidad', 'Municipio DEC'] },
-                ramsar: { property: 'RAMSAR', headers: ['Área', 'Nombre', 'Estado', 'Municipio'] },
-                sitio_arqueologico: { property: 'nombre', headers: ['Área', 'Nombre', 'Estado', 'Municipio', 'Localidad'] },
-                z_historicos: { property: 'Nombre', headers: ['Área', 'Nombre', 'Estado', 'Municipio'] },
-                loc_indigenas_datos: { property: 'LOCALIDAD', headers: ['Área', 'Entidad', 'Municipio', 'Localidad', 'Población Total', 'PIHOGARES', 'pPIHOGARES', 'TIPOLOC_PI', 'POB_AFRO', 'pPOB_AFRO', 'TIPOLOC_AF', 'cve_ent', 'cve_mun', 'cve_loc', 'cvegeo'] },
-                rutaWixarika: { property: 'Name', headers: ['Área', 'Nombre'] }
-            };
+            // 2b) Anillos de influencia — una fila por (Área, Anillo)
+            const ringAreas = analyzed.filter(k => k.metrics?.rings?.length);
+            if (ringAreas.length > 0) {
+                const ringSheet = [];
+                ringAreas.forEach((k, index) => {
+                    const ringRows = buildRingSummaryRows(k.metrics);
+                    if (index > 0) ringSheet.push([]);
+                    ringSheet.push(['Área', ...ringRows[0]]);
+                    ringRows.slice(1).forEach(row => ringSheet.push([k.name || 'Área', ...row]));
+                });
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(ringSheet), 'Anillos');
+            }
+
+            // 2c) Corredores lineales — eje original y estadísticas por kilómetro
+            const corridorAreas = analyzed.filter(k => k.corridor);
+            if (corridorAreas.length > 0) {
+                const corridorSheet = [];
+                corridorAreas.forEach((k, index) => {
+                    if (index > 0) corridorSheet.push([]);
+                    buildCorridorRows(k).forEach(row => corridorSheet.push(row));
+                });
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(corridorSheet), 'Corredor');
+            }
+
+            // 2d) Distancia al proyecto — bandas, curva de población acumulada y distancia por elemento de cada área
+            const distanceAreas = analyzed.filter(k => k.metrics?.distance);
+            if (distanceAreas.length > 0) {
+                const distanceSheet = [];
+                const curveSheet = [];
+                const itemSheet = [];
+                distanceAreas.forEach((k, index) => {
+                    const distanceRows = buildDistanceRows(k.metrics);
+                    if (index > 0) distanceSheet.push([]);
+                    distanceSheet.push(['Área', ...distanceRows[0]]);
+                    distanceRows.slice(1).forEach(row => distanceSheet.push([k.name || 'Área', ...row]));
+                    const itemRows = buildDistanceItemRows(k.metrics);
+                    if (itemRows.length > 0) {
+                        if (itemSheet.length === 0) itemSheet.push(['Área', ...itemRows[0]]);
+                        itemRows.slice(1).forEach(row => itemSheet.push([k.name || 'Área', ...row]));
+                    }
+                    const curveRows = buildDistanceCurveRows(k.metrics);
+                    if (curveRows.length === 0) return;
+                    if (curveSheet.length === 0) curveSheet.push(['Área', ...curveRows[0]]);
+                    curveRows.slice(1).forEach(row => curveSheet.push([k.name || 'Área', ...row]));
+                });
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(distanceSheet), 'Distancias');
+                if (curveSheet.length > 0) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(curveSheet), 'Curva de población');
+                if (itemSheet.length > 0) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(itemSheet), 'Distancia por elemento');
+            }
 
-            const getVal = (feature, header, config) => {
-                let value = '';
+            // 2e) Desglose por estado, municipio y núcleo agrario
+            appendAdministrativeSheet(wb, analyzed);
+
+            // Elementos cercanos fuera de cada área (no incluidos en sus totales)
+            appendNearbySheet(wb, analyzed);
+
+            // 2f) Indicadores demográficos y pirámide de población
+            appendDemographicSheet(wb, analyzed);
+
+            // 2g) Síntesis de población indígena y afromexicana
+            appendIndigenousSheet(wb, analyzed);
+
+            // 2h) Pueblos y lenguas presentes
+            appendPeoplesSheet(wb, analyzed);
+
+            // 2i) Puntuación de riesgo social
+            appendRiskSheet(wb, analyzed);
+
+            // 3) Detalle por capa (todas las áreas) — una hoja por capa, filas con columna 'Área'; columnas según el catálogo
+            const layerConfigs = buildReportLayerConfigs(['Área']);
+            delete layerConfigs.lenguas; // Las lenguas tienen su propia hoja de detalle
+            // Columna de anillo solo si alguna área se analizó con anillos de influencia
+            if (ringAreas.length > 0) {
+                Object.values(layerConfigs).forEach(config => config.headers.splice(1, 0, 'Anillo'));
+            }
+            // Columna de kilómetro del eje solo si alguna área es un corredor con líneas
+            if (corridorAreas.some(k => k.metrics?.corridor?.segments?.length)) {
+                Object.values(layerConfigs).forEach(config => config.headers.splice(ringAreas.length > 0 ? 2 : 1, 0, 'Km del eje'));
+            }
+            // Posición respecto al polígono del proyecto, justo después del nombre del área
+            if (analyzed.some(k => k.metrics?.containment)) {
+                Object.values(layerConfigs).forEach(config => config.headers.splice(1, 0, 'Posición'));
+            }
+            // Superficie intersectada solo en capas con polígonos recortados al área
+            Object.entries(layerConfigs).forEach(([layerName, config]) => {
+                if (analyzed.some(k => (k.results?.[layerName]?.features || []).some(f => hasClipData(f.properties)))) {
+                    config.headers.push(...CLIP_REPORT_HEADERS);
+                }
+            });
+            // Distancias al proyecto en las capas donde se midieron
+            Object.entries(layerConfigs).forEach(([layerName, config]) => {
+                if (analyzed.some(k => (k.results?.[layerName]?.features || []).some(f => f.properties._dist_km != null))) {
+                    config.headers.push(...DISTANCE_REPORT_HEADERS);
+                }
+            });
+            // Población prorrateada de cada localidad si alguna área usó ese método
+            if (layerConfigs.localidades && analyzed.some(k => k.metrics?.populationMethod === 'superficie')) {
+                layerConfigs.localidades.headers.push('Población prorrateada');
+            }
+
+            const getVal = (feature, header, layerName) => {
+                if (CLIP_REPORT_HEADERS.includes(header)) return getClipColumnValue(feature, header);
+                if (DISTANCE_REPORT_HEADERS.includes(header)) return getDistanceColumnValue(feature, header);
                 switch (header) {
-                    case 'CVEGEO': value = feature.properties.CVEGEO || ''; break;
-                    case 'Localidad': value = feature.properties.NOMGEO || feature.properties.NOM_LOC || feature.properties.nom_loc || feature.properties.LOCALIDAD || feature.properties.Localidad || ''; break;
-                    case 'Municipio': value = feature.properties.NOMGEO || feature.properties.NOM_MUN || feature.properties.nom_mun || feature.properties.MUNICIPIO || feature.properties.MUNICIPIOS || ''; break;
-                    case 'Estado': value = feature.properties.NOM_ENT || feature.properties.nom_ent || feature.properties.Estado || feature.properties.ESTADO || ''; break;
-                    case 'Ámbito': value = feature.properties.AMBITO || ''; break;
-                    case 'Población Total': value = feature.properties.POBTOT || feature.properties.POBTOTAL || ''; break;
-                    case 'Cabecera': value = feature.properties.NOM_CAB || feature.properties.CABECERA || ''; break;
-                    case 'Nombre': value = feature.properties[config.property] || feature.properties.NOMBRE || feature.properties.nombre || feature.properties.Name || ''; break;
-                    case 'Tipo': value = feature.properties.TIPO || feature.properties.Tipo || feature.properties.tipo || ''; break;
-                    case 'Descripción': value = feature.properties.Descripci || feature.properties.DESCRIPCION || ''; break;
-                    case 'Categoría DEC': value = feature.properties.CAT_DEC || ''; break;
-                    case 'Entidad': value = feature.properties.ENTIDAD || ''; break;
-                    case 'Municipio DEC': value = feature.properties.MUN_DEC || ''; break;
-                    case 'Clv_Unica': value = feature.properties.Clv_Unica || ''; break;
-                    case 'NOM_NUC': value = feature.properties.NOM_NUC || ''; break;
-                    case 'Zona Arqueológica': value = feature.properties['Zona Arqueológica'] || ''; break;
-                    case 'RAMSAR': value = feature.properties.RAMSAR || ''; break;
-                    case 'PIHOGARES': value = feature.properties.PIHOGARES || ''; break;
-                    case 'pPIHOGARES': value = feature.properties.pPIHOGARES || ''; break;
-                    case 'TIPOLOC_PI': value = feature.properties.TIPOLOC_PI || ''; break;
-                    case 'POB_AFRO': value = feature.properties.POB_AFRO || ''; break;
-                    case 'pPOB_AFRO': value = feature.properties.pPOB_AFRO || ''; break;
-                    case 'TIPOLOC_AF': value = feature.properties.TIPOLOC_AF || ''; break;
-                    case 'cve_ent': value = feature.properties.cve_ent || ''; break;
-                    case 'cve_mun': value = feature.properties.cve_mun || ''; break;
-                    case 'cve_loc': value = feature.properties.cve_loc || ''; break;
-                    case 'cvegeo': value = feature.properties.cvegeo || ''; break;
-                    default: value = feature.properties[header] || '';
+                    case 'Población prorrateada': return Math.round(getApportionedPopulation(feature.properties));
+                    case 'Posición': return getContainmentLabel(feature.properties._contencion);
+                    case 'Anillo': return getRingLabel(feature.properties._anillo);
+                    case 'Km del eje': return feature.properties._km != null ? feature.properties._km : '';
+                    default: return getCatalogColumnValue(layerName, feature, header);
                 }
-                return value;
             };
 
             Object.entries(layerConfigs).forEach(([layerName, config]) => {
@@ -3591,7 +3906,7 @@ function initApp() {
                     feats.forEach(f => {
                         const row = [areaName];
                         // Skip first header 'Área' when mapping values
-                        config.headers.slice(1).forEach(h => row.push(getVal(f, h, config)));
+                        config.headers.slice(1).forEach(h => row.push(getVal(f, h, layerName)));
                         rows.push(row);
                     });
                 });
@@ -4103,42 +4418,8 @@ function initApp() {
                                 const props = feature.properties;
                                 let displayText = '';
 
-                                // Obtener texto de display según la capa
-                                switch (layerName) {
-                                    case 'localidades':
-                                        displayText = fixMojibake(props.NOMGEO || props.NOM_LOC || 'Sin nombre');
-                                        break;
-                                    case 'atlas':
-                                        displayText = fixMojibake(props.Localidad || props.NOM_LOC || 'Sin localidad');
-                                        break;
-                                    case 'Tipo':
-                                        value = feature.properties.Tipo || feature.properties.TIPO || '';
-                                        break;
-                                    case 'municipios':
-                                        displayText = fixMojibake(props.NOMGEO || props.NOM_MUN || 'Sin municipio');
-                                        break;
-                                    case 'ran':
-                                        displayText = fixMojibake(props.MUNICIPIO || 'Sin municipio');
-                                        break;
-                                    case 'lenguas':
-                                        displayText = fixMojibake(props.Lengua || props.LENGUA || 'Sin lengua');
-                                        break;
-                                    case 'loc_indigenas_datos':
-                                        displayText = fixMojibake(props.LOCALIDAD || 'Sin localidad');
-                                        break;
-                                    default:
-                                        const propertyMap = {
-                                            regiones: 'Name',
-                                            za_publico: 'Zona Arqueológica',
-                                            za_publico_a: 'Zona Arqueológica',
-                                            anp_estatal: 'NOMBRE',
-                                            ramsar: 'RAMSAR',
-                                            sitio_arqueologico: 'nombre',
-                                            z_historicos: 'Nombre',
-                                            rutaWixarika: 'Name'
-                                        };
-                                        displayText = fixMojibake(props[propertyMap[layerName]] || 'Sin nombre');
-                                }
+                                // Texto de display: campo principal de la capa en el catálogo
+                                displayText = fixMojibake(String(getCatalogFeatureLabel(layerName, props)));
 
                                 pdf.text(`${index + 1}. ${displayText}`, 25, yPos);
                                 yPos += 8;
@@ -4380,16 +4661,43 @@ function initApp() {
             });
         }
 
+        // Capas de referencia del usuario
+        if (referenceLayerFileInput && addReferenceLayerBtn) {
+            referenceLayerFileInput.addEventListener('change', (e) => {
+                addReferenceLayerBtn.disabled = !(e.target.files && e.target.files.length > 0);
+            });
+            addReferenceLayerBtn.addEventListener('click', async () => {
+                const file = referenceLayerFileInput.files[0];
+                if (!file) return;
+                try {
+                    showPreloader();
+                    updateProgress(30, `Leyendo ${file.name}...`);
+                    const sensitiveInput = document.getElementById('referenceLayerSensitive');
+                    const entry = await addReferenceLayerFromFile(file, { sensitive: !!sensitiveInput?.checked });
+                    renderReferenceLayersList();
+                    showAlert(`Capa de referencia "${entry.name}" agregada (${formatNumber(getLayerData(entry.id).features.length)} elementos). Se incluirá al analizar las áreas.`, 'success', 5000);
+                    referenceLayerFileInput.value = '';
+                    if (sensitiveInput) sensitiveInput.checked = false;
+                    addReferenceLayerBtn.disabled = true;
+                } catch (error) {
+                    console.error('Error agregando capa de referencia:', error);
+                    showAlert(error.message || 'No se pudo leer la capa de referencia', 'danger', 6000);
+                } finally {
+                    hidePreloader();
+                }
+            });
+        }
+
         // Procesar múltiples archivos KML
         if (uploadKmlBtn) {
             uploadKmlBtn.addEventListener('click', () => {
                 const files = Array.from(kmlFileInput.files);
                 if (files.length === 0) {
-                    showAlert('Selecciona al menos un archivo KML', 'warning');
+                    showAlert('Selecciona al menos un archivo de área (KML, KMZ, GeoJSON, Shapefile ZIP o GPX)', 'warning');
                     return;
                 }
                 if (files.length > 10) {
-                    showAlert('Máximo 10 archivos KML permitidos', 'warning');
+                    showAlert('Máximo 10 archivos de área permitidos', 'warning');
                     return;
                 }
                 processMultipleKmlFiles(files);
@@ -4403,6 +4711,38 @@ function initApp() {
             });
         }
 
+        // Superposiciones entre áreas
+        const overlapReportBtn = document.getElementById('overlapReportBtn');
+        if (overlapReportBtn) {
+            overlapReportBtn.addEventListener('click', () => {
+                openInterAreaOverlapReport();
+            });
+        }
+
+        // Comparación entre alternativas
+        const openAreasComparisonBtn = document.getElementById('openAreasComparisonBtn');
+        if (openAreasComparisonBtn) {
+            openAreasComparisonBtn.addEventListener('click', () => {
+                openAreasComparison();
+            });
+        }
+
+        // Editor del modelo de riesgo social
+        const riskModelBtn = document.getElementById('riskModelBtn');
+        if (riskModelBtn) {
+            riskModelBtn.addEventListener('click', () => {
+                openRiskModelEditor();
+            });
+        }
+
+        // Registro de actores y consulta
+        const stakeholderRegisterBtn = document.getElementById('stakeholderRegisterBtn');
+        if (stakeholderRegisterBtn) {
+            stakeholderRegisterBtn.addEventListener('click', () => {
+                openStakeholderRegister();
+            });
+        }
+
         // Limpiar todas las áreas
         if (clearAllAreasBtn) {
             clearAllAreasBtn.addEventListener('click', () => {
@@ -4429,28 +4769,24 @@ function initApp() {
         if (reloadDataBtn) {
             reloadDataBtn.addEventListener('click', () => {
                 // Limpiar datos actuales
-                localitiesData = null;
-                atlasData = null;
-                municipiosData = null;
-                regionesData = null;
-                ranData = null;
-                lenguasData = null;
-                zaPublicoData = null;
-                zaPublicoAData = null;
-                anpEstatalData = null;
-                ramsarData = null;
-                sitioArqueologicoData = null;
-                zHistoricosData = null;
-                locIndigenasData = null;
-                rutaWixarikaData = null;
-                localidadesDatosData = null;
-
-                // Reintentar carga
-                showAlert('Reintentando carga de datos...', 'info', 3000);
-                loadDataOptional();
+                clearCatalogLayerData();
+
+                // Recargar solo las capas cuya versión publicada cambió
+                showAlert('Buscando capas desactualizadas...', 'info', 3000);
+                loadDataOptional({ refreshStale: true });
             });
         }
 
+        // Panel de caché de capas
+        if (layerCacheBtn) {
+            layerCacheBtn.addEventListener('click', () => openLayerCachePanel());
+        }
+
+        // Catálogo de capas
+        if (layerCatalogBtn) {
+            layerCatalogBtn.addEventListener('click', () => openLayerCatalogPanel());
+        }
+
         // Limpiar mapa
         if (clearMapBtn) {
             clearMapBtn.addEventListener('click', () => {
@@ -4508,6 +4844,7 @@ function initApp() {
                             <div id="excelAreasList" class="list-group"></div>
                         </div>
                         <div class="modal-footer">
+                            <button type="button" class="btn btn-outline-success me-auto" id="excelCombinedBtn" title="Une todas las áreas activas y cuenta cada elemento una sola vez">Combinado (áreas activas)</button>
                             <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
                             <button type="button" class="btn btn-success" id="excelConfirmBtn">Generar Excel</button>
                         </div>
@@ -4550,6 +4887,13 @@ function initApp() {
                 bsModal.hide();
                 generateExcelForAreas(selected);
             };
+            modalEl.querySelector('#excelCombinedBtn').onclick = () => {
+                if (document.activeElement && document.activeElement.blur) {
+                    document.activeElement.blur();
+                }
+                bsModal.hide();
+                generateCombinedExcelReport();
+            };
         }
 
         function generateExcelForAreas(ids) {
@@ -4562,7 +4906,8 @@ function initApp() {
                 const workbook = XLSX.utils.book_new();
 
                 // Hoja de resumen general
-                const header = ['Área', 'Archivo KML', 'Superficie (km²)', 'Población', 'Elementos', 'Densidad (hab/km²)', 'Capas con datos'];
+                const header = ['Área', 'Archivo KML', 'Superficie (km²)', 'Población', 'Elementos', 'Densidad (hab/km²)', 'Capas con datos',
+                    'Población sin prorrateo', 'Población prorrateada', 'Método de población'];
                 const rows = [
                     ['REPORTE MULTI-ÁREA - RESUMEN EJECUTIVO'],
                     ['Fecha de generación', new Date().toLocaleString('es-MX')],
@@ -4586,7 +4931,10 @@ function initApp() {
                         m.totalPopulation || 0,
                         m.totalElements || 0,
                         m.populationDensity || 0,
-                        layersWithData
+                        layersWithData,
+                        m.rawPopulation ?? (m.totalPopulation || 0),
+                        m.apportionedPopulation ?? '',
+                        getPopulationMethodLabel(m.populationMethod)
                     ]);
                     totalArea += m.area || 0;
                     totalPop += m.totalPopulation || 0;
@@ -4637,6 +4985,14 @@ function initApp() {
                 const comparisonSheet = XLSX.utils.aoa_to_sheet(layerComparison);
                 XLSX.utils.book_append_sheet(workbook, comparisonSheet, 'Comparacion_Capas');
 
+                // Desglose por estado, municipio y núcleo agrario
+                appendAdministrativeSheet(workbook, ids.map(id => kmlLayers.get(id)).filter(k => k && k.isAnalyzed));
+                appendNearbySheet(workbook, ids.map(id => kmlLayers.get(id)).filter(k => k && k.isAnalyzed));
+                appendDemographicSheet(workbook, ids.map(id => kmlLayers.get(id)).filter(k => k && k.isAnalyzed));
+                appendIndigenousSheet(workbook, ids.map(id => kmlLayers.get(id)).filter(k => k && k.isAnalyzed));
+                appendPeoplesSheet(workbook, ids.map(id => kmlLayers.get(id)).filter(k => k && k.isAnalyzed));
+                appendRiskSheet(workbook, ids.map(id => kmlLayers.get(id)).filter(k => k && k.isAnalyzed));
+
                 // Hojas detalladas por área (resumen + detalle por capa)
                 ids.forEach(id => {
                     const k = kmlLayers.get(id);
@@ -4652,7 +5008,11 @@ function initApp() {
                         ['Buffer aplicado', k.metrics?.bufferUsed ? `${k.metrics.bufferRadius} km` : 'No'],
                         ['Superficie (km²)', k.metrics?.area || 0],
                         ['Población Total', k.metrics?.totalPopulation || 0],
+                        ['Población sin prorrateo', k.metrics?.rawPopulation ?? (k.metrics?.totalPopulation || 0)],
+                        ['Población prorrateada por superficie', k.metrics?.apportionedPopulation ?? ''],
+                        ['Método de población', getPopulationMethodLabel(k.metrics?.populationMethod)],
                         ['Elementos Totales', k.metrics?.totalElements || 0],
+                        ['Posición respecto al proyecto', describeContainmentCounts(k.metrics?.containment)],
                         ['Densidad poblacional', k.metrics?.populationDensity || 0],
                         [''],
                         ['RESUMEN POR CAPAS'],
@@ -4668,6 +5028,21 @@ function initApp() {
                         areaData.push([getLayerDisplayName(layerName), count, percentage]);
                     });
 
+                    const ringRows = buildRingSummaryRows(k.metrics);
+                    if (ringRows.length > 0) {
+                        areaData.push([''], ['ANILLOS DE INFLUENCIA'], ...ringRows);
+                    }
+
+                    const corridorRows = buildCorridorRows(k);
+                    if (corridorRows.length > 0) {
+                        areaData.push([''], ['CORREDOR'], ...corridorRows);
+                    }
+
+                    const distanceRows = buildDistanceRows(k.metrics);
+                    if (distanceRows.length > 0) {
+                        areaData.push([''], ['DISTANCIA AL PROYECTO'], ...distanceRows);
+                    }
+
                     const areaSheet = XLSX.utils.aoa_to_sheet(areaData);
                     XLSX.utils.book_append_sheet(workbook, areaSheet, `${k.name.substring(0, 25)}_Resumen`);
 
@@ -4739,7 +5114,7 @@ function initApp() {
                             <input class="form-check-input" type="radio" name="pdfGlobalOption" id="pdfGlobalCombined" value="combined">
                                 <label class="form-check-label" for="pdfGlobalCombined">
                                     <strong>Análisis combinado</strong><br>
-                                    <small class="text-muted">Unifica todas las áreas para análisis global</small>
+                                    <small class="text-muted">Une las áreas activas en una sola huella y cuenta cada elemento una vez, indicando en qué áreas cae</small>
                                 </label>
                         </div>
                     `,
@@ -4803,14 +5178,14 @@ function refreshKmlSelect() {
 }
 
 /**
- * Valida que un archivo sea un KML válido
+ * Valida que un archivo tenga un formato de área soportado (KML, KMZ, ZIP, GeoJSON o GPX)
  */
 function validateKmlFile(file) {
     if (!file) {
         return false;
     }
 
-    if (!file.name.toLowerCase().endsWith('.kml')) {
+    if (!/\.(kml|kmz|zip|geojson|json|gpx)$/i.test(file.name)) {
         return false;
     }
 
@@ -4822,256 +5197,518 @@ function validateKmlFile(file) {
 }
 
 /**
- * Procesa un archivo KML individual y retorna sus datos
+ * Lee un archivo local como texto
  */
-async function processKmlFile(file) {
+function readFileAsText(file) {
     return new Promise((resolve, reject) => {
-        if (!validateKmlFile(file)) {
-            reject(new Error('Archivo KML inválido'));
-            return;
-        }
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Error al leer el archivo'));
+        reader.readAsText(file);
+    });
+}
 
+/**
+ * Lee un archivo local como ArrayBuffer (KMZ/ZIP)
+ */
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
         const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Error al leer el archivo'));
+        reader.readAsArrayBuffer(file);
+    });
+}
 
-        reader.onload = function (e) {
-            try {
-                const kmlText = e.target.result;
+// ============================================================================
+// IMPORTACIÓN DE ÁREAS: KML, KMZ, GEOJSON, SHAPEFILE (ZIP) Y GPX
+// ============================================================================
 
-                if (!kmlText || kmlText.trim().length === 0) {
-                    reject(new Error('El archivo KML está vacío'));
-                    return;
-                }
+/**
+ * Se asegura de que shpjs esté disponible (lee Shapefiles y reproyecta con su .prj mediante proj4)
+ */
+async function ensureShp() {
+    if (window.shp) return window.shp;
+    const cdns = [
+        'https://cdn.jsdelivr.net/npm/shpjs@4.0.4/dist/shp.min.js',
+        'https://unpkg.com/shpjs@4.0.4/dist/shp.min.js'
+    ];
+    for (const url of cdns) {
+        try {
+            await loadScript(url);
+            if (window.shp) return window.shp;
+        } catch (_) { /* Si falla un CDN, prueba el siguiente */ }
+    }
+    throw new Error('shpjs no disponible desde ningún CDN');
+}
 
-                const kmlDom = new DOMParser().parseFromString(kmlText, 'text/xml');
+/**
+ * Abre un archivo comprimido (KMZ/ZIP) con JSZip
+ */
+async function openZipArchive(file) {
+    let JSZip;
+    try {
+        JSZip = await ensureJSZip();
+    } catch (error) {
+        throw new Error('No se pudo cargar el descompresor de archivos ZIP/KMZ. Verifica tu conexión e intenta de nuevo');
+    }
 
-                const parseError = kmlDom.querySelector('parsererror');
-                if (parseError) {
-                    reject(new Error('El archivo KML contiene errores de formato XML'));
-                    return;
-                }
+    try {
+        return await JSZip.loadAsync(await readFileAsArrayBuffer(file));
+    } catch (error) {
+        console.error('Error abriendo archivo comprimido:', error);
+        throw new Error(`El archivo "${file.name}" está dañado o no es un KMZ/ZIP válido`);
+    }
+}
 
-                const geoJson = toGeoJSON.kml(kmlDom);
+/**
+ * Detecta el formato de un archivo de área por su extensión y, en ZIP, por su contenido
+ * @returns {Promise<{format:'kml'|'kmz'|'geojson'|'gpx'|'shapefile', zip?:object}>}
+ */
+async function detectAreaFileFormat(file) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.kml')) return { format: 'kml' };
+    if (name.endsWith('.geojson') || name.endsWith('.json')) return { format: 'geojson' };
+    if (name.endsWith('.gpx')) return { format: 'gpx' };
+
+    // KMZ y ZIP: un ZIP puede traer un Shapefile (.shp/.dbf/.prj) o uno o más KML
+    const zip = await openZipArchive(file);
+    const hasShp = Object.keys(zip.files).some(entry => /\.shp$/i.test(entry) && !entry.startsWith('__MACOSX/'));
+    if (hasShp && !name.endsWith('.kmz')) return { format: 'shapefile', zip };
+    return { format: 'kmz', zip };
+}
 
-                if (!geoJson || !geoJson.features || geoJson.features.length === 0) {
-                    reject(new Error('El archivo KML no contiene geometrías válidas'));
-                    return;
-                }
+/**
+ * Obtiene los documentos KML de un archivo .kml, .kmz o .zip.
+ * En archivos comprimidos se toma primero el doc.kml principal y después los KML anidados.
+ * @param {File} file
+ * @param {object} [zip] - archivo ya abierto con JSZip (evita leerlo dos veces)
+ * @returns {Promise<Array<{name:string, text:string}>>}
+ */
+async function readKmlDocuments(file, zip = null) {
+    if (/\.kml$/i.test(file.name)) {
+        return [{ name: file.name, text: await readFileAsText(file) }];
+    }
 
-                // Buscar todas las geometrías de tipo Polygon o MultiPolygon
-                const polygons = geoJson.features.filter(f =>
-                    f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
-                );
+    if (!zip) zip = await openZipArchive(file);
 
-                if (polygons.length === 0) {
-                    reject(new Error('El archivo KML no contiene polígonos válidos'));
-                    return;
-                }
+    const entries = Object.values(zip.files).filter(entry =>
+        !entry.dir && /\.kml$/i.test(entry.name) && !entry.name.startsWith('__MACOSX/')
+    );
+    if (entries.length === 0) {
+        throw new Error(`El archivo "${file.name}" no contiene ningún documento KML`);
+    }
 
-                // Validar geometrías: verificar que no estén vacías y tengan coordenadas válidas
-                const validPolygons = polygons.filter(polygon => {
-                    if (!polygon.geometry || !polygon.geometry.coordinates) return false;
+    // doc.kml en la raíz es el documento principal de Google Earth; luego raíz y subcarpetas
+    const rank = entry => {
+        if (entry.name.toLowerCase() === 'doc.kml') return 0;
+        return entry.name.includes('/') ? 2 : 1;
+    };
+    entries.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
 
-                    // Para Polygon: verificar que tenga al menos un anillo con coordenadas
-                    if (polygon.geometry.type === 'Polygon') {
-                        return polygon.geometry.coordinates.length > 0 &&
-                            polygon.geometry.coordinates[0].length >= 4; // Mínimo 4 puntos para un polígono cerrado
-                    }
+    const documents = [];
+    for (const entry of entries) {
+        try {
+            documents.push({ name: entry.name, text: await entry.async('string') });
+        } catch (error) {
+            console.error(`Error extrayendo ${entry.name}:`, error);
+            throw new Error(`No se pudo extraer "${entry.name}" de "${file.name}": el archivo está dañado`);
+        }
+    }
+    return documents;
+}
 
-                    // Para MultiPolygon: verificar que cada polígono sea válido
-                    if (polygon.geometry.type === 'MultiPolygon') {
-                        return polygon.geometry.coordinates.length > 0 &&
-                            polygon.geometry.coordinates.every(poly =>
-                                poly.length > 0 && poly[0].length >= 4
-                            );
-                    }
+/**
+ * Convierte uno o más documentos KML en un solo FeatureCollection
+ */
+function kmlDocumentsToGeoJson(documents) {
+    const nonEmpty = documents.filter(doc => doc.text && doc.text.trim().length > 0);
+    if (nonEmpty.length === 0) {
+        throw new Error('El archivo KML está vacío');
+    }
 
-                    return false;
-                });
+    const features = [];
+    for (const doc of nonEmpty) {
+        const kmlDom = new DOMParser().parseFromString(doc.text, 'text/xml');
 
-                if (validPolygons.length === 0) {
-                    reject(new Error('El archivo KML contiene geometrías inválidas o vacías'));
-                    return;
-                }
+        const parseError = kmlDom.querySelector('parsererror');
+        if (parseError) {
+            throw new Error(nonEmpty.length > 1
+                ? `El documento "${doc.name}" contiene errores de formato XML`
+                : 'El archivo KML contiene errores de formato XML');
+        }
 
-                // Check for overlapping polygons with detailed analysis
-                let hasOverlaps = false;
-                let overlapDetails = [];
-
-                // Solo verificar superposiciones si hay múltiples polígonos
-                if (validPolygons.length > 1) {
-                    for (let i = 0; i < validPolygons.length; i++) {
-                        for (let j = i + 1; j < validPolygons.length; j++) {
-                            try {
-                                // Verificar que ambos polígonos sean válidos antes de la comparación
-                                if (validPolygons[i].geometry && validPolygons[j].geometry) {
-                                    if (turf.booleanOverlap(validPolygons[i], validPolygons[j])) {
-                                        hasOverlaps = true;
-                                        try {
-                                            overlapDetails.push({
-                                                polygon1: i + 1,
-                                                polygon2: j + 1,
-                                                area1: turf.area(validPolygons[i]) / 1000000, // km²
-                                                area2: turf.area(validPolygons[j]) / 1000000  // km²
-                                            });
-                                        } catch (areaError) {
-                                            console.warn('Error calculating area for overlap details:', areaError);
-                                            overlapDetails.push({
-                                                polygon1: i + 1,
-                                                polygon2: j + 1,
-                                                area1: 0,
-                                                area2: 0
-                                            });
-                                        }
-                                    }
-                                }
-                            } catch (overlapError) {
-                                console.warn(`Error checking overlap between polygons ${i + 1} and ${j + 1}:`, overlapError);
-                                // En caso de error, marcar como superposición por seguridad
-                                hasOverlaps = true;
-                                overlapDetails.push({
-                                    polygon1: i + 1,
-                                    polygon2: j + 1,
-                                    area1: 0,
-                                    area2: 0,
-                                    error: 'Error en verificación de superposición'
-                                });
-                            }
-                        }
-                    }
-                }
+        const converted = toGeoJSON.kml(kmlDom);
+        if (converted && converted.features) features.push(...converted.features);
+    }
+    return { type: 'FeatureCollection', features };
+}
 
-                let finalPolygon;
+/**
+ * Normaliza cualquier objeto GeoJSON (FeatureCollection, Feature o geometría) a FeatureCollection
+ */
+function normalizeGeoJson(data) {
+    if (!data || typeof data !== 'object') return null;
+    if (data.type === 'FeatureCollection' && Array.isArray(data.features)) return data;
+    if (data.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+    if (data.type === 'GeometryCollection' || Array.isArray(data.coordinates)) {
+        return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+    }
+    return null;
+}
 
-                if (validPolygons.length === 1) {
-                    // Solo un polígono válido
-                    finalPolygon = validPolygons[0];
-                } else {
-                    // Múltiples polígonos: combinar en un MultiPolygon
-                    const multiPolygonCoordinates = validPolygons.map(p => {
-                        if (p.geometry.type === 'Polygon') {
-                            return [p.geometry.coordinates[0]]; // MultiPolygon espera array de polígonos
-                        } else {
-                            return p.geometry.coordinates;
-                        }
-                    });
+/**
+ * Indica si todas las coordenadas están en rango de longitud/latitud (EPSG:4326)
+ */
+function hasGeographicCoordinates(geoJson) {
+    try {
+        const [minX, minY, maxX, maxY] = turf.bbox(geoJson);
+        return minX >= -180 && maxX <= 180 && minY >= -90 && maxY <= 90;
+    } catch (_) {
+        return false;
+    }
+}
 
-                    finalPolygon = {
-                        type: 'Feature',
-                        properties: validPolygons[0].properties || {}, // Usar propiedades del primer polígono
-                        geometry: {
-                            type: 'MultiPolygon',
-                            coordinates: multiPolygonCoordinates
-                        }
-                    };
-                }
+/**
+ * Lee un GeoJSON; solo se aceptan coordenadas geográficas WGS84 (EPSG:4326 / CRS84)
+ */
+async function readGeoJsonFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await readFileAsText(file));
+    } catch (error) {
+        throw new Error(`El archivo "${file.name}" no es un JSON válido`);
+    }
 
-                // Calcular bounds
-                const bounds = L.geoJSON(finalPolygon).getBounds();
+    const geoJson = normalizeGeoJson(data);
+    if (!geoJson) {
+        throw new Error(`El archivo "${file.name}" no tiene una estructura GeoJSON reconocible`);
+    }
 
-                // Mensaje informativo si hay múltiples polígonos
-                if (validPolygons.length > 1) {
-                    console.log(`KML procesado: ${validPolygons.length} polígonos combinados en MultiPolygon`);
-                }
+    const crsName = data.crs && data.crs.properties && data.crs.properties.name;
+    if (crsName && !/(4326|CRS84)/i.test(crsName)) {
+        throw new Error(`El GeoJSON usa el sistema ${crsName}. Exporta el archivo en EPSG:4326 (WGS84)`);
+    }
+    if (geoJson.features.length > 0 && !hasGeographicCoordinates(geoJson)) {
+        throw new Error(`Las coordenadas de "${file.name}" no son geográficas. Exporta el archivo en EPSG:4326 (WGS84)`);
+    }
+    return geoJson;
+}
 
-                resolve({
-                    geoJson: geoJson,
-                    bounds: bounds,
-                    polygon: finalPolygon,
-                    polygonCount: validPolygons.length,
-                    hasOverlaps: hasOverlaps,
-                    overlapDetails: overlapDetails
-                });
+/**
+ * Lee un Shapefile comprimido; shpjs reproyecta a EPSG:4326 usando el .prj incluido en el ZIP
+ */
+async function readShapefileZip(file, zip) {
+    const entries = Object.keys(zip.files).filter(entry => !entry.startsWith('__MACOSX/'));
+    if (!entries.some(entry => /\.dbf$/i.test(entry))) {
+        throw new Error(`El Shapefile "${file.name}" no incluye el archivo .dbf`);
+    }
+    const hasPrj = entries.some(entry => /\.prj$/i.test(entry));
 
-            } catch (error) {
-                console.error('Error procesando KML:', error);
-
-                // Proporcionar mensajes de error más específicos
-                let errorMessage = 'Error procesando el archivo KML';
-
-                if (error.message.includes('parseFromString')) {
-                    errorMessage = 'El archivo KML contiene XML inválido o corrupto';
-                } else if (error.message.includes('toGeoJSON')) {
-                    errorMessage = 'No se pudo convertir el KML a formato GeoJSON';
-                } else if (error.message.includes('coordinates')) {
-                    errorMessage = 'El archivo KML contiene coordenadas inválidas';
-                } else if (error.message.includes('geometry')) {
-                    errorMessage = 'El archivo KML contiene geometrías inválidas';
-                } else if (error.message.includes('turf')) {
-                    errorMessage = 'Error en el análisis geoespacial del KML';
-                } else if (error.message) {
-                    errorMessage = error.message;
-                }
+    let shp;
+    try {
+        shp = await ensureShp();
+    } catch (error) {
+        throw new Error('No se pudo cargar el lector de Shapefile. Verifica tu conexión e intenta de nuevo');
+    }
 
-                reject(new Error(errorMessage));
-            }
-        };
+    let parsed;
+    try {
+        parsed = await shp.parseZip(await readFileAsArrayBuffer(file));
+    } catch (error) {
+        console.error('Error leyendo Shapefile:', error);
+        throw new Error(`No se pudo leer el Shapefile "${file.name}": ${error.message || 'archivo dañado'}`);
+    }
 
-        reader.onerror = function () {
-            reject(new Error('Error al leer el archivo'));
-        };
+    // Un ZIP con varias capas devuelve un arreglo de FeatureCollections
+    const collections = Array.isArray(parsed) ? parsed : [parsed];
+    const geoJson = { type: 'FeatureCollection', features: collections.flatMap(fc => (fc && fc.features) || []) };
 
-        reader.readAsText(file);
-    });
+    if (geoJson.features.length > 0 && !hasGeographicCoordinates(geoJson)) {
+        throw new Error(hasPrj
+            ? `No se pudo reproyectar "${file.name}" a EPSG:4326 con su archivo .prj`
+            : `El Shapefile "${file.name}" no incluye archivo .prj; no es posible reproyectarlo a EPSG:4326`);
+    }
+    return geoJson;
 }
 
-// Variantes que permiten dibujar en otro contenedor
-function generateLayerChartIn(containerId, layersData, onLayerClick = null) {
-    const chartData = [];
-    const layerColors = {
-        localidades: '#008000', atlas: '#ff00ff', municipios: '#0000ff', regiones: '#ffa500', ran: '#ff0000', lenguas: '#00ffff',
-        za_publico: '#800080', za_publico_a: '#800000', anp_estatal: '#008080', ramsar: '#808000', sitio_arqueologico: '#808080',
-        z_historicos: '#400080', loc_indigenas_datos: '#8000ff', rutaWixarika: '#ff8000'
-    };
-    const layerNames = {
-        localidades: 'Localidades', atlas: 'Atlas Pueblos Indígenas', municipios: 'Municipios', regiones: 'Regiones Indígenas', ran: 'RAN', lenguas: 'Lenguas Indígenas',
-        za_publico: 'ZA Público', za_publico_a: 'ZA Público A', anp_estatal: 'ANP Estatales', ramsar: 'Ramsar', sitio_arqueologico: 'Sitios Arqueológicos',
-        z_historicos: 'Zonas Históricas', loc_indigenas_datos: 'Loc Indígenas Datos', rutaWixarika: 'Ruta Wixarika'
-    };
-    Object.entries(layersData || {}).forEach(([layerName, data]) => {
-        if (data && data.features && data.features.length > 0) {
-            const count = layerName === 'lenguas' ? new Set(data.features.map(f => f.properties.Lengua || f.properties.LENGUA)).size : data.features.length;
-            const pointConfig = { name: layerNames[layerName] || layerName, y: count, color: layerColors[layerName] || '#666666' };
-            if (onLayerClick) {
-                pointConfig.events = {
-                    click: function () {
-                        onLayerClick(layerName, data.features);
-                    }
-                };
-            }
-            chartData.push(pointConfig);
+/**
+ * Convierte trazas cerradas (primer punto = último) en polígonos; útil para GPX
+ */
+function closedLinesToPolygons(geoJson) {
+    const isClosed = line => line.length >= 4 &&
+        line[0][0] === line[line.length - 1][0] && line[0][1] === line[line.length - 1][1];
+
+    geoJson.features = geoJson.features.map(f => {
+        const g = f.geometry;
+        if (!g) return f;
+        if (g.type === 'LineString' && isClosed(g.coordinates)) {
+            return { ...f, geometry: { type: 'Polygon', coordinates: [g.coordinates] } };
         }
+        if (g.type === 'MultiLineString' && g.coordinates.length > 0 && g.coordinates.every(isClosed)) {
+            return { ...f, geometry: { type: 'MultiPolygon', coordinates: g.coordinates.map(line => [line]) } };
+        }
+        return f;
     });
-    Highcharts.chart(containerId, {
-        chart: { type: 'bar', backgroundColor: 'transparent', style: { fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' } },
-        accessibility: { enabled: false }, title: { text: null },
-        xAxis: { categories: chartData.map(i => i.name), labels: { style: { color: '#333', fontSize: '11px' } } },
-        yAxis: { title: { text: 'Número de Elementos', style: { color: '#7C1946', fontWeight: 'bold' } }, labels: { style: { color: '#666' } } },
-        legend: { enabled: false },
-        tooltip: { backgroundColor: 'rgba(255,255,255,0.95)', borderColor: '#7C1946', borderRadius: 8, shadow: true, style: { color: '#333' }, formatter: function () { return `<b>${this.x}</b><br/>Elementos: <b>${this.y.toLocaleString('es-MX')}</b>${onLayerClick ? '<br/><small>Haz clic para navegar</small>' : ''}`; } },
-        plotOptions: { bar: { dataLabels: { enabled: true, color: '#333', style: { fontSize: '11px', fontWeight: 'bold' }, formatter: function () { return this.y.toLocaleString('es-MX'); } }, cursor: onLayerClick ? 'pointer' : 'default' } },
-        series: [{ name: 'Elementos', data: chartData, colorByPoint: true }], credits: { enabled: false }, exporting: { enabled: true, buttons: { contextButton: { menuItems: ['viewFullscreen', 'printChart', 'downloadPNG', 'downloadJPEG', 'downloadPDF', 'downloadSVG'] } } }
-    });
+    return geoJson;
 }
 
-function generatePopulationChartIn(containerId, layersData, onLocalityClick = null) {
-    const locs = (layersData && layersData.localidades && layersData.localidades.features) ? layersData.localidades.features : [];
-    const populationData = locs
-        .filter(f => f.properties.POBTOT && f.properties.POBTOT > 0)
-        .sort((a, b) => (b.properties.POBTOT || 0) - (a.properties.POBTOT || 0))
-        .slice(0, 10)
-        .map(f => {
-            const pointConfig = { name: f.properties.NOMGEO || f.properties.NOM_LOC || 'Sin nombre', y: f.properties.POBTOT, color: '#7C1946' };
-            if (onLocalityClick) {
-                pointConfig.events = {
-                    click: function () {
-                        onLocalityClick(f);
-                    }
-                };
-            }
-            return pointConfig;
-        });
-    if (populationData.length === 0) {
-        try { document.getElementById(containerId).innerHTML = '<div class="text-muted small">Sin datos de población.</div>'; } catch (_) { }
+/**
+ * Lee un GPX con el convertidor de togeojson
+ */
+async function readGpxFile(file) {
+    const text = await readFileAsText(file);
+    if (!text || text.trim().length === 0) {
+        throw new Error('El archivo GPX está vacío');
+    }
+
+    const gpxDom = new DOMParser().parseFromString(text, 'text/xml');
+    if (gpxDom.querySelector('parsererror')) {
+        throw new Error('El archivo GPX contiene errores de formato XML');
+    }
+    return closedLinesToPolygons(toGeoJSON.gpx(gpxDom));
+}
+
+/**
+ * Lee cualquier formato de área soportado y devuelve un FeatureCollection en EPSG:4326
+ * @returns {Promise<{geoJson:object, format:string}>}
+ */
+async function readAreaGeoJson(file) {
+    const { format, zip } = await detectAreaFileFormat(file);
+    switch (format) {
+        case 'geojson':
+            return { geoJson: await readGeoJsonFile(file), format };
+        case 'gpx':
+            return { geoJson: await readGpxFile(file), format };
+        case 'shapefile':
+            return { geoJson: await readShapefileZip(file, zip), format };
+        default:
+            return { geoJson: kmlDocumentsToGeoJson(await readKmlDocuments(file, zip)), format };
+    }
+}
+
+/**
+ * Procesa un archivo de área (KML, KMZ, GeoJSON, Shapefile ZIP o GPX) y retorna sus datos
+ */
+async function processKmlFile(file) {
+    if (!validateKmlFile(file)) {
+        throw new Error('Archivo inválido: usa KML, KMZ, GeoJSON, Shapefile (ZIP) o GPX de máximo 50 MB');
+    }
+
+    const { geoJson, format } = await readAreaGeoJson(file);
+
+    if (!geoJson || !geoJson.features || geoJson.features.length === 0) {
+        throw new Error('El archivo no contiene geometrías válidas');
+    }
+
+    // Buscar todas las geometrías de tipo Polygon o MultiPolygon
+    const polygons = geoJson.features.filter(f =>
+        f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+    );
+
+    if (polygons.length === 0) {
+        // Líneas o puntos (trazos de proyecto, torres): se convierten en corredor en addKmlToSystem
+        const linearFeatures = geoJson.features.filter(f =>
+            f.geometry && ['LineString', 'MultiLineString', 'Point', 'MultiPoint'].includes(f.geometry.type)
+        );
+        if (linearFeatures.length > 0) {
+            return {
+                geoJson: geoJson,
+                linear: { type: 'FeatureCollection', features: linearFeatures },
+                isLinear: true,
+                format: format
+            };
+        }
+        throw new Error('El archivo no contiene polígonos, líneas ni puntos válidos');
+    }
+
+    // Validar geometrías: verificar que no estén vacías y tengan coordenadas válidas
+    const validPolygons = polygons.filter(polygon => {
+        if (!polygon.geometry || !polygon.geometry.coordinates) return false;
+
+        // Para Polygon: verificar que tenga al menos un anillo con coordenadas
+        if (polygon.geometry.type === 'Polygon') {
+            return polygon.geometry.coordinates.length > 0 &&
+                polygon.geometry.coordinates[0].length >= 4; // Mínimo 4 puntos para un polígono cerrado
+        }
+
+        // Para MultiPolygon: verificar que cada polígono sea válido
+        if (polygon.geometry.type === 'MultiPolygon') {
+            return polygon.geometry.coordinates.length > 0 &&
+                polygon.geometry.coordinates.every(poly =>
+                    poly.length > 0 && poly[0].length >= 4
+                );
+        }
+
+        return false;
+    });
+
+    if (validPolygons.length === 0) {
+        throw new Error('El archivo contiene geometrías inválidas o vacías');
+    }
+
+    try {
+        // Check for overlapping polygons with detailed analysis
+        let hasOverlaps = false;
+        let overlapDetails = [];
+
+        // Solo verificar superposiciones si hay múltiples polígonos
+        if (validPolygons.length > 1) {
+            for (let i = 0; i < validPolygons.length; i++) {
+                for (let j = i + 1; j < validPolygons.length; j++) {
+                    try {
+                        // Verificar que ambos polígonos sean válidos antes de la comparación
+                        if (validPolygons[i].geometry && validPolygons[j].geometry) {
+                            if (turf.booleanOverlap(validPolygons[i], validPolygons[j])) {
+                                hasOverlaps = true;
+                                try {
+                                    overlapDetails.push({
+                                        polygon1: i + 1,
+                                        polygon2: j + 1,
+                                        area1: turf.area(validPolygons[i]) / 1000000, // km²
+                                        area2: turf.area(validPolygons[j]) / 1000000  // km²
+                                    });
+                                } catch (areaError) {
+                                    console.warn('Error calculating area for overlap details:', areaError);
+                                    overlapDetails.push({
+                                        polygon1: i + 1,
+                                        polygon2: j + 1,
+                                        area1: 0,
+                                        area2: 0
+                                    });
+                                }
+                            }
+                        }
+                    } catch (overlapError) {
+                        console.warn(`Error checking overlap between polygons ${i + 1} and ${j + 1}:`, overlapError);
+                        // En caso de error, marcar como superposición por seguridad
+                        hasOverlaps = true;
+                        overlapDetails.push({
+                            polygon1: i + 1,
+                            polygon2: j + 1,
+                            area1: 0,
+                            area2: 0,
+                            error: 'Error en verificación de superposición'
+                        });
+                    }
+                }
+            }
+        }
+
+        let finalPolygon;
+
+        if (validPolygons.length === 1) {
+            // Solo un polígono válido
+            finalPolygon = validPolygons[0];
+        } else {
+            // Múltiples polígonos: combinar en un MultiPolygon
+            const multiPolygonCoordinates = validPolygons.flatMap(p => {
+                if (p.geometry.type === 'Polygon') {
+                    return [[p.geometry.coordinates[0]]]; // MultiPolygon espera array de polígonos
+                } else {
+                    return p.geometry.coordinates; // Shapefiles y GeoJSON suelen traer MultiPolygon
+                }
+            });
+
+            finalPolygon = {
+                type: 'Feature',
+                properties: validPolygons[0].properties || {}, // Usar propiedades del primer polígono
+                geometry: {
+                    type: 'MultiPolygon',
+                    coordinates: multiPolygonCoordinates
+                }
+            };
+        }
+
+        // Calcular bounds
+        const bounds = L.geoJSON(finalPolygon).getBounds();
+
+        // Mensaje informativo si hay múltiples polígonos
+        if (validPolygons.length > 1) {
+            console.log(`KML procesado: ${validPolygons.length} polígonos combinados en MultiPolygon`);
+        }
+
+        return {
+            geoJson: geoJson,
+            bounds: bounds,
+            polygon: finalPolygon,
+            polygonCount: validPolygons.length,
+            hasOverlaps: hasOverlaps,
+            overlapDetails: overlapDetails,
+            format: format
+        };
+    } catch (error) {
+        console.error('Error procesando KML:', error);
+
+        // Proporcionar mensajes de error más específicos
+        let errorMessage = 'Error procesando el archivo KML';
+
+        if (error.message.includes('parseFromString')) {
+            errorMessage = 'El archivo KML contiene XML inválido o corrupto';
+        } else if (error.message.includes('toGeoJSON')) {
+            errorMessage = 'No se pudo convertir el KML a formato GeoJSON';
+        } else if (error.message.includes('coordinates')) {
+            errorMessage = 'El archivo KML contiene coordenadas inválidas';
+        } else if (error.message.includes('geometry')) {
+            errorMessage = 'El archivo KML contiene geometrías inválidas';
+        } else if (error.message.includes('turf')) {
+            errorMessage = 'Error en el análisis geoespacial del KML';
+        } else if (error.message) {
+            errorMessage = error.message;
+        }
+
+        throw new Error(errorMessage);
+    }
+}
+
+// Variantes que permiten dibujar en otro contenedor
+function generateLayerChartIn(containerId, layersData, onLayerClick = null) {
+    const chartData = [];
+    Object.entries(layersData || {}).forEach(([layerName, data]) => {
+        if (data && data.features && data.features.length > 0) {
+            const count = layerName === 'lenguas' ? new Set(data.features.map(f => f.properties.Lengua || f.properties.LENGUA)).size : data.features.length;
+            const pointConfig = { name: getLayerDisplayName(layerName), y: count, color: getCatalogLayerColor(layerName) };
+            if (onLayerClick) {
+                pointConfig.events = {
+                    click: function () {
+                        onLayerClick(layerName, data.features);
+                    }
+                };
+            }
+            chartData.push(pointConfig);
+        }
+    });
+    Highcharts.chart(containerId, {
+        chart: { type: 'bar', backgroundColor: 'transparent', style: { fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' } },
+        accessibility: { enabled: false }, title: { text: null },
+        xAxis: { categories: chartData.map(i => i.name), labels: { style: { color: '#333', fontSize: '11px' } } },
+        yAxis: { title: { text: 'Número de Elementos', style: { color: '#7C1946', fontWeight: 'bold' } }, labels: { style: { color: '#666' } } },
+        legend: { enabled: false },
+        tooltip: { backgroundColor: 'rgba(255,255,255,0.95)', borderColor: '#7C1946', borderRadius: 8, shadow: true, style: { color: '#333' }, formatter: function () { return `<b>${this.x}</b><br/>Elementos: <b>${this.y.toLocaleString('es-MX')}</b>${onLayerClick ? '<br/><small>Haz clic para navegar</small>' : ''}`; } },
+        plotOptions: { bar: { dataLabels: { enabled: true, color: '#333', style: { fontSize: '11px', fontWeight: 'bold' }, formatter: function () { return this.y.toLocaleString('es-MX'); } }, cursor: onLayerClick ? 'pointer' : 'default' } },
+        series: [{ name: 'Elementos', data: chartData, colorByPoint: true }], credits: { enabled: false }, exporting: { enabled: true, buttons: { contextButton: { menuItems: ['viewFullscreen', 'printChart', 'downloadPNG', 'downloadJPEG', 'downloadPDF', 'downloadSVG'] } } }
+    });
+}
+
+function generatePopulationChartIn(containerId, layersData, onLocalityClick = null) {
+    const locs = (layersData && layersData.localidades && layersData.localidades.features) ? layersData.localidades.features : [];
+    const populationData = locs
+        .filter(f => f.properties.POBTOT && f.properties.POBTOT > 0)
+        .sort((a, b) => (b.properties.POBTOT || 0) - (a.properties.POBTOT || 0))
+        .slice(0, 10)
+        .map(f => {
+            const pointConfig = { name: f.properties.NOMGEO || f.properties.NOM_LOC || 'Sin nombre', y: f.properties.POBTOT, color: '#7C1946' };
+            if (onLocalityClick) {
+                pointConfig.events = {
+                    click: function () {
+                        onLocalityClick(f);
+                    }
+                };
+            }
+            return pointConfig;
+        });
+    if (populationData.length === 0) {
+        try { document.getElementById(containerId).innerHTML = '<div class="text-muted small">Sin datos de población.</div>'; } catch (_) { }
         return;
     }
     Highcharts.chart(containerId, {
@@ -5109,23 +5746,12 @@ function generateGlobalLayerChart() {
         return;
     }
 
-    const layerColors = {
-        localidades: '#008000', atlas: '#ff00ff', municipios: '#0000ff', regiones: '#ffa500', ran: '#ff0000', lenguas: '#00ffff',
-        za_publico: '#800080', za_publico_a: '#800000', anp_estatal: '#008080', ramsar: '#808000', sitio_arqueologico: '#808080',
-        z_historicos: '#400080', loc_indigenas_datos: '#8000ff', rutaWixarika: '#ff8000'
-    };
-    const layerNames = {
-        localidades: 'Localidades', atlas: 'Atlas Pueblos Indígenas', municipios: 'Municipios', regiones: 'Regiones Indígenas', ran: 'RAN', lenguas: 'Lenguas Indígenas',
-        za_publico: 'ZA Público', za_publico_a: 'ZA Público A', anp_estatal: 'ANP Estatales', ramsar: 'Ramsar', sitio_arqueologico: 'Sitios Arqueológicos',
-        z_historicos: 'Zonas Históricas', loc_indigenas_datos: 'Loc Indígenas Datos', rutaWixarika: 'Ruta Wixarika'
-    };
-
     const chartData = Array.from(layerCounts.entries())
         .sort((a, b) => b[1] - a[1])
         .map(([layerName, count]) => ({
-            name: layerNames[layerName] || layerName,
+            name: getLayerDisplayName(layerName),
             y: count,
-            color: layerColors[layerName] || '#666666',
+            color: getCatalogLayerColor(layerName),
             events: {
                 click: function () {
                     navigateToGlobalLayer(layerName);
@@ -5205,24 +5831,7 @@ function navigateToGlobalLayer(layerName) {
     if (allFeatures.length === 0) return;
 
     // Activar capa si no está visible
-    const layerMapping = {
-        'localidades': clippedLocalitiesLayer,
-        'localidades_puntos': clippedLocalitiesPointsLayer,
-        'atlas': clippedAtlasLayer,
-        'municipios': clippedMunicipiosLayer,
-        'regiones': clippedRegionesLayer,
-        'ran': clippedRanLayer,
-        'lenguas': clippedLenguasLayer,
-        'za_publico': clippedZaPublicoLayer,
-        'za_publico_a': clippedZaPublicoALayer,
-        'anp_estatal': clippedAnpEstatalLayer,
-        'ramsar': clippedRamsarLayer,
-        'sitio_arqueologico': clippedSitioArqueologicoLayer,
-        'z_historicos': clippedZHistoricosLayer,
-        'loc_indigenas_datos': clippedLocIndigenasLayer,
-        'rutaWixarika': clippedRutaWixarikaLayer
-    };
-    const correspondingLayer = layerMapping[layerName];
+    const correspondingLayer = clippedLayersById[layerName];
     if (correspondingLayer && !map.hasLayer(correspondingLayer)) {
         map.addLayer(correspondingLayer);
         showAlert(`Capa "${getLayerDisplayName(layerName)}" activada automáticamente`, 'info', 2000);
@@ -5253,12 +5862,16 @@ function navigateToGlobalLayer(layerName) {
 function updateGlobalCharts() {
     const analyzedCount = Array.from(kmlLayers.values()).filter(k => k.isAnalyzed).length;
     const chartsContainer = document.getElementById('chartsContainer');
+    // El PDF global (por área o combinado) necesita al menos un área analizada
+    const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+    if (downloadPdfBtn) downloadPdfBtn.disabled = analyzedCount === 0;
 
     if (analyzedCount > 0) {
         if (chartsContainer) chartsContainer.style.display = 'block';
         try {
             generateGlobalLayerChart();
             generateAreasComparisonChart();
+            generateAreasRiskChart();
         } catch (e) {
             console.error('Error generando gráficos globales:', e);
         }
@@ -5277,7 +5890,7 @@ async function processMultipleKmlFiles(files) {
     }
 
     showPreloader();
-    updateProgress(0, 'Procesando archivos KML...');
+    updateProgress(0, 'Procesando archivos de área...');
 
     const results = {
         successful: 0,
@@ -5344,7 +5957,7 @@ async function processMultipleKmlFiles(files) {
         }
 
         if (results.successful === 0 && results.failed > 0) {
-            message = `No se pudo cargar ningún archivo KML.\n\n${results.errors.join('\n')}`;
+            message = `No se pudo cargar ningún archivo de área.\n\n${results.errors.join('\n')}`;
         }
 
         showAlert(message, alertType, alertType === 'danger' ? 8000 : 5000);
@@ -5371,7 +5984,16 @@ async function addKmlToSystem(file) {
         const color = kmlColors[kmlLayers.size % kmlColors.length];
 
         // Procesar archivo KML
-        const kmlData = await processKmlFile(file);
+        let kmlData = await processKmlFile(file);
+        let corridor = null;
+        if (kmlData.isLinear) {
+            // Líneas o puntos: pedir el ancho y generar el corredor que servirá como área
+            corridor = await createCorridorFromLinear(file.name, kmlData.linear);
+            if (!corridor) {
+                throw new Error('Carga cancelada: no se definió el ancho del corredor');
+            }
+            kmlData = { ...kmlData, ...corridor.areaData };
+        }
         const geoJson = kmlData.geoJson;
         const bounds = kmlData.bounds;
         const polygon = kmlData.polygon;
@@ -5452,10 +6074,16 @@ async function addKmlToSystem(file) {
         // Agregar al mapa
         layer.addTo(map);
 
+        // Conservar el eje original del corredor como referencia visual
+        let centerlineLayer = null;
+        if (corridor) {
+            centerlineLayer = createCenterlineLayer(corridor.info.centerline, color).addTo(map);
+        }
+
         // Crear entrada en el sistema
         const kmlEntry = {
             id: kmlId,
-            name: file.name.replace('.kml', '').replace('.kmz', ''),
+            name: file.name.replace(/\.(kml|kmz|zip|geojson|json|gpx)$/i, ''),
             file: file,
             layer: layer,
             geoJson: geoJson,
@@ -5468,10 +6096,14 @@ async function addKmlToSystem(file) {
             clippedLayers: {},
             hasOverlaps: kmlData.hasOverlaps || false,
             overlapDetails: kmlData.overlapDetails || [],
+            sourceFormat: kmlData.format || 'kml',
+            corridor: corridor ? corridor.info : null,
+            centerlineLayer: centerlineLayer,
             createdAt: new Date()
         };
 
         kmlLayers.set(kmlId, kmlEntry);
+        enableAreaEditing(kmlEntry);
 
         // Si es el primer KML cargado, centrar el mapa automáticamente en su extensión
         if (kmlLayers.size === 1 && kmlEntry.bounds && kmlEntry.bounds.isValid()) {
@@ -5499,727 +6131,5153 @@ async function addKmlToSystem(file) {
     }
 }
 
+// ============================================================================
+// CAPAS DE REFERENCIA DEL USUARIO (POZOS, ESCUELAS, CONSULTAS PREVIAS)
+// ============================================================================
+
+const REFERENCE_LAYER_COLORS = ['#E6194B', '#3CB44B', '#4363D8', '#F58231', '#911EB4', '#42D4F4', '#F032E6', '#9A6324'];
+const REFERENCE_POPUP_MAX_FIELDS = 8;
+const REFERENCE_REPORT_MAX_COLUMNS = 30;
+let referenceLayerCounter = 0;
+
 /**
- * Actualiza la lista visual de áreas cargadas
+ * Busca la columna cuyo nombre coincide con alguno de los patrones (sin distinguir mayúsculas ni acentos)
  */
-function updateAreasList() {
-    const areasList = document.getElementById('areasList');
-    if (!areasList) return;
+function findCoordinateColumn(columns, patterns) {
+    const normalize = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+    return columns.find(column => patterns.includes(normalize(column))) || null;
+}
 
-    if (kmlLayers.size === 0) {
-        areasList.innerHTML = '<p class="text-muted small mb-0">No hay áreas cargadas. Sube archivos KML para comenzar.</p>';
-        return;
+/**
+ * Lee un CSV con columnas de latitud y longitud (grados decimales, WGS84) como FeatureCollection de puntos
+ */
+async function readCsvPoints(file) {
+    if (!window.XLSX) {
+        throw new Error('La librería XLSX no está disponible para leer el CSV');
+    }
+    const workbook = XLSX.read(await readFileAsText(file), { type: 'string', raw: true });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+    if (rows.length === 0) {
+        throw new Error(`El archivo "${file.name}" no tiene registros`);
     }
 
-    let html = '';
-    kmlLayers.forEach((kmlEntry, kmlId) => {
-        const statusIcon = kmlEntry.isAnalyzed ? '✅' : '⏳';
-        let statusText = kmlEntry.isAnalyzed ? 'Analizada' : 'Pendiente';
+    const columns = Object.keys(rows[0]);
+    const latColumn = findCoordinateColumn(columns, ['lat', 'latitud', 'latitude', 'y']);
+    const lonColumn = findCoordinateColumn(columns, ['lon', 'lng', 'long', 'longitud', 'longitude', 'x']);
+    if (!latColumn || !lonColumn) {
+        throw new Error(`El CSV "${file.name}" debe tener columnas de latitud y longitud (p. ej. "lat" y "lon")`);
+    }
 
-        // Agregar indicador de advertencia si hay superposiciones
-        if (kmlEntry.hasOverlaps) {
-            statusText += ' ⚠️';
+    const toNumber = (value) => parseFloat(String(value).trim().replace(',', '.'));
+    let skipped = 0;
+    const features = [];
+    rows.forEach(row => {
+        const lat = toNumber(row[latColumn]);
+        const lon = toNumber(row[lonColumn]);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            skipped++;
+            return;
         }
+        const properties = { ...row };
+        delete properties[latColumn];
+        delete properties[lonColumn];
+        features.push({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: [lon, lat] } });
+    });
 
-        const metrics = kmlEntry.metrics;
+    if (features.length === 0) {
+        throw new Error(`Ninguna fila de "${file.name}" tiene coordenadas válidas en grados decimales`);
+    }
+    if (skipped > 0) {
+        showAlert(`${skipped} fila(s) de "${file.name}" sin coordenadas válidas se omitieron`, 'warning', 5000);
+    }
+    return { type: 'FeatureCollection', features };
+}
 
-        html += `
-            <div class="area-item card mb-2 ${kmlEntry.hasOverlaps ? 'border-warning' : ''}" data-kml-id="${kmlId}">
-                <div class="card-body p-2">
-                    ${kmlEntry.hasOverlaps ? '<div class="alert alert-warning py-1 px-2 mb-2 small">⚠️ Contiene polígonos superpuestos</div>' : ''}
-                    <div class="d-flex align-items-center justify-content-between">
-                        <div class="d-flex align-items-center">
-                            <div class="color-indicator me-2" style="background-color: ${kmlEntry.color}; width: 12px; height: 12px; border-radius: 50%; ${kmlEntry.hasOverlaps ? 'border: 2px solid #ff6b35;' : ''}"></div>
-                            <i class="bi bi-geo-alt-fill text-muted me-2" title="Área KML"></i>
-                            <div>
-                                <h6 class="mb-0 small">${kmlEntry.name}</h6>
-                                <small class="text-muted">${statusIcon} ${statusText}</small>
-                            </div>
-                        </div>
-                        <div class="btn-group btn-group-sm">
-                            <button class="btn btn-outline-primary btn-sm" onclick="centerOnArea('${kmlId}')" title="Centrar en área">
-                                <i class="bi bi-crosshair"></i>
-                            </button>
-                            <button class="btn btn-outline-success btn-sm" onclick="analyzeSingleArea('${kmlId}')" title="Analizar área" ${kmlEntry.isAnalyzed ? 'disabled' : ''}>
-                                <i class="bi bi-play"></i>
-                            </button>
-                            <button class="btn btn-outline-danger btn-sm" onclick="removeArea('${kmlId}')" title="Remover área">
-                                <i class="bi bi-trash"></i>
-                            </button>
-                        </div>
-                    </div>
-                    ${metrics ? `
-                        <div class="mt-2 small text-muted">
-                            📏 ${formatNumber(metrics.area)} km² | 👥 ${formatNumber(metrics.totalPopulation)} hab.
-                        </div>
-                    ` : ''}
-                </div>
-            </div>
-        `;
+/**
+ * Construye la entrada tipo catálogo de una capa de referencia a partir de sus atributos
+ */
+function buildReferenceLayerEntry(id, name, fileName, geoJson, color, sensitive = false) {
+    const types = new Set(geoJson.features.map(f => f.geometry.type.replace('Multi', '')));
+    const geometry = types.size === 1 && types.has('Point') ? 'point'
+        : (types.size === 1 && types.has('LineString') ? 'line' : 'polygon');
+
+    // Atributos simples presentes en las primeras features
+    const fields = [];
+    geoJson.features.slice(0, 200).forEach(f => {
+        Object.entries(f.properties || {}).forEach(([key, value]) => {
+            if (!key.startsWith('_') && (value === null || typeof value !== 'object') && !fields.includes(key)) fields.push(key);
+        });
     });
+    const nameField = fields.find(field => /^(nombre|name|nom|titulo|title|descripcion|description)$/i.test(field)) || fields[0];
+
+    return {
+        id,
+        name,
+        url: `archivo:${fileName}`,
+        geometry,
+        analysis: true,
+        sensitive: !!sensitive,
+        custom: true,
+        fileName,
+        keyField: nameField || 'id',
+        style: geometry === 'point'
+            ? { radius: 6, fillColor: color, color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 }
+            : { color, weight: 2, fillOpacity: 0.15 },
+        popup: {
+            title: name,
+            icon: '📌',
+            fields: [
+                ...(nameField ? [{ fields: [nameField], main: true, default: 'Sin nombre' }] : []),
+                ...fields.filter(field => field !== nameField).slice(0, REFERENCE_POPUP_MAX_FIELDS).map(field => ({ label: field, fields: [field] }))
+            ]
+        },
+        columns: fields.slice(0, REFERENCE_REPORT_MAX_COLUMNS).map(field => ({ header: field, fields: [field] }))
+    };
+}
 
-    areasList.innerHTML = html;
+/**
+ * Nombre visible único, válido como hoja de Excel (sin []:*?/\) y sin caracteres de marcado
+ */
+function getReferenceLayerName(fileName) {
+    const base = fileName.replace(/\.[^.]+$/, '').replace(/[\[\]:*?/\\<>"'&]/g, ' ').trim().substring(0, 24) || 'Referencia';
+    const taken = new Set(getAllCatalogLayers().map(entry => entry.name));
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base} (${n})`;
+    return name;
 }
 
 /**
- * Actualiza el contador de áreas
+ * Agrega un GeoJSON, KML/KMZ o CSV con lat/lon como capa de referencia para el análisis y los reportes
+ * @param {{sensitive?:boolean}} options - sensitive: cuenta en la sensibilidad y el riesgo (no por defecto)
  */
-function updateAreasCount() {
-    const badge = document.getElementById('areasCountBadge');
-    if (badge) {
-        badge.textContent = `${kmlLayers.size}/10`;
+async function addReferenceLayerFromFile(file, options = {}) {
+    if (!/\.(geojson|json|kml|kmz|csv)$/i.test(file.name)) {
+        throw new Error('Formato no soportado: usa GeoJSON, KML, KMZ o CSV con columnas de latitud y longitud');
+    }
+    if (file.size > 50 * 1024 * 1024) {
+        throw new Error('El archivo supera el máximo de 50 MB');
     }
 
-    // Habilitar/deshabilitar botones según estado
-    const analyzeAllBtn = document.getElementById('analyzeAllBtn');
-    const hasUnanalyzed = Array.from(kmlLayers.values()).some(kml => !kml.isAnalyzed);
-
-    if (analyzeAllBtn) {
-        analyzeAllBtn.disabled = !hasUnanalyzed;
+    const source = /\.csv$/i.test(file.name) ? await readCsvPoints(file) : (await readAreaGeoJson(file)).geoJson;
+    const features = (source.features || []).filter(f => f && f.geometry && f.geometry.type !== 'GeometryCollection');
+    if (features.length === 0) {
+        throw new Error(`El archivo "${file.name}" no contiene geometrías válidas`);
     }
+
+    const id = `ref_${++referenceLayerCounter}`;
+    const color = REFERENCE_LAYER_COLORS[(referenceLayerCounter - 1) % REFERENCE_LAYER_COLORS.length];
+    const geoJson = { type: 'FeatureCollection', features };
+    const entry = buildReferenceLayerEntry(id, getReferenceLayerName(file.name), file.name, geoJson, color, options.sensitive);
+
+    customReferenceLayers.push(entry);
+    layerDataById[id] = geoJson;
+    assignFeatureIds();
+    await buildSpatialIndexes();
+    return entry;
 }
 
 /**
- * Centra el mapa en un área específica
+ * Quita una capa de referencia; las áreas ya analizadas la conservan hasta volver a analizarse
  */
-function centerOnArea(kmlId) {
-    const kmlEntry = kmlLayers.get(kmlId);
-    if (kmlEntry && kmlEntry.bounds && kmlEntry.bounds.isValid()) {
-        map.fitBounds(kmlEntry.bounds, {
-            padding: [24, 24],
-            maxZoom: 15,
-            animate: true,
-            duration: 0.6
-        });
-        showAlert(`Centrando en: ${kmlEntry.name}`, 'info', 2000);
-    }
+function removeReferenceLayer(id) {
+    const index = customReferenceLayers.findIndex(entry => entry.id === id);
+    if (index < 0) return;
+    const [entry] = customReferenceLayers.splice(index, 1);
+    delete layerDataById[id];
+    renderReferenceLayersList();
+    showAlert(`Capa de referencia "${entry.name}" quitada. Se excluirá en los próximos análisis.`, 'info', 3000);
 }
 
 /**
- * Remueve un área del sistema
+ * Lista de capas de referencia cargadas en el panel lateral
  */
-function removeArea(kmlId) {
-    const kmlEntry = kmlLayers.get(kmlId);
-    if (!kmlEntry) return;
+function renderReferenceLayersList() {
+    const container = document.getElementById('referenceLayersList');
+    if (!container) return;
+    if (customReferenceLayers.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = customReferenceLayers.map(entry => `
+        <div class="d-flex align-items-center justify-content-between border rounded px-2 py-1 mb-1">
+            <span class="text-truncate" title="${escapeHtml(entry.fileName)}">
+                <span class="d-inline-block rounded-circle me-1" style="width:10px;height:10px;background:${entry.style.fillColor || entry.style.color};"></span>
+                ${escapeHtml(entry.name)} <span class="text-muted">(${formatNumber(getLayerData(entry.id)?.features.length || 0)})</span>
+                ${entry.sensitive ? '<span class="badge bg-warning text-dark ms-1">Sensible</span>' : ''}
+            </span>
+            <button type="button" class="btn btn-sm btn-link text-danger p-0 ms-2" title="Quitar capa de referencia"
+                onclick="removeReferenceLayer('${entry.id}')"><i class="bi bi-x-circle"></i></button>
+        </div>`).join('');
+}
 
-    showModal({
-        title: 'Confirmar eliminación',
-        message: `¿Estás seguro de que quieres eliminar el área "${kmlEntry.name}"?`,
-        okText: 'Eliminar',
-        onOk: () => {
-            performAreaCleanup(kmlId, kmlEntry);
-        }
+window.removeReferenceLayer = removeReferenceLayer;
+
+// ============================================================================
+// CORREDORES LINEALES (LÍNEAS DE TRANSMISIÓN, DUCTOS, CAMINOS)
+// ============================================================================
+
+/**
+ * Extrae las secuencias de coordenadas de las líneas de un eje (LineString/MultiLineString)
+ * @returns {Array<Array<number[]>>}
+ */
+function getCenterlineParts(centerline) {
+    const parts = [];
+    ((centerline && centerline.features) || []).forEach(f => {
+        if (!f.geometry) return;
+        if (f.geometry.type === 'LineString') parts.push(f.geometry.coordinates);
+        if (f.geometry.type === 'MultiLineString') parts.push(...f.geometry.coordinates);
     });
+    return parts.filter(coords => Array.isArray(coords) && coords.length >= 2);
 }
 
 /**
- * Realiza limpieza completa de un área específica
+ * Convierte líneas o puntos en un corredor poligonal con el ancho que indique el usuario
+ * @param {string} fileName - nombre del archivo de origen
+ * @param {object} linear - FeatureCollection con las líneas y puntos del archivo
+ * @returns {Promise<null|{areaData:object, info:{widthM:number,lengthKm:number,lineCount:number,pointCount:number,centerline:object}}>}
  */
-function performAreaCleanup(kmlId, kmlEntry) {
-    try {
-        // Remover del mapa
-        if (kmlEntry.layer && map.hasLayer(kmlEntry.layer)) {
-            map.removeLayer(kmlEntry.layer);
-        }
-
-        // Remover capas clipped
-        Object.entries(kmlEntry.clippedLayers || {}).forEach(([layerKey, layer]) => {
-            if (layer) {
-                try {
-                    // Quitar del grupo temático si existe
-                    const group = overlayGroupsByKey[layerKey];
-                    if (group && typeof group.removeLayer === 'function') {
-                        group.removeLayer(layer);
-                    }
-                    // Asegurar que no quede en el mapa suelto
-                    if (map.hasLayer(layer)) {
-                        map.removeLayer(layer);
-                    }
-                } catch (_) { /* noop */ }
-            }
-        });
+async function createCorridorFromLinear(fileName, linear) {
+    const T = await ensureTurf();
+    const parts = getCenterlineParts(linear);
+    const pointCount = linear.features.filter(f => f.geometry.type === 'Point' || f.geometry.type === 'MultiPoint').length;
+    let lengthKm = 0;
+    parts.forEach(coords => {
+        try { lengthKm += T.length(T.lineString(coords), { units: 'kilometers' }); } catch (_) { /* tramo inválido */ }
+    });
 
-        // Remover del sistema
-        kmlLayers.delete(kmlId);
+    // El preloader cubre los modales; se oculta mientras el usuario define el ancho
+    const pre = document.getElementById('preloader');
+    const wasLoading = pre && !pre.hasAttribute('hidden');
+    if (wasLoading) hidePreloader();
+    const widthM = await openCorridorDialog({ fileName, lineCount: parts.length, pointCount, lengthKm });
+    if (wasLoading) showPreloader();
+    if (!widthM) return null;
+
+    const buffered = T.buffer(linear, widthM / 2000, { units: 'kilometers' });
+    const polygon = dissolveAreaPolygons(T, buffered);
+    if (!polygon) {
+        throw new Error('No se pudo generar el corredor a partir de las líneas o puntos del archivo');
+    }
+    polygon.properties = { name: fileName, corridorWidthM: widthM };
+
+    return {
+        areaData: {
+            geoJson: { type: 'FeatureCollection', features: [polygon] },
+            polygon: polygon,
+            bounds: L.geoJSON(polygon).getBounds(),
+            polygonCount: 1,
+            hasOverlaps: false,
+            overlapDetails: []
+        },
+        info: { widthM, lengthKm, lineCount: parts.length, pointCount, centerline: linear }
+    };
+}
 
-        // Limpiar UI si era el área seleccionada
-        const kmlSelect = document.getElementById('kmlSelect');
-        if (kmlSelect && kmlSelect.value === kmlId) {
-            kmlSelect.value = '';
+/**
+ * Pide el ancho total del corredor en metros
+ * @returns {Promise<number|null>} ancho en metros, o null si se cancela
+ */
+function openCorridorDialog(params = { fileName: '', lineCount: 0, pointCount: 0, lengthKm: 0 }) {
+    return new Promise(resolve => {
+        let modalEl = document.getElementById('corridorModal');
+        if (!modalEl) {
+            modalEl = document.createElement('div');
+            modalEl.id = 'corridorModal';
+            modalEl.className = 'modal fade';
+            modalEl.tabIndex = -1;
+            modalEl.innerHTML = `
+                                <div class="modal-dialog modal-dialog-centered">
+                                    <div class="modal-content">
+                                        <div class="modal-header">
+                                            <h5 class="modal-title">Corredor de Proyecto Lineal</h5>
+                                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                                        </div>
+                                        <div class="modal-body">
+                                            <p class="mb-2"><strong id="cd-file-name"></strong> no contiene polígonos.</p>
+                                            <p class="text-muted small mb-3" id="cd-summary"></p>
+                                            <label class="form-label" for="cd-width-m">Ancho total del corredor (m)</label>
+                                            <input id="cd-width-m" type="number" class="form-control" step="10" min="1" value="100" />
+                                            <div class="form-text">Se aplica la mitad del ancho a cada lado del eje; los puntos generan círculos con ese diámetro.</div>
+                                            <div class="text-danger small mt-1" id="cd-error" style="display:none;">Indica un ancho mayor a 0 m.</div>
+                                        </div>
+                                        <div class="modal-footer">
+                                            <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Cancelar</button>
+                                            <button type="button" class="btn btn-primary" id="cd-apply-btn">Generar corredor</button>
+                                        </div>
+                                    </div>
+                                </div>`;
+            document.body.appendChild(modalEl);
+        }
 
-            const kmlResultsContainer = document.getElementById('kmlResultsContainer');
-            if (kmlResultsContainer) {
-                kmlResultsContainer.innerHTML = '<p class="text-muted mb-0">Selecciona un área para ver sus resultados por capas.</p>';
-            }
+        const summary = [];
+        if (params.lineCount > 0) summary.push(`${params.lineCount} línea(s), ${formatNumber(params.lengthKm)} km de eje`);
+        if (params.pointCount > 0) summary.push(`${params.pointCount} punto(s)`);
+        modalEl.querySelector('#cd-file-name').textContent = params.fileName || '';
+        modalEl.querySelector('#cd-summary').textContent = summary.join(' · ');
+        const widthInput = modalEl.querySelector('#cd-width-m');
+        const errorEl = modalEl.querySelector('#cd-error');
+        errorEl.style.display = 'none';
 
-            const kmlSummaryEl = document.getElementById('kmlSummary');
-            if (kmlSummaryEl) {
-                kmlSummaryEl.innerHTML = '';
-            }
+        const bsModal = new bootstrap.Modal(modalEl, { backdrop: 'static', keyboard: true });
+        let pendingResult = null;
+        const onHidden = () => {
+            modalEl.querySelector('#cd-apply-btn').onclick = null;
+            resolve(pendingResult);
+        };
+        modalEl.addEventListener('hidden.bs.modal', onHidden, { once: true });
 
-            const kmlChartsContainer = document.getElementById('kmlChartsContainer');
-            if (kmlChartsContainer) {
-                kmlChartsContainer.style.display = 'none';
+        modalEl.querySelector('#cd-apply-btn').onclick = () => {
+            const widthM = parseFloat(widthInput.value);
+            if (!(widthM > 0)) {
+                errorEl.style.display = '';
+                return;
             }
+            pendingResult = widthM;
+            try {
+                const focused = modalEl.querySelector(':focus');
+                if (focused && typeof focused.blur === 'function') focused.blur();
+            } catch (_) { /* noop */ }
+            bsModal.hide();
+        };
 
-            const analyzeSelectedBtn = document.getElementById('analyzeSelectedBtn');
-            if (analyzeSelectedBtn) {
-                analyzeSelectedBtn.disabled = true;
+        bsModal.show();
+    });
+}
+
+/**
+ * Capa con el eje original del corredor (líneas punteadas y puntos) para mantenerlo visible en el mapa
+ */
+function createCenterlineLayer(centerline, color) {
+    return L.geoJSON(centerline, {
+        style: { color: color, weight: 3, opacity: 0.9, dashArray: '8, 6' },
+        pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 4, color: color, weight: 2, fillColor: '#fff', fillOpacity: 1 }),
+        onEachFeature: (feature, layer) => {
+            const p = feature.properties || {};
+            layer.bindPopup(createPopupContent('Eje del proyecto', '〰️', [
+                { value: p.name || p.Name || p.NOMBRE || 'Sin nombre', isMain: true },
+                { label: 'Tipo', value: feature.geometry.type.includes('Point') ? 'Punto' : 'Línea' }
+            ]));
+        }
+    });
+}
+
+/**
+ * Divide el eje en tramos consecutivos (1 km por defecto) con su polígono de análisis.
+ * El kilometraje sigue el orden de las líneas en el archivo.
+ * @param {object} T - instancia de Turf
+ * @param {object} centerline - FeatureCollection del eje
+ * @param {number} radiusKm - distancia del eje al borde del área analizada
+ * @returns {Array<{fromKm:number,toKm:number,polygon:object,bbox:number[]}>}
+ */
+function buildCorridorSegments(T, centerline, radiusKm, segmentKm = 1) {
+    const segments = [];
+    let offset = 0;
+    getCenterlineParts(centerline).forEach(coords => {
+        const line = T.lineString(coords);
+        const length = T.length(line, { units: 'kilometers' });
+        const count = Math.ceil(length / segmentKm);
+        for (let i = 0; i < count; i++) {
+            const start = i * segmentKm;
+            const end = Math.min(start + segmentKm, length);
+            if (end - start < 1e-6) continue;
+            try {
+                const slice = T.lineSliceAlong(line, start, end, { units: 'kilometers' });
+                const polygon = T.buffer(slice, radiusKm, { units: 'kilometers' });
+                segments.push({ fromKm: offset + start, toKm: offset + end, polygon, bbox: T.bbox(polygon) });
+            } catch (error) {
+                console.warn(`[DEBUG] No se pudo generar el tramo ${start}-${end} km del eje:`, error);
             }
         }
+        offset += length;
+    });
+    return segments;
+}
 
-        // Actualizar UI
-        updateAreasList();
-        updateAreasCount();
-        refreshKmlSelect();
+/**
+ * Índice del primer tramo del eje que toca la feature (-1 si ninguno)
+ */
+function locateFeatureOnCorridor(T, feature, segments) {
+    let bbox;
+    try { bbox = T.bbox(feature); } catch (_) { return -1; }
+    for (let i = 0; i < segments.length; i++) {
+        const sb = segments[i].bbox;
+        if (bbox[0] > sb[2] || bbox[2] < sb[0] || bbox[1] > sb[3] || bbox[3] < sb[1]) continue;
+        try {
+            if (T.booleanIntersects(feature, segments[i].polygon)) return i;
+        } catch (_) { /* geometría problemática: probar siguiente tramo */ }
+    }
+    return -1;
+}
 
-        // Deshabilitar botón de Excel si no hay áreas analizadas
-        const hasAnalyzed = Array.from(kmlLayers.values()).some(k => k.isAnalyzed);
-        const downloadReportBtn = document.getElementById('downloadReportBtn');
-        if (downloadReportBtn) {
-            downloadReportBtn.disabled = !hasAnalyzed;
+/**
+ * Texto del tramo del eje, p. ej. "km 3.0–4.0"
+ */
+function formatCorridorKm(fromKm, toKm) {
+    return `km ${Number(fromKm).toFixed(1)}–${Number(toKm).toFixed(1)}`;
+}
+
+/**
+ * Resumen del corredor y tabla por kilómetro para el panel de resultados ('' si no es corredor)
+ */
+function renderCorridorSummary(corridor) {
+    if (!corridor) return '';
+    const withElements = (corridor.segments || []).filter(s => s.totalElements > 0);
+    const rows = withElements.map(s => `
+        <tr>
+            <td class="text-nowrap">${formatCorridorKm(s.fromKm, s.toKm)}</td>
+            <td class="text-end">${formatNumber(s.totalPopulation)}</td>
+            <td class="text-end">${formatNumber(s.totalElements)}</td>
+        </tr>`).join('');
+    return `
+        <div class="mt-2 small">
+            <strong>Corredor:</strong> ${formatNumber(corridor.widthM)} m de ancho
+            ${corridor.lengthKm > 0 ? ` · ${formatNumber(corridor.lengthKm)} km de eje` : ''}
+            ${corridor.pointCount > 0 ? ` · ${corridor.pointCount} punto(s)` : ''}
+        </div>
+        ${rows ? `
+        <div style="max-height: 220px; overflow-y: auto;">
+            <table class="table table-sm table-bordered mt-1 mb-0 small">
+                <thead class="table-light">
+                    <tr><th>Tramo del eje</th><th class="text-end">Población</th><th class="text-end">Elementos</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <div class="form-text">Cada elemento se asigna al primer kilómetro del eje que lo alcanza; se omiten tramos sin elementos.</div>` : ''}`;
+}
+
+/**
+ * Filas (array de arrays) con el eje y las estadísticas por kilómetro para la hoja "Corredor" de Excel
+ */
+function buildCorridorRows(kmlEntry) {
+    const info = kmlEntry.corridor;
+    if (!info) return [];
+    const corridor = (kmlEntry.metrics && kmlEntry.metrics.corridor) || {};
+    const rows = [
+        ['Área', kmlEntry.name],
+        ['Ancho del corredor (m)', info.widthM],
+        ['Longitud del eje (km)', Number((info.lengthKm || 0).toFixed(3))],
+        ['Puntos', info.pointCount],
+        [],
+        ['EJE DEL PROYECTO'],
+        ['Elemento', 'Tipo', 'Longitud (km)', 'Inicio (lat, lon)', 'Fin (lat, lon)']
+    ];
+    const formatCoord = (c) => c ? `${c[1].toFixed(6)}, ${c[0].toFixed(6)}` : '';
+    info.centerline.features.forEach((f, index) => {
+        const p = f.properties || {};
+        const name = p.name || p.Name || p.NOMBRE || `Elemento ${index + 1}`;
+        const parts = getCenterlineParts({ features: [f] });
+        if (parts.length > 0) {
+            let length = 0;
+            try { length = window.turf ? window.turf.length(f, { units: 'kilometers' }) : 0; } catch (_) { length = 0; }
+            const last = parts[parts.length - 1];
+            rows.push([name, 'Línea', Number(length.toFixed(3)), formatCoord(parts[0][0]), formatCoord(last[last.length - 1])]);
+        } else {
+            const coord = f.geometry.type === 'Point' ? f.geometry.coordinates : f.geometry.coordinates[0];
+            rows.push([name, 'Punto', '', formatCoord(coord), '']);
         }
+    });
 
-        // Update global charts if needed
-        updateGlobalCharts();
+    const segments = corridor.segments || [];
+    if (segments.length > 0) {
+        const layerNames = Array.from(new Set(segments.flatMap(s => Object.keys(s.layers || {})))).sort();
+        rows.push([], ['ESTADÍSTICAS POR KILÓMETRO']);
+        rows.push(['Desde (km)', 'Hasta (km)', 'Población', 'Elementos', ...layerNames.map(getLayerDisplayName)]);
+        segments.forEach(s => {
+            rows.push([
+                Number(s.fromKm.toFixed(3)), Number(s.toKm.toFixed(3)), s.totalPopulation, s.totalElements,
+                ...layerNames.map(layerName => (s.layers || {})[layerName] || 0)
+            ]);
+        });
+    }
+    return rows;
+}
 
-        showAlert(`Área "${kmlEntry.name}" eliminada completamente`, 'success', 2000);
+// ============================================================================
+// DIBUJO Y EDICIÓN DE ÁREAS EN EL MAPA
+// ============================================================================
 
-    } catch (error) {
-        console.error('Error eliminando área:', error);
-        showAlert(`Error al eliminar área "${kmlEntry.name}"`, 'danger', 3000);
+/**
+ * Configura Leaflet-Geoman para dibujar polígonos, rectángulos y círculos como áreas de interés
+ */
+function initDrawingTools() {
+    if (!map || !map.pm) {
+        console.warn('[DEBUG] Leaflet-Geoman no disponible; herramientas de dibujo deshabilitadas');
+        return;
     }
+
+    // Solo las áreas de interés son editables; resultados y anillos quedan fuera
+    L.PM.setOptIn(true);
+    map.pm.setLang('es');
+    map.pm.addControls({
+        position: 'topleft',
+        drawMarker: false,
+        drawCircleMarker: false,
+        drawPolyline: false,
+        drawText: false,
+        drawPolygon: true,
+        drawRectangle: true,
+        drawCircle: true,
+        editMode: true,
+        dragMode: false,
+        cutPolygon: false,
+        rotateMode: false,
+        removalMode: false
+    });
+
+    map.on('pm:create', ({ shape, layer }) => {
+        map.removeLayer(layer);
+        addDrawnArea(layer, shape);
+    });
 }
 
 /**
- * Limpia todas las áreas
+ * Registra una figura dibujada como área, pasando por el mismo flujo que un archivo GeoJSON subido
  */
-function clearAllAreas() {
-    showModal({
-        title: 'Confirmar eliminación',
-        message: '¿Estás seguro de que quieres eliminar todas las áreas cargadas?',
-        okText: 'Eliminar Todo',
-        onOk: () => {
-            performCompleteCleanup();
+async function addDrawnArea(layer, shape) {
+    if (kmlLayers.size >= 10) {
+        showAlert('Máximo 10 áreas. Elimina alguna para dibujar otra.', 'warning');
+        return;
+    }
+
+    try {
+        let feature;
+        if (shape === 'Circle') {
+            // Leaflet guarda el círculo como centro + radio; se convierte a polígono para el análisis
+            const T = await ensureTurf();
+            const center = layer.getLatLng();
+            feature = T.circle([center.lng, center.lat], layer.getRadius() / 1000, { steps: 64, units: 'kilometers' });
+        } else {
+            feature = layer.toGeoJSON();
         }
+
+        const shapeLabels = { Polygon: 'Polígono', Rectangle: 'Rectángulo', Circle: 'Círculo' };
+        const name = `${shapeLabels[shape] || 'Área'} dibujado ${++drawnAreaCounter}`;
+        feature.properties = { name: name };
+
+        const file = new File(
+            [JSON.stringify({ type: 'FeatureCollection', features: [feature] })],
+            `${name}.geojson`,
+            { type: 'application/geo+json' }
+        );
+        const kmlId = await addKmlToSystem(file);
+        const kmlEntry = kmlLayers.get(kmlId);
+        if (kmlEntry) kmlEntry.sourceFormat = 'dibujo';
+
+        showAlert(`Área "${name}" agregada. Analízala desde "Áreas Cargadas".`, 'success', 3000);
+    } catch (error) {
+        console.error('Error registrando área dibujada:', error);
+        showAlert(`No se pudo registrar el área dibujada: ${error.message}`, 'danger');
+    }
+}
+
+/**
+ * Habilita la edición de vértices de un área; al modificarla se descarta su análisis previo
+ */
+function enableAreaEditing(kmlEntry) {
+    if (!kmlEntry.layer || !map || !map.pm) return;
+    // Un corredor se deriva de su eje; editar el buffer dejaría eje, ancho y tramos desfasados
+    if (kmlEntry.corridor) return;
+    kmlEntry.layer.eachLayer(shape => {
+        shape.options.pmIgnore = false;
+        L.PM.reInitLayer(shape);
+        shape.on('pm:edit', () => onAreaGeometryEdited(kmlEntry.id));
     });
 }
 
 /**
- * Realiza limpieza completa del sistema
+ * Sincroniza la geometría editada y marca el área como no analizada
  */
-function performCompleteCleanup() {
-    try {
-        // Remover todas las capas del mapa
-        kmlLayers.forEach(kmlEntry => {
-            if (kmlEntry.layer && map.hasLayer(kmlEntry.layer)) {
-                map.removeLayer(kmlEntry.layer);
-            }
-            Object.values(kmlEntry.clippedLayers || {}).forEach(layer => {
-                if (layer && map.hasLayer(layer)) {
-                    map.removeLayer(layer);
-                }
-            });
-        });
+function onAreaGeometryEdited(kmlId) {
+    const kmlEntry = kmlLayers.get(kmlId);
+    if (!kmlEntry) return;
 
-        // Limpiar sistema
-        kmlLayers.clear();
-        kmlCounter = 0;
-        activeKmlId = null;
+    kmlEntry.geoJson = kmlEntry.layer.toGeoJSON();
+    kmlEntry.bounds = kmlEntry.layer.getBounds();
 
-        // Vaciar grupos globales pero mantenerlos registrados
-        Object.values(overlayGroupsByKey).forEach(group => {
-            try { group.clearLayers(); } catch (_) { }
-        });
+    const wasAnalyzed = kmlEntry.isAnalyzed;
+    resetAreaAnalysis(kmlEntry);
+    // Las corridas anteriores describen otra geometría: quedan en el historial solo para consulta
+    (kmlEntry.runs || []).forEach(run => { run.stale = true; });
 
-        // Remover control de capas para resetear completamente
-        if (layersControl) {
-            map.removeControl(layersControl);
-            layersControl = null;
+    updateAreasList();
+    updateAreasCount();
+    refreshKmlSelect();
+    if (kmlSelect && kmlSelect.value === kmlId) {
+        renderKmlResultsPanel(kmlEntry);
+    }
+    const downloadReportBtn = document.getElementById('downloadReportBtn');
+    if (downloadReportBtn) {
+        downloadReportBtn.disabled = !Array.from(kmlLayers.values()).some(k => k.isAnalyzed);
+    }
+    updateGlobalCharts();
+
+    if (wasAnalyzed) {
+        showAlert(`La geometría de "${kmlEntry.name}" cambió; su análisis anterior se descartó. Vuelve a analizarla.`, 'warning', 5000);
+    }
+}
+
+/**
+ * Actualiza la lista visual de áreas cargadas
+ */
+function updateAreasList() {
+    const areasList = document.getElementById('areasList');
+    if (!areasList) return;
+
+    if (kmlLayers.size === 0) {
+        areasList.innerHTML = '<p class="text-muted small mb-0">No hay áreas cargadas. Sube archivos o dibuja un área en el mapa para comenzar.</p>';
+        return;
+    }
+
+    let html = '';
+    kmlLayers.forEach((kmlEntry, kmlId) => {
+        const statusIcon = kmlEntry.isAnalyzed ? '✅' : '⏳';
+        let statusText = kmlEntry.isAnalyzed ? 'Analizada' : 'Pendiente';
+
+        // Agregar indicador de advertencia si hay superposiciones
+        if (kmlEntry.hasOverlaps) {
+            statusText += ' ⚠️';
         }
 
-        // Limpiar elementos de UI
-        const areasList = document.getElementById('areasList');
-        if (areasList) {
-            areasList.innerHTML = '<p class="text-muted small mb-0">No hay áreas cargadas. Sube archivos KML para comenzar.</p>';
+        const metrics = kmlEntry.metrics;
+
+        html += `
+            <div class="area-item card mb-2 ${kmlEntry.hasOverlaps ? 'border-warning' : ''}" data-kml-id="${kmlId}">
+                <div class="card-body p-2">
+                    ${kmlEntry.hasOverlaps ? '<div class="alert alert-warning py-1 px-2 mb-2 small">⚠️ Contiene polígonos superpuestos</div>' : ''}
+                    <div class="d-flex align-items-center justify-content-between">
+                        <div class="d-flex align-items-center">
+                            <div class="color-indicator me-2" style="background-color: ${kmlEntry.color}; width: 12px; height: 12px; border-radius: 50%; ${kmlEntry.hasOverlaps ? 'border: 2px solid #ff6b35;' : ''}"></div>
+                            <i class="bi bi-geo-alt-fill text-muted me-2" title="Área KML"></i>
+                            <div>
+                                <h6 class="mb-0 small">${kmlEntry.name}</h6>
+                                <small class="text-muted">${statusIcon} ${statusText}</small>
+                            </div>
+                        </div>
+                        <div class="btn-group btn-group-sm">
+                            <button class="btn btn-outline-primary btn-sm" onclick="centerOnArea('${kmlId}')" title="Centrar en área">
+                                <i class="bi bi-crosshair"></i>
+                            </button>
+                            <button class="btn btn-outline-success btn-sm" onclick="analyzeSingleArea('${kmlId}')" title="${kmlEntry.isAnalyzed ? 'Analizar de nuevo con otra configuración' : 'Analizar área'}">
+                                <i class="bi ${kmlEntry.isAnalyzed ? 'bi-arrow-clockwise' : 'bi-play'}"></i>
+                            </button>
+                            ${kmlEntry.runs && kmlEntry.runs.length > 0 ? `
+                            <button class="btn btn-outline-secondary btn-sm" onclick="openAnalysisHistory('${kmlId}')" title="Historial de análisis (${kmlEntry.runs.length})">
+                                <i class="bi bi-clock-history"></i>
+                            </button>` : ''}
+                            <button class="btn btn-outline-secondary btn-sm" onclick="openSensitivityAnalysis('${kmlId}')" title="Sensibilidad por distancia">
+                                <i class="bi bi-rulers"></i>
+                            </button>
+                            <button class="btn btn-outline-danger btn-sm" onclick="removeArea('${kmlId}')" title="Remover área">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                    ${metrics ? `
+                        <div class="mt-2 small text-muted">
+                            📏 ${formatNumber(metrics.area)} km² | 👥 ${formatNumber(metrics.totalPopulation)} hab.${metrics.populationMethod === 'superficie' ? ' (prorrateada)' : ''}
+                        </div>
+                        ${renderRiskScoreBadge(kmlEntry)}
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    });
+
+    areasList.innerHTML = html;
+}
+
+/**
+ * Actualiza el contador de áreas
+ */
+function updateAreasCount() {
+    const badge = document.getElementById('areasCountBadge');
+    if (badge) {
+        badge.textContent = `${kmlLayers.size}/10`;
+    }
+
+    // Habilitar/deshabilitar botones según estado
+    const analyzeAllBtn = document.getElementById('analyzeAllBtn');
+    const hasUnanalyzed = Array.from(kmlLayers.values()).some(kml => !kml.isAnalyzed);
+
+    if (analyzeAllBtn) {
+        analyzeAllBtn.disabled = !hasUnanalyzed;
+    }
+    const overlapReportBtn = document.getElementById('overlapReportBtn');
+    if (overlapReportBtn) {
+        overlapReportBtn.disabled = kmlLayers.size < 2;
+    }
+}
+
+/**
+ * Centra el mapa en un área específica
+ */
+function centerOnArea(kmlId) {
+    const kmlEntry = kmlLayers.get(kmlId);
+    if (kmlEntry && kmlEntry.bounds && kmlEntry.bounds.isValid()) {
+        map.fitBounds(kmlEntry.bounds, {
+            padding: [24, 24],
+            maxZoom: 15,
+            animate: true,
+            duration: 0.6
+        });
+        showAlert(`Centrando en: ${kmlEntry.name}`, 'info', 2000);
+    }
+}
+
+/**
+ * Remueve un área del sistema
+ */
+function removeArea(kmlId) {
+    const kmlEntry = kmlLayers.get(kmlId);
+    if (!kmlEntry) return;
+
+    showModal({
+        title: 'Confirmar eliminación',
+        message: `¿Estás seguro de que quieres eliminar el área "${kmlEntry.name}"?`,
+        okText: 'Eliminar',
+        onOk: () => {
+            performAreaCleanup(kmlId, kmlEntry);
+        }
+    });
+}
+
+/**
+ * Quita del mapa y de los grupos temáticos las capas de resultados de un área
+ */
+function removeClippedLayers(kmlEntry) {
+    Object.entries(kmlEntry.clippedLayers || {}).forEach(([layerKey, layer]) => {
+        if (layer) {
+            try {
+                // Quitar del grupo temático si existe
+                const group = overlayGroupsByKey[layerKey];
+                if (group && typeof group.removeLayer === 'function') {
+                    group.removeLayer(layer);
+                }
+                // Asegurar que no quede en el mapa suelto
+                if (map.hasLayer(layer)) {
+                    map.removeLayer(layer);
+                }
+                if (clippedLayersById[layerKey] === layer) delete clippedLayersById[layerKey];
+            } catch (_) { /* noop */ }
+        }
+    });
+}
+
+/**
+ * Descarta los resultados de un área para que pueda analizarse de nuevo
+ */
+function resetAreaAnalysis(kmlEntry) {
+    removeClippedLayers(kmlEntry);
+    kmlEntry.clippedLayers = {};
+    kmlEntry.results = null;
+    kmlEntry.metrics = null;
+    kmlEntry.isAnalyzed = false;
+    kmlEntry.activeRunId = null; // las corridas anteriores siguen en el historial
+    delete kmlEntry.sensitivity; // se calculó sobre la geometría o la corrida anterior
+}
+
+/**
+ * Realiza limpieza completa de un área específica
+ */
+function performAreaCleanup(kmlId, kmlEntry) {
+    try {
+        // Remover del mapa
+        if (kmlEntry.layer && map.hasLayer(kmlEntry.layer)) {
+            map.removeLayer(kmlEntry.layer);
+        }
+        if (kmlEntry.centerlineLayer && map.hasLayer(kmlEntry.centerlineLayer)) {
+            map.removeLayer(kmlEntry.centerlineLayer);
+        }
+
+        // Remover capas clipped
+        removeClippedLayers(kmlEntry);
+
+        // Remover del sistema
+        kmlLayers.delete(kmlId);
+
+        // Limpiar UI si era el área seleccionada
+        const kmlSelect = document.getElementById('kmlSelect');
+        if (kmlSelect && kmlSelect.value === kmlId) {
+            kmlSelect.value = '';
+
+            const kmlResultsContainer = document.getElementById('kmlResultsContainer');
+            if (kmlResultsContainer) {
+                kmlResultsContainer.innerHTML = '<p class="text-muted mb-0">Selecciona un área para ver sus resultados por capas.</p>';
+            }
+
+            const kmlSummaryEl = document.getElementById('kmlSummary');
+            if (kmlSummaryEl) {
+                kmlSummaryEl.innerHTML = '';
+            }
+
+            const kmlChartsContainer = document.getElementById('kmlChartsContainer');
+            if (kmlChartsContainer) {
+                kmlChartsContainer.style.display = 'none';
+            }
+
+            const analyzeSelectedBtn = document.getElementById('analyzeSelectedBtn');
+            if (analyzeSelectedBtn) {
+                analyzeSelectedBtn.disabled = true;
+            }
+        }
+
+        // Actualizar UI
+        updateAreasList();
+        updateAreasCount();
+        refreshKmlSelect();
+
+        // Deshabilitar botón de Excel si no hay áreas analizadas
+        const hasAnalyzed = Array.from(kmlLayers.values()).some(k => k.isAnalyzed);
+        const downloadReportBtn = document.getElementById('downloadReportBtn');
+        if (downloadReportBtn) {
+            downloadReportBtn.disabled = !hasAnalyzed;
+        }
+
+        // Update global charts if needed
+        updateGlobalCharts();
+
+        showAlert(`Área "${kmlEntry.name}" eliminada completamente`, 'success', 2000);
+
+    } catch (error) {
+        console.error('Error eliminando área:', error);
+        showAlert(`Error al eliminar área "${kmlEntry.name}"`, 'danger', 3000);
+    }
+}
+
+/**
+ * Limpia todas las áreas
+ */
+function clearAllAreas() {
+    showModal({
+        title: 'Confirmar eliminación',
+        message: '¿Estás seguro de que quieres eliminar todas las áreas cargadas?',
+        okText: 'Eliminar Todo',
+        onOk: () => {
+            performCompleteCleanup();
+        }
+    });
+}
+
+/**
+ * Realiza limpieza completa del sistema
+ */
+function performCompleteCleanup() {
+    try {
+        // Remover todas las capas del mapa
+        kmlLayers.forEach(kmlEntry => {
+            if (kmlEntry.layer && map.hasLayer(kmlEntry.layer)) {
+                map.removeLayer(kmlEntry.layer);
+            }
+            if (kmlEntry.centerlineLayer && map.hasLayer(kmlEntry.centerlineLayer)) {
+                map.removeLayer(kmlEntry.centerlineLayer);
+            }
+            Object.values(kmlEntry.clippedLayers || {}).forEach(layer => {
+                if (layer && map.hasLayer(layer)) {
+                    map.removeLayer(layer);
+                }
+            });
+        });
+
+        clearInterAreaOverlapLayer();
+        clearLanguageFamilyLayer();
+        if (combinedFootprintLayer && map.hasLayer(combinedFootprintLayer)) map.removeLayer(combinedFootprintLayer);
+        combinedFootprintLayer = null;
+        combinedAnalysis = null;
+        combinedMode = false;
+
+        // Limpiar sistema
+        kmlLayers.clear();
+        kmlCounter = 0;
+        drawnAreaCounter = 0;
+        activeKmlId = null;
+
+        // Vaciar grupos globales pero mantenerlos registrados
+        Object.values(overlayGroupsByKey).forEach(group => {
+            try { group.clearLayers(); } catch (_) { }
+        });
+
+        // Remover control de capas para resetear completamente
+        if (layersControl) {
+            map.removeControl(layersControl);
+            layersControl = null;
+        }
+
+        // Limpiar elementos de UI
+        const areasList = document.getElementById('areasList');
+        if (areasList) {
+            areasList.innerHTML = '<p class="text-muted small mb-0">No hay áreas cargadas. Sube archivos o dibuja un área en el mapa para comenzar.</p>';
+        }
+
+        const kmlSelect = document.getElementById('kmlSelect');
+        if (kmlSelect) {
+            kmlSelect.innerHTML = '<option value="" selected>— Selecciona un área —</option>';
+            kmlSelect.value = '';
+        }
+
+        const kmlResultsContainer = document.getElementById('kmlResultsContainer');
+        if (kmlResultsContainer) {
+            kmlResultsContainer.innerHTML = '<p class="text-muted mb-0">Selecciona un área para ver sus resultados por capas.</p>';
+        }
+
+        const kmlSummaryEl = document.getElementById('kmlSummary');
+        if (kmlSummaryEl) {
+            kmlSummaryEl.innerHTML = '';
+        }
+
+        const kmlChartsContainer = document.getElementById('kmlChartsContainer');
+        if (kmlChartsContainer) {
+            kmlChartsContainer.style.display = 'none';
+            kmlChartsContainer.innerHTML = '';
+        }
+
+        const chartsContainer = document.getElementById('chartsContainer');
+        if (chartsContainer) {
+            chartsContainer.style.display = 'none';
+            chartsContainer.innerHTML = '';
+        }
+
+        // Limpiar input de archivos
+        const kmlFileInput = document.getElementById('kmlFile');
+        if (kmlFileInput) {
+            kmlFileInput.value = '';
+        }
+
+        // Actualizar contadores y badges
+        updateAreasCount();
+
+        // Deshabilitar botones
+        const analyzeAllBtn = document.getElementById('analyzeAllBtn');
+        const analyzeSelectedBtn = document.getElementById('analyzeSelectedBtn');
+        const downloadReportBtn = document.getElementById('downloadReportBtn');
+        const uploadKmlBtn = document.getElementById('uploadKmlBtn');
+
+        if (analyzeAllBtn) analyzeAllBtn.disabled = true;
+        if (analyzeSelectedBtn) analyzeSelectedBtn.disabled = true;
+        if (downloadReportBtn) downloadReportBtn.disabled = true;
+        if (uploadKmlBtn) uploadKmlBtn.disabled = true;
+
+        // Update global charts
+        updateGlobalCharts();
+
+        showAlert('Todas las áreas y datos han sido eliminados completamente', 'success', 3000);
+
+    } catch (error) {
+        console.error('Error durante la limpieza:', error);
+        showAlert('Error durante la limpieza. Recarga la página si persisten problemas.', 'warning', 4000);
+    }
+}
+
+/**
+ * Analiza una sola área
+ */
+async function analyzeSingleArea(kmlId) {
+    const kmlEntry = kmlLayers.get(kmlId);
+    if (!kmlEntry) return;
+    // En un nuevo análisis se propone la configuración de la corrida activa
+    const previousRun = getActiveRun(kmlEntry);
+
+    try {
+        // Pedir configuración al usuario para este análisis
+        const config = await openAnalysisConfigDialog({
+            scope: 'single',
+            areaName: kmlEntry.name,
+            defaults: previousRun ? previousRun.config : { areaType: kmlEntry.areaType }
+        });
+        if (!config) {
+            return; // cancelado por el usuario
+        }
+
+        // Mostrar preloader hasta después de confirmar configuración
+        analysisCancelRequested = false;
+        showPreloader();
+        setPreloaderCancelable(true);
+        updateProgress(0, `Analizando ${kmlEntry.name}...`);
+
+        // La corrida anterior se quita del mapa pero se conserva en el historial
+        if (kmlEntry.isAnalyzed) {
+            removeClippedLayers(kmlEntry);
+            kmlEntry.clippedLayers = {};
+        }
+
+        // Realizar análisis geoespacial
+        const analysisResult = await performAreaAnalysis(kmlEntry, config);
+
+        // Actualizar entrada
+        kmlEntry.isAnalyzed = true;
+        kmlEntry.metrics = analysisResult.metrics;
+        kmlEntry.clippedLayers = analysisResult.clippedLayers;
+        recordAnalysisRun(kmlEntry, config, analysisResult);
+
+        // Actualizar UI
+        updateAreasList();
+        updateAreasCount();
+        refreshKmlSelect();
+        // Render section 3 panel if current selection matches
+        const kmlSelect = document.getElementById('kmlSelect');
+        if (kmlSelect && kmlSelect.value === kmlId) {
+            renderKmlResultsPanel(kmlEntry);
+        }
+        // Enable global Excel button
+        const downloadReportBtn = document.getElementById('downloadReportBtn');
+        if (downloadReportBtn) downloadReportBtn.disabled = false;
+
+        // Update global charts
+        updateGlobalCharts();
+
+        showAlert(`Análisis completado: ${kmlEntry.name}`, 'success', 3000);
+
+    } catch (error) {
+        // Si falla o se cancela un nuevo análisis, vuelve la corrida que estaba activa
+        if (previousRun) activateAnalysisRun(kmlEntry, previousRun.id);
+        if (error.cancelled) {
+            updateAreasList();
+            showAlert(`Análisis de "${kmlEntry.name}" cancelado`, 'warning', 3000);
+            return;
+        }
+        updateAreasList();
+        console.error('Error analizando área:', error);
+        showAlert(`Error analizando ${kmlEntry.name}`, 'danger');
+    } finally {
+        setPreloaderCancelable(false);
+        hidePreloader();
+    }
+}
+
+/**
+ * Analiza todas las áreas activas no analizadas
+ */
+async function analyzeAllActiveAreas() {
+    const unanalyzedAreas = Array.from(kmlLayers.values()).filter(kml => kml.isActive && !kml.isAnalyzed);
+
+    if (unanalyzedAreas.length === 0) {
+        showAlert('Todas las áreas ya están analizadas', 'info');
+        return;
+    }
+
+    try {
+        // Verificar superposiciones entre áreas antes del análisis
+        const interAreaOverlaps = await checkInterAreaOverlaps();
+        if (interAreaOverlaps.length > 0) {
+            console.log('[DEBUG] Inter-area overlaps found, showing warning');
+            const overlapMessage = interAreaOverlaps.map(o => `${o.area1} ↔ ${o.area2} (${formatNumber(o.km2)} km²)`).join(', ');
+            showAlert(`⚠️ Se detectaron superposiciones entre áreas: ${overlapMessage}. Esto puede causar conteo duplicado; revisa "Superposiciones" para ver los elementos repetidos.`, 'warning', 6000);
+        }
+
+        // Configuración global para el análisis masivo
+        const globalConfig = await openAnalysisConfigDialog({ scope: 'bulk', areaName: `${unanalyzedAreas.length} áreas`, defaults: {} });
+        if (!globalConfig) {
+            return; // cancelado por el usuario
+        }
+
+        // Mostrar preloader después de confirmar configuración
+        analysisCancelRequested = false;
+        showPreloader();
+        setPreloaderCancelable(true);
+
+        // Al cancelar se conservan las áreas ya terminadas
+        let completed = 0;
+        for (let i = 0; i < unanalyzedAreas.length; i++) {
+            const kmlEntry = unanalyzedAreas[i];
+            updateProgress((i / unanalyzedAreas.length) * 100, `Analizando ${kmlEntry.name}...`);
+
+            let analysisResult;
+            try {
+                analysisResult = await performAreaAnalysis(kmlEntry, globalConfig);
+            } catch (error) {
+                if (error.cancelled) break;
+                throw error;
+            }
+
+            kmlEntry.isAnalyzed = true;
+            kmlEntry.metrics = analysisResult.metrics;
+            kmlEntry.clippedLayers = analysisResult.clippedLayers;
+            recordAnalysisRun(kmlEntry, globalConfig, analysisResult);
+            completed++;
+        }
+        const cancelled = completed < unanalyzedAreas.length;
+
+        updateProgress(100, cancelled ? 'Análisis cancelado' : 'Análisis completado');
+        updateAreasList();
+        updateAreasCount();
+        refreshKmlSelect();
+        // If a selection exists, re-render its panel
+        const kmlSelectEl = document.getElementById('kmlSelect');
+        if (kmlSelectEl && kmlSelectEl.value) {
+            const selected = kmlLayers.get(kmlSelectEl.value);
+            renderKmlResultsPanel(selected);
+        }
+        // Enable global Excel
+        const downloadReportBtn2 = document.getElementById('downloadReportBtn');
+        if (downloadReportBtn2) downloadReportBtn2.disabled = !Array.from(kmlLayers.values()).some(k => k.isAnalyzed);
+
+        // Update global charts
+        updateGlobalCharts();
+
+        if (cancelled) {
+            showAlert(`Análisis cancelado: ${completed} de ${unanalyzedAreas.length} área(s) analizadas`, 'warning', 4000);
+        } else {
+            showAlert(`${unanalyzedAreas.length} área(s) analizadas exitosamente`, 'success', 4000);
+        }
+
+    } catch (error) {
+        console.error('Error en análisis masivo:', error);
+        showAlert('Error durante el análisis masivo', 'danger');
+    } finally {
+        setPreloaderCancelable(false);
+        hidePreloader();
+    }
+}
+
+// ============================================================================
+// SUPERPOSICIÓN ENTRE ÁREAS Y CONTEO DUPLICADO
+// ============================================================================
+
+const OVERLAP_HATCH_PATTERN_ID = 'area-overlap-hatch';
+const OVERLAP_COLOR = '#C49A3E';
+/** Superficie mínima (km²) para considerar una superposición; por debajo solo se tocan los límites */
+const OVERLAP_MIN_KM2 = 0.0001;
+/** Umbral (%) a partir del cual un área se considera contenida en la otra */
+const OVERLAP_CONTAINED_PCT = 99.9;
+
+let interAreaOverlapLayer = null; // Polígonos de superposición dibujados en el mapa
+
+/**
+ * Agrupa los elementos de varias áreas analizadas: un registro por elemento único y capa,
+ * con los ids de las áreas donde aparece (dos archivos pueden tener el mismo nombre)
+ * @returns {object} { layerName: { items: [{feature, areaIds: [ids], copies}], sumCount } }
+ */
+function groupFeaturesAcrossAreas(areas) {
+    const layers = {};
+    areas.forEach(k => {
+        Object.entries(k.results || {}).forEach(([layerName, data]) => {
+            if (!layers[layerName]) layers[layerName] = { items: new Map(), sumCount: 0 };
+            const layer = layers[layerName];
+            (data.features || []).forEach(feature => {
+                layer.sumCount++;
+                const key = getFeatureIdentity(layerName, feature);
+                const item = layer.items.get(key) || { feature, areaIds: [], copies: [] };
+                if (!item.areaIds.includes(k.id)) item.areaIds.push(k.id);
+                item.copies.push(feature);
+                layer.items.set(key, item);
+            });
+        });
+    });
+    Object.values(layers).forEach(layer => { layer.items = Array.from(layer.items.values()); });
+    return layers;
+}
+
+/**
+ * Nombres de las áreas de un elemento agrupado, para mostrar
+ * @param {Array} areas - entradas con id y name (áreas cargadas o las guardadas en el análisis combinado)
+ */
+function getGroupedAreaNames(item, areas) {
+    return item.areaIds.map(id => areas.find(k => k.id === id)?.name || id);
+}
+
+/**
+ * Calcula los polígonos de superposición entre cada par de áreas cargadas, incluido el caso
+ * en que una contiene por completo a la otra
+ * @returns {Promise<Array>} [{ area1, area2, area1Id, area2Id, relation, km2, pct1, pct2, geometry }]
+ */
+async function checkInterAreaOverlaps(areas = Array.from(kmlLayers.values())) {
+    console.log('[DEBUG] Checking for overlaps between different KML areas...');
+    const T = await ensureTurf();
+    const polygons = areas
+        .map(entry => ({ entry, polygon: dissolveAreaPolygons(T, entry.geoJson) }))
+        .filter(item => item.polygon);
+    const overlaps = [];
+
+    for (let i = 0; i < polygons.length; i++) {
+        for (let j = i + 1; j < polygons.length; j++) {
+            const { entry: area1, polygon: polygon1 } = polygons[i];
+            const { entry: area2, polygon: polygon2 } = polygons[j];
+
+            try {
+                const intersection = T.intersect(polygon1, polygon2);
+                if (!intersection) continue;
+                const km2 = T.area(intersection) / 1_000_000;
+                if (km2 < OVERLAP_MIN_KM2) continue;
+
+                const pct1 = km2 / (T.area(polygon1) / 1_000_000) * 100;
+                const pct2 = km2 / (T.area(polygon2) / 1_000_000) * 100;
+                let relation = 'superposicion';
+                if (pct2 >= OVERLAP_CONTAINED_PCT) relation = 'contiene';
+                else if (pct1 >= OVERLAP_CONTAINED_PCT) relation = 'contenida';
+
+                console.log(`[DEBUG] Overlap detected between ${area1.name} and ${area2.name}: ${km2.toFixed(4)} km²`);
+                overlaps.push({
+                    area1: area1.name,
+                    area2: area2.name,
+                    area1Id: area1.id,
+                    area2Id: area2.id,
+                    relation,
+                    km2,
+                    pct1,
+                    pct2,
+                    geometry: intersection.geometry
+                });
+            } catch (error) {
+                console.warn(`[DEBUG] Error checking overlap between ${area1.name} and ${area2.name}:`, error);
+            }
+        }
+    }
+
+    console.log(`[DEBUG] Found ${overlaps.length} inter-area overlaps`);
+    return overlaps;
+}
+
+/**
+ * Texto de la relación entre dos áreas superpuestas
+ */
+function describeOverlapRelation(overlap) {
+    if (overlap.relation === 'contiene') return `${overlap.area1} contiene a ${overlap.area2}`;
+    if (overlap.relation === 'contenida') return `${overlap.area1} está dentro de ${overlap.area2}`;
+    return 'Superposición parcial';
+}
+
+/**
+ * Elementos y población contados en más de un área analizada
+ * @returns {object} { layers: [{layerName, items, extraCounts}], population, areaCount }
+ */
+function buildDuplicateCountReport(areas) {
+    const grouped = groupFeaturesAcrossAreas(areas);
+    const layers = Object.entries(grouped)
+        .map(([layerName, layer]) => {
+            const items = layer.items.filter(item => item.areaIds.length > 1);
+            return { layerName, items, extraCounts: items.reduce((sum, item) => sum + item.areaIds.length - 1, 0) };
+        })
+        .filter(layer => layer.items.length > 0)
+        .sort((a, b) => b.extraCounts - a.extraCounts);
+
+    // Población de más: cada localidad repetida suma su población una vez por cada área adicional
+    const localidades = layers.find(layer => layer.layerName === 'localidades');
+    const population = (localidades?.items || []).reduce((sum, item) =>
+        sum + getFeaturePopulation(item.feature.properties) * (item.areaIds.length - 1), 0);
+
+    return { layers, population, areaCount: areas.length, areas: areas.map(k => ({ id: k.id, name: k.name })) };
+}
+
+/**
+ * Agrega al SVG del mapa el patrón de rayas que usan los polígonos de superposición
+ */
+function ensureOverlapHatchPattern() {
+    const svg = map.getPanes().overlayPane.querySelector('svg');
+    if (!svg || svg.querySelector(`#${OVERLAP_HATCH_PATTERN_ID}`)) return;
+    const ns = 'http://www.w3.org/2000/svg';
+    let defs = svg.querySelector('defs');
+    if (!defs) {
+        defs = document.createElementNS(ns, 'defs');
+        svg.insertBefore(defs, svg.firstChild);
+    }
+    const pattern = document.createElementNS(ns, 'pattern');
+    pattern.setAttribute('id', OVERLAP_HATCH_PATTERN_ID);
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+    pattern.setAttribute('width', '8');
+    pattern.setAttribute('height', '8');
+    pattern.setAttribute('patternTransform', 'rotate(45)');
+    const line = document.createElementNS(ns, 'line');
+    line.setAttribute('x1', '0');
+    line.setAttribute('y1', '0');
+    line.setAttribute('x2', '0');
+    line.setAttribute('y2', '8');
+    line.setAttribute('stroke', OVERLAP_COLOR);
+    line.setAttribute('stroke-width', '3');
+    pattern.appendChild(line);
+    defs.appendChild(pattern);
+}
+
+/**
+ * Quita del mapa los polígonos de superposición
+ */
+function clearInterAreaOverlapLayer() {
+    if (interAreaOverlapLayer && map.hasLayer(interAreaOverlapLayer)) map.removeLayer(interAreaOverlapLayer);
+    interAreaOverlapLayer = null;
+}
+
+/**
+ * Dibuja los polígonos de superposición con relleno rayado
+ */
+function drawInterAreaOverlaps(overlaps) {
+    clearInterAreaOverlapLayer();
+    if (overlaps.length === 0) return;
+
+    interAreaOverlapLayer = L.featureGroup(overlaps.map(overlap =>
+        L.geoJSON({ type: 'Feature', properties: {}, geometry: overlap.geometry }, {
+            style: { color: OVERLAP_COLOR, weight: 2, fillColor: `url(#${OVERLAP_HATCH_PATTERN_ID})`, fillOpacity: 1 }
+        }).bindPopup(createPopupContent('Superposición entre áreas', '⚠️', [
+            { value: `${overlap.area1} ↔ ${overlap.area2}`, isMain: true },
+            { label: 'Relación', value: describeOverlapRelation(overlap) },
+            { label: 'Superficie', value: `${formatNumber(overlap.km2)} km²` },
+            { label: `% de ${overlap.area1}`, value: `${overlap.pct1.toFixed(1)}%` },
+            { label: `% de ${overlap.area2}`, value: `${overlap.pct2.toFixed(1)}%` }
+        ]))
+    ));
+    // El patrón se crea en el SVG del mapa, que existe hasta que se agrega una capa vectorial
+    interAreaOverlapLayer.addTo(map);
+    ensureOverlapHatchPattern();
+}
+
+/**
+ * Descarga el reporte de superposiciones: hojas con los pares de áreas, los duplicados por capa y cada elemento repetido
+ */
+function exportInterAreaOverlapExcel(report) {
+    const workbook = XLSX.utils.book_new();
+
+    const overlapRows = [['Área A', 'Área B', 'Relación', 'Superficie (km²)', '% del área A', '% del área B']];
+    report.overlaps.forEach(o => {
+        overlapRows.push([o.area1, o.area2, describeOverlapRelation(o), Number(o.km2.toFixed(4)), Number(o.pct1.toFixed(2)), Number(o.pct2.toFixed(2))]);
+    });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(overlapRows), 'Superposiciones');
+
+    const layerRows = [
+        ['Áreas analizadas comparadas', report.duplicates.areaCount],
+        ['Población contada más de una vez', report.duplicates.population],
+        [],
+        ['Capa', 'Elementos en varias áreas', 'Conteos de más']
+    ];
+    report.duplicates.layers.forEach(layer => {
+        layerRows.push([getLayerDisplayName(layer.layerName), layer.items.length, layer.extraCounts]);
+    });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(layerRows), 'Duplicados por capa');
+
+    const itemRows = [['Capa', 'Elemento', 'Áreas', 'Número de áreas', 'Conteos de más', 'Población']];
+    report.duplicates.layers.forEach(layer => {
+        layer.items.forEach(item => {
+            itemRows.push([
+                getLayerDisplayName(layer.layerName),
+                getCatalogFeatureLabel(layer.layerName, item.feature.properties),
+                getGroupedAreaNames(item, report.duplicates.areas).join(', '),
+                item.areaIds.length,
+                item.areaIds.length - 1,
+                layer.layerName === 'localidades' ? getFeaturePopulation(item.feature.properties) : ''
+            ]);
+        });
+    });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(itemRows), 'Elementos repetidos');
+
+    const fileName = `superposiciones_areas_${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(workbook, fileName);
+    showAlert(`Reporte de superposiciones generado: ${fileName}`, 'success', 4000);
+}
+
+/**
+ * Descarga los polígonos de superposición como GeoJSON
+ */
+function exportInterAreaOverlapGeoJson(report) {
+    const collection = {
+        type: 'FeatureCollection',
+        features: report.overlaps.map(o => ({
+            type: 'Feature',
+            properties: { area_a: o.area1, area_b: o.area2, relacion: describeOverlapRelation(o), km2: Number(o.km2.toFixed(4)) },
+            geometry: o.geometry
+        }))
+    };
+    const blob = new Blob([JSON.stringify(collection)], { type: 'application/geo+json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `superposiciones_areas_${new Date().toISOString().split('T')[0]}.geojson`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Calcula las superposiciones entre áreas, las dibuja y muestra los elementos contados más de una vez
+ */
+async function openInterAreaOverlapReport() {
+    if (kmlLayers.size < 2) {
+        showAlert('Se necesitan al menos dos áreas para buscar superposiciones', 'info');
+        return;
+    }
+
+    let report;
+    try {
+        showPreloader();
+        updateProgress(30, 'Calculando superposiciones entre áreas...');
+        const overlaps = await checkInterAreaOverlaps();
+        updateProgress(70, 'Buscando elementos contados más de una vez...');
+        const analyzed = Array.from(kmlLayers.values()).filter(k => k.isAnalyzed && k.results);
+        report = { overlaps, duplicates: buildDuplicateCountReport(analyzed), date: new Date().toISOString() };
+        drawInterAreaOverlaps(overlaps);
+    } catch (error) {
+        console.error('Error calculando superposiciones:', error);
+        showAlert('Error al calcular las superposiciones entre áreas', 'danger');
+        return;
+    } finally {
+        hidePreloader();
+    }
+
+    const modalId = 'interAreaOverlapModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const overlapRows = report.overlaps.map(o => `
+        <tr>
+            <td>${o.area1}</td>
+            <td>${o.area2}</td>
+            <td class="small">${describeOverlapRelation(o)}</td>
+            <td class="text-end">${formatNumber(o.km2)}</td>
+            <td class="text-end">${o.pct1.toFixed(1)}%</td>
+            <td class="text-end">${o.pct2.toFixed(1)}%</td>
+        </tr>`).join('');
+    const duplicateRows = report.duplicates.layers.map(layer => `
+        <tr>
+            <td>${getLayerDisplayName(layer.layerName)}</td>
+            <td class="text-end">${formatNumber(layer.items.length)}</td>
+            <td class="text-end">${formatNumber(layer.extraCounts)}</td>
+            <td class="small">${layer.items.slice(0, 5).map(item => escapeHtml(getCatalogFeatureLabel(layer.layerName, item.feature.properties))).join(', ')}${layer.items.length > 5 ? '…' : ''}</td>
+        </tr>`).join('');
+
+    let duplicatesHtml;
+    if (report.duplicates.areaCount < 2) {
+        duplicatesHtml = '<p class="text-muted small mb-0">Analiza al menos dos áreas para detectar elementos contados más de una vez.</p>';
+    } else if (report.duplicates.layers.length === 0) {
+        duplicatesHtml = '<p class="text-muted small mb-0">Ningún elemento aparece en más de un área analizada.</p>';
+    } else {
+        duplicatesHtml = `
+            <p class="small mb-2">Población contada más de una vez: <strong>${formatNumber(report.duplicates.population)}</strong> hab. (población completa de cada localidad por cada área adicional)</p>
+            <table class="table table-sm table-bordered small mb-0">
+                <thead class="table-light"><tr><th>Capa</th><th class="text-end">En varias áreas</th><th class="text-end">Conteos de más</th><th>Ejemplos</th></tr></thead>
+                <tbody>${duplicateRows}</tbody>
+            </table>`;
+    }
+
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Superposiciones entre áreas</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    ${report.overlaps.length === 0
+                        ? '<p class="text-muted small">Las áreas cargadas no se superponen.</p>'
+                        : `<p class="small mb-2">Las superposiciones se dibujan en el mapa con relleno rayado.</p>
+                           <table class="table table-sm table-bordered small mb-3">
+                               <thead class="table-light"><tr><th>Área A</th><th>Área B</th><th>Relación</th><th class="text-end">km²</th><th class="text-end">% de A</th><th class="text-end">% de B</th></tr></thead>
+                               <tbody>${overlapRows}</tbody>
+                           </table>`}
+                    <h6>Elementos contados más de una vez</h6>
+                    ${duplicatesHtml}
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-outline-secondary me-auto" id="overlapClearMapBtn">Quitar del mapa</button>
+                    <button type="button" class="btn btn-outline-primary" id="overlapGeoJsonBtn" ${report.overlaps.length === 0 ? 'disabled' : ''}>GeoJSON</button>
+                    <button type="button" class="btn btn-success" id="overlapExcelBtn">Descargar Excel</button>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+
+    modalEl.querySelector('#overlapClearMapBtn').addEventListener('click', () => clearInterAreaOverlapLayer());
+    modalEl.querySelector('#overlapGeoJsonBtn').addEventListener('click', () => exportInterAreaOverlapGeoJson(report));
+    modalEl.querySelector('#overlapExcelBtn').addEventListener('click', () => exportInterAreaOverlapExcel(report));
+
+    new bootstrap.Modal(modalEl).show();
+}
+
+window.openInterAreaOverlapReport = openInterAreaOverlapReport;
+
+// ============================================================================
+// COMPARACIÓN ENTRE ÁREAS ALTERNATIVAS
+// ============================================================================
+
+/**
+ * Criterios de la clasificación de alternativas; en todos, un valor menor es preferible (menos afectación)
+ */
+const COMPARISON_CRITERIA = [
+    { key: 'area', label: 'Superficie (km²)', weight: 1, value: (k) => k.metrics?.area || 0 },
+    { key: 'population', label: 'Población', weight: 3, value: (k) => k.metrics?.totalPopulation || 0 },
+    { key: 'localities', label: 'Localidades', weight: 2, value: (k) => k.results?.localidades?.features?.length || 0 },
+    { key: 'elements', label: 'Elementos totales', weight: 1, value: (k) => k.metrics?.totalElements || 0 },
+    { key: 'sensitive', label: 'Elementos sensibles', weight: 3, value: (k) => getSensitiveLayers().reduce((sum, entry) => sum + (k.results?.[entry.id]?.features?.length || 0), 0) },
+    { key: 'exclusive', label: 'Elementos exclusivos', weight: 0, value: (k, comparison) => comparison.exclusiveCounts[k.id] || 0 },
+    { key: 'risk', label: 'Riesgo social (0-100)', weight: 2, value: (k) => Number((computeRiskScore(k)?.score || 0).toFixed(1)) }
+];
+
+/**
+ * Compara dos o más áreas analizadas: métricas, conteos por capa y elementos exclusivos o compartidos
+ * @returns {object} { areas, layerNames, grouped, exclusiveCounts, sharedCounts }
+ */
+function buildAreasComparison(areas) {
+    const grouped = groupFeaturesAcrossAreas(areas);
+    const layerNames = Object.keys(grouped).sort((a, b) => getLayerDisplayName(a).localeCompare(getLayerDisplayName(b), 'es'));
+    const exclusiveCounts = {};
+    const sharedCounts = {};
+    areas.forEach(k => { exclusiveCounts[k.id] = 0; });
+
+    Object.entries(grouped).forEach(([layerName, layer]) => {
+        sharedCounts[layerName] = layer.items.filter(item => item.areaIds.length === areas.length).length;
+        layer.items.forEach(item => {
+            if (item.areaIds.length !== 1) return;
+            if (item.areaIds[0] in exclusiveCounts) exclusiveCounts[item.areaIds[0]]++;
+        });
+    });
+
+    return { areas, layerNames, grouped, exclusiveCounts, sharedCounts };
+}
+
+/**
+ * Clasificación ponderada: cada criterio se normaliza entre el mínimo y el máximo de las alternativas
+ * (la mejor obtiene 1) y la puntuación es el promedio ponderado en escala 0-100
+ * @param {object} weights - { claveCriterio: peso }
+ * @returns {Array} [{ entry, score, values: { clave: valor } }] ordenado de mejor a peor
+ */
+function rankComparedAreas(comparison, weights) {
+    const criteria = COMPARISON_CRITERIA.filter(c => (weights[c.key] || 0) > 0);
+    const totalWeight = criteria.reduce((sum, c) => sum + weights[c.key], 0);
+    const rows = comparison.areas.map(entry => ({
+        entry,
+        values: Object.fromEntries(COMPARISON_CRITERIA.map(c => [c.key, c.value(entry, comparison)])),
+        score: 0
+    }));
+
+    criteria.forEach(c => {
+        const values = rows.map(row => row.values[c.key]);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        rows.forEach(row => {
+            const normalized = max > min ? (max - row.values[c.key]) / (max - min) : 1;
+            row.score += normalized * weights[c.key];
+        });
+    });
+    rows.forEach(row => { row.score = totalWeight > 0 ? row.score / totalWeight * 100 : 0; });
+    return rows.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Filas de métricas (una columna por alternativa)
+ */
+function buildComparisonMetricRows(comparison) {
+    const rows = [['Métrica', ...comparison.areas.map(k => k.name)]];
+    COMPARISON_CRITERIA.forEach(c => {
+        rows.push([c.label, ...comparison.areas.map(k => c.value(k, comparison))]);
+    });
+    rows.push(['Población sin prorrateo', ...comparison.areas.map(k => k.metrics?.rawPopulation ?? k.metrics?.totalPopulation ?? 0)]);
+    rows.push(['Densidad (hab/km²)', ...comparison.areas.map(k => Math.round(k.metrics?.populationDensity || 0))]);
+    rows.push(['Tipo de área', ...comparison.areas.map(k => INFLUENCE_RING_LABELS[k.metrics?.areaType] || 'Exacta')]);
+    // Aporte de cada componente a la puntuación de riesgo social
+    const risks = comparison.areas.map(k => computeRiskScore(k));
+    RISK_COMPONENTS.forEach((c, i) => {
+        rows.push([`Riesgo: ${c.label} (pts)`, ...risks.map(risk => risk ? Number(risk.components[i].contribution.toFixed(1)) : 0)]);
+    });
+    return rows;
+}
+
+/**
+ * Filas de conteos por capa, con la columna de elementos compartidos por todas las alternativas
+ */
+function buildComparisonLayerRows(comparison) {
+    const rows = [['Capa', ...comparison.areas.map(k => k.name), 'Compartidos por todas']];
+    comparison.layerNames.forEach(layerName => {
+        rows.push([
+            getLayerDisplayName(layerName),
+            ...comparison.areas.map(k => k.results?.[layerName]?.features?.length || 0),
+            comparison.sharedCounts[layerName] || 0
+        ]);
+    });
+    return rows;
+}
+
+/**
+ * Filas de elementos exclusivos de cada alternativa y compartidos
+ */
+function buildComparisonFeatureRows(comparison) {
+    const rows = [['Capa', 'Elemento', 'Presente en', 'Tipo']];
+    comparison.layerNames.forEach(layerName => {
+        comparison.grouped[layerName].items.forEach(item => {
+            let kind = 'Compartido (algunas)';
+            const names = getGroupedAreaNames(item, comparison.areas);
+            if (names.length === 1) kind = `Exclusivo de ${names[0]}`;
+            else if (names.length === comparison.areas.length) kind = 'Compartido (todas)';
+            rows.push([getLayerDisplayName(layerName), getCatalogFeatureLabel(layerName, item.feature.properties), names.join(', '), kind]);
+        });
+    });
+    return rows;
+}
+
+/**
+ * Tabla HTML a partir de filas (la primera es el encabezado); los números se alinean a la derecha
+ */
+function renderComparisonTable(rows) {
+    const cell = (value, tag) => {
+        const isNumber = typeof value === 'number';
+        return `<${tag}${isNumber ? ' class="text-end"' : ''}>${isNumber ? formatNumber(value) : value}</${tag}>`;
+    };
+    return `
+        <table class="table table-sm table-bordered small mb-3">
+            <thead class="table-light"><tr>${rows[0].map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.slice(1).map(row => `<tr>${row.map(v => cell(v, 'td')).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+}
+
+/**
+ * Filas del ranking con la puntuación y los valores de los criterios con peso
+ */
+function buildComparisonRankingRows(ranking, weights) {
+    const criteria = COMPARISON_CRITERIA.filter(c => (weights[c.key] || 0) > 0);
+    const rows = [['Lugar', 'Alternativa', 'Puntuación', ...criteria.map(c => `${c.label} (peso ${weights[c.key]})`)]];
+    ranking.forEach((row, index) => {
+        rows.push([index + 1, row.entry.name, Number(row.score.toFixed(1)), ...criteria.map(c => row.values[c.key])]);
+    });
+    return rows;
+}
+
+/**
+ * Exporta la comparación a Excel: ranking, métricas, capas y elementos exclusivos o compartidos
+ */
+function exportComparisonExcel(comparison, ranking, weights) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(buildComparisonRankingRows(ranking, weights)), 'Ranking');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(buildComparisonMetricRows(comparison)), 'Métricas');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(buildComparisonLayerRows(comparison)), 'Capas');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(buildComparisonFeatureRows(comparison)), 'Exclusivos y compartidos');
+
+    const fileName = `comparacion_areas_${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(workbook, fileName);
+    showAlert(`Comparación exportada: ${fileName}`, 'success', 4000);
+}
+
+/**
+ * Exporta la comparación a PDF (horizontal, para que quepan varias alternativas lado a lado)
+ */
+function exportComparisonPdf(comparison, ranking, weights) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('l', 'mm', 'a4');
+    const primaryColor = [124, 25, 70];
+    const secondaryColor = [25, 126, 116];
+    let yPos = 20;
+    const ensureSpace = (height = 7) => {
+        if (yPos + height <= 190) return;
+        pdf.addPage();
+        yPos = 20;
+    };
+    // Tabla simple: primera columna a la izquierda, el resto a la derecha en columnas de igual ancho
+    const drawTable = (title, rows) => {
+        ensureSpace(20);
+        pdf.setTextColor(...secondaryColor);
+        pdf.setFontSize(12);
+        pdf.text(title, 15, yPos);
+        yPos += 8;
+        pdf.setFontSize(8);
+        const firstWidth = 70;
+        const columnWidth = Math.min(40, (267 - firstWidth) / Math.max(1, rows[0].length - 1));
+        rows.forEach((row, index) => {
+            ensureSpace();
+            pdf.setTextColor(...(index === 0 ? primaryColor : [0, 0, 0]));
+            pdf.text(String(row[0]).substring(0, 45), 15, yPos);
+            row.slice(1).forEach((value, i) => {
+                const text = typeof value === 'number' ? formatNumber(value) : String(value).substring(0, 22);
+                pdf.text(text, 15 + firstWidth + (i + 1) * columnWidth, yPos, { align: 'right' });
+            });
+            yPos += 6;
+        });
+        yPos += 6;
+    };
+
+    pdf.setTextColor(...primaryColor);
+    pdf.setFontSize(18);
+    pdf.text('Comparación de alternativas', 15, yPos);
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(10);
+    yPos += 8;
+    pdf.text(`Fecha: ${new Date().toLocaleString('es-MX')} — En todos los criterios, un valor menor es preferible.`, 15, yPos);
+    yPos += 12;
+
+    drawTable('Ranking', buildComparisonRankingRows(ranking, weights).map(row => row.slice(0, 3)));
+    drawTable('Métricas', buildComparisonMetricRows(comparison));
+    drawTable('Elementos por capa', buildComparisonLayerRows(comparison));
+    drawTable('Elementos exclusivos por alternativa', [
+        ['Alternativa', 'Exclusivos'],
+        ...comparison.areas.map(k => [k.name, comparison.exclusiveCounts[k.id] || 0])
+    ]);
+
+    const pageCount = pdf.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+        pdf.setPage(i);
+        pdf.setTextColor(100, 100, 100);
+        pdf.setFontSize(8);
+        pdf.text('Geovisualizador Multi-Área v3 - Comparación de alternativas', 148, 203, { align: 'center' });
+        pdf.text(`Página ${i} de ${pageCount}`, 282, 203, { align: 'right' });
+    }
+
+    const fileName = `comparacion_areas_${new Date().toISOString().split('T')[0]}.pdf`;
+    pdf.save(fileName);
+    showAlert(`Comparación exportada: ${fileName}`, 'success', 4000);
+}
+
+/**
+ * Ventana de comparación entre alternativas: selección de áreas, pesos de los criterios,
+ * tablas lado a lado, ranking y exportación
+ */
+function openAreasComparison() {
+    const analyzed = Array.from(kmlLayers.values()).filter(k => k.isAnalyzed && k.results);
+    if (analyzed.length < 2) {
+        showAlert('Se necesitan al menos dos áreas analizadas para compararlas', 'info');
+        return;
+    }
+
+    const modalId = 'areasComparisonModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const areaChecks = analyzed.map(k => `
+        <div class="form-check form-check-inline">
+            <input class="form-check-input" type="checkbox" value="${k.id}" id="cmp-area-${k.id}" checked>
+            <label class="form-check-label small" for="cmp-area-${k.id}">${k.name}</label>
+        </div>`).join('');
+    const weightInputs = COMPARISON_CRITERIA.map(c => `
+        <div class="col-6 col-md-4 col-lg-2">
+            <label class="form-label small mb-0" for="cmp-weight-${c.key}">${c.label}</label>
+            <input type="number" class="form-control form-control-sm" id="cmp-weight-${c.key}" data-key="${c.key}" min="0" max="5" step="1" value="${c.weight}">
+        </div>`).join('');
+
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Comparación de alternativas</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <div class="mb-2">${areaChecks}</div>
+                    <p class="small text-muted mb-1">Pesos de la clasificación (0 excluye el criterio; en todos, un valor menor es preferible):</p>
+                    <div class="row g-2 mb-3">${weightInputs}</div>
+                    <div id="areasComparisonResult"></div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-outline-primary me-auto" id="cmpRunBtn">Actualizar comparación</button>
+                    <button type="button" class="btn btn-outline-danger" id="cmpPdfBtn">PDF</button>
+                    <button type="button" class="btn btn-success" id="cmpExcelBtn">Excel</button>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+
+    let current = null;
+    const render = () => {
+        const ids = Array.from(modalEl.querySelectorAll('.form-check-input:checked')).map(input => input.value);
+        if (ids.length < 2) {
+            showAlert('Elige al menos dos áreas', 'warning', 3000);
+            return false;
+        }
+        const weights = {};
+        modalEl.querySelectorAll('[data-key]').forEach(input => {
+            weights[input.dataset.key] = Math.max(0, Number(input.value) || 0);
+        });
+        const comparison = buildAreasComparison(ids.map(id => kmlLayers.get(id)));
+        const ranking = rankComparedAreas(comparison, weights);
+        current = { comparison, ranking, weights };
+
+        const exclusiveList = comparison.areas.map(k => {
+            const items = [];
+            comparison.layerNames.forEach(layerName => {
+                comparison.grouped[layerName].items
+                    .filter(item => item.areaIds.length === 1 && item.areaIds[0] === k.id)
+                    .forEach(item => items.push(`${escapeHtml(getCatalogFeatureLabel(layerName, item.feature.properties))} <span class="text-muted">(${getLayerDisplayName(layerName)})</span>`));
+            });
+            return `
+                <details class="mb-1">
+                    <summary class="small">${k.name}: ${formatNumber(items.length)} exclusivos</summary>
+                    <div class="small ps-3">${items.slice(0, 200).join('; ') || 'Ninguno'}${items.length > 200 ? '…' : ''}</div>
+                </details>`;
+        }).join('');
+
+        modalEl.querySelector('#areasComparisonResult').innerHTML = `
+            <h6>Ranking</h6>
+            ${renderComparisonTable(buildComparisonRankingRows(ranking, weights))}
+            <h6>Métricas</h6>
+            ${renderComparisonTable(buildComparisonMetricRows(comparison))}
+            <h6>Elementos por capa</h6>
+            ${renderComparisonTable(buildComparisonLayerRows(comparison))}
+            <h6>Elementos exclusivos de cada alternativa</h6>
+            ${exclusiveList}`;
+        return true;
+    };
+
+    modalEl.querySelector('#cmpRunBtn').addEventListener('click', render);
+    modalEl.querySelector('#cmpExcelBtn').addEventListener('click', () => {
+        if (render()) exportComparisonExcel(current.comparison, current.ranking, current.weights);
+    });
+    modalEl.querySelector('#cmpPdfBtn').addEventListener('click', () => {
+        if (render()) exportComparisonPdf(current.comparison, current.ranking, current.weights);
+    });
+
+    render();
+    new bootstrap.Modal(modalEl).show();
+}
+
+window.openAreasComparison = openAreasComparison;
+
+// ============================================================================
+// REGISTRO DE ACTORES Y SEGUIMIENTO DE CONSULTA
+// ============================================================================
+
+const STAKEHOLDER_STORAGE_KEY = 'geovisualizador.stakeholders';
+const STAKEHOLDER_STATUSES = ['Pendiente', 'Contactado', 'Reunión agendada', 'En consulta', 'Acuerdo alcanzado', 'No aplica'];
+/** Campos que el equipo captura por actor; se guardan en el navegador por clave de actor */
+const STAKEHOLDER_EDITABLE_FIELDS = [
+    { key: 'contact', label: 'Contacto' },
+    { key: 'role', label: 'Cargo' },
+    { key: 'phone', label: 'Teléfono' },
+    { key: 'email', label: 'Correo' },
+    { key: 'notes', label: 'Observaciones' },
+    { key: 'firstContactDate', label: 'Fecha de primer contacto', type: 'date' },
+    { key: 'nextAction', label: 'Próxima acción' },
+    { key: 'nextActionDate', label: 'Fecha de próxima acción', type: 'date' }
+];
+
+/**
+ * Datos capturados de los actores (contacto y estatus), por clave de actor
+ */
+function loadStakeholderEdits() {
+    try {
+        return JSON.parse(localStorage.getItem(STAKEHOLDER_STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+        console.warn('[DEBUG] Registro de actores guardado inválido:', error);
+        return {};
+    }
+}
+
+function saveStakeholderEdits(edits) {
+    try {
+        localStorage.setItem(STAKEHOLDER_STORAGE_KEY, JSON.stringify(edits));
+    } catch (error) {
+        console.warn('[DEBUG] No se pudo guardar el registro de actores:', error);
+    }
+}
+
+/**
+ * Actores que se derivan de los resultados de una capa: autoridades municipales, núcleos agrarios,
+ * comunidades indígenas y administraciones de ANP estatales
+ * @returns {Array} [{ key, type, name, idLabel, id, municipio, estado, note }]
+ */
+function getStakeholdersFromResults(results) {
+    const stakeholders = [];
+    const nameKey = (...parts) => parts.map(normalizeAdminName).join('|');
+
+    (results.municipios?.features || []).forEach(f => {
+        const p = f.properties || {};
+        const name = getCatalogFeatureLabel('municipios', p);
+        const id = String(p.CVEGEO || '');
+        stakeholders.push({
+            key: `municipio:${id || nameKey(p.NOM_ENT, name)}`,
+            type: 'Autoridad municipal',
+            name: `Ayuntamiento de ${name}`,
+            idLabel: 'CVEGEO', id,
+            municipio: name,
+            estado: p.NOM_ENT || p.ESTADO || '',
+            note: ''
+        });
+    });
+
+    (results.ran?.features || []).forEach(f => {
+        const p = f.properties || {};
+        const tipo = String(p.tipo || p.Tipo || p.TIPO || '').trim();
+        const id = String(p.Clv_Unica || p.CLV_UNICA || '');
+        stakeholders.push({
+            key: `ran:${id || nameKey(p.Estado, p.NOM_NUC)}`,
+            type: tipo ? `Núcleo agrario (${tipo})` : 'Núcleo agrario',
+            name: `Comisariado de ${getCatalogFeatureLabel('ran', p)}`,
+            idLabel: 'Clv_Unica', id,
+            municipio: p.Municipio || p.MUNICIPIO || '',
+            estado: p.Estado || p.ESTADO || '',
+            note: ''
+        });
+    });
+
+    // Comunidades indígenas: localidades del catálogo indígena y comunidades del atlas, unidas por CVEGEO
+    (results.loc_indigenas_datos?.features || []).forEach(f => {
+        const p = f.properties || {};
+        const id = String(p.cvegeo || p.CVEGEO || '');
+        stakeholders.push({
+            key: `indigena:${id || nameKey(p.ENTIDAD, p.MUNICIPIO, p.LOCALIDAD)}`,
+            type: 'Comunidad indígena',
+            name: getCatalogFeatureLabel('loc_indigenas_datos', p),
+            idLabel: 'CVEGEO', id,
+            municipio: p.MUNICIPIO || '',
+            estado: p.ENTIDAD || '',
+            note: [p.TIPOLOC_PI, getConsultationReasons(getIndigenousFigures(p)).join('; ')].filter(Boolean).join(' · ')
+        });
+    });
+    (results.atlas?.features || []).forEach(f => {
+        const p = f.properties || {};
+        const id = String(p.CVEGEO || '');
+        const name = getCatalogFeatureLabel('atlas', p);
+        stakeholders.push({
+            key: `indigena:${id || nameKey('', p.NOM_MUN || p.MUNICIPIO, name)}`,
+            type: 'Comunidad indígena',
+            name,
+            idLabel: 'CVEGEO', id,
+            municipio: p.NOM_MUN || p.MUNICIPIO || '',
+            estado: p.NOM_ENT || p.ESTADO || '',
+            note: getCatalogFieldValue(p, ATLAS_PEOPLE_FIELDS)
+        });
+    });
+
+    (results.anp_estatal?.features || []).forEach(f => {
+        const p = f.properties || {};
+        const name = getCatalogFeatureLabel('anp_estatal', p);
+        stakeholders.push({
+            key: `anp:${nameKey(p.ENTIDAD, name)}`,
+            type: 'Administración de ANP estatal',
+            name: `Administración de ${name}`,
+            idLabel: 'Nombre', id: name,
+            municipio: p.MUN_DEC || '',
+            estado: p.ENTIDAD || '',
+            note: [p.TIPO, p.CAT_DEC].filter(Boolean).join(' · ')
+        });
+    });
+
+    return stakeholders;
+}
+
+/**
+ * Registro deduplicado de actores de una o varias áreas, con las áreas donde aparece cada uno
+ * y los datos de contacto y estatus capturados
+ */
+function buildStakeholderRegister(areas) {
+    const edits = loadStakeholderEdits();
+    const register = new Map();
+    areas.forEach(k => {
+        getStakeholdersFromResults(k.results || {}).forEach(stakeholder => {
+            const existing = register.get(stakeholder.key);
+            if (existing) {
+                if (!existing.areas.includes(k.name)) existing.areas.push(k.name);
+                // Una comunidad en ambas capas completa con la otra los datos que le falten
+                ['municipio', 'estado', 'note'].forEach(field => {
+                    if (!existing[field] && stakeholder[field]) existing[field] = stakeholder[field];
+                });
+                return;
+            }
+            register.set(stakeholder.key, {
+                ...stakeholder,
+                areas: [k.name],
+                status: 'Pendiente',
+                ...(edits[stakeholder.key] || {})
+            });
+        });
+    });
+    const typeOrder = ['Autoridad municipal', 'Núcleo agrario', 'Comunidad indígena', 'Administración de ANP estatal'];
+    const rank = (type) => typeOrder.findIndex(prefix => type.startsWith(prefix));
+    return Array.from(register.values())
+        .sort((a, b) => rank(a.type) - rank(b.type) || a.estado.localeCompare(b.estado, 'es') || a.name.localeCompare(b.name, 'es'));
+}
+
+/**
+ * Exporta el registro como hoja de seguimiento de consulta (una fila por actor, columnas de captura y filtros)
+ */
+function exportStakeholderExcel(register, scopeLabel) {
+    const headers = ['No.', 'Tipo', 'Nombre', 'Clave', 'Tipo de clave', 'Municipio', 'Estado', 'Áreas', 'Observaciones del análisis',
+        ...STAKEHOLDER_EDITABLE_FIELDS.map(field => field.label), 'Estatus'];
+    const rows = [
+        ['REGISTRO DE ACTORES Y SEGUIMIENTO DE CONSULTA'],
+        ['Alcance', scopeLabel],
+        ['Fecha de generación', new Date().toLocaleString('es-MX')],
+        ['Estatus posibles', STAKEHOLDER_STATUSES.join(', ')],
+        [],
+        headers
+    ];
+    register.forEach((s, index) => {
+        rows.push([
+            index + 1, s.type, s.name, s.id, s.idLabel, s.municipio, s.estado, s.areas.join(', '), s.note,
+            ...STAKEHOLDER_EDITABLE_FIELDS.map(field => s[field.key] || ''),
+            s.status || 'Pendiente'
+        ]);
+    });
+
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    const headerRow = 5; // fila (base 0) de los encabezados
+    sheet['!cols'] = [6, 26, 36, 14, 12, 22, 18, 22, 30, 24, 20, 16, 26, 30, 16, 26, 16, 18].map(wch => ({ wch }));
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: headerRow, c: 0 }, e: { r: headerRow + register.length, c: headers.length - 1 } }) };
+
+    const summary = [['Tipo', 'Actores'], ...Object.entries(register.reduce((acc, s) => {
+        acc[s.type] = (acc[s.type] || 0) + 1;
+        return acc;
+    }, {}))];
+    summary.push([], ['Estatus', 'Actores']);
+    STAKEHOLDER_STATUSES.forEach(status => summary.push([status, register.filter(s => (s.status || 'Pendiente') === status).length]));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Seguimiento de consulta');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), 'Resumen');
+    const fileName = `registro_actores_${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(workbook, fileName);
+    showAlert(`Registro de actores exportado: ${fileName}`, 'success', 4000);
+}
+
+/**
+ * Ventana del registro de actores: alcance (todas las áreas analizadas o una), tabla con contacto
+ * y estatus editables (se guardan al escribir) y exportación a Excel
+ */
+function openStakeholderRegister() {
+    const analyzed = Array.from(kmlLayers.values()).filter(k => k.isAnalyzed && k.results);
+    if (analyzed.length === 0) {
+        showAlert('Analiza al menos un área para generar el registro de actores', 'info');
+        return;
+    }
+
+    const modalId = 'stakeholderRegisterModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const scopeOptions = ['<option value="">Todas las áreas analizadas</option>', ...analyzed.map(k => `<option value="${k.id}">${escapeHtml(k.name)}</option>`)].join('');
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-fullscreen-lg-down modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Registro de actores y consulta</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <div class="row g-2 align-items-end mb-2">
+                        <div class="col-md-5">
+                            <label class="form-label small mb-0" for="stakeholderScope">Alcance</label>
+                            <select id="stakeholderScope" class="form-select form-select-sm">${scopeOptions}</select>
+                        </div>
+                        <div class="col-md-7 small text-muted">Los datos de contacto y el estatus se guardan en este navegador y se conservan al volver a analizar.</div>
+                    </div>
+                    <div id="stakeholderTable"></div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cerrar</button>
+                    <button type="button" class="btn btn-success" id="stakeholderExcelBtn"><i class="bi bi-file-earmark-excel me-1"></i>Hoja de seguimiento</button>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+
+    const scopeSel = modalEl.querySelector('#stakeholderScope');
+    const getScope = () => {
+        const entry = scopeSel.value ? kmlLayers.get(scopeSel.value) : null;
+        return { areas: entry ? [entry] : analyzed, label: entry ? entry.name : 'Todas las áreas analizadas' };
+    };
+    let register = [];
+
+    const render = () => {
+        register = buildStakeholderRegister(getScope().areas);
+        const statusOptions = (current) => STAKEHOLDER_STATUSES.map(status => `<option${status === current ? ' selected' : ''}>${status}</option>`).join('');
+        const rows = register.map((s, index) => `
+            <tr data-index="${index}">
+                <td class="small">${escapeHtml(s.type)}</td>
+                <td class="small">${escapeHtml(s.name)}<div class="text-muted">${escapeHtml([s.municipio, s.estado].filter(Boolean).join(', '))}</div>${s.note ? `<div class="text-muted fst-italic">${escapeHtml(s.note)}</div>` : ''}</td>
+                <td class="small text-nowrap">${s.id ? `${s.idLabel}: ${escapeHtml(s.id)}` : '—'}</td>
+                ${STAKEHOLDER_EDITABLE_FIELDS.map(field => `<td><input type="${field.type || 'text'}" class="form-control form-control-sm" data-field="${field.key}" value="${escapeHtml(s[field.key] || '')}" aria-label="${field.label}"></td>`).join('')}
+                <td><select class="form-select form-select-sm" data-field="status" aria-label="Estatus">${statusOptions(s.status)}</select></td>
+            </tr>`).join('');
+        modalEl.querySelector('#stakeholderTable').innerHTML = register.length === 0
+            ? '<p class="text-muted small mb-0">No se encontraron municipios, núcleos agrarios, comunidades indígenas ni ANP estatales en el alcance elegido.</p>'
+            : `<p class="small mb-1">${formatNumber(register.length)} actores</p>
+               <table class="table table-sm table-bordered align-middle mb-0">
+                   <thead class="table-light"><tr><th>Tipo</th><th>Nombre</th><th>Clave</th>${STAKEHOLDER_EDITABLE_FIELDS.map(field => `<th>${field.label}</th>`).join('')}<th>Estatus</th></tr></thead>
+                   <tbody>${rows}</tbody>
+               </table>`;
+    };
+
+    // Cada cambio se guarda en el registro en memoria y en el navegador
+    const onEdit = (event) => {
+        const field = event.target.dataset.field;
+        const row = event.target.closest('tr[data-index]');
+        if (!field || !row) return;
+        const stakeholder = register[Number(row.dataset.index)];
+        stakeholder[field] = event.target.value;
+        const edits = loadStakeholderEdits();
+        edits[stakeholder.key] = { ...(edits[stakeholder.key] || {}), [field]: event.target.value };
+        saveStakeholderEdits(edits);
+    };
+    modalEl.querySelector('#stakeholderTable').addEventListener('change', onEdit);
+    scopeSel.addEventListener('change', render);
+    modalEl.querySelector('#stakeholderExcelBtn').addEventListener('click', () => exportStakeholderExcel(register, getScope().label));
+
+    render();
+    new bootstrap.Modal(modalEl).show();
+}
+
+window.openStakeholderRegister = openStakeholderRegister;
+
+// ============================================================================
+// PUNTUACIÓN DE RIESGO SOCIAL POR ÁREA
+// ============================================================================
+
+const RISK_MODEL_STORAGE_KEY = 'geovisualizador.riskModel';
+
+/** Suma del % del área de interés ocupado por los polígonos recortados de una capa (máximo 100) */
+function sumAreaShare(layerResult) {
+    const pct = (layerResult?.features || []).reduce((sum, f) => sum + (Number(f.properties?._pct_area) || 0), 0);
+    return Math.min(100, Number(pct.toFixed(2)));
+}
+
+/**
+ * Componentes del modelo de riesgo. Cada uno llega a su puntuación máxima (el peso) cuando el valor
+ * alcanza el umbral; debajo del umbral aporta en proporción
+ */
+const RISK_COMPONENTS = [
+    // Solo las localidades que alcanzan los umbrales de consulta (no todas las del catálogo que toca el área)
+    { key: 'indigenous', label: 'Localidades indígenas (umbral de consulta)', unit: 'localidades', weight: 3, threshold: 10, color: '#7C1946', value: (k) => k.metrics?.indigenous?.flagged?.length || 0 },
+    { key: 'ramsar', label: 'Superficie en sitios Ramsar', unit: '% del área', weight: 2, threshold: 10, color: '#197E74', value: (k) => sumAreaShare(k.results?.ramsar) },
+    { key: 'anp', label: 'Superficie en ANP estatal', unit: '% del área', weight: 2, threshold: 10, color: '#28a745', value: (k) => sumAreaShare(k.results?.anp_estatal) },
+    {
+        key: 'heritage', label: 'Sitios arqueológicos e históricos', unit: 'sitios', weight: 2, threshold: 5, color: '#C49A3E',
+        // Las zonas arqueológicas vienen como puntos y como áreas: se toma la capa con más elementos para no contarlas dos veces
+        value: (k) => Math.max(k.results?.za_publico?.features?.length || 0, k.results?.za_publico_a?.features?.length || 0)
+            + (k.results?.sitio_arqueologico?.features?.length || 0) + (k.results?.z_historicos?.features?.length || 0)
+    },
+    { key: 'density', label: 'Densidad de población', unit: 'hab/km²', weight: 1, threshold: 100, color: '#007bff', value: (k) => Number((k.metrics?.populationDensity || 0).toFixed(1)) }
+];
+
+const RISK_LEVELS = [
+    { key: 'high', label: 'Alto', color: '#dc3545' },
+    { key: 'medium', label: 'Medio', color: '#fd7e14' },
+    { key: 'low', label: 'Bajo', color: '#198754' }
+];
+
+function getDefaultRiskModel() {
+    return {
+        weights: Object.fromEntries(RISK_COMPONENTS.map(c => [c.key, c.weight])),
+        thresholds: Object.fromEntries(RISK_COMPONENTS.map(c => [c.key, c.threshold])),
+        levels: { medium: 35, high: 65 }
+    };
+}
+
+/**
+ * Modelo guardado en el navegador, completado con los valores predeterminados que falten
+ */
+function loadRiskModel() {
+    const model = getDefaultRiskModel();
+    try {
+        const saved = JSON.parse(localStorage.getItem(RISK_MODEL_STORAGE_KEY) || 'null');
+        if (saved) {
+            Object.assign(model.weights, saved.weights);
+            Object.assign(model.thresholds, saved.thresholds);
+            Object.assign(model.levels, saved.levels);
+        }
+    } catch (error) {
+        console.warn('[DEBUG] Modelo de riesgo guardado inválido:', error);
+    }
+    return model;
+}
+
+function saveRiskModel(model) {
+    try {
+        localStorage.setItem(RISK_MODEL_STORAGE_KEY, JSON.stringify(model));
+    } catch (error) {
+        console.warn('[DEBUG] No se pudo guardar el modelo de riesgo:', error);
+    }
+}
+
+function getRiskLevel(score, model) {
+    if (score >= model.levels.high) return RISK_LEVELS[0];
+    if (score >= model.levels.medium) return RISK_LEVELS[1];
+    return RISK_LEVELS[2];
+}
+
+/**
+ * Puntuación de riesgo social de un área analizada (0-100) con el aporte de cada componente;
+ * los aportes suman la puntuación
+ * @returns {object|null} { score, level, components: [{ key, label, unit, color, value, threshold, weight, contribution }] }
+ */
+function computeRiskScore(kmlEntry, model = loadRiskModel()) {
+    if (!kmlEntry || !kmlEntry.isAnalyzed || !kmlEntry.metrics) return null;
+    const totalWeight = RISK_COMPONENTS.reduce((sum, c) => sum + (model.weights[c.key] || 0), 0);
+    const components = RISK_COMPONENTS.map(c => {
+        const value = c.value(kmlEntry);
+        const weight = model.weights[c.key] || 0;
+        const threshold = model.thresholds[c.key];
+        const normalized = threshold > 0 ? Math.min(1, value / threshold) : (value > 0 ? 1 : 0);
+        return {
+            key: c.key, label: c.label, unit: c.unit, color: c.color,
+            value, threshold, weight,
+            contribution: totalWeight > 0 ? normalized * weight / totalWeight * 100 : 0
+        };
+    });
+    const score = components.reduce((sum, c) => sum + c.contribution, 0);
+    return { score, level: getRiskLevel(score, model), components };
+}
+
+/**
+ * Puntuación y barra de aportes para la lista de áreas
+ */
+function renderRiskScoreBadge(kmlEntry) {
+    const risk = computeRiskScore(kmlEntry);
+    if (!risk) return '';
+    const breakdown = risk.components
+        .map(c => `${c.label}: ${formatNumber(c.value)} ${c.unit} → ${c.contribution.toFixed(1)} pts`)
+        .join('\n');
+    const bars = risk.components
+        .filter(c => c.contribution > 0)
+        .map(c => `<div class="progress-bar" role="progressbar" style="width: ${c.contribution}%; background-color: ${c.color};" title="${c.label}: ${c.contribution.toFixed(1)} pts"></div>`)
+        .join('');
+    return `
+        <div class="mt-1 small" title="${breakdown}">
+            <span class="badge" style="background-color: ${risk.level.color};">Riesgo ${risk.score.toFixed(0)} · ${risk.level.label}</span>
+            <div class="progress mt-1" style="height: 6px;">${bars}</div>
+        </div>`;
+}
+
+/**
+ * Gráfica de puntuación de riesgo por área, apilada por componente
+ */
+function generateAreasRiskChart() {
+    const containerId = 'areasRiskChart';
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    const model = loadRiskModel();
+    const scored = Array.from(kmlLayers.values())
+        .map(k => ({ entry: k, risk: computeRiskScore(k, model) }))
+        .filter(item => item.risk);
+
+    if (scored.length === 0) {
+        container.innerHTML = '<div class="text-muted small">No hay áreas analizadas para puntuar.</div>';
+        return;
+    }
+
+    Highcharts.chart(containerId, {
+        chart: { type: 'bar', backgroundColor: 'transparent', style: { fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' } },
+        accessibility: { enabled: false }, title: { text: null },
+        xAxis: { categories: scored.map(item => item.entry.name.length > 15 ? item.entry.name.substring(0, 15) + '...' : item.entry.name), labels: { style: { color: '#333', fontSize: '10px' } } },
+        yAxis: {
+            min: 0, max: 100, title: { text: 'Puntuación de riesgo', style: { color: '#7C1946', fontWeight: 'bold' } },
+            plotLines: [
+                { value: model.levels.medium, color: RISK_LEVELS[1].color, dashStyle: 'Dash', width: 1 },
+                { value: model.levels.high, color: RISK_LEVELS[0].color, dashStyle: 'Dash', width: 1 }
+            ]
+        },
+        legend: { enabled: true, itemStyle: { fontSize: '10px' } },
+        tooltip: {
+            backgroundColor: 'rgba(255,255,255,0.95)', borderColor: '#7C1946', borderRadius: 8, shadow: true, style: { color: '#333' },
+            formatter: function () {
+                const { risk } = scored[this.point.index];
+                return `<b>${this.x}</b>: ${risk.score.toFixed(1)} (${risk.level.label})<br/>${this.series.name}: <b>${this.y.toFixed(1)} pts</b><br/><small>Haz clic para centrar</small>`;
+            }
+        },
+        plotOptions: {
+            series: {
+                stacking: 'normal', cursor: 'pointer',
+                point: { events: { click: function () { centerOnArea(scored[this.index].entry.id); } } }
+            }
+        },
+        series: RISK_COMPONENTS.map((c, i) => ({
+            name: c.label,
+            color: c.color,
+            data: scored.map(item => Number(item.risk.components[i].contribution.toFixed(2)))
+        })),
+        credits: { enabled: false }, exporting: { enabled: true, buttons: { contextButton: { menuItems: ['viewFullscreen', 'printChart', 'downloadPNG', 'downloadJPEG', 'downloadPDF', 'downloadSVG'] } } }
+    });
+}
+
+/**
+ * Filas de la hoja de riesgo: el modelo usado y una fila por área con valor y puntos de cada componente
+ */
+function buildRiskRows(areas, model = loadRiskModel()) {
+    const scored = areas.map(k => ({ entry: k, risk: computeRiskScore(k, model) })).filter(item => item.risk);
+    if (scored.length === 0) return [];
+    const rows = [
+        ['PUNTUACIÓN DE RIESGO SOCIAL'],
+        ['Niveles', `Medio desde ${model.levels.medium}`, `Alto desde ${model.levels.high}`],
+        [],
+        ['Componente', 'Unidad', 'Peso', 'Umbral (aporte máximo)'],
+        ...RISK_COMPONENTS.map(c => [c.label, c.unit, model.weights[c.key] || 0, model.thresholds[c.key]]),
+        [],
+        ['Área', 'Puntuación', 'Nivel', ...RISK_COMPONENTS.flatMap(c => [`${c.label} (${c.unit})`, `${c.label} (pts)`])]
+    ];
+    scored.forEach(({ entry, risk }) => {
+        rows.push([
+            entry.name || 'Área',
+            Number(risk.score.toFixed(1)),
+            risk.level.label,
+            ...risk.components.flatMap(c => [c.value, Number(c.contribution.toFixed(1))])
+        ]);
+    });
+    return rows;
+}
+
+/**
+ * Agrega la hoja "Riesgo social" con la puntuación de las áreas
+ */
+function appendRiskSheet(workbook, areas) {
+    const rows = buildRiskRows(areas);
+    if (rows.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Riesgo social');
+    }
+}
+
+/**
+ * Sección del PDF con la puntuación de riesgo de un área y el aporte de cada componente
+ */
+function addRiskPdfSection(pdf, kmlEntry, colors) {
+    const model = loadRiskModel();
+    const risk = computeRiskScore(kmlEntry, model);
+    if (!risk) return;
+
+    pdf.addPage();
+    let yPos = 30;
+    pdf.setTextColor(...colors.primary);
+    pdf.setFontSize(16);
+    pdf.text(`Puntuación de riesgo social: ${kmlEntry.name}`, 20, yPos);
+    yPos += 12;
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(12);
+    pdf.text(`Puntuación: ${risk.score.toFixed(1)} de 100 — Nivel ${risk.level.label}`, 20, yPos);
+    yPos += 7;
+    pdf.setFontSize(9);
+    pdf.text(`Niveles: medio desde ${model.levels.medium}, alto desde ${model.levels.high}. Cada componente aporta su peso completo al alcanzar el umbral.`, 20, yPos);
+    yPos += 12;
+
+    pdf.setFontSize(10);
+    pdf.setTextColor(...colors.secondary);
+    pdf.text('Componente', 20, yPos);
+    pdf.text('Valor', 115, yPos, { align: 'right' });
+    pdf.text('Umbral', 135, yPos, { align: 'right' });
+    pdf.text('Peso', 150, yPos, { align: 'right' });
+    pdf.text('Puntos', 190, yPos, { align: 'right' });
+    pdf.setTextColor(0, 0, 0);
+    yPos += 7;
+    const maxContribution = Math.max(...risk.components.map(c => c.contribution), 1);
+    risk.components.forEach(c => {
+        pdf.text(`${c.label} (${c.unit})`.substring(0, 48), 20, yPos);
+        pdf.text(formatNumber(c.value), 115, yPos, { align: 'right' });
+        pdf.text(formatNumber(c.threshold), 135, yPos, { align: 'right' });
+        pdf.text(String(c.weight), 150, yPos, { align: 'right' });
+        pdf.text(c.contribution.toFixed(1), 190, yPos, { align: 'right' });
+        // Barra proporcional al aporte del componente
+        const hex = c.color.replace('#', '');
+        pdf.setFillColor(parseInt(hex.substring(0, 2), 16), parseInt(hex.substring(2, 4), 16), parseInt(hex.substring(4, 6), 16));
+        if (c.contribution > 0) pdf.rect(155, yPos - 3, 22 * c.contribution / maxContribution, 3, 'F');
+        yPos += 7;
+    });
+}
+
+/**
+ * Editor del modelo de riesgo: pesos, umbrales y niveles; se guarda en el navegador y
+ * actualiza la lista de áreas y las gráficas
+ */
+function openRiskModelEditor() {
+    const modalId = 'riskModelModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const model = loadRiskModel();
+    const componentRows = RISK_COMPONENTS.map(c => `
+        <tr>
+            <td class="small"><span class="d-inline-block rounded-circle me-1" style="width:10px;height:10px;background:${c.color}"></span>${c.label}</td>
+            <td><input type="number" class="form-control form-control-sm" data-weight="${c.key}" min="0" max="10" step="1" value="${model.weights[c.key]}" aria-label="Peso de ${c.label}"></td>
+            <td>
+                <div class="input-group input-group-sm">
+                    <input type="number" class="form-control" data-threshold="${c.key}" min="0" step="any" value="${model.thresholds[c.key]}" aria-label="Umbral de ${c.label}">
+                    <span class="input-group-text">${c.unit}</span>
+                </div>
+            </td>
+        </tr>`).join('');
+
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-lg">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Modelo de puntuación de riesgo social</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <p class="small text-muted">Cada componente aporta su peso completo cuando el valor del área alcanza el umbral y una parte proporcional por debajo. La puntuación (0-100) es la suma de los aportes entre la suma de los pesos; peso 0 excluye el componente.</p>
+                    <table class="table table-sm align-middle">
+                        <thead class="table-light"><tr><th>Componente</th><th style="width: 90px;">Peso</th><th style="width: 210px;">Umbral</th></tr></thead>
+                        <tbody>${componentRows}</tbody>
+                    </table>
+                    <div class="row g-2">
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="riskLevelMedium">Nivel medio desde</label>
+                            <input type="number" class="form-control form-control-sm" id="riskLevelMedium" min="0" max="100" value="${model.levels.medium}">
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="riskLevelHigh">Nivel alto desde</label>
+                            <input type="number" class="form-control form-control-sm" id="riskLevelHigh" min="0" max="100" value="${model.levels.high}">
+                        </div>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-outline-secondary me-auto" id="riskModelResetBtn">Restablecer</button>
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
+                    <button type="button" class="btn btn-primary" id="riskModelSaveBtn">Guardar</button>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+    const modal = new bootstrap.Modal(modalEl);
+
+    const applyModel = (next) => {
+        saveRiskModel(next);
+        updateAreasList();
+        updateGlobalCharts();
+        modal.hide();
+    };
+
+    modalEl.querySelector('#riskModelResetBtn').addEventListener('click', () => {
+        applyModel(getDefaultRiskModel());
+        showAlert('Modelo de riesgo restablecido', 'info', 2500);
+    });
+    modalEl.querySelector('#riskModelSaveBtn').addEventListener('click', () => {
+        const next = { weights: {}, thresholds: {}, levels: {} };
+        modalEl.querySelectorAll('[data-weight]').forEach(input => {
+            next.weights[input.dataset.weight] = Math.max(0, Number(input.value) || 0);
+        });
+        modalEl.querySelectorAll('[data-threshold]').forEach(input => {
+            next.thresholds[input.dataset.threshold] = Math.max(0, Number(input.value) || 0);
+        });
+        next.levels.medium = Math.min(100, Math.max(0, Number(modalEl.querySelector('#riskLevelMedium').value) || 0));
+        next.levels.high = Math.min(100, Math.max(0, Number(modalEl.querySelector('#riskLevelHigh').value) || 0));
+        if (next.levels.high < next.levels.medium) {
+            showAlert('El nivel alto debe ser mayor o igual que el nivel medio', 'warning', 3000);
+            return;
+        }
+        if (Object.values(next.weights).every(weight => weight === 0)) {
+            showAlert('Al menos un componente debe tener peso mayor a 0', 'warning', 3000);
+            return;
+        }
+        applyModel(next);
+        showAlert('Modelo de riesgo guardado', 'success', 2500);
+    });
+
+    modal.show();
+}
+
+window.openRiskModelEditor = openRiskModelEditor;
+
+// ============================================================================
+// MOTOR DE INTERSECCIONES EN WEB WORKERS
+// ============================================================================
+
+const INTERSECTION_WORKER_URL = 'intersection-worker.js';
+/** Tiempo máximo para que un worker cargue Turf antes de usar el hilo principal */
+const INTERSECTION_WORKER_TIMEOUT_MS = 15000;
+/** Tamaño de lote del recorrido en el hilo principal (respaldo sin workers) */
+const MAIN_THREAD_BATCH_SIZE = 50;
+
+let intersectionPool = null; // Promise<{workers, pending}|null>, se crea al primer análisis
+let intersectionJobCounter = 0;
+let analysisCancelRequested = false;
+const intersectionLayerKeys = new WeakMap(); // arreglo de features -> clave de la capa en los workers
+let intersectionLayerCounter = 0;
+
+/**
+ * Error con el que se interrumpe un análisis cancelado por el usuario
+ */
+function createAnalysisCancelledError() {
+    const error = new Error('Análisis cancelado por el usuario');
+    error.cancelled = true;
+    return error;
+}
+
+function throwIfAnalysisCancelled() {
+    if (analysisCancelRequested) throw createAnalysisCancelledError();
+}
+
+/**
+ * Detiene el análisis en curso: termina los workers y rechaza los trabajos pendientes
+ */
+function cancelRunningAnalysis() {
+    analysisCancelRequested = true;
+    updateProgress(100, 'Cancelando análisis...');
+    terminateIntersectionPool(createAnalysisCancelledError());
+}
+
+/**
+ * Crea (una sola vez) el pool de workers; resuelve null si el navegador no los permite
+ */
+function getIntersectionPool() {
+    if (intersectionPool) return intersectionPool;
+
+    intersectionPool = new Promise(resolve => {
+        // Los navegadores bloquean workers desde file://; en ese caso se usa el hilo principal
+        if (typeof Worker === 'undefined' || location.protocol === 'file:') {
+            resolve(null);
+            return;
+        }
+
+        const size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        const url = window.APP_VERSION
+            ? `${INTERSECTION_WORKER_URL}?v=${encodeURIComponent(window.APP_VERSION)}`
+            : INTERSECTION_WORKER_URL;
+        const pool = { workers: [], pending: new Map() };
+        let settled = 0;
+        let resolved = false;
+
+        const finish = () => {
+            if (resolved || ++settled < size) return;
+            resolved = true;
+            clearTimeout(timer);
+            console.log(`[DEBUG] Pool de intersecciones: ${pool.workers.length}/${size} workers listos`);
+            resolve(pool.workers.length > 0 ? pool : null);
+        };
+        const timer = setTimeout(() => {
+            settled = size;
+            finish();
+        }, INTERSECTION_WORKER_TIMEOUT_MS);
+
+        for (let i = 0; i < size; i++) {
+            let worker;
+            try {
+                worker = new Worker(url);
+            } catch (error) {
+                console.warn('[DEBUG] No se pudo crear el worker de intersecciones:', error);
+                finish();
+                continue;
+            }
+            const entry = { worker, layers: new Map() };
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    // Los workers que llegan tarde se descartan: el reparto de capas depende del tamaño del pool
+                    if (resolved) {
+                        worker.terminate();
+                        return;
+                    }
+                    pool.workers.push(entry);
+                    finish();
+                    return;
+                }
+                if (data.type === 'fatal') {
+                    console.warn('[DEBUG] Worker de intersecciones sin Turf:', data.message);
+                    worker.terminate();
+                    finish();
+                    return;
+                }
+                const job = pool.pending.get(data.jobId);
+                if (!job) return;
+                if (data.type === 'progress') {
+                    job.onProgress(data.done);
+                } else if (data.type === 'result') {
+                    pool.pending.delete(data.jobId);
+                    job.resolve(data.indices);
+                } else if (data.type === 'error') {
+                    pool.pending.delete(data.jobId);
+                    job.reject(new Error(data.message));
+                }
+            };
+            worker.onerror = (event) => {
+                console.warn('[DEBUG] Error en worker de intersecciones:', event.message);
+                event.preventDefault();
+                if (!pool.workers.includes(entry)) {
+                    worker.terminate();
+                    finish();
+                    return;
+                }
+                // Un worker caído invalida las porciones de capas repartidas: se descarta el pool completo
+                terminateIntersectionPool(new Error(event.message || 'Error en worker de intersecciones'));
+            };
+        }
+    });
+    return intersectionPool;
+}
+
+/**
+ * Termina los workers y rechaza sus trabajos pendientes; el siguiente análisis crea un pool nuevo
+ */
+async function terminateIntersectionPool(reason) {
+    const poolPromise = intersectionPool;
+    intersectionPool = null;
+    const pool = poolPromise ? await poolPromise : null;
+    if (!pool) return;
+    pool.workers.forEach(entry => entry.worker.terminate());
+    pool.pending.forEach(job => job.reject(reason));
+    pool.pending.clear();
+}
+
+/**
+ * Reparte una capa entre los workers (solo la primera vez o si sus datos cambiaron)
+ * y devuelve, en el orden original, las features que intersectan el área.
+ * Con `candidates` (índices ascendentes del índice espacial) cada worker revisa solo los de su porción.
+ */
+async function intersectOnPool(pool, layerName, features, area, onProgress, candidates = null) {
+    if (!intersectionLayerKeys.has(features)) {
+        intersectionLayerKeys.set(features, `${layerName}_${++intersectionLayerCounter}`);
+    }
+    const layerKey = intersectionLayerKeys.get(features);
+    const chunkSize = Math.ceil(features.length / pool.workers.length);
+
+    const jobs = pool.workers.map((entry, index) => {
+        const previousKey = entry.layers.get(layerName);
+        if (previousKey !== layerKey) {
+            if (previousKey) entry.worker.postMessage({ type: 'drop', layerKey: previousKey });
+            const offset = index * chunkSize;
+            entry.worker.postMessage({ type: 'load', layerKey, offset, features: features.slice(offset, offset + chunkSize) });
+            entry.layers.set(layerName, layerKey);
+        }
+        let ownCandidates = null;
+        if (candidates) {
+            const start = index * chunkSize;
+            ownCandidates = candidates.filter(i => i >= start && i < start + chunkSize);
+            if (ownCandidates.length === 0) return Promise.resolve([]);
+        }
+        return new Promise((resolve, reject) => {
+            const jobId = ++intersectionJobCounter;
+            pool.pending.set(jobId, { resolve, reject, onProgress });
+            entry.worker.postMessage({ type: 'intersect', jobId, layerKey, area, candidates: ownCandidates });
+        });
+    });
+
+    // Cada worker tiene una porción contigua, así que concatenar conserva el orden de la capa
+    const indices = (await Promise.all(jobs)).flat();
+    return indices.map(i => features[i]);
+}
+
+/**
+ * Devuelve las features de una capa que intersectan el área, usando el pool de workers
+ * cuando está disponible y el hilo principal como respaldo.
+ * Si la capa tiene índice espacial, Turf solo evalúa las features cuyo bbox toca el del área.
+ * @param {object} T - instancia de Turf
+ * @param {string} layerName - clave de la capa
+ * @param {Array} features - features de la capa nacional
+ * @param {object} area - geometría de análisis
+ * @param {(done:number) => void} onProgress - recibe el número de features revisadas desde el último aviso
+ * @returns {Promise<Array>} features que intersectan, en el orden de la capa
+ */
+async function findIntersectingFeatures(T, layerName, features, area, onProgress = () => { }) {
+    throwIfAnalysisCancelled();
+    if (!features || features.length === 0) return [];
+
+    // Las features descartadas por bbox cuentan como revisadas para el avance
+    const candidates = querySpatialIndex(T, features, area);
+    if (candidates) {
+        onProgress(features.length - candidates.length);
+        if (candidates.length === 0) return [];
+    }
+
+    const pool = await getIntersectionPool();
+    throwIfAnalysisCancelled();
+    if (pool) {
+        try {
+            return await intersectOnPool(pool, layerName, features, area, onProgress, candidates);
+        } catch (error) {
+            if (error.cancelled) throw error;
+            console.warn(`[DEBUG] Intersección en workers falló para ${layerName}; se usa el hilo principal:`, error);
+        }
+    }
+
+    const pending = candidates ? candidates.map(i => features[i]) : features;
+    const found = [];
+    for (let i = 0; i < pending.length; i += MAIN_THREAD_BATCH_SIZE) {
+        throwIfAnalysisCancelled();
+        const batch = pending.slice(i, Math.min(i + MAIN_THREAD_BATCH_SIZE, pending.length));
+        for (const feature of batch) {
+            if (feature.geometry && T.booleanIntersects(feature, area)) {
+                found.push(feature);
+            }
+        }
+        onProgress(batch.length);
+
+        // Pequeña pausa para no bloquear la UI
+        if (i % (MAIN_THREAD_BATCH_SIZE * 4) === 0) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+        }
+    }
+    return found;
+}
+
+/**
+ * Aplica `transform` a las features en lotes, cediendo el hilo entre lotes y atendiendo la cancelación,
+ * para que el trabajo posterior a la intersección (recorte, posición, distancia) no congele la página
+ * @returns {Promise<Array>} features transformadas, en el mismo orden
+ */
+async function mapFeaturesInBatches(features, transform) {
+    const mapped = [];
+    for (let i = 0; i < features.length; i += MAIN_THREAD_BATCH_SIZE) {
+        throwIfAnalysisCancelled();
+        features.slice(i, i + MAIN_THREAD_BATCH_SIZE).forEach(feature => mapped.push(transform(feature)));
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    throwIfAnalysisCancelled();
+    return mapped;
+}
+
+// ============================================================================
+// CACHÉ LOCAL DE CAPAS NACIONALES (INDEXEDDB)
+// ============================================================================
+
+const LAYER_CACHE_DB = 'geovisualizador-capas';
+const LAYER_CACHE_DB_VERSION = 1;
+/**
+ * Manifiesto opcional con la versión de cada capa: { "<url>": "<versión>" }.
+ * Sin manifiesto, la versión se toma de los encabezados ETag / Last-Modified.
+ */
+const LAYER_VERSION_MANIFEST_URL = null;
+const LAYER_VERSION_TIMEOUT_MS = 8000;
+/** Vigencia de una copia cuya capa no publica versión (sin manifiesto, ETag ni Last-Modified) */
+const LAYER_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const LAYER_SIZE_SAMPLE = 50;
+
+let layerCacheDbPromise = null;
+let layerVersionManifest; // undefined: no consultado; null: no disponible
+
+/**
+ * Abre (una sola vez) la base IndexedDB; resuelve null si el navegador no la permite.
+ * Los datos y los metadatos van en almacenes separados para listar la caché sin leer las capas.
+ */
+function openLayerCacheDb() {
+    if (layerCacheDbPromise) return layerCacheDbPromise;
+    layerCacheDbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(LAYER_CACHE_DB, LAYER_CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('data')) db.createObjectStore('data');
+                if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'url' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[DEBUG] IndexedDB no disponible:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('[DEBUG] IndexedDB no disponible:', error);
+            resolve(null);
+        }
+    });
+    return layerCacheDbPromise;
+}
+
+/**
+ * Ejecuta una operación sobre los almacenes de la caché y resuelve con su resultado
+ */
+async function withLayerCacheStores(mode, operation) {
+    const db = await openLayerCacheDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['data', 'meta'], mode);
+        let result = null;
+        const request = operation(tx.objectStore('data'), tx.objectStore('meta'));
+        if (request) request.onsuccess = () => { result = request.result; };
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transacción de caché cancelada'));
+    });
+}
+
+function getCachedLayerMeta(url) {
+    return withLayerCacheStores('readonly', (data, meta) => meta.get(url));
+}
+
+function getCachedLayerData(url) {
+    return withLayerCacheStores('readonly', (data) => data.get(url));
+}
+
+/**
+ * Metadatos de todas las capas en caché (sin sus datos)
+ */
+async function listCachedLayers() {
+    return (await withLayerCacheStores('readonly', (data, meta) => meta.getAll())) || [];
+}
+
+function putCachedLayer(url, layerData, meta) {
+    return withLayerCacheStores('readwrite', (data, metaStore) => {
+        data.put(layerData, url);
+        metaStore.put({ ...meta, url });
+    });
+}
+
+function clearLayerCache() {
+    return withLayerCacheStores('readwrite', (data, meta) => {
+        data.clear();
+        meta.clear();
+    });
+}
+
+/**
+ * Versión publicada de una capa (manifiesto o encabezados HTTP) y su tamaño (Content-Length);
+ * cada dato es null si no se puede determinar
+ * @returns {Promise<{version:string|null, size:number|null}>}
+ */
+async function fetchLayerInfo(url) {
+    let manifestVersion = null;
+    if (LAYER_VERSION_MANIFEST_URL) {
+        if (layerVersionManifest === undefined) {
+            try {
+                const response = await fetch(LAYER_VERSION_MANIFEST_URL, { cache: 'no-cache' });
+                layerVersionManifest = response.ok ? await response.json() : null;
+            } catch (_) {
+                layerVersionManifest = null;
+            }
+        }
+        if (layerVersionManifest && layerVersionManifest[url]) manifestVersion = String(layerVersionManifest[url]);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), LAYER_VERSION_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-cache', signal: controller.signal });
+        if (!response.ok) return { version: manifestVersion, size: null };
+        const length = Number(response.headers.get('Content-Length'));
+        return {
+            version: manifestVersion || response.headers.get('ETag') || response.headers.get('Last-Modified') || null,
+            size: length > 0 ? length : null
+        };
+    } catch (_) {
+        return { version: manifestVersion, size: null };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Estimación del tamaño de una capa a partir de una muestra de sus elementos,
+ * para no serializar capas nacionales completas
+ */
+function estimateLayerSize(data) {
+    const items = Array.isArray(data) ? data : (data?.features || []);
+    if (items.length === 0) return 0;
+    const sample = items.slice(0, LAYER_SIZE_SAMPLE);
+    return Math.round(JSON.stringify(sample).length / sample.length * items.length);
+}
+
+/**
+ * Carga una capa priorizando la caché local.
+ * Sin `refreshStale` se usa la copia guardada si existe; con `refreshStale` solo se descarga
+ * si la versión publicada cambió (o, sin versión, si la copia venció), y ante un fallo de red se conserva la copia.
+ * @param {string} url - URL de la capa (clave de la caché)
+ * @param {string} name - nombre para mensajes y para el panel de caché
+ * @param {(url:string, name:string) => Promise<any>} download - función que descarga la capa
+ * @param {{refreshStale?:boolean, stats?:{cached:number, downloaded:number, failed:number}}} options
+ */
+async function loadLayerCacheFirst(url, name, download, options = {}) {
+    const stats = options.stats || { cached: 0, downloaded: 0, failed: 0 };
+    let meta = null;
+    try { meta = await getCachedLayerMeta(url); } catch (error) { console.warn(`[DEBUG] Caché ilegible para ${name}:`, error); }
+
+    if (meta) {
+        let useCache = !options.refreshStale;
+        if (options.refreshStale) {
+            const { version } = await fetchLayerInfo(url);
+            // Sin versión publicada, la copia vale hasta que vence su vigencia
+            useCache = version
+                ? version === meta.version
+                : Date.now() - new Date(meta.savedAt).getTime() < LAYER_CACHE_TTL_MS;
+        }
+        if (useCache) {
+            const cached = await getCachedLayerData(url).catch(() => null);
+            if (cached) {
+                stats.cached++;
+                console.log(`${name} cargado desde caché local (${meta.version || 'sin versión'})`);
+                return cached;
+            }
+        }
+    }
+
+    let data;
+    try {
+        data = await download(url, name);
+    } catch (error) {
+        // Sin conexión: la copia guardada es mejor que nada
+        const cached = meta ? await getCachedLayerData(url).catch(() => null) : null;
+        if (cached) {
+            stats.failed++;
+            console.warn(`${name}: descarga fallida, se usa la copia local del ${new Date(meta.savedAt).toLocaleString('es-MX')}`);
+            return cached;
+        }
+        throw error;
+    }
+    stats.downloaded++;
+
+    try {
+        const { version, size } = await fetchLayerInfo(url);
+        await putCachedLayer(url, data, {
+            name,
+            version,
+            savedAt: new Date().toISOString(),
+            size: size ?? estimateLayerSize(data),
+            count: Array.isArray(data) ? data.length : (data.features?.length || 0)
+        });
+    } catch (error) {
+        console.warn(`[DEBUG] No se pudo guardar ${name} en caché:`, error);
+    }
+    return data;
+}
+
+/**
+ * Tamaño legible (KB/MB) para el panel de caché
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${formatNumber(Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toLocaleString('es-MX', { maximumFractionDigits: 1 })} MB`;
+}
+
+/**
+ * Muestra el panel de caché: tamaño y fecha de actualización por capa, con opción de vaciarla
+ */
+async function openLayerCachePanel() {
+    const modalId = 'layerCacheModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const entries = (await listCachedLayers().catch(() => [])).sort((a, b) => a.name.localeCompare(b.name));
+    const total = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+    let quota = '';
+    try {
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            quota = `Espacio usado por el sitio: ${formatBytes(estimate.usage)} de ${formatBytes(estimate.quota)}`;
+        }
+    } catch (_) { /* navegador sin estimación */ }
+
+    const rows = entries.map(e => `
+        <tr>
+            <td>${e.name}</td>
+            <td class="text-end">${formatNumber(e.count)}</td>
+            <td class="text-end text-nowrap">${formatBytes(e.size)}</td>
+            <td class="text-nowrap">${new Date(e.savedAt).toLocaleString('es-MX')}</td>
+            <td class="small text-muted text-break">${e.version || '—'}</td>
+        </tr>`).join('');
+
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-lg modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Caché de capas sin conexión</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    ${entries.length === 0
+            ? '<p class="text-muted mb-0">No hay capas guardadas. Se guardarán al terminar la próxima carga de datos.</p>'
+            : `<table class="table table-sm table-bordered small mb-2">
+                            <thead class="table-light">
+                                <tr><th>Capa</th><th class="text-end">Registros</th><th class="text-end">Tamaño</th><th>Actualizada</th><th>Versión</th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                            <tfoot><tr><th>Total</th><th></th><th class="text-end text-nowrap">${formatBytes(total)}</th><th colspan="2"></th></tr></tfoot>
+                        </table>`}
+                    ${quota ? `<div class="form-text">${quota}</div>` : ''}
+                    <div class="form-text">"Recargar Datos" descarga solo las capas cuya versión publicada cambió.</div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-outline-danger me-auto" id="clearLayerCacheBtn" ${entries.length === 0 ? 'disabled' : ''}>Vaciar caché</button>
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cerrar</button>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+
+    const bsModal = new bootstrap.Modal(modalEl);
+    modalEl.querySelector('#clearLayerCacheBtn').addEventListener('click', async () => {
+        try {
+            await clearLayerCache();
+            showAlert('Caché de capas vaciada. La próxima carga descargará todo del servidor.', 'success', 3000);
+        } catch (error) {
+            console.error('Error vaciando caché:', error);
+            showAlert('No se pudo vaciar la caché de capas', 'danger');
+        }
+        bsModal.hide();
+    });
+    modalEl.addEventListener('hidden.bs.modal', () => modalEl.remove(), { once: true });
+    bsModal.show();
+}
+
+// ============================================================================
+// ÍNDICE ESPACIAL (R-TREE) DE LAS CAPAS NACIONALES
+// ============================================================================
+
+const spatialIndexes = new WeakMap(); // arreglo de features -> RBush con el bbox de cada feature
+
+/**
+ * Capas nacionales que se indexan al terminar la carga de datos
+ */
+function getIndexableLayers() {
+    return getAnalysisLayers().map(entry => [entry.name, getLayerData(entry.id)]);
+}
+
+/**
+ * Asigna a cada feature de las capas de análisis un id estable (su posición en la capa) en `_fid`.
+ * Va en la Feature, no en sus propiedades, para que sobreviva a las copias del análisis sin aparecer en reportes
+ */
+function assignFeatureIds() {
+    getAnalysisLayers().forEach(entry => {
+        const features = getLayerData(entry.id)?.features;
+        if (!Array.isArray(features)) return;
+        features.forEach((feature, index) => {
+            if (feature && feature._fid == null) feature._fid = index;
+        });
+    });
+}
+
+/**
+ * Construye un R-tree por capa con el bbox de cada feature. Si falla, el análisis recorre las capas completas.
+ */
+async function buildSpatialIndexes() {
+    try {
+        const T = await ensureTurf();
+        const RBush = await ensureRBush();
+        const started = performance.now();
+
+        for (const [name, data] of getIndexableLayers()) {
+            const features = data && data.features;
+            if (!Array.isArray(features) || spatialIndexes.has(features)) continue;
+
+            const items = [];
+            features.forEach((feature, index) => {
+                if (!feature || !feature.geometry) return;
+                try {
+                    const [minX, minY, maxX, maxY] = T.bbox(feature);
+                    items.push({ minX, minY, maxX, maxY, index });
+                } catch (_) { /* geometría sin coordenadas: nunca intersecta */ }
+            });
+            const tree = new RBush();
+            tree.load(items);
+            spatialIndexes.set(features, tree);
+            console.log(`[DEBUG] Índice espacial de ${name}: ${items.length} features`);
+
+            // Ceder el hilo entre capas para no congelar la UI
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        console.log(`[DEBUG] Índices espaciales listos en ${Math.round(performance.now() - started)} ms`);
+    } catch (error) {
+        console.warn('[DEBUG] No se pudieron construir los índices espaciales; se usará recorrido completo:', error);
+    }
+}
+
+/**
+ * Índices (en orden ascendente) de las features cuyo bbox toca el bbox del área, o null si la capa no está indexada
+ */
+function querySpatialIndex(T, features, area) {
+    const tree = spatialIndexes.get(features);
+    if (!tree) return null;
+    const [minX, minY, maxX, maxY] = T.bbox(area);
+    return tree.search({ minX, minY, maxX, maxY }).map(item => item.index).sort((a, b) => a - b);
+}
+
+// ============================================================================
+// RECORTE GEOMÉTRICO DE POLÍGONOS (SUPERFICIE INTERSECTADA)
+// ============================================================================
+
+const CLIP_REPORT_HEADERS = ['Superficie dentro (ha)', '% del elemento dentro', '% del área de interés'];
+
+/**
+ * Máscara de recorte: el área de análisis unida en una sola Feature, con su superficie en hectáreas
+ * @returns {{mask:object, ha:number}|null}
+ */
+function buildClipMask(T, area) {
+    const mask = dissolveAreaPolygons(T, area);
+    if (!mask) return null;
+    let ha = 0;
+    try { ha = T.area(mask) / 10000; } catch (_) { ha = 0; }
+    return { mask, ha };
+}
+
+/**
+ * Recorta una feature poligonal al área de análisis. La copia conserva solo la parte dentro del área y agrega
+ * _ha_total, _ha_dentro, _pct_elemento (% de la feature dentro) y _pct_area (% del área de interés que ocupa).
+ * Puntos y líneas se devuelven sin cambios; si solo toca el borde se conserva la geometría completa con 0 ha.
+ */
+function clipFeatureToArea(T, feature, clipMask) {
+    const type = feature && feature.geometry && feature.geometry.type;
+    if (!clipMask || (type !== 'Polygon' && type !== 'MultiPolygon')) return feature;
+
+    let totalHa = 0;
+    let clipped = null;
+    try {
+        totalHa = T.area(feature) / 10000;
+        clipped = T.intersect(feature, clipMask.mask);
+    } catch (error) {
+        console.warn('[DEBUG] No se pudo recortar la feature:', error);
+        return feature;
+    }
+    const clippedType = clipped && clipped.geometry && clipped.geometry.type;
+    const hasArea = clippedType === 'Polygon' || clippedType === 'MultiPolygon';
+    const insideHa = hasArea ? T.area(clipped) / 10000 : 0;
+
+    return {
+        ...feature,
+        geometry: hasArea ? clipped.geometry : feature.geometry,
+        properties: {
+            ...feature.properties,
+            _ha_total: Number(totalHa.toFixed(2)),
+            _ha_dentro: Number(insideHa.toFixed(2)),
+            _pct_elemento: totalHa > 0 ? Number(Math.min(100, insideHa / totalHa * 100).toFixed(2)) : 0,
+            _pct_area: clipMask.ha > 0 ? Number(Math.min(100, insideHa / clipMask.ha * 100).toFixed(2)) : 0
+        }
+    };
+}
+
+function hasClipData(properties) {
+    return !!properties && properties._ha_dentro != null;
+}
+
+/**
+ * Campos de popup con la superficie intersectada ([] si la feature no es poligonal)
+ */
+function getClipPopupFields(properties) {
+    if (!hasClipData(properties)) return [];
+    return [
+        { label: 'Superficie dentro', value: `${formatNumber(properties._ha_dentro)} ha de ${formatNumber(properties._ha_total)} ha` },
+        { label: '% del elemento dentro', value: `${properties._pct_elemento}%` },
+        { label: '% del área de interés', value: `${properties._pct_area}%` }
+    ];
+}
+
+/**
+ * Valor de una columna de CLIP_REPORT_HEADERS para los reportes
+ */
+function getClipColumnValue(feature, header) {
+    const p = (feature && feature.properties) || {};
+    if (!hasClipData(p)) return '';
+    switch (header) {
+        case CLIP_REPORT_HEADERS[0]: return p._ha_dentro;
+        case CLIP_REPORT_HEADERS[1]: return p._pct_elemento;
+        case CLIP_REPORT_HEADERS[2]: return p._pct_area;
+        default: return '';
+    }
+}
+
+/**
+ * Suma de hectáreas dentro del área para las features recortadas de una capa
+ */
+function sumClippedHectares(features) {
+    return Number((features || []).reduce((sum, f) => sum + (hasClipData(f.properties) ? f.properties._ha_dentro : 0), 0).toFixed(2));
+}
+
+// ============================================================================
+// PRORRATEO DE POBLACIÓN POR SUPERFICIE
+// ============================================================================
+
+const POPULATION_METHODS = {
+    completa: 'Población completa de cada localidad intersectada',
+    superficie: 'Prorrateo por superficie (población × % del polígono dentro del área)'
+};
+
+function getPopulationMethodLabel(method) {
+    return POPULATION_METHODS[method] || POPULATION_METHODS.completa;
+}
+
+/**
+ * Población total de una localidad según el censo (POBTOT o POBTOTAL)
+ */
+function getFeaturePopulation(properties) {
+    const p = properties || {};
+    return Number(p.POBTOT || p.POBTOTAL || 0) || 0;
+}
+
+/**
+ * Población prorrateada: los polígonos recortados aportan la parte proporcional a su superficie dentro del área;
+ * los puntos (sin superficie) cuentan completos
+ */
+function getApportionedPopulation(properties) {
+    const population = getFeaturePopulation(properties);
+    if (!hasClipData(properties)) return population;
+    return population * properties._pct_elemento / 100;
+}
+
+/**
+ * Suma la población de un conjunto de localidades con el método indicado ('completa' o 'superficie')
+ */
+function sumPopulation(features, method = 'completa') {
+    const getter = method === 'superficie' ? getApportionedPopulation : getFeaturePopulation;
+    const total = (features || []).reduce((sum, f) => sum + getter(f.properties), 0);
+    return method === 'superficie' ? Math.round(total) : total;
+}
+
+/**
+ * Texto de población para reportes: el total del método usado y, si hubo prorrateo, el total sin prorratear
+ */
+function describePopulation(metrics) {
+    const m = metrics || {};
+    if (m.populationMethod !== 'superficie') return `${formatNumber(m.totalPopulation || 0)} hab.`;
+    return `${formatNumber(m.apportionedPopulation || 0)} hab. prorrateados (${formatNumber(m.rawPopulation || 0)} sin prorrateo)`;
+}
+
+// ============================================================================
+// POSICIÓN DE CADA ELEMENTO RESPECTO AL POLÍGONO DEL PROYECTO
+// ============================================================================
+
+const CONTAINMENT_CLASSES = {
+    contenido: { label: 'Contenido', description: 'Totalmente dentro del polígono del proyecto', style: { weight: 3, dashArray: null } },
+    parcial: { label: 'Parcial', description: 'Cruza el límite del polígono del proyecto', style: { dashArray: '6, 4' } },
+    toca: { label: 'Toca el límite', description: 'Solo comparte borde o vértices con el polígono', style: { dashArray: '2, 4', fillOpacity: 0.05 } },
+    cercano: { label: 'Cercano', description: 'Fuera del polígono, a la distancia de cercanía indicada', style: { dashArray: '1, 6', opacity: 0.6, fillOpacity: 0.03 } },
+    entorno: { label: 'En anillo de influencia', description: 'Fuera del polígono, dentro de los anillos de influencia', style: { opacity: 0.7, fillOpacity: 0.05 } }
+};
+const CONTAINMENT_ORDER = ['contenido', 'parcial', 'toca', 'cercano', 'entorno'];
+
+function getContainmentLabel(key) {
+    return CONTAINMENT_CLASSES[key] ? CONTAINMENT_CLASSES[key].label : '';
+}
+
+/**
+ * Posición de una parte simple (punto, línea o polígono) respecto al proyecto:
+ * 'inside' | 'mixed' (parte dentro y parte fuera) | 'boundary' (solo el borde) | 'outside'
+ */
+function getPartContainment(T, part, project, projectParts) {
+    const type = part.geometry.type;
+    if (type === 'Point') {
+        if (T.booleanPointInPolygon(part, project, { ignoreBoundary: true })) return 'inside';
+        return T.booleanPointInPolygon(part, project) ? 'boundary' : 'outside';
+    }
+    if (type === 'LineString') {
+        // Se corta la línea en el límite y se revisa el punto medio de cada tramo
+        let hasInside = false;
+        let hasOutside = false;
+        projectParts.forEach(p => {
+            const split = T.lineSplit(part, p).features;
+            (split.length > 0 ? split : [part]).forEach(segment => {
+                const mid = T.along(segment, T.length(segment) / 2);
+                if (T.booleanPointInPolygon(mid, p, { ignoreBoundary: true })) hasInside = true;
+                else if (!T.booleanPointInPolygon(mid, project)) hasOutside = true;
+            });
+        });
+        if (hasInside) return hasOutside ? 'mixed' : 'inside';
+        return T.booleanIntersects(part, project) ? 'boundary' : 'outside';
+    }
+    // Polígonos: se compara la superficie de la intersección con la de la parte
+    const inter = T.intersect(part, project);
+    const interType = inter && inter.geometry && inter.geometry.type;
+    const interArea = (interType === 'Polygon' || interType === 'MultiPolygon') ? T.area(inter) : 0;
+    if (interArea > 0) return interArea >= T.area(part) * 0.999 ? 'inside' : 'mixed';
+    return T.booleanIntersects(part, project) ? 'boundary' : 'outside';
+}
+
+/**
+ * Posición de una feature poligonal a partir de su recorte al proyecto (% de su superficie dentro);
+ * solo si no queda superficie dentro se revisa si toca el borde. null si el recorte no tiene datos
+ */
+function getClippedContainment(T, feature, clipped, project) {
+    const p = clipped && clipped.properties;
+    if (!hasClipData(p)) return null;
+    if (p._pct_elemento >= 99.9) return 'inside';
+    if (p._ha_dentro > 0 || p._pct_elemento > 0) return 'mixed';
+    return T.booleanIntersects(feature, project) ? 'boundary' : 'outside';
+}
+
+/**
+ * Clasifica una feature como contenido, parcial, toca, cercano (dentro de nearZone) o entorno.
+ * Las features multiparte son contenidas solo si todas sus partes lo son.
+ * @param {object} context - { project, projectMask, projectParts, nearZone } de buildContainmentContext
+ * @param {object} [projectClip] - la feature ya recortada al proyecto (clipFeatureToArea), para no recortarla otra vez
+ * @returns {string|null} clave de CONTAINMENT_CLASSES (null si no se pudo evaluar)
+ */
+function classifyContainment(T, feature, context, projectClip = null) {
+    if (!context || !context.project || !feature || !feature.geometry) return null;
+    try {
+        const type = feature.geometry.type;
+        const clipped = (type === 'Polygon' || type === 'MultiPolygon')
+            ? getClippedContainment(T, feature, projectClip || clipFeatureToArea(T, feature, context.projectMask), context.project)
+            : null;
+        const states = clipped
+            ? [clipped]
+            : T.flatten(feature).features.map(part => getPartContainment(T, part, context.project, context.projectParts));
+        if (states.length === 0) return null;
+        if (states.every(s => s === 'inside')) return 'contenido';
+        if (states.some(s => s === 'inside' || s === 'mixed')) return 'parcial';
+        if (states.some(s => s === 'boundary')) return 'toca';
+        if (context.nearZone && T.booleanIntersects(feature, context.nearZone)) return 'cercano';
+        return 'entorno';
+    } catch (error) {
+        console.warn('[DEBUG] No se pudo clasificar la posición de la feature:', error);
+        return null;
+    }
+}
+
+/**
+ * Contexto de clasificación para un área: polígono del proyecto unido y, si nearMeters > 0, su zona de cercanía
+ */
+function buildContainmentContext(T, geoJson, nearMeters = 0) {
+    const projectMask = buildClipMask(T, geoJson);
+    if (!projectMask) return null;
+    const project = projectMask.mask;
+    let nearZone = null;
+    if (nearMeters > 0) {
+        try { nearZone = T.buffer(project, nearMeters / 1000, { units: 'kilometers' }); } catch (_) { nearZone = null; }
+    }
+    return { project, projectMask, projectParts: T.flatten(project).features, nearZone, nearMeters };
+}
+
+/**
+ * Envuelve las opciones de L.geoJSON para que el trazo refleje la posición de cada feature
+ */
+function withContainmentStyle(layerOptions) {
+    const baseStyle = layerOptions.style;
+    return {
+        ...layerOptions,
+        style: (feature) => {
+            const style = typeof baseStyle === 'function' ? baseStyle(feature) : { ...baseStyle };
+            const containment = CONTAINMENT_CLASSES[feature?.properties?._contencion];
+            return containment ? { ...style, ...containment.style } : style;
+        }
+    };
+}
+
+/**
+ * Conteo de features por clase de posición para todas las capas de un resultado
+ */
+function countContainment(results) {
+    const counts = {};
+    Object.values(results || {}).forEach(data => (data.features || []).forEach(f => {
+        const key = f.properties && f.properties._contencion;
+        if (key) counts[key] = (counts[key] || 0) + 1;
+    }));
+    return counts;
+}
+
+/**
+ * Texto "N contenidos, N parciales..." para paneles y reportes ('' si no hay clasificación)
+ */
+function describeContainmentCounts(counts) {
+    return CONTAINMENT_ORDER
+        .filter(key => counts && counts[key] > 0)
+        .map(key => `${getContainmentLabel(key)}: ${formatNumber(counts[key])}`)
+        .join(' · ');
+}
+
+/**
+ * Elementos cercanos que quedan fuera del área analizada (la búsqueda se amplió hasta nearMeters).
+ * Se reportan aparte: no entran en los totales, la población ni las síntesis del área
+ * @returns {object|null} { meters, totalElements, population, layers: { capa: { features, count, displayName } } }
+ */
+function buildNearbySummary(nearResults, nearMeters) {
+    const layerNames = Object.keys(nearResults || {});
+    if (layerNames.length === 0) return null;
+    return {
+        meters: nearMeters,
+        totalElements: layerNames.reduce((sum, layerName) => sum + nearResults[layerName].features.length, 0),
+        population: sumPopulation(nearResults.localidades?.features, 'completa'),
+        layers: nearResults
+    };
+}
+
+/**
+ * Tabla del panel con los elementos cercanos fuera del área
+ */
+function renderNearbySummary(nearby) {
+    if (!nearby) return '';
+    const rows = Object.entries(nearby.layers).map(([layerName, data]) => `
+        <tr>
+            <td>${getLayerDisplayName(layerName)}</td>
+            <td class="text-end">${formatNumber(data.features.length)}</td>
+            <td>${data.features.slice(0, 10).map(f => escapeHtml(getCatalogFeatureLabel(layerName, f.properties))).join(', ')}${data.features.length > 10 ? '…' : ''}</td>
+        </tr>`).join('');
+    return `
+        <div class="small fw-bold mt-2">Cercanos fuera del área (hasta ${formatNumber(nearby.meters)} m): ${formatNumber(nearby.totalElements)} elementos${nearby.population ? `, ${formatNumber(nearby.population)} hab.` : ''}</div>
+        <table class="table table-sm table-bordered mb-0 small">
+            <thead class="table-light"><tr><th>Capa</th><th class="text-end">Elementos</th><th>Nombres</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+/**
+ * Filas de los elementos cercanos fuera del área ([] si no hay)
+ */
+function buildNearbyRows(metrics) {
+    const nearby = metrics && metrics.nearby;
+    if (!nearby) return [];
+    const rows = [
+        ['Distancia de cercanía (m)', nearby.meters],
+        ['Elementos cercanos fuera del área', nearby.totalElements],
+        ['Población de localidades cercanas (no incluida en el área)', nearby.population],
+        [],
+        ['Capa', 'Elemento', 'Distancia al proyecto (km)', 'Población']
+    ];
+    Object.entries(nearby.layers).forEach(([layerName, data]) => {
+        data.features.forEach(f => {
+            const p = f.properties || {};
+            rows.push([
+                getLayerDisplayName(layerName),
+                getCatalogFeatureLabel(layerName, p),
+                p._dist_km != null ? p._dist_km : '',
+                layerName === 'localidades' ? getFeaturePopulation(p) : ''
+            ]);
+        });
+    });
+    return rows;
+}
+
+/**
+ * Agrega la hoja "Cercanos" con un bloque por área
+ */
+function appendNearbySheet(workbook, areas) {
+    const sheet = [];
+    areas.forEach(k => {
+        const rows = buildNearbyRows(k.metrics);
+        if (rows.length === 0) return;
+        if (sheet.length > 0) sheet.push([]);
+        sheet.push([`ÁREA: ${k.name || 'Área'}`], ...rows);
+    });
+    if (sheet.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet), 'Cercanos');
+    }
+}
+
+/**
+ * Sección del PDF con los elementos cercanos fuera de un área
+ */
+function addNearbyPdfSection(pdf, kmlEntry, colors) {
+    const nearby = kmlEntry.metrics && kmlEntry.metrics.nearby;
+    if (!nearby) return;
+
+    pdf.addPage();
+    let yPos = 30;
+    pdf.setTextColor(...colors.primary);
+    pdf.setFontSize(16);
+    pdf.text(`Elementos cercanos fuera del área: ${kmlEntry.name}`, 20, yPos);
+    yPos += 10;
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(10);
+    pdf.text(`Hasta ${formatNumber(nearby.meters)} m del proyecto: ${formatNumber(nearby.totalElements)} elementos y ${formatNumber(nearby.population)} hab. (no incluidos en los totales del área)`, 20, yPos);
+    yPos += 10;
+
+    Object.entries(nearby.layers).forEach(([layerName, data]) => {
+        if (yPos > 262) { pdf.addPage(); yPos = 25; }
+        pdf.setTextColor(...colors.secondary);
+        pdf.text(`${getLayerDisplayName(layerName)} (${formatNumber(data.features.length)})`, 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        yPos += 6;
+        data.features.forEach(f => {
+            if (yPos > 270) { pdf.addPage(); yPos = 25; }
+            const p = f.properties || {};
+            const distance = p._dist_km != null ? ` — ${formatNumber(p._dist_km)} km` : '';
+            pdf.text(`${String(getCatalogFeatureLabel(layerName, p)).substring(0, 60)}${distance}`, 25, yPos);
+            yPos += 6;
+        });
+        yPos += 2;
+    });
+}
+
+// ============================================================================
+// DISTANCIA GEODÉSICA AL PROYECTO (GEOMETRÍA ORIGINAL, SIN BUFFER)
+// ============================================================================
+
+/** Capas a las que se mide la distancia: localidades, comunidades del atlas y sitios arqueológicos o históricos */
+const DISTANCE_LAYER_IDS = ['localidades', 'atlas', 'za_publico', 'za_publico_a', 'sitio_arqueologico', 'z_historicos'];
+/** Límites superiores (km) de las bandas de distancia; la última banda es abierta */
+const DISTANCE_BANDS_KM = [0, 0.5, 1, 2, 5, 10];
+/** Radio (km) por defecto alrededor de la huella en el que se buscan localidades y sitios para medir su distancia */
+const DISTANCE_SEARCH_DEFAULT_KM = 10;
+/** Vértices máximos por geometría al buscar la distancia mínima (se muestrean si hay más) */
+const DISTANCE_MAX_VERTICES = 500;
+const DISTANCE_REPORT_HEADERS = ['Distancia al proyecto (km)', 'Distancia al límite (km)'];
+
+function sampleCoords(coords, max = DISTANCE_MAX_VERTICES) {
+    if (coords.length <= max) return coords;
+    const step = Math.ceil(coords.length / max);
+    return coords.filter((_, i) => i % step === 0);
+}
+
+/**
+ * Contornos (LineString) de una feature: bordes de polígonos y las propias líneas
+ */
+function getOutlineParts(T, feature) {
+    const lines = [];
+    T.flatten(feature).features.forEach(part => {
+        const type = part.geometry.type;
+        if (type === 'LineString') lines.push(part);
+        if (type === 'Polygon') part.geometry.coordinates.forEach(ring => lines.push(T.lineString(ring)));
+    });
+    return lines;
+}
+
+/**
+ * Huella del proyecto para medir distancias: la geometría original del área o, en corredores, el eje subido
+ */
+function buildDistanceFootprint(T, kmlEntry) {
+    const source = (kmlEntry.corridor && kmlEntry.corridor.centerline) || kmlEntry.geoJson;
+    if (!source) return null;
+    const collection = source.type === 'FeatureCollection' ? source : T.featureCollection([source]);
+    const features = collection.features.filter(f => f && f.geometry);
+    if (features.length === 0) return null;
+    return {
+        source: T.featureCollection(features),
+        lines: features.flatMap(f => getOutlineParts(T, f)),
+        points: features.flatMap(f => T.flatten(f).features.filter(part => part.geometry.type === 'Point')),
+        vertices: sampleCoords(T.coordAll(T.featureCollection(features)))
+    };
+}
+
+/**
+ * Distancia geodésica mínima (km) entre una feature y los contornos y puntos de la huella.
+ * Entre polilíneas que no se cruzan el mínimo está en un vértice de alguna de las dos, por eso se revisan ambos sentidos.
+ */
+function getMinDistanceToFootprint(T, feature, footprint) {
+    const options = { units: 'kilometers' };
+    let min = Infinity;
+    sampleCoords(T.coordAll(feature)).forEach(coord => {
+        const point = T.point(coord);
+        footprint.lines.forEach(line => { min = Math.min(min, T.pointToLineDistance(point, line, options)); });
+        footprint.points.forEach(p => { min = Math.min(min, T.distance(point, p, options)); });
+    });
+    const outline = getOutlineParts(T, feature);
+    if (outline.length > 0) {
+        footprint.vertices.forEach(coord => {
+            const point = T.point(coord);
+            outline.forEach(line => { min = Math.min(min, T.pointToLineDistance(point, line, options)); });
+        });
+    }
+    return min;
+}
+
+/**
+ * Distancia al proyecto (0 si lo toca) y, para lo que queda dentro, distancia al límite del proyecto
+ * @returns {{distKm:number, edgeKm:number|null}|null}
+ */
+function measureDistanceToProject(T, feature, footprint) {
+    if (!footprint || !feature || !feature.geometry) return null;
+    try {
+        const distance = getMinDistanceToFootprint(T, feature, footprint);
+        if (!T.booleanIntersects(feature, footprint.source)) {
+            return { distKm: Number(distance.toFixed(3)), edgeKm: null };
+        }
+        // Dentro o en contacto: si cruza el límite la distancia al límite es 0
+        const outline = getOutlineParts(T, feature);
+        const crossesEdge = outline.some(line => footprint.lines.some(edge => T.booleanIntersects(line, edge)));
+        return { distKm: 0, edgeKm: crossesEdge ? 0 : Number(distance.toFixed(3)) };
+    } catch (error) {
+        console.warn('[DEBUG] No se pudo medir la distancia al proyecto:', error);
+        return null;
+    }
+}
+
+function getDistanceBandLabel(index) {
+    if (index === 0) return 'Dentro o en contacto';
+    if (index >= DISTANCE_BANDS_KM.length) return `Más de ${DISTANCE_BANDS_KM[DISTANCE_BANDS_KM.length - 1]} km`;
+    return `${DISTANCE_BANDS_KM[index - 1]} – ${DISTANCE_BANDS_KM[index]} km`;
+}
+
+function getDistanceBandIndex(distKm) {
+    const index = DISTANCE_BANDS_KM.findIndex(limit => distKm <= limit);
+    return index < 0 ? DISTANCE_BANDS_KM.length : index;
+}
+
+/**
+ * Localidades y sitios a menos de radiusKm de la huella, con su distancia al proyecto.
+ * Los que ya trae el análisis (dentro del área o cercanos) se reutilizan con sus etiquetas; el resto se
+ * busca en las capas nacionales y se mide aparte, sin agregarlo a los resultados ni al mapa
+ * @param {object} measured - { capa: features[] } ya etiquetadas con _dist_km
+ * @param {(feature:object) => object} tagDistance - copia la feature con _dist_km y _dist_borde_km
+ * @returns {Promise<object>} { capa: { features } } con la forma de los resultados
+ */
+async function collectDistanceFeatures(T, footprint, radiusKm, selectedLayers, measured, tagDistance) {
+    const collected = {};
+    DISTANCE_LAYER_IDS.forEach(layerName => {
+        const features = (measured[layerName] || []).filter(f => f.properties._dist_km != null);
+        if (features.length > 0) collected[layerName] = { features };
+    });
+    if (!footprint || !(radiusKm > 0)) return collected;
+
+    let zone;
+    try {
+        zone = T.buffer(footprint.source, radiusKm, { units: 'kilometers' });
+    } catch (error) {
+        console.warn('[DEBUG] No se pudo generar el radio de búsqueda de distancias:', error);
+        return collected;
+    }
+
+    for (const layerName of DISTANCE_LAYER_IDS) {
+        let candidates = [];
+        if (layerName === 'localidades') {
+            // Misma unificación que el análisis: los puntos con polígono encontrado se descartan
+            const polygons = selectedLayers.localidades
+                ? await findIntersectingFeatures(T, 'localidades', getLayerData('localidades')?.features, zone)
+                : [];
+            const polygonCVEGEOs = new Set(polygons.map(f => f.properties.CVEGEO));
+            const points = selectedLayers.localidades_puntos
+                ? (await findIntersectingFeatures(T, 'localidades_puntos', getLayerData('localidades_puntos')?.features, zone))
+                    .filter(f => !polygonCVEGEOs.has(f.properties.CVEGEO))
+                : [];
+            candidates = [
+                ...polygons.map(f => ({ ...f, properties: { ...f.properties, _source: 'polygon' } })),
+                ...points.map(f => ({ ...f, properties: { ...f.properties, _source: 'point' } }))
+            ];
+        } else if (selectedLayers[layerName]) {
+            candidates = await findIntersectingFeatures(T, layerName, getLayerData(layerName)?.features, zone);
+        }
+
+        // Las localidades se identifican por CVEGEO para no contar dos veces el polígono y el punto
+        const identity = (f) => (layerName === 'localidades' && f.properties.CVEGEO) || getFeatureIdentity(layerName, f);
+        const known = new Set((measured[layerName] || []).map(identity));
+        const extra = (await mapFeaturesInBatches(candidates.filter(f => !known.has(identity(f))), tagDistance))
+            .filter(f => f.properties._dist_km != null);
+        if (extra.length > 0) {
+            collected[layerName] = { features: [...(collected[layerName]?.features || []), ...extra] };
+        }
+    }
+    return collected;
+}
+
+/**
+ * Métricas de distancia de un análisis: conteos por banda y capa, población por banda,
+ * curva de población acumulada contra distancia (un punto por distancia distinta) y
+ * la distancia de cada elemento medido
+ */
+function buildDistanceMetrics(results, populationMethod = 'completa', radiusKm = 0) {
+    const bands = Array.from({ length: DISTANCE_BANDS_KM.length + 1 }, (_, index) => ({
+        label: getDistanceBandLabel(index), layers: {}, population: 0
+    }));
+    let measured = 0;
+    DISTANCE_LAYER_IDS.forEach(layerName => {
+        (results[layerName]?.features || []).forEach(f => {
+            if (f.properties._dist_km == null) return;
+            const band = bands[getDistanceBandIndex(f.properties._dist_km)];
+            band.layers[layerName] = (band.layers[layerName] || 0) + 1;
+            if (layerName === 'localidades') band.population += sumPopulation([f], populationMethod);
+            measured++;
+        });
+    });
+    if (measured === 0) return null;
+
+    const localities = (results.localidades?.features || [])
+        .filter(f => f.properties._dist_km != null)
+        .sort((a, b) => a.properties._dist_km - b.properties._dist_km);
+    const curve = [];
+    let cumulative = 0;
+    localities.forEach(f => {
+        cumulative += sumPopulation([f], populationMethod);
+        const km = f.properties._dist_km;
+        if (curve.length > 0 && curve[curve.length - 1][0] === km) curve[curve.length - 1][1] = cumulative;
+        else curve.push([km, cumulative]);
+    });
+
+    const items = DISTANCE_LAYER_IDS.flatMap(layerName => (results[layerName]?.features || [])
+        .filter(f => f.properties._dist_km != null)
+        .map(f => ({
+            layerName,
+            label: getCatalogFeatureLabel(layerName, f.properties),
+            distKm: f.properties._dist_km,
+            edgeKm: f.properties._dist_borde_km,
+            population: layerName === 'localidades' ? getFeaturePopulation(f.properties) : null
+        })))
+        .sort((a, b) => a.distKm - b.distKm);
+    return { radiusKm, bands, curve, items };
+}
+
+/**
+ * Texto del radio de búsqueda de distancias ('' en análisis guardados sin ese dato)
+ */
+function describeDistanceRadius(distance) {
+    return distance && distance.radiusKm > 0 ? `búsqueda hasta ${formatNumber(distance.radiusKm)} km` : '';
+}
+
+/**
+ * Valor de una columna de DISTANCE_REPORT_HEADERS para los reportes
+ */
+function getDistanceColumnValue(feature, header) {
+    const p = (feature && feature.properties) || {};
+    const value = header === DISTANCE_REPORT_HEADERS[0] ? p._dist_km : p._dist_borde_km;
+    return value != null ? value : '';
+}
+
+/**
+ * Filas del desglose por banda de distancia para Excel ([] si no hay distancias)
+ */
+function buildDistanceRows(metrics) {
+    const distance = metrics && metrics.distance;
+    if (!distance) return [];
+    const layerNames = DISTANCE_LAYER_IDS.filter(id => distance.bands.some(band => band.layers[id]));
+    const radius = describeDistanceRadius(distance);
+    const rows = [[`Banda de distancia${radius ? ` (${radius})` : ''}`, 'Población', ...layerNames.map(getLayerDisplayName)]];
+    distance.bands.forEach(band => rows.push([band.label, band.population, ...layerNames.map(id => band.layers[id] || 0)]));
+    return rows;
+}
+
+/**
+ * Filas de la curva de población acumulada contra distancia para Excel
+ */
+function buildDistanceCurveRows(metrics) {
+    const curve = metrics && metrics.distance && metrics.distance.curve;
+    if (!curve || curve.length === 0) return [];
+    return [['Distancia al proyecto (km)', 'Población acumulada'], ...curve.map(([km, population]) => [km, population])];
+}
+
+/**
+ * Filas con la distancia de cada localidad y sitio medido, de la más cercana a la más lejana
+ */
+function buildDistanceItemRows(metrics) {
+    const items = metrics && metrics.distance && metrics.distance.items;
+    if (!items || items.length === 0) return [];
+    return [
+        ['Capa', 'Elemento', ...DISTANCE_REPORT_HEADERS, 'Población'],
+        ...items.map(item => [
+            getLayerDisplayName(item.layerName),
+            item.label,
+            item.distKm,
+            item.edgeKm != null ? item.edgeKm : '',
+            item.population != null ? item.population : ''
+        ])
+    ];
+}
+
+/**
+ * Tabla HTML de bandas de distancia para el panel de resultados ('' sin datos)
+ */
+function renderDistanceSummary(distance) {
+    if (!distance) return '';
+    const layerNames = DISTANCE_LAYER_IDS.filter(id => distance.bands.some(band => band.layers[id]));
+    const rows = distance.bands
+        .filter(band => Object.keys(band.layers).length > 0)
+        .map(band => `
+        <tr>
+            <td class="text-nowrap">${band.label}</td>
+            <td class="text-end">${formatNumber(band.population)}</td>
+            ${layerNames.map(id => `<td class="text-end">${formatNumber(band.layers[id] || 0)}</td>`).join('')}
+        </tr>`).join('');
+    return `
+        <table class="table table-sm table-bordered mt-2 mb-0 small">
+            <thead class="table-light">
+                <tr><th>Distancia al proyecto${describeDistanceRadius(distance) ? ` <span class="fw-normal text-muted">(${describeDistanceRadius(distance)})</span>` : ''}</th><th class="text-end">Población</th>${layerNames.map(id => `<th class="text-end">${getLayerDisplayName(id)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${distance.curve.length > 1 ? '<div id="distanceCurveChart" style="height:220px;"></div>' : ''}`;
+}
+
+/**
+ * Curva de población acumulada contra distancia al proyecto
+ */
+function renderDistanceCurveChart(containerId, distance) {
+    const container = document.getElementById(containerId);
+    if (!container || !distance || distance.curve.length < 2) return;
+    Highcharts.chart(container, {
+        chart: { type: 'area', backgroundColor: 'transparent', style: { fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' } },
+        accessibility: { enabled: false }, title: { text: 'Población acumulada por distancia', style: { fontSize: '12px' } },
+        credits: { enabled: false }, legend: { enabled: false },
+        xAxis: { title: { text: 'Distancia al proyecto (km)' }, min: 0 },
+        yAxis: { title: { text: 'Habitantes' }, min: 0 },
+        tooltip: { formatter: function () { return `Hasta ${this.x.toLocaleString('es-MX')} km: <b>${this.y.toLocaleString('es-MX')}</b> hab.`; } },
+        series: [{ name: 'Población acumulada', data: distance.curve, step: 'left', color: '#197E74', fillOpacity: 0.2 }]
+    });
+}
+
+// ============================================================================
+// DESGLOSE ADMINISTRATIVO (ESTADO, MUNICIPIO Y NÚCLEO AGRARIO)
+// ============================================================================
+
+const ADMINISTRATIVE_LEVELS = [
+    { key: 'estados', label: 'Estado' },
+    { key: 'municipios', label: 'Municipio' },
+    { key: 'nucleos', label: 'Núcleo agrario' }
+];
+
+const ADMINISTRATIVE_HEADERS = ['Nivel', 'Clave', 'Nombre', 'Estado', 'Superficie (km²)', '% del área', 'Localidades', 'Población'];
+
+function normalizeAdminName(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toUpperCase();
+}
+
+/**
+ * Divide el área analizada por estado, municipio y núcleo agrario (RAN): superficie dentro, % del área,
+ * localidades y población de cada unidad. La superficie sale del recorte de los polígonos; las localidades
+ * se asignan al municipio por CVEGEO (o por nombre) y al núcleo agrario por ubicación.
+ * @returns {object|null} { estados, municipios, nucleos } con filas { key, name, estado, km2, pct, localities, population }
+ */
+function buildAdministrativeBreakdown(T, results, populationMethod) {
+    const localities = results.localidades?.features || [];
+    const municipios = new Map();
+    const municipiosByName = new Map();
+    const nameKey = (estado, municipio) => `${normalizeAdminName(estado)}|${normalizeAdminName(municipio)}`;
+
+    (results.municipios?.features || []).forEach(f => {
+        const p = f.properties || {};
+        const cvegeo = String(p.CVEGEO || '');
+        const estado = p.NOM_ENT || p.ESTADO || '';
+        const name = getCatalogFeatureLabel('municipios', p);
+        const unit = {
+            key: cvegeo || nameKey(estado, name),
+            name,
+            estadoKey: cvegeo ? cvegeo.slice(0, 2) : normalizeAdminName(estado),
+            estado,
+            km2: hasClipData(p) ? p._ha_dentro / 100 : null,
+            pct: hasClipData(p) ? p._pct_area : null,
+            features: []
+        };
+        municipios.set(unit.key, unit);
+        municipiosByName.set(nameKey(estado, name), unit);
+    });
+
+    // Localidades a su municipio; si el municipio no está en los resultados se agrega sin superficie
+    localities.forEach(f => {
+        const p = f.properties || {};
+        const cvegeo = String(p.CVEGEO || '');
+        const estado = p.NOM_ENT || p.ESTADO || '';
+        const municipio = p.NOM_MUN || p.MUNICIPIO || '';
+        let unit = (cvegeo.length >= 5 && municipios.get(cvegeo.slice(0, 5))) || municipiosByName.get(nameKey(estado, municipio));
+        if (!unit) {
+            const key = cvegeo.length >= 5 ? cvegeo.slice(0, 5) : nameKey(estado, municipio);
+            unit = {
+                key,
+                name: municipio || 'Sin municipio',
+                estadoKey: cvegeo.length >= 2 ? cvegeo.slice(0, 2) : normalizeAdminName(estado),
+                estado,
+                km2: null,
+                pct: null,
+                features: []
+            };
+            municipios.set(key, unit);
+            municipiosByName.set(nameKey(estado, municipio), unit);
+        }
+        unit.features.push(f);
+    });
+
+    const estados = new Map();
+    municipios.forEach(unit => {
+        const estado = estados.get(unit.estadoKey) || { key: unit.estadoKey, name: unit.estado || 'Sin estado', estado: '', km2: null, pct: null, features: [] };
+        if (!estado.name || estado.name === 'Sin estado') estado.name = unit.estado || 'Sin estado';
+        if (unit.km2 != null) {
+            estado.km2 = (estado.km2 || 0) + unit.km2;
+            estado.pct = (estado.pct || 0) + unit.pct;
+        }
+        estado.features.push(...unit.features);
+        estados.set(unit.estadoKey, estado);
+    });
+
+    // Núcleos agrarios: una localidad cuenta en el núcleo que contiene su punto representativo
+    const localityPoints = localities.map(f => {
+        try { return f.geometry.type === 'Point' ? f : T.pointOnFeature(f); } catch (_) { return null; }
+    });
+    const nucleos = (results.ran?.features || []).map(f => {
+        const p = f.properties || {};
+        const inside = [];
+        localityPoints.forEach((point, i) => {
+            try {
+                if (point && T.booleanPointInPolygon(point, f)) inside.push(localities[i]);
+            } catch (_) { /* geometría inválida: la localidad no se asigna */ }
+        });
+        return {
+            key: p.Clv_Unica || p.CLV_UNICA || '',
+            name: getCatalogFeatureLabel('ran', p),
+            estado: p.Estado || p.ESTADO || '',
+            km2: hasClipData(p) ? p._ha_dentro / 100 : null,
+            pct: hasClipData(p) ? p._pct_area : null,
+            features: inside
+        };
+    });
+
+    // Filas finales sin las features (se guardan en las métricas y en el historial de corridas)
+    const finish = (units) => units
+        .map(({ features, estadoKey, ...unit }) => ({
+            ...unit,
+            km2: unit.km2 != null ? Number(unit.km2.toFixed(4)) : null,
+            pct: unit.pct != null ? Number(unit.pct.toFixed(2)) : null,
+            localities: features.length,
+            population: sumPopulation(features, populationMethod)
+        }))
+        .sort((a, b) => (b.km2 ?? -1) - (a.km2 ?? -1) || b.population - a.population);
+
+    const breakdown = {
+        estados: finish(Array.from(estados.values())),
+        municipios: finish(Array.from(municipios.values())),
+        nucleos: finish(nucleos)
+    };
+    return ADMINISTRATIVE_LEVELS.some(level => breakdown[level.key].length > 0) ? breakdown : null;
+}
+
+/**
+ * Filas del desglose administrativo de un área ([] si no hay)
+ */
+function buildAdministrativeRows(metrics) {
+    const breakdown = metrics && metrics.administrative;
+    if (!breakdown) return [];
+    const rows = [ADMINISTRATIVE_HEADERS];
+    ADMINISTRATIVE_LEVELS.forEach(level => {
+        breakdown[level.key].forEach(unit => {
+            rows.push([level.label, unit.key, unit.name, unit.estado, unit.km2 ?? '', unit.pct ?? '', unit.localities, unit.population]);
+        });
+    });
+    return rows;
+}
+
+/**
+ * Agrega la hoja "Desglose administrativo" con una columna 'Área' para varias áreas
+ */
+function appendAdministrativeSheet(workbook, areas) {
+    const sheet = [];
+    areas.forEach(k => {
+        const rows = buildAdministrativeRows(k.metrics);
+        if (rows.length === 0) return;
+        if (sheet.length === 0) sheet.push(['Área', ...rows[0]]);
+        rows.slice(1).forEach(row => sheet.push([k.name || 'Área', ...row]));
+    });
+    if (sheet.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet), 'Desglose administrativo');
+    }
+}
+
+/**
+ * Sección del PDF con el desglose administrativo de un área; empieza en una página nueva y agrega
+ * páginas cuando la tabla no cabe
+ */
+function addAdministrativePdfSection(pdf, kmlEntry, colors) {
+    const breakdown = kmlEntry.metrics && kmlEntry.metrics.administrative;
+    if (!breakdown) return;
+
+    pdf.addPage();
+    let yPos = 30;
+    const ensureSpace = (height = 6) => {
+        if (yPos + height <= 270) return;
+        pdf.addPage();
+        yPos = 25;
+    };
+
+    pdf.setTextColor(...colors.primary);
+    pdf.setFontSize(16);
+    pdf.text(`Desglose administrativo: ${kmlEntry.name}`, 20, yPos);
+    yPos += 8;
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(9);
+    pdf.text(`Población: ${getPopulationMethodLabel(kmlEntry.metrics.populationMethod)}. Las unidades sin superficie no están en las capas de polígonos analizadas.`, 20, yPos);
+    yPos += 10;
+
+    ADMINISTRATIVE_LEVELS.forEach(level => {
+        const units = breakdown[level.key];
+        if (units.length === 0) return;
+        ensureSpace(20);
+        pdf.setFontSize(12);
+        pdf.setTextColor(...colors.secondary);
+        pdf.text(`${level.label} (${units.length})`, 20, yPos);
+        yPos += 7;
+        pdf.setFontSize(8);
+        pdf.text('Nombre', 22, yPos);
+        pdf.text('Estado', 90, yPos);
+        pdf.text('km²', 140, yPos, { align: 'right' });
+        pdf.text('% área', 157, yPos, { align: 'right' });
+        pdf.text('Localidades', 176, yPos, { align: 'right' });
+        pdf.text('Población', 195, yPos, { align: 'right' });
+        pdf.setTextColor(0, 0, 0);
+        yPos += 5;
+        units.forEach(unit => {
+            ensureSpace();
+            pdf.text(String(unit.name).substring(0, 38), 22, yPos);
+            pdf.text(String(unit.estado || '').substring(0, 26), 90, yPos);
+            pdf.text(unit.km2 != null ? formatNumber(unit.km2) : '—', 140, yPos, { align: 'right' });
+            pdf.text(unit.pct != null ? `${unit.pct}%` : '—', 157, yPos, { align: 'right' });
+            pdf.text(formatNumber(unit.localities), 176, yPos, { align: 'right' });
+            pdf.text(formatNumber(unit.population), 195, yPos, { align: 'right' });
+            yPos += 5;
+        });
+        yPos += 6;
+    });
+}
+
+// ============================================================================
+// INDICADORES DEMOGRÁFICOS (LOCALIDADES DATOS ADICIONALES)
+// ============================================================================
+
+/**
+ * Indicadores que se suman por área a partir de los campos del censo (ITER) unidos a las localidades
+ */
+const DEMOGRAPHIC_INDICATORS = [
+    { key: 'POBTOT', label: 'Población total', group: 'Sexo', fields: ['POBTOT', 'POBTOTAL'] },
+    { key: 'POBFEM', label: 'Mujeres', group: 'Sexo' },
+    { key: 'POBMAS', label: 'Hombres', group: 'Sexo' },
+    { key: 'P_0A2', label: '0 a 2 años', group: 'Edad' },
+    { key: 'P_3A5', label: '3 a 5 años', group: 'Edad' },
+    { key: 'P_6A11', label: '6 a 11 años', group: 'Edad' },
+    { key: 'P_12A14', label: '12 a 14 años', group: 'Edad' },
+    { key: 'P_15A17', label: '15 a 17 años', group: 'Edad' },
+    { key: 'P_18A24', label: '18 a 24 años', group: 'Edad' },
+    { key: 'P_18YMAS', label: '18 años y más', group: 'Edad' },
+    { key: 'P_60YMAS', label: '60 años y más', group: 'Edad' },
+    { key: 'TOTHOG', label: 'Hogares', group: 'Hogares' },
+    { key: 'HOGJEF_F', label: 'Hogares con jefa de familia', group: 'Hogares' },
+    { key: 'HOGJEF_M', label: 'Hogares con jefe de familia', group: 'Hogares' },
+    { key: 'POBHOG', label: 'Población en hogares', group: 'Hogares' },
+    { key: 'VIVTOT', label: 'Viviendas', group: 'Hogares' },
+    { key: 'TVIVHAB', label: 'Viviendas habitadas', group: 'Hogares' }
+];
+
+const DEMOGRAPHIC_DEFAULT_KEYS = ['POBTOT', 'POBFEM', 'POBMAS', 'P_0A2', 'P_3A5', 'P_6A11', 'P_12A14', 'P_15A17', 'P_18A24', 'P_60YMAS', 'TOTHOG', 'HOGJEF_F'];
+const DEMOGRAPHIC_STORAGE_KEY = 'geovisualizador.demographicIndicators';
+
+/**
+ * Grupos de edad de la pirámide; el de 25 a 59 años se obtiene restando de 18 y más los grupos vecinos
+ */
+const POPULATION_PYRAMID_BANDS = [
+    { label: '0-2', field: 'P_0A2' },
+    { label: '3-5', field: 'P_3A5' },
+    { label: '6-11', field: 'P_6A11' },
+    { label: '12-14', field: 'P_12A14' },
+    { label: '15-17', field: 'P_15A17' },
+    { label: '18-24', field: 'P_18A24' },
+    { label: '25-59', field: 'P_18YMAS', minus: ['P_18A24', 'P_60YMAS'] },
+    { label: '60+', field: 'P_60YMAS' }
+];
+
+/** Localidades con esta población o más se consideran urbanas cuando no traen AMBITO (criterio INEGI) */
+const URBAN_POPULATION_THRESHOLD = 2500;
+
+/**
+ * Valor numérico de un campo del censo; null si falta o está reservado ('*', 'N/D')
+ */
+function parseIndicatorValue(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Propiedades de una localidad con sus datos tabulares; los puntos no se enriquecen al cargar,
+ * así que se completan con el índice por CVEGEO
+ */
+function getLocalityRecord(properties) {
+    const p = properties || {};
+    const extra = p.CVEGEO != null ? localityDataLookupMap.get(String(p.CVEGEO).trim()) : null;
+    return extra ? { ...extra, ...p } : p;
+}
+
+function getLocalityAmbito(record) {
+    const ambito = normalizeAdminName(record.AMBITO);
+    if (ambito.startsWith('URB')) return 'Urbana';
+    if (ambito.startsWith('RUR')) return 'Rural';
+    return getFeaturePopulation(record) >= URBAN_POPULATION_THRESHOLD ? 'Urbana' : 'Rural';
+}
+
+/**
+ * Suma los indicadores demográficos de las localidades de un área. Con el método 'superficie'
+ * los polígonos aportan la parte proporcional a su superficie dentro, igual que la población.
+ * @returns {object} { totals, missing, pyramid: [{label, female, male}], ambito, localities, populationMethod }
+ */
+function buildDemographicIndicators(features, populationMethod) {
+    const totals = {};
+    const missing = {};
+    DEMOGRAPHIC_INDICATORS.forEach(indicator => { totals[indicator.key] = 0; missing[indicator.key] = 0; });
+    const pyramid = POPULATION_PYRAMID_BANDS.map(band => ({ label: band.label, female: 0, male: 0 }));
+    const ambito = { Urbana: { localities: 0, population: 0 }, Rural: { localities: 0, population: 0 } };
+
+    (features || []).forEach(f => {
+        const record = getLocalityRecord(f.properties);
+        const factor = populationMethod === 'superficie' && hasClipData(f.properties) ? f.properties._pct_elemento / 100 : 1;
+
+        DEMOGRAPHIC_INDICATORS.forEach(indicator => {
+            const value = parseIndicatorValue(getCatalogFieldValue(record, indicator.fields || [indicator.key], null));
+            if (value === null) missing[indicator.key]++;
+            else totals[indicator.key] += value * factor;
+        });
+
+        POPULATION_PYRAMID_BANDS.forEach((band, i) => {
+            ['F', 'M'].forEach(sex => {
+                const base = parseIndicatorValue(record[`${band.field}_${sex}`]);
+                if (base === null) return;
+                const rest = (band.minus || []).map(field => parseIndicatorValue(record[`${field}_${sex}`]));
+                if (rest.includes(null)) return;
+                const value = Math.max(0, base - rest.reduce((sum, n) => sum + n, 0)) * factor;
+                pyramid[i][sex === 'F' ? 'female' : 'male'] += value;
+            });
+        });
+
+        const group = ambito[getLocalityAmbito(record)];
+        group.localities++;
+        group.population += getFeaturePopulation(record) * factor;
+    });
+
+    Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key]); });
+    pyramid.forEach(band => { band.female = Math.round(band.female); band.male = Math.round(band.male); });
+    Object.values(ambito).forEach(group => { group.population = Math.round(group.population); });
+
+    return { totals, missing, pyramid, ambito, localities: (features || []).length, populationMethod };
+}
+
+/**
+ * Indicadores elegidos por el usuario (se guardan en el navegador)
+ */
+function getSelectedDemographicKeys() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DEMOGRAPHIC_STORAGE_KEY) || 'null');
+        if (Array.isArray(stored)) return stored.filter(key => DEMOGRAPHIC_INDICATORS.some(i => i.key === key));
+    } catch (error) {
+        console.warn('[DEBUG] Selección de indicadores inválida; se usa la predeterminada:', error);
+    }
+    return DEMOGRAPHIC_DEFAULT_KEYS;
+}
+
+function saveSelectedDemographicKeys(keys) {
+    try {
+        localStorage.setItem(DEMOGRAPHIC_STORAGE_KEY, JSON.stringify(keys));
+    } catch (error) {
+        console.warn('[DEBUG] No se pudo guardar la selección de indicadores:', error);
+    }
+}
+
+function hasPyramidData(demographics) {
+    return !!demographics && demographics.pyramid.some(band => band.female > 0 || band.male > 0);
+}
+
+/**
+ * Filas de indicadores, ámbito y pirámide de un área ([] si no hay datos)
+ */
+function buildDemographicRows(metrics) {
+    const demographics = metrics && metrics.demographics;
+    if (!demographics || demographics.localities === 0) return [];
+    const selected = getSelectedDemographicKeys();
+    const rows = [['Indicador', 'Grupo', 'Total', 'Localidades sin dato']];
+    DEMOGRAPHIC_INDICATORS.filter(i => selected.includes(i.key)).forEach(indicator => {
+        rows.push([indicator.label, indicator.group, demographics.totals[indicator.key], demographics.missing[indicator.key]]);
+    });
+    rows.push([], ['Ámbito', 'Localidades', 'Población']);
+    Object.entries(demographics.ambito).forEach(([label, group]) => rows.push([label, group.localities, group.population]));
+    if (hasPyramidData(demographics)) {
+        rows.push([], ['Grupo de edad', 'Mujeres', 'Hombres']);
+        demographics.pyramid.forEach(band => rows.push([band.label, band.female, band.male]));
+    }
+    rows.push([], ['Método de población', getPopulationMethodLabel(demographics.populationMethod)]);
+    return rows;
+}
+
+/**
+ * Agrega la hoja "Demografía" con un bloque por área
+ */
+function appendDemographicSheet(workbook, areas) {
+    const sheet = [];
+    areas.forEach(k => {
+        const rows = buildDemographicRows(k.metrics);
+        if (rows.length === 0) return;
+        if (sheet.length > 0) sheet.push([]);
+        sheet.push([`ÁREA: ${k.name || 'Área'}`], ...rows);
+    });
+    if (sheet.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet), 'Demografía');
+    }
+}
+
+/**
+ * Tabla de indicadores del panel de resultados
+ */
+function renderDemographicTable(demographics) {
+    const selected = getSelectedDemographicKeys();
+    const rows = DEMOGRAPHIC_INDICATORS.filter(i => selected.includes(i.key)).map(indicator => `
+        <tr>
+            <td>${indicator.label}</td>
+            <td class="text-end">${formatNumber(demographics.totals[indicator.key])}</td>
+            <td class="text-end text-muted">${demographics.missing[indicator.key] || ''}</td>
+        </tr>`).join('');
+    const ambito = Object.entries(demographics.ambito)
+        .map(([label, group]) => `${label}: ${formatNumber(group.localities)} loc., ${formatNumber(group.population)} hab.`)
+        .join(' · ');
+    return `
+        <table class="table table-sm table-bordered mt-2 mb-1 small">
+            <thead class="table-light"><tr><th>Indicador</th><th class="text-end">Total</th><th class="text-end" title="Localidades sin dato o con dato reservado">Sin dato</th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="3" class="text-muted">Sin indicadores elegidos</td></tr>'}</tbody>
+        </table>
+        <div class="small text-muted">Ámbito — ${ambito}</div>`;
+}
+
+/**
+ * Bloque de indicadores demográficos del panel: configuración, totales y pirámide
+ */
+function renderDemographicPanel(demographics) {
+    if (!demographics || demographics.localities === 0) return '';
+    const selected = getSelectedDemographicKeys();
+    const checks = DEMOGRAPHIC_INDICATORS.map(indicator => `
+        <div class="form-check form-check-inline">
+            <input class="form-check-input" type="checkbox" id="demo-${indicator.key}" data-indicator="${indicator.key}" ${selected.includes(indicator.key) ? 'checked' : ''}>
+            <label class="form-check-label small" for="demo-${indicator.key}">${indicator.label}</label>
+        </div>`).join('');
+    return `
+        <div class="mt-2" id="demographicsPanel">
+            <div class="d-flex justify-content-between align-items-center">
+                <strong class="small">Indicadores demográficos</strong>
+                <span class="small text-muted">${getPopulationMethodLabel(demographics.populationMethod)}</span>
+            </div>
+            <details class="small mt-1">
+                <summary>Elegir indicadores</summary>
+                <div class="pt-1">${checks}</div>
+            </details>
+            <div id="demographicsTable">${renderDemographicTable(demographics)}</div>
+            ${hasPyramidData(demographics) ? '<div id="populationPyramidChart" style="height:240px;"></div>' : ''}
+        </div>`;
+}
+
+/**
+ * Conecta la selección de indicadores del panel (la elección aplica también a los reportes)
+ */
+function wireDemographicPanel(container, demographics) {
+    const panel = container && container.querySelector('#demographicsPanel');
+    if (!panel) return;
+    panel.addEventListener('change', (event) => {
+        if (!event.target.dataset.indicator) return;
+        const keys = Array.from(panel.querySelectorAll('[data-indicator]:checked')).map(input => input.dataset.indicator);
+        saveSelectedDemographicKeys(keys);
+        panel.querySelector('#demographicsTable').innerHTML = renderDemographicTable(demographics);
+    });
+}
+
+/**
+ * Pirámide de población (hombres a la izquierda, mujeres a la derecha)
+ */
+function renderPopulationPyramid(containerId, demographics) {
+    const container = document.getElementById(containerId);
+    if (!container || !hasPyramidData(demographics)) return;
+    const categories = demographics.pyramid.map(band => band.label);
+    Highcharts.chart(container, {
+        chart: { type: 'bar', backgroundColor: 'transparent', style: { fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' } },
+        accessibility: { enabled: false }, title: { text: 'Pirámide de población', style: { fontSize: '12px' } },
+        credits: { enabled: false },
+        xAxis: [
+            { categories, reversed: false, labels: { step: 1 } },
+            { categories, reversed: false, opposite: true, linkedTo: 0, labels: { step: 1 } }
+        ],
+        yAxis: { title: { text: null }, labels: { formatter: function () { return Math.abs(this.value).toLocaleString('es-MX'); } } },
+        plotOptions: { series: { stacking: 'normal' } },
+        tooltip: { formatter: function () { return `<b>${this.series.name}, ${this.point.category} años</b><br/>${Math.abs(this.point.y).toLocaleString('es-MX')} hab.`; } },
+        series: [
+            { name: 'Hombres', data: demographics.pyramid.map(band => -band.male), color: '#197E74' },
+            { name: 'Mujeres', data: demographics.pyramid.map(band => band.female), color: '#7C1946' }
+        ]
+    });
+}
+
+/**
+ * Sección del PDF con los indicadores demográficos y la pirámide (dibujada con rectángulos)
+ */
+function addDemographicPdfSection(pdf, kmlEntry, colors) {
+    const demographics = kmlEntry.metrics && kmlEntry.metrics.demographics;
+    if (!demographics || demographics.localities === 0) return;
+
+    pdf.addPage();
+    let yPos = 30;
+    pdf.setTextColor(...colors.primary);
+    pdf.setFontSize(16);
+    pdf.text(`Indicadores demográficos: ${kmlEntry.name}`, 20, yPos);
+    yPos += 8;
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(9);
+    pdf.text(`${formatNumber(demographics.localities)} localidades. ${getPopulationMethodLabel(demographics.populationMethod)}.`, 20, yPos);
+    yPos += 10;
+
+    const selected = getSelectedDemographicKeys();
+    pdf.setFontSize(10);
+    DEMOGRAPHIC_INDICATORS.filter(i => selected.includes(i.key)).forEach(indicator => {
+        const missing = demographics.missing[indicator.key];
+        pdf.text(indicator.label, 25, yPos);
+        pdf.text(formatNumber(demographics.totals[indicator.key]), 120, yPos, { align: 'right' });
+        if (missing > 0) pdf.text(`(${missing} sin dato)`, 125, yPos);
+        yPos += 6;
+    });
+    yPos += 4;
+    Object.entries(demographics.ambito).forEach(([label, group]) => {
+        pdf.text(`${label}: ${formatNumber(group.localities)} localidades, ${formatNumber(group.population)} hab.`, 25, yPos);
+        yPos += 6;
+    });
+
+    if (!hasPyramidData(demographics) || yPos > 200) return;
+    yPos += 8;
+    pdf.setTextColor(...colors.secondary);
+    pdf.setFontSize(12);
+    pdf.text('Pirámide de población', 20, yPos);
+    pdf.setFontSize(8);
+    pdf.text('Hombres', 60, yPos + 6, { align: 'center' });
+    pdf.text('Mujeres', 150, yPos + 6, { align: 'center' });
+    pdf.setTextColor(0, 0, 0);
+    yPos += 10;
+
+    // Barras: eje central en x=105, las etiquetas de edad en medio
+    const max = Math.max(...demographics.pyramid.map(band => Math.max(band.female, band.male)), 1);
+    const halfWidth = 70;
+    const barHeight = 6;
+    demographics.pyramid.slice().reverse().forEach(band => {
+        const maleWidth = band.male / max * halfWidth;
+        const femaleWidth = band.female / max * halfWidth;
+        pdf.setFillColor(...colors.secondary);
+        if (maleWidth > 0) pdf.rect(97 - maleWidth, yPos, maleWidth, barHeight - 1, 'F');
+        pdf.setFillColor(...colors.primary);
+        if (femaleWidth > 0) pdf.rect(113, yPos, femaleWidth, barHeight - 1, 'F');
+        pdf.text(band.label, 105, yPos + 4, { align: 'center' });
+        pdf.text(formatNumber(band.male), 95 - maleWidth, yPos + 4, { align: 'right' });
+        pdf.text(formatNumber(band.female), 115 + femaleWidth, yPos + 4);
+        yPos += barHeight;
+    });
+}
+
+// ============================================================================
+// SÍNTESIS DE POBLACIÓN INDÍGENA Y AFROMEXICANA (LOC_INDIGENAS_DATOS)
+// ============================================================================
+
+/**
+ * Umbrales para señalar localidades que requieren consulta indígena: 40% o más de población en
+ * hogares indígenas, o al menos 150 personas aunque el porcentaje sea menor (criterios del catálogo
+ * de localidades indígenas del INPI). Se aplican igual a la población afromexicana.
+ */
+const CONSULTATION_THRESHOLDS = { pct: 40, population: 150 };
+
+/**
+ * Población en hogares indígenas y afromexicana de una localidad; si falta el absoluto se
+ * calcula con el porcentaje y la población total
+ */
+function getIndigenousFigures(properties) {
+    const p = properties || {};
+    const total = parseIndicatorValue(p.POBTOTAL ?? p.POBTOT);
+    const figure = (absoluteField, pctField) => {
+        const pct = parseIndicatorValue(p[pctField]);
+        let absolute = parseIndicatorValue(p[absoluteField]);
+        if (absolute === null && pct !== null && total !== null) absolute = Math.round(total * pct / 100);
+        return { absolute, pct: pct ?? (absolute !== null && total > 0 ? absolute / total * 100 : null) };
+    };
+    return { total, indigenous: figure('PIHOGARES', 'pPIHOGARES'), afro: figure('POB_AFRO', 'pPOB_AFRO') };
+}
+
+/**
+ * Razones por las que una localidad alcanza los umbrales de consulta ([] si no los alcanza)
+ */
+function getConsultationReasons(figures) {
+    const reasons = [];
+    [['indigenous', 'indígena'], ['afro', 'afromexicana']].forEach(([key, label]) => {
+        const { absolute, pct } = figures[key];
+        if (pct !== null && pct >= CONSULTATION_THRESHOLDS.pct) reasons.push(`${pct.toFixed(1)}% ${label}`);
+        else if (absolute !== null && absolute >= CONSULTATION_THRESHOLDS.population) reasons.push(`${formatNumber(absolute)} hab. población ${label}`);
+    });
+    return reasons;
+}
+
+/**
+ * Síntesis por área: localidades por TIPOLOC_PI y TIPOLOC_AF, totales de población en hogares
+ * indígenas y afromexicana con su porcentaje ponderado por población, y localidades que alcanzan
+ * los umbrales de consulta
+ * @returns {object|null} { localities, population, indigenous, afro, byTipoPi, byTipoAf, flagged }
+ */
+function buildIndigenousSynthesis(features) {
+    if (!features || features.length === 0) return null;
+    const byTipoPi = {};
+    const byTipoAf = {};
+    const sums = { population: 0, indigenous: 0, afro: 0, indigenousBase: 0, afroBase: 0 };
+    const flagged = [];
+
+    features.forEach((f, index) => {
+        const p = f.properties || {};
+        const tipoPi = String(p.TIPOLOC_PI || 'Sin clasificar');
+        const tipoAf = String(p.TIPOLOC_AF || 'Sin clasificar');
+        byTipoPi[tipoPi] = (byTipoPi[tipoPi] || 0) + 1;
+        byTipoAf[tipoAf] = (byTipoAf[tipoAf] || 0) + 1;
+
+        const figures = getIndigenousFigures(p);
+        sums.population += figures.total || 0;
+        // El porcentaje ponderado solo usa localidades con dato y población total
+        if (figures.indigenous.absolute !== null) {
+            sums.indigenous += figures.indigenous.absolute;
+            sums.indigenousBase += figures.total || 0;
         }
-
-        const kmlSelect = document.getElementById('kmlSelect');
-        if (kmlSelect) {
-            kmlSelect.innerHTML = '<option value="" selected>— Selecciona un área —</option>';
-            kmlSelect.value = '';
+        if (figures.afro.absolute !== null) {
+            sums.afro += figures.afro.absolute;
+            sums.afroBase += figures.total || 0;
         }
 
-        const kmlResultsContainer = document.getElementById('kmlResultsContainer');
-        if (kmlResultsContainer) {
-            kmlResultsContainer.innerHTML = '<p class="text-muted mb-0">Selecciona un área para ver sus resultados por capas.</p>';
+        const reasons = getConsultationReasons(figures);
+        if (reasons.length > 0) {
+            flagged.push({
+                index,
+                name: getCatalogFeatureLabel('loc_indigenas_datos', p),
+                municipio: p.MUNICIPIO || '',
+                entidad: p.ENTIDAD || '',
+                cvegeo: p.cvegeo || p.CVEGEO || '',
+                tipoPi: p.TIPOLOC_PI || '',
+                tipoAf: p.TIPOLOC_AF || '',
+                population: figures.total,
+                indigenous: figures.indigenous.absolute,
+                pctIndigenous: figures.indigenous.pct,
+                afro: figures.afro.absolute,
+                pctAfro: figures.afro.pct,
+                reasons
+            });
         }
+    });
 
-        const kmlSummaryEl = document.getElementById('kmlSummary');
-        if (kmlSummaryEl) {
-            kmlSummaryEl.innerHTML = '';
-        }
+    flagged.sort((a, b) => (b.indigenous || 0) + (b.afro || 0) - (a.indigenous || 0) - (a.afro || 0));
+    return {
+        localities: features.length,
+        population: sums.population,
+        indigenous: { total: sums.indigenous, pct: sums.indigenousBase > 0 ? sums.indigenous / sums.indigenousBase * 100 : null },
+        afro: { total: sums.afro, pct: sums.afroBase > 0 ? sums.afro / sums.afroBase * 100 : null },
+        byTipoPi,
+        byTipoAf,
+        flagged
+    };
+}
 
-        const kmlChartsContainer = document.getElementById('kmlChartsContainer');
-        if (kmlChartsContainer) {
-            kmlChartsContainer.style.display = 'none';
-            kmlChartsContainer.innerHTML = '';
-        }
+function formatPct(value) {
+    return value === null || value === undefined ? '—' : `${value.toFixed(1)}%`;
+}
 
-        const chartsContainer = document.getElementById('chartsContainer');
-        if (chartsContainer) {
-            chartsContainer.style.display = 'none';
-            chartsContainer.innerHTML = '';
-        }
+/**
+ * Filas de la síntesis indígena y afromexicana de un área ([] si no hay localidades)
+ */
+function buildIndigenousRows(metrics) {
+    const synthesis = metrics && metrics.indigenous;
+    if (!synthesis) return [];
+    const rows = [
+        ['Localidades (loc_indigenas_datos)', synthesis.localities],
+        ['Población total', synthesis.population],
+        ['Población en hogares indígenas', synthesis.indigenous.total, 'Porcentaje ponderado', formatPct(synthesis.indigenous.pct)],
+        ['Población afromexicana', synthesis.afro.total, 'Porcentaje ponderado', formatPct(synthesis.afro.pct)],
+        [],
+        ['TIPOLOC_PI', 'Localidades'],
+        ...Object.entries(synthesis.byTipoPi),
+        [],
+        ['TIPOLOC_AF', 'Localidades'],
+        ...Object.entries(synthesis.byTipoAf),
+        [],
+        [`Localidades que alcanzan umbrales de consulta (${CONSULTATION_THRESHOLDS.pct}% o ${CONSULTATION_THRESHOLDS.population} hab.)`, synthesis.flagged.length],
+        ['Localidad', 'Municipio', 'Entidad', 'CVEGEO', 'TIPOLOC_PI', 'TIPOLOC_AF', 'Población total', 'Pobl. hogares indígenas', '% indígena', 'Pobl. afromexicana', '% afromexicana', 'Motivo']
+    ];
+    synthesis.flagged.forEach(l => {
+        rows.push([l.name, l.municipio, l.entidad, l.cvegeo, l.tipoPi, l.tipoAf, l.population ?? '', l.indigenous ?? '', formatPct(l.pctIndigenous), l.afro ?? '', formatPct(l.pctAfro), l.reasons.join('; ')]);
+    });
+    return rows;
+}
 
-        // Limpiar input de archivos
-        const kmlFileInput = document.getElementById('kmlFile');
-        if (kmlFileInput) {
-            kmlFileInput.value = '';
-        }
+/**
+ * Agrega la hoja "Indígena y afromexicana" con un bloque por área
+ */
+function appendIndigenousSheet(workbook, areas) {
+    const sheet = [];
+    areas.forEach(k => {
+        const rows = buildIndigenousRows(k.metrics);
+        if (rows.length === 0) return;
+        if (sheet.length > 0) sheet.push([]);
+        sheet.push([`ÁREA: ${k.name || 'Área'}`], ...rows);
+    });
+    if (sheet.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet), 'Indígena y afromexicana');
+    }
+}
 
-        // Actualizar contadores y badges
-        updateAreasCount();
+/**
+ * Contenido de la pestaña "Pueblos indígenas y afromexicanos" del panel de resultados
+ */
+function renderIndigenousSynthesis(synthesis) {
+    if (!synthesis) {
+        return '<p class="text-muted mb-0">No hay localidades de la capa de localidades indígenas en esta área.</p>';
+    }
+    const categoryTable = (title, counts) => `
+        <table class="table table-sm table-bordered small mb-2">
+            <thead class="table-light"><tr><th>${title}</th><th class="text-end">Localidades</th></tr></thead>
+            <tbody>${Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([label, n]) => `<tr><td>${label}</td><td class="text-end">${formatNumber(n)}</td></tr>`).join('')}</tbody>
+        </table>`;
+    const flaggedRows = synthesis.flagged.map(l => `
+        <tr class="indigenous-flagged" data-index="${l.index}" style="cursor:pointer" title="Ver en el mapa">
+            <td>${l.name}<div class="text-muted">${l.municipio}</div></td>
+            <td class="text-end">${l.indigenous != null ? formatNumber(l.indigenous) : '—'}<div class="text-muted">${formatPct(l.pctIndigenous)}</div></td>
+            <td class="text-end">${l.afro != null ? formatNumber(l.afro) : '—'}<div class="text-muted">${formatPct(l.pctAfro)}</div></td>
+            <td>${l.reasons.join('; ')}</td>
+        </tr>`).join('');
+
+    return `
+        <div class="d-flex flex-wrap gap-2 mb-2">
+            <span class="badge bg-secondary">Localidades: ${formatNumber(synthesis.localities)}</span>
+            <span class="badge bg-primary">Hogares indígenas: ${formatNumber(synthesis.indigenous.total)} hab. (${formatPct(synthesis.indigenous.pct)})</span>
+            <span class="badge bg-success">Afromexicana: ${formatNumber(synthesis.afro.total)} hab. (${formatPct(synthesis.afro.pct)})</span>
+        </div>
+        <div class="row g-2">
+            <div class="col-md-6">${categoryTable('TIPOLOC_PI', synthesis.byTipoPi)}</div>
+            <div class="col-md-6">${categoryTable('TIPOLOC_AF', synthesis.byTipoAf)}</div>
+        </div>
+        <h6 class="small mb-1">${synthesis.flagged.length > 0
+            ? `<span class="badge bg-danger me-1">${synthesis.flagged.length}</span>localidades alcanzan los umbrales de consulta indígena`
+            : 'Ninguna localidad alcanza los umbrales de consulta indígena'}</h6>
+        <div class="form-text mt-0 mb-1">Umbral: ${CONSULTATION_THRESHOLDS.pct}% o más de población, o al menos ${CONSULTATION_THRESHOLDS.population} personas, indígena o afromexicana.</div>
+        ${synthesis.flagged.length > 0 ? `
+        <table class="table table-sm table-hover table-bordered small mb-0">
+            <thead class="table-light"><tr><th>Localidad</th><th class="text-end">Hogares indígenas</th><th class="text-end">Afromexicana</th><th>Motivo</th></tr></thead>
+            <tbody>${flaggedRows}</tbody>
+        </table>` : ''}`;
+}
 
-        // Deshabilitar botones
-        const analyzeAllBtn = document.getElementById('analyzeAllBtn');
-        const analyzeSelectedBtn = document.getElementById('analyzeSelectedBtn');
-        const downloadReportBtn = document.getElementById('downloadReportBtn');
-        const uploadKmlBtn = document.getElementById('uploadKmlBtn');
+/**
+ * Sección del PDF con la síntesis indígena y afromexicana de un área
+ */
+function addIndigenousPdfSection(pdf, kmlEntry, colors) {
+    const synthesis = kmlEntry.metrics && kmlEntry.metrics.indigenous;
+    if (!synthesis) return;
+
+    pdf.addPage();
+    let yPos = 30;
+    const ensureSpace = (height = 6) => {
+        if (yPos + height <= 270) return;
+        pdf.addPage();
+        yPos = 25;
+    };
+    pdf.setTextColor(...colors.primary);
+    pdf.setFontSize(16);
+    pdf.text(`Población indígena y afromexicana: ${kmlEntry.name}`, 20, yPos);
+    yPos += 12;
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(10);
+    pdf.text(`Localidades: ${formatNumber(synthesis.localities)} (población total ${formatNumber(synthesis.population)})`, 20, yPos);
+    yPos += 7;
+    pdf.text(`Población en hogares indígenas: ${formatNumber(synthesis.indigenous.total)} (${formatPct(synthesis.indigenous.pct)} ponderado)`, 20, yPos);
+    yPos += 7;
+    pdf.text(`Población afromexicana: ${formatNumber(synthesis.afro.total)} (${formatPct(synthesis.afro.pct)} ponderado)`, 20, yPos);
+    yPos += 10;
+
+    [['TIPOLOC_PI', synthesis.byTipoPi], ['TIPOLOC_AF', synthesis.byTipoAf]].forEach(([title, counts]) => {
+        ensureSpace(14);
+        pdf.setTextColor(...colors.secondary);
+        pdf.text(title, 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        yPos += 6;
+        Object.entries(counts).forEach(([label, n]) => {
+            ensureSpace();
+            pdf.text(`${String(label).substring(0, 60)}: ${formatNumber(n)}`, 25, yPos);
+            yPos += 6;
+        });
+        yPos += 4;
+    });
 
-        if (analyzeAllBtn) analyzeAllBtn.disabled = true;
-        if (analyzeSelectedBtn) analyzeSelectedBtn.disabled = true;
-        if (downloadReportBtn) downloadReportBtn.disabled = true;
-        if (uploadKmlBtn) uploadKmlBtn.disabled = true;
+    ensureSpace(20);
+    pdf.setTextColor(...colors.secondary);
+    pdf.text(`Localidades que alcanzan los umbrales de consulta (${CONSULTATION_THRESHOLDS.pct}% o ${CONSULTATION_THRESHOLDS.population} hab.): ${synthesis.flagged.length}`, 20, yPos);
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(8);
+    yPos += 7;
+    synthesis.flagged.forEach(l => {
+        ensureSpace();
+        pdf.text(`${String(l.name).substring(0, 35)} (${String(l.municipio).substring(0, 25)})`, 25, yPos);
+        pdf.text(l.reasons.join('; ').substring(0, 60), 110, yPos);
+        yPos += 5;
+    });
+}
 
-        // Update global charts
-        updateGlobalCharts();
+// ============================================================================
+// PUEBLOS Y LENGUAS PRESENTES (ATLAS, LENGUAS Y REGIONES INDÍGENAS)
+// ============================================================================
 
-        showAlert('Todas las áreas y datos han sido eliminados completamente', 'success', 3000);
+/**
+ * Familias lingüísticas del Catálogo de Lenguas Indígenas Nacionales (INALI) con las agrupaciones de cada una.
+ * Las claves están normalizadas (minúsculas, sin acentos ni apóstrofos) e incluyen las grafías antiguas;
+ * se revisan en orden, por eso "chontal de oaxaca" va antes que el "chontal" maya.
+ */
+const LANGUAGE_FAMILIES = [
+    { family: 'Chontal de Oaxaca', color: '#8c564b', keys: ['chontal de oaxaca', 'tequistlateco', 'lajltyaygi'] },
+    { family: 'Álgica', color: '#17becf', keys: ['kickapoo', 'kikapu'] },
+    { family: 'Yuto-nahua', color: '#7C1946', keys: ['papago', 'tohono oodham', 'pima', 'tepehuano', 'tarahumara', 'raramuri', 'guarijio', 'yaqui', 'mayo', 'yoreme', 'cora', 'huichol', 'wixarika', 'nahuatl', 'mexicano'] },
+    { family: 'Cochimí-yumana', color: '#bcbd22', keys: ['paipai', 'kuahl', 'cucapa', 'kumiai', 'kiliwa'] },
+    { family: 'Seri', color: '#9467bd', keys: ['seri', 'comcaac'] },
+    { family: 'Oto-mangue', color: '#197E74', keys: ['otomi', 'hnahnu', 'mazahua', 'matlatzinca', 'tlahuica', 'pame', 'chichimeco', 'chinanteco', 'tlapaneco', 'mephaa', 'mazateco', 'ixcateco', 'chocholteco', 'popoloca', 'zapoteco', 'chatino', 'amuzgo', 'mixteco', 'cuicateco', 'triqui', 'trique'] },
+    { family: 'Maya', color: '#C49A3E', keys: ['huasteco', 'teenek', 'lacandon', 'maya', 'chol', 'chontal', 'tseltal', 'tzeltal', 'tsotsil', 'tzotzil', 'qanjobal', 'kanjobal', 'akateko', 'jakalteko', 'jacalteco', 'qatok', 'mocho', 'chuj', 'tojolabal', 'qeqchi', 'kekchi', 'kiche', 'quiche', 'kaqchikel', 'cakchiquel', 'teko', 'mam', 'awakateko', 'aguacateco', 'ixil'] },
+    { family: 'Totonaco-tepehua', color: '#ff7f0e', keys: ['totonaco', 'tepehua'] },
+    { family: 'Tarasca', color: '#d62728', keys: ['purepecha', 'tarasco'] },
+    { family: 'Mixe-zoque', color: '#2ca02c', keys: ['mixe', 'ayuuk', 'zoque', 'popoluca', 'texistepequeno', 'ayapaneco', 'oluteco', 'sayulteco'] },
+    { family: 'Huave', color: '#1f77b4', keys: ['huave', 'ombeayiiuts'] }
+];
 
-    } catch (error) {
-        console.error('Error durante la limpieza:', error);
-        showAlert('Error durante la limpieza. Recarga la página si persisten problemas.', 'warning', 4000);
-    }
+const UNKNOWN_LANGUAGE_FAMILY = { family: 'Sin familia identificada', color: '#999999' };
+/** Campos del atlas donde puede venir el pueblo indígena de cada comunidad */
+const ATLAS_PEOPLE_FIELDS = ['Pueblo', 'PUEBLO', 'Pueblo_Ind', 'PUEBLO_IND', 'NOM_PUEBLO'];
+
+let languageFamilyLayer = null; // Puntos de lenguas coloreados por familia
+
+function normalizeLanguageName(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/['’`]/g, '').replace(/[^a-z]+/g, ' ').trim();
 }
 
 /**
- * Analiza una sola área
+ * Familia lingüística de una lengua (por palabra completa, para no confundir "maya" con "mayo")
  */
-async function analyzeSingleArea(kmlId) {
-    const kmlEntry = kmlLayers.get(kmlId);
-    if (!kmlEntry || kmlEntry.isAnalyzed) return;
+function getLanguageFamily(language) {
+    const name = ` ${normalizeLanguageName(language)} `;
+    return LANGUAGE_FAMILIES.find(entry => entry.keys.some(key => name.includes(` ${key} `))) || UNKNOWN_LANGUAGE_FAMILY;
+}
 
-    try {
-        // Pedir configuración al usuario para este análisis
-        const config = await openAnalysisConfigDialog({ scope: 'single', areaName: kmlEntry.name, defaults: { areaType: kmlEntry.areaType } });
-        if (!config) {
-            return; // cancelado por el usuario
-        }
+function getLanguageName(properties) {
+    return getCatalogFieldValue(properties, ['Lengua', 'LENGUA'], 'Sin especificar');
+}
 
-        // Mostrar preloader hasta después de confirmar configuración
-        showPreloader();
-        updateProgress(0, `Analizando ${kmlEntry.name}...`);
+/**
+ * Pueblos y lenguas de un área: lenguas agrupadas por familia con las localidades donde se hablan,
+ * pueblos de las comunidades del atlas y regiones indígenas
+ * @returns {object|null} { families: [{family, color, localities, languages: [{name, localities, points}]}], pueblos, regiones, languageCount }
+ */
+function buildPeoplesAndLanguages(results) {
+    const lenguas = results.lenguas?.features || [];
+    const atlas = results.atlas?.features || [];
+    const regiones = results.regiones?.features || [];
+    if (lenguas.length === 0 && atlas.length === 0 && regiones.length === 0) return null;
+
+    // Lengua -> localidades distintas donde aparece (por CVEGEO o por localidad y municipio)
+    const languages = new Map();
+    lenguas.forEach(f => {
+        const p = f.properties || {};
+        const name = getLanguageName(p);
+        const language = languages.get(name) || { name, localities: new Set(), points: 0 };
+        const locality = p.CVEGEO || `${getCatalogFieldValue(p, ['NOM_LOC', 'LOCALIDAD'])}|${getCatalogFieldValue(p, ['NOM_MUN', 'MUNICIPIO'])}`;
+        language.localities.add(locality);
+        language.points++;
+        languages.set(name, language);
+    });
 
-        // Realizar análisis geoespacial
-        const analysisResult = await performAreaAnalysis(kmlEntry, config);
+    const families = new Map();
+    languages.forEach(language => {
+        const { family, color } = getLanguageFamily(language.name);
+        const group = families.get(family) || { family, color, localities: new Set(), languages: [] };
+        language.localities.forEach(locality => group.localities.add(locality));
+        group.languages.push({ name: language.name, localities: language.localities.size, points: language.points });
+        families.set(family, group);
+    });
 
-        // Actualizar entrada
-        kmlEntry.isAnalyzed = true;
-        kmlEntry.metrics = analysisResult.metrics;
-        kmlEntry.clippedLayers = analysisResult.clippedLayers;
+    const pueblos = new Map();
+    atlas.forEach(f => {
+        const name = getCatalogFieldValue(f.properties, ATLAS_PEOPLE_FIELDS, 'Sin pueblo indicado');
+        pueblos.set(name, (pueblos.get(name) || 0) + 1);
+    });
 
-        // Actualizar UI
-        updateAreasList();
-        updateAreasCount();
-        refreshKmlSelect();
-        // Render section 3 panel if current selection matches
-        const kmlSelect = document.getElementById('kmlSelect');
-        if (kmlSelect && kmlSelect.value === kmlId) {
-            renderKmlResultsPanel(kmlEntry);
-        }
-        // Enable global Excel button
-        const downloadReportBtn = document.getElementById('downloadReportBtn');
-        if (downloadReportBtn) downloadReportBtn.disabled = false;
+    return {
+        families: Array.from(families.values())
+            .map(group => ({ ...group, localities: group.localities.size, languages: group.languages.sort((a, b) => b.localities - a.localities) }))
+            .sort((a, b) => b.localities - a.localities),
+        pueblos: Array.from(pueblos.entries()).map(([name, communities]) => ({ name, communities })).sort((a, b) => b.communities - a.communities),
+        regiones: regiones.map(f => ({
+            name: getCatalogFeatureLabel('regiones', f.properties),
+            tipo: getCatalogFieldValue(f.properties, ['Tipo', 'TIPO'])
+        })),
+        languageCount: languages.size
+    };
+}
 
-        // Update global charts
-        updateGlobalCharts();
+/**
+ * Filas de pueblos y lenguas de un área ([] si no hay)
+ */
+function buildPeoplesRows(metrics) {
+    const peoples = metrics && metrics.peoples;
+    if (!peoples) return [];
+    const rows = [['Familia lingüística', 'Lengua', 'Localidades donde se habla', 'Puntos']];
+    peoples.families.forEach(group => {
+        group.languages.forEach(language => rows.push([group.family, language.name, language.localities, language.points]));
+    });
+    rows.push([], ['Pueblo (atlas)', 'Comunidades']);
+    peoples.pueblos.forEach(pueblo => rows.push([pueblo.name, pueblo.communities]));
+    rows.push([], ['Región indígena', 'Tipo']);
+    peoples.regiones.forEach(region => rows.push([region.name, region.tipo]));
+    return rows;
+}
 
-        showAlert(`Análisis completado: ${kmlEntry.name}`, 'success', 3000);
+/**
+ * Agrega la hoja "Pueblos y lenguas" con un bloque por área
+ */
+function appendPeoplesSheet(workbook, areas) {
+    const sheet = [];
+    areas.forEach(k => {
+        const rows = buildPeoplesRows(k.metrics);
+        if (rows.length === 0) return;
+        if (sheet.length > 0) sheet.push([]);
+        sheet.push([`ÁREA: ${k.name || 'Área'}`], ...rows);
+    });
+    if (sheet.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet), 'Pueblos y lenguas');
+    }
+}
 
-    } catch (error) {
-        console.error('Error analizando área:', error);
-        showAlert(`Error analizando ${kmlEntry.name}`, 'danger');
-    } finally {
-        hidePreloader();
+/**
+ * Contenido de la pestaña "Pueblos y lenguas" del panel de resultados
+ */
+function renderPeoplesAndLanguages(peoples) {
+    if (!peoples) {
+        return '<p class="text-muted mb-0">No hay comunidades del atlas, lenguas ni regiones indígenas en esta área.</p>';
     }
+    const languageRows = peoples.families.map(group => group.languages.map((language, i) => `
+        <tr>
+            ${i === 0 ? `<td rowspan="${group.languages.length}"><span class="d-inline-block rounded-circle me-1" style="width:10px;height:10px;background:${group.color}"></span>${group.family}</td>` : ''}
+            <td><a href="#" class="language-link" data-language="${encodeURIComponent(language.name)}" title="Ver en el mapa">${language.name}</a></td>
+            <td class="text-end">${formatNumber(language.localities)}</td>
+        </tr>`).join('')).join('');
+
+    return `
+        <div class="d-flex flex-wrap gap-2 mb-2">
+            <span class="badge bg-primary">Lenguas: ${formatNumber(peoples.languageCount)}</span>
+            <span class="badge bg-secondary">Familias: ${formatNumber(peoples.families.length)}</span>
+            <span class="badge bg-success">Pueblos (atlas): ${formatNumber(peoples.pueblos.length)}</span>
+            <span class="badge bg-warning text-dark">Regiones indígenas: ${formatNumber(peoples.regiones.length)}</span>
+        </div>
+        ${peoples.families.length > 0 ? `
+        <div class="d-flex justify-content-end mb-1">
+            <button type="button" class="btn btn-sm btn-outline-primary" id="languageFamilyMapBtn"><i class="bi bi-map me-1"></i>Lenguas por familia en el mapa</button>
+        </div>
+        <table class="table table-sm table-bordered small mb-2">
+            <thead class="table-light"><tr><th>Familia</th><th>Lengua</th><th class="text-end">Localidades</th></tr></thead>
+            <tbody>${languageRows}</tbody>
+        </table>
+        <div id="languageFamilyChart" style="height:260px;"></div>` : ''}
+        ${peoples.pueblos.length > 0 ? `
+        <table class="table table-sm table-bordered small mb-2">
+            <thead class="table-light"><tr><th>Pueblo (atlas)</th><th class="text-end">Comunidades</th></tr></thead>
+            <tbody>${peoples.pueblos.map(p => `<tr><td>${p.name}</td><td class="text-end">${formatNumber(p.communities)}</td></tr>`).join('')}</tbody>
+        </table>` : ''}
+        ${peoples.regiones.length > 0 ? `<div class="small"><strong>Regiones indígenas:</strong> ${peoples.regiones.map(r => r.tipo ? `${r.name} (${r.tipo})` : r.name).join(', ')}</div>` : ''}`;
 }
 
 /**
- * Verifica superposiciones entre áreas KML cargadas
+ * Gráfica de localidades por lengua, apilada por familia lingüística
  */
-function checkInterAreaOverlaps() {
-    console.log('[DEBUG] Checking for overlaps between different KML areas...');
-    const areas = Array.from(kmlLayers.values());
-    const overlaps = [];
+function renderLanguageFamilyChart(containerId, peoples) {
+    const container = document.getElementById(containerId);
+    if (!container || !peoples || peoples.families.length === 0) return;
+    const categories = peoples.families.flatMap(group => group.languages.map(language => language.name));
+    Highcharts.chart(container, {
+        chart: { type: 'bar', backgroundColor: 'transparent', style: { fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' } },
+        accessibility: { enabled: false }, title: { text: 'Localidades por lengua', style: { fontSize: '12px' } },
+        credits: { enabled: false },
+        xAxis: { categories, labels: { style: { fontSize: '10px' } } },
+        yAxis: { title: { text: 'Localidades' }, allowDecimals: false },
+        plotOptions: { series: { stacking: 'normal' } },
+        tooltip: { formatter: function () { return `<b>${this.x}</b> (${this.series.name})<br/>${this.y.toLocaleString('es-MX')} localidades`; } },
+        series: peoples.families.map(group => ({
+            name: group.family,
+            color: group.color,
+            data: categories.map(name => group.languages.find(language => language.name === name)?.localities ?? null)
+        }))
+    });
+}
 
-    for (let i = 0; i < areas.length; i++) {
-        for (let j = i + 1; j < areas.length; j++) {
-            const area1 = areas[i];
-            const area2 = areas[j];
+/**
+ * Quita del mapa los puntos de lenguas por familia
+ */
+function clearLanguageFamilyLayer() {
+    if (languageFamilyLayer && map.hasLayer(languageFamilyLayer)) map.removeLayer(languageFamilyLayer);
+    languageFamilyLayer = null;
+}
 
-            try {
-                if (area1.geoJson && area2.geoJson) {
-                    // Verificar si las geometrías se superponen
-                    const overlap = turf.booleanOverlap(area1.geoJson, area2.geoJson);
-                    if (overlap) {
-                        console.log(`[DEBUG] Overlap detected between ${area1.name} and ${area2.name}`);
-                        overlaps.push({
-                            area1: area1.name,
-                            area2: area2.name,
-                            area1Id: area1.id,
-                            area2Id: area2.id
-                        });
-                    }
-                }
-            } catch (error) {
-                console.warn(`[DEBUG] Error checking overlap between ${area1.name} and ${area2.name}:`, error);
-            }
-        }
+/**
+ * Dibuja los puntos de lenguas de un área con el color de su familia lingüística (alterna mostrar/ocultar)
+ */
+function toggleLanguageFamilyLayer(features) {
+    if (languageFamilyLayer) {
+        clearLanguageFamilyLayer();
+        return false;
     }
-
-    console.log(`[DEBUG] Found ${overlaps.length} inter-area overlaps`);
-    return overlaps;
+    languageFamilyLayer = L.geoJSON(features, {
+        pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+            radius: 6, color: '#000', weight: 1, fillOpacity: 0.9,
+            fillColor: getLanguageFamily(getLanguageName(feature.properties)).color
+        }),
+        onEachFeature: (feature, layer) => {
+            const p = feature.properties || {};
+            layer.bindPopup(createPopupContent('Lengua indígena', '🗣️', [
+                { value: getLanguageName(p), isMain: true },
+                { label: 'Familia', value: getLanguageFamily(getLanguageName(p)).family },
+                { label: 'Localidad', value: getCatalogFieldValue(p, ['NOM_LOC', 'LOCALIDAD']) },
+                { label: 'Municipio', value: getCatalogFieldValue(p, ['NOM_MUN', 'MUNICIPIO']) }
+            ]));
+        }
+    }).addTo(map);
+    return true;
 }
 
 /**
- * Analiza todas las áreas activas no analizadas
+ * Sección del PDF con los pueblos y lenguas de un área
  */
-async function analyzeAllActiveAreas() {
-    const unanalyzedAreas = Array.from(kmlLayers.values()).filter(kml => kml.isActive && !kml.isAnalyzed);
+function addPeoplesPdfSection(pdf, kmlEntry, colors) {
+    const peoples = kmlEntry.metrics && kmlEntry.metrics.peoples;
+    if (!peoples) return;
+
+    pdf.addPage();
+    let yPos = 30;
+    const ensureSpace = (height = 6) => {
+        if (yPos + height <= 270) return;
+        pdf.addPage();
+        yPos = 25;
+    };
+    pdf.setTextColor(...colors.primary);
+    pdf.setFontSize(16);
+    pdf.text(`Pueblos y lenguas presentes: ${kmlEntry.name}`, 20, yPos);
+    yPos += 10;
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(10);
+    pdf.text(`${peoples.languageCount} lenguas de ${peoples.families.length} familias; ${peoples.pueblos.length} pueblos en el atlas; ${peoples.regiones.length} regiones indígenas`, 20, yPos);
+    yPos += 10;
+
+    peoples.families.forEach(group => {
+        ensureSpace(14);
+        pdf.setTextColor(...colors.secondary);
+        pdf.text(`${group.family} (${formatNumber(group.localities)} localidades)`, 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        yPos += 6;
+        group.languages.forEach(language => {
+            ensureSpace();
+            pdf.text(`${String(language.name).substring(0, 50)}: ${formatNumber(language.localities)} localidades`, 25, yPos);
+            yPos += 6;
+        });
+        yPos += 2;
+    });
 
-    if (unanalyzedAreas.length === 0) {
-        showAlert('Todas las áreas ya están analizadas', 'info');
-        return;
+    if (peoples.pueblos.length > 0) {
+        ensureSpace(14);
+        yPos += 4;
+        pdf.setTextColor(...colors.secondary);
+        pdf.text('Pueblos (comunidades del atlas)', 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        yPos += 6;
+        peoples.pueblos.forEach(pueblo => {
+            ensureSpace();
+            pdf.text(`${String(pueblo.name).substring(0, 50)}: ${formatNumber(pueblo.communities)} comunidades`, 25, yPos);
+            yPos += 6;
+        });
     }
 
-    try {
-        // Verificar superposiciones entre áreas antes del análisis
-        const interAreaOverlaps = checkInterAreaOverlaps();
-        if (interAreaOverlaps.length > 0) {
-            console.log('[DEBUG] Inter-area overlaps found, showing warning');
-            const overlapMessage = interAreaOverlaps.map(o => `${o.area1} ↔ ${o.area2}`).join(', ');
-            showAlert(`⚠️ Se detectaron superposiciones entre áreas: ${overlapMessage}. Esto puede causar conteo duplicado.`, 'warning', 6000);
-        }
+    if (peoples.regiones.length > 0) {
+        ensureSpace(14);
+        yPos += 4;
+        pdf.setTextColor(...colors.secondary);
+        pdf.text('Regiones indígenas', 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        yPos += 6;
+        peoples.regiones.forEach(region => {
+            ensureSpace();
+            pdf.text(`${region.name}${region.tipo ? ` (${region.tipo})` : ''}`.substring(0, 90), 25, yPos);
+            yPos += 6;
+        });
+    }
+}
 
-        // Configuración global para el análisis masivo
-        const globalConfig = await openAnalysisConfigDialog({ scope: 'bulk', areaName: `${unanalyzedAreas.length} áreas`, defaults: {} });
-        if (!globalConfig) {
-            return; // cancelado por el usuario
-        }
+// ============================================================================
+// ANILLOS DE INFLUENCIA (NÚCLEO / DIRECTA / INDIRECTA)
+// ============================================================================
 
-        // Mostrar preloader después de confirmar configuración
-        showPreloader();
+/** Distancias por defecto (km) de cada anillo, medidas desde el polígono original */
+const INFLUENCE_RING_DEFAULTS = { nucleo: 0.5, directa: 2, indirecta: 5 };
 
-        for (let i = 0; i < unanalyzedAreas.length; i++) {
-            const kmlEntry = unanalyzedAreas[i];
-            updateProgress((i / unanalyzedAreas.length) * 100, `Analizando ${kmlEntry.name}...`);
+const INFLUENCE_RING_LABELS = {
+    nucleo: 'Núcleo',
+    directa: 'Influencia directa',
+    indirecta: 'Influencia indirecta'
+};
 
-            const analysisResult = await performAreaAnalysis(kmlEntry, globalConfig);
+/**
+ * Devuelve los anillos (de adentro hacia afuera) que corresponden a un tipo de área
+ * @param {string} areaType - exacta | nucleo | directa | indirecta
+ * @returns {string[]}
+ */
+function getRingKeysForAreaType(areaType) {
+    switch (areaType) {
+        case 'nucleo': return ['nucleo'];
+        case 'directa': return ['nucleo', 'directa'];
+        case 'indirecta': return ['nucleo', 'directa', 'indirecta'];
+        default: return [];
+    }
+}
 
-            kmlEntry.isAnalyzed = true;
-            kmlEntry.metrics = analysisResult.metrics;
-            kmlEntry.clippedLayers = analysisResult.clippedLayers;
+/**
+ * Etiqueta legible de un anillo ('' si no aplica)
+ */
+function getRingLabel(ringKey) {
+    return INFLUENCE_RING_LABELS[ringKey] || '';
+}
+
+/**
+ * Une los polígonos de un FeatureCollection en una sola Feature (Polygon/MultiPolygon)
+ */
+function dissolveAreaPolygons(T, geoJson) {
+    const features = (geoJson && geoJson.type === 'FeatureCollection') ? geoJson.features : [geoJson];
+    const polygons = (features || []).filter(f =>
+        f && f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+    );
+    if (polygons.length === 0) return null;
+
+    let dissolved = polygons[0];
+    for (let i = 1; i < polygons.length; i++) {
+        try {
+            dissolved = T.union(dissolved, polygons[i]) || dissolved;
+        } catch (error) {
+            console.warn('[DEBUG] No se pudo unir un polígono del área:', error);
         }
+    }
+    return dissolved;
+}
 
-        updateProgress(100, 'Análisis completado');
-        updateAreasList();
-        updateAreasCount();
-        refreshKmlSelect();
-        // If a selection exists, re-render its panel
-        const kmlSelectEl = document.getElementById('kmlSelect');
-        if (kmlSelectEl && kmlSelectEl.value) {
-            const selected = kmlLayers.get(kmlSelectEl.value);
-            renderKmlResultsPanel(selected);
+/**
+ * Construye los anillos concéntricos de influencia de un área.
+ * Cada anillo guarda el buffer acumulado (outer) y su geometría de dona (outer menos el anillo interior).
+ * @param {object} T - instancia de Turf
+ * @param {object} geoJson - geometría original del área
+ * @param {string} areaType - tipo de área seleccionado
+ * @param {{nucleo:number, directa:number, indirecta:number}} distances - distancias en km
+ * @returns {Array<{key:string,label:string,innerKm:number,outerKm:number,outer:object,geometry:object|null,area:number}>}
+ */
+function buildInfluenceRings(T, geoJson, areaType, distances) {
+    const keys = getRingKeysForAreaType(areaType);
+    if (keys.length === 0) return [];
+
+    const base = dissolveAreaPolygons(T, geoJson);
+    if (!base) throw new Error('El área no contiene polígonos para generar anillos de influencia');
+
+    const rings = [];
+    let previous = null;
+    keys.forEach(key => {
+        const outerKm = Number(distances[key]) || 0;
+        const innerKm = previous ? previous.outerKm : 0;
+        if (previous && outerKm <= innerKm) {
+            throw new Error(`La distancia de ${getRingLabel(key)} (${outerKm} km) debe ser mayor que la de ${previous.label} (${innerKm} km)`);
         }
-        // Enable global Excel
-        const downloadReportBtn2 = document.getElementById('downloadReportBtn');
-        if (downloadReportBtn2) downloadReportBtn2.disabled = false;
 
-        // Update global charts
-        updateGlobalCharts();
+        const outer = outerKm > 0 ? T.buffer(base, outerKm, { units: 'kilometers' }) : base;
+        let geometry = outer;
+        if (previous) {
+            try {
+                geometry = T.difference(outer, previous.outer);
+            } catch (error) {
+                console.warn(`[DEBUG] Error generando la dona de ${key}:`, error);
+                geometry = null;
+            }
+        }
 
-        showAlert(`${unanalyzedAreas.length} área(s) analizadas exitosamente`, 'success', 4000);
+        let area = 0;
+        try { area = geometry ? T.area(geometry) / 1_000_000 : 0; } catch { area = 0; }
 
-    } catch (error) {
-        console.error('Error en análisis masivo:', error);
-        showAlert('Error durante el análisis masivo', 'danger');
-    } finally {
-        hidePreloader();
+        const ring = { key, label: getRingLabel(key), innerKm, outerKm, outer, geometry, area };
+        rings.push(ring);
+        previous = ring;
+    });
+    return rings;
+}
+
+/**
+ * Asigna una feature al anillo más interno que intersecta (null si no cae en ninguno)
+ */
+function classifyFeatureRing(T, feature, rings) {
+    for (const ring of rings) {
+        try {
+            if (T.booleanIntersects(feature, ring.outer)) return ring.key;
+        } catch (_) { /* geometría problemática: probar siguiente anillo */ }
     }
+    return null;
+}
+
+/**
+ * Inserta etiquetas con el anillo de influencia y, en corredores, el kilómetro del eje al inicio de un popup
+ */
+function withRingBadge(html, ringKey, km = null) {
+    if ((!ringKey && km == null) || typeof html !== 'string') return html;
+    let badges = '';
+    if (ringKey) badges += `<span class="badge bg-light text-dark border mb-1">${getRingLabel(ringKey)}</span> `;
+    if (km != null) badges += `<span class="badge bg-light text-dark border mb-1">km ${Number(km).toFixed(1)} del eje</span>`;
+    return html.replace('<div class="popup-content">', `<div class="popup-content">${badges}<br>`);
+}
+
+/**
+ * Tabla HTML con el resumen por anillo para el panel de resultados ('' si no hay anillos)
+ */
+function renderRingSummaryTable(rings) {
+    if (!Array.isArray(rings) || rings.length === 0) return '';
+    const rows = rings.map(r => `
+        <tr>
+            <td>${r.label}</td>
+            <td class="text-nowrap">${r.innerKm}–${r.outerKm} km</td>
+            <td class="text-end">${formatNumber(r.area)}</td>
+            <td class="text-end">${formatNumber(r.totalPopulation)}</td>
+            <td class="text-end">${formatNumber(r.totalElements)}</td>
+        </tr>`).join('');
+    return `
+        <table class="table table-sm table-bordered mt-2 mb-0 small">
+            <thead class="table-light">
+                <tr><th>Anillo</th><th>Distancia</th><th class="text-end">km²</th><th class="text-end">Población</th><th class="text-end">Elementos</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
 }
 
 /**
- * Realiza el análisis geoespacial de un área específica
+ * Filas (array de arrays) con el desglose por anillo para las hojas de Excel
  */
+function buildRingSummaryRows(metrics) {
+    const rings = (metrics && metrics.rings) || [];
+    if (rings.length === 0) return [];
+    const layerNames = Array.from(new Set(rings.flatMap(r => Object.keys(r.layers || {})))).sort();
+    const rows = [
+        ['Anillo', 'Desde (km)', 'Hasta (km)', 'Superficie (km²)', 'Población', 'Elementos', ...layerNames.map(getLayerDisplayName)]
+    ];
+    rings.forEach(r => {
+        rows.push([
+            r.label, r.innerKm, r.outerKm, r.area, r.totalPopulation, r.totalElements,
+            ...layerNames.map(layerName => (r.layers || {})[layerName] || 0)
+        ]);
+    });
+    return rows;
+}
+
 /**
  * Realiza el análisis geoespacial de un área específica
  * @param {object} kmlEntry - entrada del área en kmlLayers
- * @param {object} options - configuración del análisis { areaType, bufferKm, layers }
+ * @param {object} options - configuración del análisis { areaType, bufferKm, directaKm, indirectaKm, layers }
  */
 async function performAreaAnalysis(kmlEntry, options = {}) {
     console.log(`Analizando área: ${kmlEntry.name}`);
 
+    let bufferLayer = null;
     try {
         const T = await ensureTurf();
         updateProgress(10, 'Preparando análisis geoespacial...');
 
         // Obtener el área a analizar (KML + buffer si es necesario)
         let analysisArea = kmlEntry.geoJson;
-        let bufferLayer = null;
 
         // Determinar tipo de área y buffer
         const areaType = options.areaType || kmlEntry.areaType || 'exacta';
-        const bufferKm = typeof options.bufferKm === 'number' ? options.bufferKm : 0.5;
-
-        if (areaType === 'nucleo') {
-            const bufferMeters = Math.round((bufferKm || 0) * 1000);
-            updateProgress(20, `Generando buffer de ${bufferMeters.toLocaleString('es-MX')} m...`);
-            const buffered = T.buffer(analysisArea, bufferKm, { units: 'kilometers' });
-            analysisArea = buffered;
-
-            // Agregar buffer al mapa
-            bufferLayer = L.geoJSON(buffered, {
-                style: {
-                    color: kmlEntry.color,
-                    weight: 1,
-                    opacity: 0.3,
-                    fillColor: kmlEntry.color,
-                    fillOpacity: 0.1,
-                    dashArray: '5, 10'
-                }
-            }).addTo(map);
+        const bufferKm = typeof options.bufferKm === 'number' ? options.bufferKm : INFLUENCE_RING_DEFAULTS.nucleo;
+        const ringDistances = {
+            nucleo: bufferKm,
+            directa: typeof options.directaKm === 'number' ? options.directaKm : INFLUENCE_RING_DEFAULTS.directa,
+            indirecta: typeof options.indirectaKm === 'number' ? options.indirectaKm : INFLUENCE_RING_DEFAULTS.indirecta
+        };
+
+        // Anillos concéntricos: núcleo, influencia directa e indirecta (cada uno como dona del anterior)
+        const rings = buildInfluenceRings(T, analysisArea, areaType, ringDistances);
+        if (rings.length > 0) {
+            const outermost = rings[rings.length - 1];
+            const bufferMeters = Math.round(outermost.outerKm * 1000);
+            updateProgress(20, `Generando ${rings.length} anillo(s) de influencia hasta ${bufferMeters.toLocaleString('es-MX')} m...`);
+            analysisArea = outermost.outer;
+
+            // Agregar anillos al mapa (más tenues hacia afuera)
+            bufferLayer = L.featureGroup();
+            rings.forEach((ring, index) => {
+                if (!ring.geometry) return;
+                L.geoJSON(ring.geometry, {
+                    style: {
+                        color: kmlEntry.color,
+                        weight: 1,
+                        opacity: 0.5 - index * 0.1,
+                        fillColor: kmlEntry.color,
+                        fillOpacity: 0.12 - index * 0.03,
+                        dashArray: index === 0 ? '5, 10' : '2, 6'
+                    }
+                }).bindPopup(createPopupContent(ring.label, '⭕', [
+                    { value: kmlEntry.name, isMain: true },
+                    { label: 'Distancia', value: `${ring.innerKm} – ${ring.outerKm} km` },
+                    { label: 'Superficie', value: `${formatNumber(ring.area)} km²` }
+                ])).addTo(bufferLayer);
+            });
+            bufferLayer.addTo(map);
         }
 
+        // Corredor lineal: tramos de 1 km del eje que cubren el ancho del corredor más los anillos
+        const corridorSegments = (kmlEntry.corridor && kmlEntry.corridor.lengthKm > 0)
+            ? buildCorridorSegments(T, kmlEntry.corridor.centerline,
+                kmlEntry.corridor.widthM / 2000 + (rings.length > 0 ? rings[rings.length - 1].outerKm : 0))
+            : [];
+
+        // Copia la feature con el anillo y el kilómetro del eje asignados sin modificar los datos nacionales compartidos
+        const tagRing = (feature) => {
+            if (rings.length === 0 && corridorSegments.length === 0) return feature;
+            const properties = { ...feature.properties };
+            if (rings.length > 0) properties._anillo = classifyFeatureRing(T, feature, rings);
+            if (corridorSegments.length > 0) {
+                const index = locateFeatureOnCorridor(T, feature, corridorSegments);
+                properties._km = index >= 0 ? Number(corridorSegments[index].fromKm.toFixed(2)) : null;
+            }
+            return { ...feature, properties };
+        };
+
+        // Posición respecto al polígono del proyecto; con cercanía, la búsqueda se amplía hasta esa distancia
+        const nearMeters = typeof options.nearMeters === 'number' && options.nearMeters > 0 ? options.nearMeters : 0;
+        const containmentContext = buildContainmentContext(T, kmlEntry.geoJson, nearMeters);
+        const outermostKm = rings.length > 0 ? rings[rings.length - 1].outerKm : 0;
+        const searchArea = (containmentContext && containmentContext.nearZone && nearMeters > outermostKm * 1000)
+            ? containmentContext.nearZone
+            : analysisArea;
+        // Copia recortada con la posición; sin anillos el área analizada es el propio proyecto y su recorte ya sirve
+        const tagContainment = (feature, clipped) => {
+            if (!containmentContext) return clipped;
+            const projectClip = rings.length === 0 ? clipped : null;
+            return { ...clipped, properties: { ...clipped.properties, _contencion: classifyContainment(T, feature, containmentContext, projectClip) } };
+        };
+        // Con la búsqueda ampliada, los cercanos que no tocan el área analizada se reportan aparte
+        const isOutsideArea = (feature) => {
+            if (searchArea === analysisArea || feature.properties?._contencion !== 'cercano') return false;
+            if (rings.length === 0) return true; // sin anillos, "cercano" ya implica fuera del polígono
+            if (feature.properties._ha_dentro > 0) return false; // el recorte ya dejó superficie dentro de los anillos
+            try { return !T.booleanIntersects(feature, analysisArea); } catch (_) { return false; }
+        };
+
+        // Distancia geodésica a la geometría original (sin buffer) para localidades y sitios
+        const distanceFootprint = buildDistanceFootprint(T, kmlEntry);
+        const tagDistance = (feature) => {
+            const distance = measureDistanceToProject(T, feature, distanceFootprint);
+            if (!distance) return feature;
+            return { ...feature, properties: { ...feature.properties, _dist_km: distance.distKm, _dist_borde_km: distance.edgeKm } };
+        };
+
+        // Los polígonos se recortan al área analizada para medir la superficie que queda dentro
+        const clipMask = buildClipMask(T, analysisArea);
+        const clipToArea = (feature) => clipFeatureToArea(T, feature, clipMask);
+        // Anillo, distancia, recorte y posición de cada feature encontrada, en lotes cancelables (mapFeaturesInBatches);
+        // la distancia se mide antes del recorte, sobre la geometría completa, y los cercanos fuera del área se apartan aquí
+        const outsideArea = new Set();
+        const tagFoundFeature = (feature, layerName) => {
+            const tagged = DISTANCE_LAYER_IDS.includes(layerName) ? tagDistance(tagRing(feature)) : tagRing(feature);
+            const found = tagContainment(tagged, clipToArea(tagged));
+            if (isOutsideArea(found)) outsideArea.add(found);
+            return found;
+        };
+        // Método para sumar población: completa (por defecto) o prorrateada por la superficie de cada polígono dentro
+        const populationMethod = options.populationMethod === 'superficie' ? 'superficie' : 'completa';
+
         const results = {};
+        const nearResults = {};
         let totalFound = 0;
         let progressStep = 0;
-        const totalSteps = 14; // Número de capas posibles
+        // Capas del catálogo ofrecidas en el análisis (todas seleccionadas por defecto)
+        const analysisLayers = getAnalysisLayers();
+        const selectedLayers = options.layers || Object.fromEntries(analysisLayers.map(entry => [entry.id, true]));
+        const totalSteps = Math.max(1, analysisLayers.length - 1); // Las localidades (polígonos y puntos) cuentan como un paso
 
-        // Capas seleccionadas
-        const selectedLayers = options.layers || {
-            localidades: true, localidades_puntos: true, atlas: true, municipios: true, regiones: true, ran: true, lenguas: true,
-            za_publico: true, za_publico_a: true, anp_estatal: true, ramsar: true,
-            sitio_arqueologico: true, z_historicos: true, loc_indigenas_datos: true, rutaWixarika: true
+        // Avance dentro de la capa en curso: devuelve el callback que reciben los workers
+        const trackLayerProgress = (displayName, total) => {
+            progressStep++;
+            const start = 20 + ((progressStep - 1) / totalSteps) * 60;
+            let done = 0;
+            updateProgress(start, `Procesando ${displayName}...`);
+            return (increment) => {
+                done += increment;
+                const fraction = total > 0 ? Math.min(1, done / total) : 1;
+                updateProgress(start + fraction * (60 / totalSteps), `Procesando ${displayName}... ${formatNumber(done)} de ${formatNumber(total)}`);
+            };
         };
 
         // Función helper para procesar una capa
         const processLayer = async (layerData, layerName, displayName) => {
             if (!layerData || !layerData.features) return;
 
-            progressStep++;
-            const progress = 20 + (progressStep / totalSteps) * 60;
-            updateProgress(progress, `Procesando ${displayName}...`);
-
-            const intersectedFeatures = [];
-
-            // Procesar en lotes para mejor rendimiento
-            const batchSize = 50;
-            const features = layerData.features;
-
-            for (let i = 0; i < features.length; i += batchSize) {
-                const batch = features.slice(i, Math.min(i + batchSize, features.length));
-
-                for (const feature of batch) {
-                    if (feature.geometry && T.booleanIntersects(feature, analysisArea)) {
-                        intersectedFeatures.push(feature);
-                    }
-                }
-
-                // Pequeña pausa para no bloquear la UI
-                if (i % (batchSize * 4) === 0) {
-                    await new Promise(resolve => setTimeout(resolve, 1));
-                }
+            const onProgress = trackLayerProgress(displayName, layerData.features.length);
+            const intersecting = await findIntersectingFeatures(T, layerName, layerData.features, searchArea, onProgress);
+            const foundFeatures = await mapFeaturesInBatches(intersecting, f => tagFoundFeature(f, layerName));
+            const intersectedFeatures = foundFeatures.filter(f => !outsideArea.has(f));
+            const nearFeatures = foundFeatures.filter(f => outsideArea.has(f));
+            if (nearFeatures.length > 0) {
+                nearResults[layerName] = { features: nearFeatures, count: nearFeatures.length, displayName: displayName };
             }
 
-            if (intersectedFeatures.length > 0) {
-                results[layerName] = {
-                    features: intersectedFeatures,
-                    count: intersectedFeatures.length,
-                    displayName: displayName
-                };
-                totalFound += intersectedFeatures.length;
-
-                // Definir simbología y popups como en index2
-                let options = {};
-                let popupFormatter = null;
-                switch (layerName) {
-                    case 'localidades':
-                        options = {
-                            pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 6, fillColor: '#008000', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 })
-                        };
-                        popupFormatter = (p) => createPopupContent('Localidad', '🏘️', [
-                            { value: p.NOMGEO || p.NOM_LOC || p.NOMBRE || 'Sin nombre', isMain: true },
-                            { label: 'CVEGEO', value: p.CVEGEO },
-                            { label: 'Municipio', value: p.NOM_MUN || p.MUNICIPIO },
-                            { label: 'Estado', value: p.NOM_ENT || p.ESTADO },
-                            { label: 'Ámbito', value: p.AMBITO },
-                            { label: 'Población Total', value: p.POBTOT || p.POBTOTAL },
-                            { label: 'Población Femenina', value: p.POBFEM },
-                            { label: 'Población Masculina', value: p.POBMAS }
-                        ]);
-                        break;
-                    case 'localidades_puntos':
-                        options = {
-                            pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 5, fillColor: '#FF00FF', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 })
-                        };
-                        popupFormatter = (p) => createPopupContent('Localidad (Puntos)', '📍', [
-                            { value: p.NOM_LOC || p.NOMGEO || 'Sin nombre', isMain: true },
-                            { label: 'CVEGEO', value: p.CVEGEO },
-                            { label: 'Municipio', value: p.NOM_MUN || p.MUNICIPIO },
-                            { label: 'Estado', value: p.NOM_ENT || p.ESTADO },
-                        ]);
-                        break;
-                    case 'atlas':
-                        options = {
-                            pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 5, fillColor: '#ff00ff', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 })
-                        };
-                        popupFormatter = (p) => createPopupContent('Atlas Pueblos Indígenas', '🏛️', [
-                            { value: p.Localidad || p.CVEGEO || 'Sin nombre', isMain: true },
-                            { label: 'CVEGEO', value: p.CVEGEO },
-                            { label: 'Municipio', value: p.NOM_MUN || p.MUNICIPIO }
-                        ]);
-                        break;
-                    case 'municipios':
-                        options = { style: { color: '#0000ff', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('Municipio', '🏛️', [
-                            { value: p.NOMGEO || p.NOM_MUN || p.NOMBRE || p.MUNICIPIO || 'Sin nombre', isMain: true },
-                            { label: 'CVEGEO', value: p.CVEGEO },
-                            { label: 'Estado', value: p.NOM_ENT || p.ESTADO },
-                            { label: 'Cabecera', value: p.NOM_CAB || p.CABECERA }
-                        ]);
-                        break;
-                    case 'regiones':
-                        options = { style: { color: '#ffa500', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('Región Indígena', '🌄', [
-                            { value: p.Name || p.NOMBRE || 'Sin nombre', isMain: true },
-                            { label: 'Tipo', value: p.Tipo || p.TIPO },
-                            { label: 'Descripción', value: p.Descripci || p.DESCRIPCION }
-                        ]);
-                        break;
-                    case 'ran':
-                        options = { style: { color: '#ff0000', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('RAN', '🌾', [
-                            { value: p.NOM_NUC || p.Clv_Unica || 'Sin nombre', isMain: true },
-                            { label: 'Clv_Unica', value: p.Clv_Unica },
-                            { label: 'Tipo', value: p.tipo || p.Tipo },
-                            { label: 'Estado', value: p.Estado || p.ESTADO },
-                            { label: 'Municipio', value: p.Municipio || p.MUNICIPIO }
-                        ]);
-                        break;
-                    case 'lenguas':
-                        options = {
-                            pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 5, fillColor: '#00ffff', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 })
-                        };
-                        popupFormatter = (p) => createPopupContent('Lengua Indígena', '🗣️', [
-                            { value: p.Lengua || p.LENGUA || 'Sin especificar', isMain: true },
-                            { label: 'Localidad', value: p.NOM_LOC || p.LOCALIDAD },
-                            { label: 'Municipio', value: p.NOM_MUN || p.MUNICIPIO },
-                            { label: 'Estado', value: p.NOM_ENT || p.ESTADO }
-                        ]);
-                        break;
-                    case 'za_publico':
-                        options = {
-                            pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 6, fillColor: '#800080', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 })
-                        };
-                        popupFormatter = (p) => createPopupContent('ZA Público', '🏞️', [
-                            { value: p["Zona Arqueológica"] || 'Sin nombre', isMain: true },
-                            { label: 'Estado', value: p.ESTADO },
-                            { label: 'Municipio', value: p.MUNICIPIO },
-                            { label: 'Localidad', value: p.LOCALIDAD }
-                        ]);
-                        break;
-                    case 'za_publico_a':
-                        options = { style: { color: '#800000', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('ZA Público A', '🏞️', [
-                            { value: p["Zona Arqueológica"] || 'Sin nombre', isMain: true },
-                            { label: 'Estado', value: p.ESTADO },
-                            { label: 'Municipio', value: p.MUNICIPIO },
-                            { label: 'Localidad', value: p.LOCALIDAD }
-                        ]);
-                        break;
-                    case 'anp_estatal':
-                        options = { style: { color: '#008080', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('ANP Estatal', '🌿', [
-                            { value: p.NOMBRE || 'Sin nombre', isMain: true },
-                            { label: 'Tipo', value: p.TIPO },
-                            { label: 'Categoría DEC', value: p.CAT_DEC },
-                            { label: 'Entidad', value: p.ENTIDAD },
-                            { label: 'Municipio DEC', value: p.MUN_DEC }
-                        ]);
-                        break;
-                    case 'ramsar':
-                        options = { style: { color: '#808000', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('Sitio Ramsar', '🦆', [
-                            { value: p.RAMSAR || 'Sin nombre', isMain: true },
-                            { label: 'Estado', value: p.ESTADO },
-                            { label: 'Municipio', value: p.MUNICIPIOS }
-                        ]);
-                        break;
-                    case 'sitio_arqueologico':
-                        options = {
-                            pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 5, fillColor: '#808080', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 })
-                        };
-                        popupFormatter = (p) => createPopupContent('Sitio Arqueológico', '🏛️', [
-                            { value: p.nombre || 'Sin nombre', isMain: true },
-                            { label: 'Estado', value: p.nom_ent },
-                            { label: 'Municipio', value: p.nom_mun },
-                            { label: 'Localidad', value: p.nom_loc }
-                        ]);
-                        break;
-                    case 'z_historicos':
-                        options = { style: { color: '#400080', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('Zona Histórica', '🏰', [
-                            { value: p.Nombre || 'Sin nombre', isMain: true },
-                            { label: 'Estado', value: p.ESTADO },
-                            { label: 'Municipio', value: p.MUNICIPIO },
-                            { label: 'Localidad', value: p.LOCALIDAD }
-                        ]);
-                        break;
-                    case 'loc_indigenas_datos':
-                        options = {
-                            pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 5, fillColor: '#8000ff', color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8 })
-                        };
-                        popupFormatter = (p) => createPopupContent('Loc Indígenas Datos', '🏘️', [
-                            { value: p.LOCALIDAD || 'Sin Localidad', isMain: true },
-                            { label: 'Entidad', value: p.ENTIDAD },
-                            { label: 'Municipio', value: p.MUNICIPIO },
-                            { label: 'Localidad', value: p.LOCALIDAD },
-                            { label: 'Población Total', value: p.POBTOTAL }
-                        ]);
-                        break;
-                    case 'rutaWixarika':
-                        options = { style: { color: '#ff8000', weight: 2, fillOpacity: 0.1 } };
-                        popupFormatter = (p) => createPopupContent('Ruta Wixarika', '🛤️', [
-                            { value: p.Name || 'Sin nombre', isMain: true }
-                        ]);
-                        break;
-                    default:
-                        options = { style: { color: kmlEntry.color || '#197E74', weight: 2, fillOpacity: 0.3 } };
-                        popupFormatter = (p) => `
-                            <div class="popup-content">
-                                <strong>${p.NOMBRE || p.nombre || p.Name || p.name || 'Elemento'}</strong><br/>
-                                <small>Capa: ${displayName}</small>
-                            </div>`;
+            if (foundFeatures.length > 0) {
+                if (intersectedFeatures.length > 0) {
+                    results[layerName] = {
+                        features: intersectedFeatures,
+                        count: intersectedFeatures.length,
+                        displayName: displayName,
+                        haInside: sumClippedHectares(intersectedFeatures)
+                    };
+                    totalFound += intersectedFeatures.length;
                 }
 
-                const mapLayer = L.geoJSON(intersectedFeatures, {
+                // Simbología y popups definidos en el catálogo de capas; el trazo indica la posición respecto al proyecto
+                const options = withContainmentStyle(buildCatalogLayerOptions(layerName, kmlEntry.color || '#197E74'));
+                const popupFormatter = (p) => buildCatalogPopup(layerName, p);
+
+                // En el mapa se dibujan también los cercanos (con su trazo de posición)
+                const mapLayer = L.geoJSON(foundFeatures, {
                     ...options,
                     onEachFeature: (feature, layer) => {
                         if (popupFormatter) {
                             const props = feature.properties || {};
                             const html = popupFormatter(props);
-                            layer.bindPopup(html);
+                            layer.bindPopup(withRingBadge(html, props._anillo, props._km));
                         }
                     }
                 });
@@ -6239,138 +11297,195 @@ async function performAreaAnalysis(kmlEntry, options = {}) {
                 if (!kmlEntry.clippedLayers) kmlEntry.clippedLayers = {};
                 kmlEntry.clippedLayers[layerName] = mapLayer;
 
-                // Asignar a variable global para que la navegación funcione en la última área analizada
-                switch (layerName) {
-                    case 'localidades': clippedLocalitiesLayer = mapLayer; break;
-                    case 'localidades_puntos': clippedLocalitiesPointsLayer = mapLayer; break;
-                    case 'atlas': clippedAtlasLayer = mapLayer; break;
-                    case 'municipios': clippedMunicipiosLayer = mapLayer; break;
-                    case 'regiones': clippedRegionesLayer = mapLayer; break;
-                    case 'ran': clippedRanLayer = mapLayer; break;
-                    case 'lenguas': clippedLenguasLayer = mapLayer; break;
-                    case 'za_publico': clippedZaPublicoLayer = mapLayer; break;
-                    case 'za_publico_a': clippedZaPublicoALayer = mapLayer; break;
-                    case 'anp_estatal': clippedAnpEstatalLayer = mapLayer; break;
-                    case 'ramsar': clippedRamsarLayer = mapLayer; break;
-                    case 'sitio_arqueologico': clippedSitioArqueologicoLayer = mapLayer; break;
-                    case 'z_historicos': clippedZHistoricosLayer = mapLayer; break;
-                    case 'loc_indigenas_datos': clippedLocIndigenasLayer = mapLayer; break;
-                    case 'rutaWixarika': clippedRutaWixarikaLayer = mapLayer; break;
-                }
+                // La navegación activa la capa de la última área analizada
+                clippedLayersById[layerName] = mapLayer;
             }
         };
 
         // Procesar todas las capas disponibles
         // Lógica unificada para Localidades (polígonos y puntos)
         if (selectedLayers.localidades || selectedLayers.localidades_puntos) {
-            progressStep++;
-            updateProgress(20 + (progressStep / totalSteps) * 60, `Procesando Localidades...`);
-
-            const polygonFeatures = (selectedLayers.localidades && localitiesData)
-                ? localitiesData.features.filter(f => f.geometry && T.booleanIntersects(f, analysisArea))
+            const localitiesData = getLayerData('localidades');
+            const localitiesPointsData = getLayerData('localidades_puntos');
+            const localitiesName = getLayerDisplayName('localidades');
+            const localitiesColor = getCatalogLayer('localidades')?.style?.color || '#008000';
+            const usePolygons = selectedLayers.localidades && localitiesData;
+            const usePoints = selectedLayers.localidades_puntos && localitiesPointsData;
+            const onProgress = trackLayerProgress(localitiesName,
+                (usePolygons ? localitiesData.features.length : 0) + (usePoints ? localitiesPointsData.features.length : 0));
+
+            const polygonFeatures = usePolygons
+                ? await findIntersectingFeatures(T, 'localidades', localitiesData.features, searchArea, onProgress)
                 : [];
 
             const polygonCVEGEOs = new Set(polygonFeatures.map(f => f.properties.CVEGEO));
 
-            const pointFeatures = (selectedLayers.localidades_puntos && localitiesPointsData)
-                ? localitiesPointsData.features.filter(f =>
-                    f.geometry &&
-                    !polygonCVEGEOs.has(f.properties.CVEGEO) &&
-                    T.booleanIntersects(f, analysisArea)
-                )
+            // Los puntos con polígono ya encontrado se descartan después de intersectar
+            const pointFeatures = usePoints
+                ? (await findIntersectingFeatures(T, 'localidades_puntos', localitiesPointsData.features, searchArea, onProgress))
+                    .filter(f => !polygonCVEGEOs.has(f.properties.CVEGEO))
                 : [];
 
-            const allLocalities = [
+            const foundLocalities = await mapFeaturesInBatches([
                 ...polygonFeatures.map(f => ({ ...f, properties: { ...f.properties, _source: 'polygon' } })),
                 ...pointFeatures.map(f => ({ ...f, properties: { ...f.properties, _source: 'point' } }))
-            ];
-            allLocalities.sort((a, b) => (a.properties.NOMGEO || a.properties.NOM_LOC || '').localeCompare(b.properties.NOMGEO || b.properties.NOM_LOC || ''));
+            ], f => tagFoundFeature(f, 'localidades'));
+            foundLocalities.sort((a, b) => (a.properties.NOMGEO || a.properties.NOM_LOC || '').localeCompare(b.properties.NOMGEO || b.properties.NOM_LOC || ''));
+            const allLocalities = foundLocalities.filter(f => !outsideArea.has(f));
+            const nearLocalities = foundLocalities.filter(f => outsideArea.has(f));
+            if (nearLocalities.length > 0) {
+                nearResults['localidades'] = { features: nearLocalities, count: nearLocalities.length, displayName: localitiesName };
+            }
 
-            if (allLocalities.length > 0) {
-                const unifiedLayer = L.geoJSON(allLocalities, {
+            if (foundLocalities.length > 0) {
+                const unifiedLayer = L.geoJSON(foundLocalities, withContainmentStyle({
                     style: function (feature) {
-                        return { color: '#008000', weight: 2, fillOpacity: 0.1 };
+                        return { color: localitiesColor, weight: 2, fillOpacity: 0.1, ...getCatalogLayer('localidades')?.style };
                     },
                     pointToLayer: function (feature, latlng) {
                         // Para puntos, dibujar un círculo de 100m de radio
                         return L.circle(latlng, {
                             radius: 100,
-                            color: '#008000',
+                            color: localitiesColor,
                             weight: 1,
-                            fillColor: '#008000',
+                            fillColor: localitiesColor,
                             fillOpacity: 0.5
                         });
                     },
                     onEachFeature: function (feature, layer) {
                         const p = feature.properties;
-                        const popupContent = createPopupContent('Localidad', '🏘️', [
-                            { value: p.NOMGEO || p.NOM_LOC || 'Sin nombre', isMain: true },
-                            { label: 'CVEGEO', value: p.CVEGEO },
-                            { label: 'Municipio', value: p.NOM_MUN },
-                            { label: 'Estado', value: p.NOM_ENT },
-                            { label: 'Ámbito', value: p.AMBITO },
-                            { label: 'Población', value: p.POBTOT || p.POBTOTAL },
-                            { label: 'Fuente', value: p._source === 'polygon' ? 'Polígono' : 'Punto' }
+                        const popupContent = buildCatalogPopup('localidades', p, [
+                            { label: 'Fuente', value: p._source === 'polygon' ? 'Polígono' : 'Punto' },
+                            { label: 'Anillo', value: getRingLabel(p._anillo) },
+                            { label: 'Km del eje', value: p._km != null ? Number(p._km).toFixed(1) : '' },
+                            { label: 'Población prorrateada', value: populationMethod === 'superficie' && hasClipData(p) ? Math.round(getApportionedPopulation(p)) : '' }
                         ]);
                         layer.bindPopup(popupContent);
                     }
-                });
+                }));
 
-                results['localidades'] = {
-                    features: allLocalities,
-                    count: allLocalities.length,
-                    displayName: 'Localidades'
-                };
-                totalFound += allLocalities.length;
+                if (allLocalities.length > 0) {
+                    results['localidades'] = {
+                        features: allLocalities,
+                        count: allLocalities.length,
+                        displayName: localitiesName,
+                        haInside: sumClippedHectares(allLocalities)
+                    };
+                    totalFound += allLocalities.length;
+                }
 
                 if (!overlayGroupsByKey['localidades']) {
                     overlayGroupsByKey['localidades'] = L.featureGroup().addTo(map);
-                    overlayDisplayNameByKey['localidades'] = 'Localidades';
+                    overlayDisplayNameByKey['localidades'] = localitiesName;
                     if (layersControl) {
-                        try { layersControl.addOverlay(overlayGroupsByKey['localidades'], 'Localidades'); } catch (_) { }
+                        try { layersControl.addOverlay(overlayGroupsByKey['localidades'], localitiesName); } catch (_) { }
                     }
                 }
                 unifiedLayer.addTo(overlayGroupsByKey['localidades']);
                 if (!kmlEntry.clippedLayers) kmlEntry.clippedLayers = {};
                 kmlEntry.clippedLayers['localidades'] = unifiedLayer;
+                clippedLayersById['localidades'] = unifiedLayer;
             }
         }
 
-        if (selectedLayers.atlas) await processLayer(atlasData, 'atlas', 'Atlas Pueblos Indígenas');
-        if (selectedLayers.municipios) await processLayer(municipiosData, 'municipios', 'Municipios');
-        if (selectedLayers.regiones) await processLayer(regionesData, 'regiones', 'Regiones Indígenas');
-        if (selectedLayers.ran) await processLayer(ranData, 'ran', 'Registro Agrario Nacional');
-        if (selectedLayers.lenguas) await processLayer(lenguasData, 'lenguas', 'Lenguas Indígenas');
-        if (selectedLayers.za_publico) await processLayer(zaPublicoData, 'za_publico', 'Zonas Arqueológicas (Puntos)');
-        if (selectedLayers.za_publico_a) await processLayer(zaPublicoAData, 'za_publico_a', 'Zonas Arqueológicas (Áreas)');
-        if (selectedLayers.anp_estatal) await processLayer(anpEstatalData, 'anp_estatal', 'ANP Estatal');
-        if (selectedLayers.ramsar) await processLayer(ramsarData, 'ramsar', 'Ramsar');
-        if (selectedLayers.sitio_arqueologico) await processLayer(sitioArqueologicoData, 'sitio_arqueologico', 'Sitios Arqueológicos');
-        if (selectedLayers.z_historicos) await processLayer(zHistoricosData, 'z_historicos', 'Zonas Históricas');
-        if (selectedLayers.loc_indigenas_datos) await processLayer(locIndigenasData, 'loc_indigenas_datos', 'Loc Indígenas Datos');
-        if (selectedLayers.rutaWixarika) await processLayer(rutaWixarikaData, 'rutaWixarika', 'Ruta Wixarika');
+        // Resto de capas del catálogo (las localidades ya se procesaron juntas)
+        for (const entry of analysisLayers) {
+            if (entry.id === 'localidades' || entry.id === 'localidades_puntos') continue;
+            if (selectedLayers[entry.id]) await processLayer(getLayerData(entry.id), entry.id, entry.name);
+        }
+
+        // Distancias: además de lo encontrado, localidades y sitios hasta el radio de búsqueda alrededor de la huella
+        const distanceRadiusKm = typeof options.distanceRadiusKm === 'number' && options.distanceRadiusKm >= 0
+            ? options.distanceRadiusKm
+            : DISTANCE_SEARCH_DEFAULT_KM;
+        updateProgress(82, 'Midiendo distancias al proyecto...');
+        const measuredDistances = Object.fromEntries(DISTANCE_LAYER_IDS.map(layerName => [layerName,
+            [...(results[layerName]?.features || []), ...(nearResults[layerName]?.features || [])]]));
+        const distanceResults = await collectDistanceFeatures(T, distanceFootprint, distanceRadiusKm, selectedLayers, measuredDistances, tagDistance);
 
         // Almacenar resultados y métricas
         kmlEntry.results = results;
         // Calcular métricas básicas
         let areaKm2 = 0;
         try { areaKm2 = T.area(analysisArea) / 1_000_000; } catch { areaKm2 = 0; }
-        let totalPopulation = 0;
-        if (results.localidades && results.localidades.features) {
-            for (const f of results.localidades.features) {
-                const p = f.properties || {};
-                totalPopulation += (p.POBTOT || p.POBTOTAL || 0);
-            }
-        }
+        const localityFeatures = results.localidades ? results.localidades.features : [];
+        const rawPopulation = sumPopulation(localityFeatures, 'completa');
+        const apportionedPopulation = sumPopulation(localityFeatures, 'superficie');
+        const totalPopulation = populationMethod === 'superficie' ? apportionedPopulation : rawPopulation;
+        // Métricas por anillo: cada feature cuenta solo en el anillo más interno que toca
+        const ringMetrics = rings.map(ring => {
+            const layers = {};
+            let ringPopulation = 0;
+            let ringElements = 0;
+            Object.entries(results).forEach(([layerName, data]) => {
+                const inRing = data.features.filter(f => f.properties && f.properties._anillo === ring.key);
+                if (inRing.length === 0) return;
+                layers[layerName] = inRing.length;
+                ringElements += inRing.length;
+                if (layerName === 'localidades') ringPopulation = sumPopulation(inRing, populationMethod);
+            });
+            return {
+                key: ring.key,
+                label: ring.label,
+                innerKm: ring.innerKm,
+                outerKm: ring.outerKm,
+                area: ring.area,
+                totalPopulation: ringPopulation,
+                totalElements: ringElements,
+                layers
+            };
+        });
+
+        // Métricas por kilómetro del eje: cada feature cuenta en el primer tramo que la alcanza
+        const corridorMetrics = kmlEntry.corridor ? {
+            widthM: kmlEntry.corridor.widthM,
+            lengthKm: kmlEntry.corridor.lengthKm,
+            pointCount: kmlEntry.corridor.pointCount,
+            segments: corridorSegments.map(segment => {
+                const fromKm = Number(segment.fromKm.toFixed(2));
+                const layers = {};
+                let segmentPopulation = 0;
+                let segmentElements = 0;
+                Object.entries(results).forEach(([layerName, data]) => {
+                    const inSegment = data.features.filter(f => f.properties && f.properties._km === fromKm);
+                    if (inSegment.length === 0) return;
+                    layers[layerName] = inSegment.length;
+                    segmentElements += inSegment.length;
+                    if (layerName === 'localidades') segmentPopulation = sumPopulation(inSegment, populationMethod);
+                });
+                return {
+                    fromKm: segment.fromKm,
+                    toKm: segment.toKm,
+                    totalPopulation: segmentPopulation,
+                    totalElements: segmentElements,
+                    layers
+                };
+            })
+        } : null;
+
         kmlEntry.metrics = {
             area: areaKm2,
+            analysisArea: analysisArea, // geometría analizada (con anillos); la usa el análisis combinado
             totalPopulation: totalPopulation,
+            rawPopulation: rawPopulation,
+            apportionedPopulation: apportionedPopulation,
+            populationMethod: populationMethod,
             populationDensity: areaKm2 > 0 ? totalPopulation / areaKm2 : 0,
             totalElements: totalFound,
+            containment: countContainment(results),
+            nearMeters: nearMeters,
+            nearby: buildNearbySummary(nearResults, nearMeters),
+            distance: buildDistanceMetrics(distanceResults, populationMethod, distanceRadiusKm),
+            administrative: buildAdministrativeBreakdown(T, results, populationMethod),
+            demographics: buildDemographicIndicators(results.localidades?.features, populationMethod),
+            indigenous: buildIndigenousSynthesis(results.loc_indigenas_datos?.features),
+            peoples: buildPeoplesAndLanguages(results),
             layersFound: Object.keys(results).length,
             areaType: areaType,
-            bufferUsed: areaType === 'nucleo',
-            bufferRadius: areaType === 'nucleo' ? bufferKm : 0,
+            bufferUsed: rings.length > 0,
+            bufferRadius: rings.length > 0 ? rings[rings.length - 1].outerKm : 0,
+            rings: ringMetrics,
+            corridor: corridorMetrics,
             analysisDate: new Date().toISOString()
         };
         kmlEntry.isAnalyzed = true;
@@ -6405,7 +11520,8 @@ async function performAreaAnalysis(kmlEntry, options = {}) {
             ? `Análisis completado para "${kmlEntry.name}":<br/>
                • ${formatNumber(totalFound)} elementos encontrados<br/>
                • ${Object.keys(results).length} capas con intersecciones<br/>
-               • Tipo de área: ${kmlEntry.areaType}`
+               ${Object.keys(nearResults).length > 0 ? `• ${formatNumber(kmlEntry.metrics.nearby.totalElements)} cercanos fuera del área (reportados aparte)<br/>` : ''}
+               • Tipo de área: ${areaType}`
             : `Análisis completado para "${kmlEntry.name}": No se encontraron elementos en el área especificada.`;
 
         showAlert(message, totalFound > 0 ? 'success' : 'info', 5000);
@@ -6413,6 +11529,11 @@ async function performAreaAnalysis(kmlEntry, options = {}) {
         return { metrics: kmlEntry.metrics, clippedLayers: kmlEntry.clippedLayers, results };
 
     } catch (error) {
+        // Descartar lo que alcanzó a dibujarse de este análisis (cancelado o fallido);
+        // quien llama restaura la corrida anterior si la había
+        if (bufferLayer && map.hasLayer(bufferLayer)) map.removeLayer(bufferLayer);
+        resetAreaAnalysis(kmlEntry);
+        if (error.cancelled) throw error;
         console.error('Error en performAreaAnalysis:', error);
         showAlert(`Error analizando "${kmlEntry.name}": ${error.message}`, 'danger');
         throw error;
@@ -6422,7 +11543,7 @@ async function performAreaAnalysis(kmlEntry, options = {}) {
 /**
  * Muestra un modal de configuración para el análisis y devuelve la selección del usuario
  * @param {{scope:'single'|'bulk', areaName:string, defaults?:object}} params
- * @returns {Promise<null|{areaType:string, bufferKm:number, layers:Record<string,boolean>}>}
+ * @returns {Promise<null|{areaType:string, bufferKm:number, directaKm:number, indirectaKm:number, layers:Record<string,boolean>}>}
  */
 function openAnalysisConfigDialog(params = { scope: 'single', areaName: '', defaults: {} }) {
     return new Promise(resolve => {
@@ -6455,10 +11576,40 @@ function openAnalysisConfigDialog(params = { scope: 'single', areaName: '', defa
                                                     </select>
                                                 </div>
                                                 <div class="col-md-4" id="ac-buffer-group">
-                                                    <label class="form-label">Buffer (km)</label>
+                                                    <label class="form-label">Núcleo (km)</label>
                                                     <input id="ac-buffer-km" type="number" class="form-control" step="0.1" min="0" value="0.5" />
                                                 </div>
+                                                <div class="col-md-4" id="ac-directa-group">
+                                                    <label class="form-label">Influencia directa (km)</label>
+                                                    <input id="ac-directa-km" type="number" class="form-control" step="0.1" min="0" value="2" />
+                                                </div>
+                                                <div class="col-md-4" id="ac-indirecta-group">
+                                                    <label class="form-label">Influencia indirecta (km)</label>
+                                                    <input id="ac-indirecta-km" type="number" class="form-control" step="0.1" min="0" value="5" />
+                                                </div>
+                                            </div>
+                                            <div class="form-text" id="ac-rings-help">Las distancias se miden desde el polígono original; cada anillo se analiza por separado (sin incluir el anillo interior).</div>
+                                            <div class="text-danger small mt-1" id="ac-rings-error" style="display:none;"></div>
+                                            <div class="row g-3 mt-1">
+                                                <div class="col-md-8">
+                                                    <label class="form-label">Población de localidades</label>
+                                                    <select id="ac-population-method" class="form-select">
+                                                        <option value="completa">Completa (toda la población de cada localidad intersectada)</option>
+                                                        <option value="superficie">Prorrateada por superficie dentro del área</option>
+                                                    </select>
+                                                </div>
+                                                <div class="col-md-4">
+                                                    <label class="form-label">Cercanía (m)</label>
+                                                    <input id="ac-near-m" type="number" class="form-control" step="50" min="0" value="0" />
+                                                </div>
+                                                <div class="col-md-4">
+                                                    <label class="form-label">Radio de distancias (km)</label>
+                                                    <input id="ac-distance-km" type="number" class="form-control" step="1" min="0" value="${DISTANCE_SEARCH_DEFAULT_KM}" />
+                                                </div>
                                             </div>
+                                            <div class="form-text">El prorrateo multiplica la población de cada polígono por el porcentaje de su superficie dentro del área; las localidades puntuales cuentan completas.</div>
+                                            <div class="form-text">Con una cercanía mayor a 0 también se reportan como "Cercano" los elementos fuera del polígono del proyecto hasta esa distancia.</div>
+                                            <div class="form-text">La distancia al proyecto y la curva de población se calculan para las localidades y sitios hasta el radio de distancias, aunque queden fuera del área; no se suman a sus totales.</div>
                                             <hr/>
                                             <label class="form-label">Capas a incluir</label>
                                             <div class="row row-cols-2 row-cols-md-3 g-2" id="ac-layers"></div>
@@ -6477,20 +11628,35 @@ function openAnalysisConfigDialog(params = { scope: 'single', areaName: '', defa
         const areaTypeSel = modalEl.querySelector('#ac-area-type');
         const bufferGroup = modalEl.querySelector('#ac-buffer-group');
         const bufferInput = modalEl.querySelector('#ac-buffer-km');
+        const directaGroup = modalEl.querySelector('#ac-directa-group');
+        const directaInput = modalEl.querySelector('#ac-directa-km');
+        const indirectaGroup = modalEl.querySelector('#ac-indirecta-group');
+        const indirectaInput = modalEl.querySelector('#ac-indirecta-km');
+        const ringsHelp = modalEl.querySelector('#ac-rings-help');
+        const ringsError = modalEl.querySelector('#ac-rings-error');
+        const populationMethodSel = modalEl.querySelector('#ac-population-method');
+        const nearInput = modalEl.querySelector('#ac-near-m');
+        const distanceInput = modalEl.querySelector('#ac-distance-km');
         areaTypeSel.value = defaults.areaType || 'exacta';
-        bufferInput.value = defaults.bufferKm != null ? defaults.bufferKm : 0.5;
-        bufferGroup.style.display = areaTypeSel.value === 'nucleo' ? '' : 'none';
-        areaTypeSel.onchange = () => {
-            bufferGroup.style.display = areaTypeSel.value === 'nucleo' ? '' : 'none';
+        populationMethodSel.value = defaults.populationMethod || 'completa';
+        nearInput.value = defaults.nearMeters != null ? defaults.nearMeters : 0;
+        distanceInput.value = defaults.distanceRadiusKm != null ? defaults.distanceRadiusKm : DISTANCE_SEARCH_DEFAULT_KM;
+        bufferInput.value = defaults.bufferKm != null ? defaults.bufferKm : INFLUENCE_RING_DEFAULTS.nucleo;
+        directaInput.value = defaults.directaKm != null ? defaults.directaKm : INFLUENCE_RING_DEFAULTS.directa;
+        indirectaInput.value = defaults.indirectaKm != null ? defaults.indirectaKm : INFLUENCE_RING_DEFAULTS.indirecta;
+        ringsError.style.display = 'none';
+        // Mostrar solo las distancias de los anillos que genera el tipo de área
+        const syncRingInputs = () => {
+            const ringKeys = getRingKeysForAreaType(areaTypeSel.value);
+            bufferGroup.style.display = ringKeys.includes('nucleo') ? '' : 'none';
+            directaGroup.style.display = ringKeys.includes('directa') ? '' : 'none';
+            indirectaGroup.style.display = ringKeys.includes('indirecta') ? '' : 'none';
+            ringsHelp.style.display = ringKeys.length > 1 ? '' : 'none';
         };
+        syncRingInputs();
+        areaTypeSel.onchange = syncRingInputs;
 
-        const layerList = [
-            ['localidades', 'Localidades'], ['localidades_puntos', 'Localidades (Puntos)'], ['atlas', 'Atlas Pueblos Indígenas'], ['municipios', 'Municipios'],
-            ['regiones', 'Regiones Indígenas'], ['ran', 'RAN'], ['lenguas', 'Lenguas Indígenas'],
-            ['za_publico', 'Zonas Arqueológicas (Puntos)'], ['za_publico_a', 'Zonas Arqueológicas (Áreas)'], ['anp_estatal', 'ANP Estatal'],
-            ['ramsar', 'Ramsar'], ['sitio_arqueologico', 'Sitios Arqueológicos'], ['z_historicos', 'Zonas Históricas'],
-            ['loc_indigenas_datos', 'Loc Indígenas Datos'], ['rutaWixarika', 'Ruta Wixarika']
-        ];
+        const layerList = getAnalysisLayers().map(entry => [entry.id, entry.name]);
         const acLayers = modalEl.querySelector('#ac-layers');
         acLayers.innerHTML = '';
         const selectedDefaults = defaults.layers || {};
@@ -6504,144 +11670,595 @@ function openAnalysisConfigDialog(params = { scope: 'single', areaName: '', defa
             acLayers.appendChild(wrapper);
         });
 
-        const bsModal = new bootstrap.Modal(modalEl, { backdrop: 'static', keyboard: true });
-        let pendingResult = null; // se resolverá en hidden según acción (null si cancelar)
-        const cleanup = () => {
-            const applyBtn = modalEl.querySelector('#ac-apply-btn');
-            if (applyBtn) applyBtn.onclick = null;
-            modalEl.removeEventListener('hidden.bs.modal', onHidden);
-        };
-        const onHidden = () => {
-            cleanup();
-            resolve(pendingResult);
-        };
-        modalEl.addEventListener('hidden.bs.modal', onHidden, { once: true });
+        const bsModal = new bootstrap.Modal(modalEl, { backdrop: 'static', keyboard: true });
+        let pendingResult = null; // se resolverá en hidden según acción (null si cancelar)
+        const cleanup = () => {
+            const applyBtn = modalEl.querySelector('#ac-apply-btn');
+            if (applyBtn) applyBtn.onclick = null;
+            modalEl.removeEventListener('hidden.bs.modal', onHidden);
+        };
+        const onHidden = () => {
+            cleanup();
+            resolve(pendingResult);
+        };
+        modalEl.addEventListener('hidden.bs.modal', onHidden, { once: true });
+
+        modalEl.querySelector('#ac-apply-btn').onclick = () => {
+            const layersSelection = {};
+            layerList.forEach(([key]) => {
+                const cb = modalEl.querySelector(`#ac-layer-${key}`);
+                layersSelection[key] = !!cb?.checked;
+            });
+            const ringKm = {
+                nucleo: parseFloat(bufferInput.value) || 0,
+                directa: parseFloat(directaInput.value) || 0,
+                indirecta: parseFloat(indirectaInput.value) || 0
+            };
+            // Validar que cada anillo sea más amplio que el anterior
+            const ringKeys = getRingKeysForAreaType(areaTypeSel.value);
+            for (let i = 1; i < ringKeys.length; i++) {
+                if (ringKm[ringKeys[i]] <= ringKm[ringKeys[i - 1]]) {
+                    ringsError.textContent = `La distancia de ${getRingLabel(ringKeys[i])} debe ser mayor que la de ${getRingLabel(ringKeys[i - 1])}.`;
+                    ringsError.style.display = '';
+                    return;
+                }
+            }
+            ringsError.style.display = 'none';
+            pendingResult = {
+                areaType: areaTypeSel.value,
+                bufferKm: ringKm.nucleo,
+                directaKm: ringKm.directa,
+                indirectaKm: ringKm.indirecta,
+                populationMethod: populationMethodSel.value,
+                nearMeters: Math.max(0, parseFloat(nearInput.value) || 0),
+                distanceRadiusKm: Math.max(0, parseFloat(distanceInput.value) || 0),
+                layers: layersSelection
+            };
+            // Mover foco fuera del modal antes de ocultarlo para evitar warning de aria-hidden
+            try {
+                const focused = modalEl.querySelector(':focus');
+                if (focused && typeof focused.blur === 'function') focused.blur();
+            } catch (_) { /* noop */ }
+            bsModal.hide();
+        };
+
+        bsModal.show();
+    });
+}
+
+// ============================================================================
+// HISTORIAL DE CORRIDAS DE ANÁLISIS POR ÁREA
+// ============================================================================
+
+/** Corridas que se conservan por área; al exceder se descarta la más antigua */
+const MAX_ANALYSIS_RUNS = 10;
+/** Elementos listados por capa en la comparación de corridas */
+const RUN_DIFF_MAX_ITEMS = 50;
+
+/**
+ * Guarda una corrida (configuración, métricas, resultados y capas del mapa) y la deja activa
+ */
+function recordAnalysisRun(kmlEntry, config, analysisResult) {
+    if (!kmlEntry.runs) kmlEntry.runs = [];
+    kmlEntry.runCounter = (kmlEntry.runCounter || 0) + 1;
+    const run = {
+        id: kmlEntry.runCounter,
+        date: new Date().toISOString(),
+        config: { ...config },
+        metrics: analysisResult.metrics,
+        results: analysisResult.results,
+        clippedLayers: analysisResult.clippedLayers
+    };
+    kmlEntry.runs.push(run);
+    kmlEntry.activeRunId = run.id;
+    delete kmlEntry.sensitivity; // la tabla de sensibilidad se vuelve a calcular para la nueva corrida
+    while (kmlEntry.runs.length > MAX_ANALYSIS_RUNS) kmlEntry.runs.shift();
+    return run;
+}
+
+function getActiveRun(kmlEntry) {
+    return (kmlEntry.runs || []).find(run => run.id === kmlEntry.activeRunId) || null;
+}
+
+/**
+ * Muestra una corrida en el mapa y el panel; es la que usan los reportes.
+ * Las corridas hechas antes de editar la geometría (stale) no se pueden activar
+ */
+function activateAnalysisRun(kmlEntry, runId) {
+    const run = (kmlEntry.runs || []).find(r => r.id === runId);
+    if (!run) return false;
+    if (run.stale) {
+        showAlert(`La corrida #${run.id} se hizo con una geometría anterior de "${kmlEntry.name}"; vuelve a analizar el área`, 'warning', 5000);
+        return false;
+    }
+
+    removeClippedLayers(kmlEntry);
+    Object.entries(run.clippedLayers || {}).forEach(([layerKey, layer]) => {
+        if (!layer) return;
+        if (layerKey === 'buffer') {
+            layer.addTo(map);
+            return;
+        }
+        if (!overlayGroupsByKey[layerKey]) {
+            overlayGroupsByKey[layerKey] = L.featureGroup().addTo(map);
+            overlayDisplayNameByKey[layerKey] = getLayerDisplayName(layerKey);
+            if (layersControl) {
+                try { layersControl.addOverlay(overlayGroupsByKey[layerKey], overlayDisplayNameByKey[layerKey]); } catch (_) { }
+            }
+        }
+        overlayGroupsByKey[layerKey].addLayer(layer);
+        clippedLayersById[layerKey] = layer;
+    });
+
+    kmlEntry.clippedLayers = run.clippedLayers;
+    kmlEntry.results = run.results;
+    kmlEntry.metrics = run.metrics;
+    kmlEntry.isAnalyzed = true;
+    kmlEntry.activeRunId = run.id;
+    return true;
+}
+
+/**
+ * Resumen legible de la configuración de una corrida
+ */
+function describeRunConfig(config) {
+    const c = config || {};
+    const parts = [c.areaType || 'exacta'];
+    const ringKeys = getRingKeysForAreaType(c.areaType || 'exacta');
+    const ringKm = { nucleo: c.bufferKm, directa: c.directaKm, indirecta: c.indirectaKm };
+    if (ringKeys.length > 0) parts.push(ringKeys.map(key => `${ringKm[key]} km`).join(' / '));
+    if (c.layers) parts.push(`${Object.values(c.layers).filter(Boolean).length} capas`);
+    if (c.populationMethod === 'superficie') parts.push('población prorrateada');
+    if (c.nearMeters > 0) parts.push(`cercanía ${formatNumber(c.nearMeters)} m`);
+    if (c.distanceRadiusKm != null) parts.push(`distancias hasta ${formatNumber(c.distanceRadiusKm)} km`);
+    return parts.join(' · ');
+}
+
+/**
+ * Identidad de una feature para comparar corridas y áreas: su campo clave del catálogo, en puntos sus coordenadas
+ * y su id de carga (_fid), que distingue polígonos con el mismo valor clave (capas con clave por nombre o sin ella)
+ */
+function getFeatureIdentity(layerName, feature) {
+    const p = feature.properties || {};
+    const keyField = getCatalogLayer(layerName)?.keyField;
+    const key = (keyField && p[keyField] != null) ? p[keyField] : (p.CVEGEO ?? p.id ?? '');
+    const geometry = feature.geometry || {};
+    const coords = geometry.type === 'Point' ? geometry.coordinates.join(',') : '';
+    return `${key}|${coords}|${feature._fid ?? ''}`;
+}
+
+/**
+ * Elementos agregados y quitados por capa entre dos corridas (de "before" a "after")
+ * @returns {Array<{layerName:string, added:string[], removed:string[], kept:number}>}
+ */
+function compareAnalysisRuns(before, after) {
+    const layerNames = Array.from(new Set([...Object.keys(before.results || {}), ...Object.keys(after.results || {})]));
+    return layerNames.map(layerName => {
+        const index = (run) => {
+            const byIdentity = new Map();
+            (run.results?.[layerName]?.features || []).forEach(f => byIdentity.set(getFeatureIdentity(layerName, f), f));
+            return byIdentity;
+        };
+        const oldFeatures = index(before);
+        const newFeatures = index(after);
+        const label = (f) => getCatalogFeatureLabel(layerName, f.properties);
+        return {
+            layerName,
+            added: [...newFeatures].filter(([key]) => !oldFeatures.has(key)).map(([, f]) => label(f)),
+            removed: [...oldFeatures].filter(([key]) => !newFeatures.has(key)).map(([, f]) => label(f)),
+            kept: [...newFeatures.keys()].filter(key => oldFeatures.has(key)).length
+        };
+    }).filter(diff => diff.added.length > 0 || diff.removed.length > 0 || diff.kept > 0);
+}
+
+function renderRunDiff(diffs) {
+    if (diffs.length === 0) return '<div class="text-muted small">Ninguna de las dos corridas tiene resultados.</div>';
+    const list = (items, cssClass) => items.length === 0 ? '—' : `<span class="${cssClass}">${items.slice(0, RUN_DIFF_MAX_ITEMS).map(escapeHtml).join(', ')}${items.length > RUN_DIFF_MAX_ITEMS ? ` y ${items.length - RUN_DIFF_MAX_ITEMS} más` : ''}</span>`;
+    const rows = diffs.map(diff => `
+        <tr>
+            <td>${getLayerDisplayName(diff.layerName)}</td>
+            <td class="text-end">${formatNumber(diff.kept)}</td>
+            <td class="text-end text-success">+${formatNumber(diff.added.length)}</td>
+            <td class="text-end text-danger">−${formatNumber(diff.removed.length)}</td>
+            <td class="small">${list(diff.added, 'text-success')}<br>${list(diff.removed, 'text-danger')}</td>
+        </tr>`).join('');
+    return `
+        <table class="table table-sm table-bordered small mb-0">
+            <thead class="table-light"><tr><th>Capa</th><th class="text-end">Sin cambio</th><th class="text-end">Agregados</th><th class="text-end">Quitados</th><th>Elementos (agregados / quitados)</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+/**
+ * Ventana con las corridas de un área: cuál está activa (mapa, panel y reportes) y comparación entre dos
+ */
+function openAnalysisHistory(kmlId) {
+    const kmlEntry = kmlLayers.get(kmlId);
+    if (!kmlEntry || !kmlEntry.runs || kmlEntry.runs.length === 0) {
+        showAlert('Esta área todavía no tiene corridas de análisis', 'info');
+        return;
+    }
+
+    const modalId = 'analysisHistoryModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const runs = kmlEntry.runs.slice().reverse();
+    const runLabel = (run) => `#${run.id} — ${new Date(run.date).toLocaleString('es-MX')}`;
+    const options = runs.map(run => `<option value="${run.id}">${runLabel(run)}</option>`).join('');
+    const rows = runs.map(run => `
+        <tr>
+            <td class="text-center"><input class="form-check-input" type="radio" name="activeRun" value="${run.id}" ${run.id === kmlEntry.activeRunId ? 'checked' : ''} ${run.stale ? 'disabled' : ''} aria-label="Usar corrida ${run.id}"></td>
+            <td class="text-nowrap">${runLabel(run)}${run.stale ? '<br><span class="badge bg-secondary" title="Se analizó antes de editar la geometría">Geometría anterior</span>' : ''}</td>
+            <td class="small">${describeRunConfig(run.config)}</td>
+            <td class="text-end">${formatNumber(run.metrics?.totalElements || 0)}</td>
+            <td class="text-end">${formatNumber(run.metrics?.totalPopulation || 0)}</td>
+        </tr>`).join('');
+
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Historial de análisis: ${kmlEntry.name}</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                    <p class="small mb-2">La corrida marcada se muestra en el mapa y el panel de resultados y es la que entra en los reportes. Las corridas con geometría anterior solo sirven para comparar.</p>
+                    <table class="table table-sm table-bordered small mb-3">
+                        <thead class="table-light">
+                            <tr><th class="text-center">Activa</th><th>Corrida</th><th>Configuración</th><th class="text-end">Elementos</th><th class="text-end">Población</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <h6>Comparar corridas</h6>
+                    <div class="row g-2 align-items-end mb-2">
+                        <div class="col-md-5"><label class="form-label small" for="runDiffBefore">Anterior</label><select id="runDiffBefore" class="form-select form-select-sm">${options}</select></div>
+                        <div class="col-md-5"><label class="form-label small" for="runDiffAfter">Posterior</label><select id="runDiffAfter" class="form-select form-select-sm">${options}</select></div>
+                        <div class="col-md-2"><button type="button" class="btn btn-sm btn-outline-primary w-100" id="runDiffBtn">Comparar</button></div>
+                    </div>
+                    <div id="runDiffResult"></div>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+
+    const beforeSel = modalEl.querySelector('#runDiffBefore');
+    const afterSel = modalEl.querySelector('#runDiffAfter');
+    if (runs.length > 1) beforeSel.value = String(runs[1].id);
+
+    modalEl.querySelectorAll('input[name="activeRun"]').forEach(input => {
+        input.addEventListener('change', () => {
+            if (!activateAnalysisRun(kmlEntry, Number(input.value))) return;
+            updateAreasList();
+            refreshKmlSelect();
+            const kmlSelect = document.getElementById('kmlSelect');
+            if (kmlSelect && kmlSelect.value === kmlId) renderKmlResultsPanel(kmlEntry);
+            updateGlobalCharts();
+            showAlert(`Corrida #${input.value} activa para "${kmlEntry.name}"`, 'success', 3000);
+        });
+    });
+    modalEl.querySelector('#runDiffBtn').addEventListener('click', () => {
+        const before = kmlEntry.runs.find(run => run.id === Number(beforeSel.value));
+        const after = kmlEntry.runs.find(run => run.id === Number(afterSel.value));
+        if (!before || !after || before === after) {
+            showAlert('Elige dos corridas distintas', 'warning', 3000);
+            return;
+        }
+        modalEl.querySelector('#runDiffResult').innerHTML = renderRunDiff(compareAnalysisRuns(before, after));
+    });
+
+    new bootstrap.Modal(modalEl).show();
+}
+
+window.openAnalysisHistory = openAnalysisHistory;
+
+// ============================================================================
+// ANÁLISIS DE SENSIBILIDAD POR DISTANCIA
+// ============================================================================
+
+const SENSITIVITY_DEFAULT_DISTANCES = [0, 0.5, 1, 2, 5];
+const SENSITIVITY_MAX_DISTANCES = 10;
+
+/**
+ * Convierte "0, 0.5, 1, 2" en una lista de distancias en km ordenada y sin repetidos
+ */
+function parseSensitivityDistances(text) {
+    const values = String(text || '')
+        .split(/[;,\s]+/)
+        .filter(Boolean)
+        .map(Number);
+    if (values.some(value => !Number.isFinite(value) || value < 0)) {
+        throw new Error('Las distancias deben ser números en km mayores o iguales a 0');
+    }
+    const distances = Array.from(new Set(values)).sort((a, b) => a - b);
+    if (distances.length < 2) throw new Error('Indica al menos dos distancias');
+    if (distances.length > SENSITIVITY_MAX_DISTANCES) throw new Error(`Indica como máximo ${SENSITIVITY_MAX_DISTANCES} distancias`);
+    return distances;
+}
+
+/**
+ * Capas del catálogo marcadas como sensibles (sensitive: true)
+ */
+function getSensitiveLayers() {
+    return getAnalysisLayers().filter(entry => entry.sensitive);
+}
 
-        modalEl.querySelector('#ac-apply-btn').onclick = () => {
-            const layersSelection = {};
-            layerList.forEach(([key]) => {
-                const cb = modalEl.querySelector(`#ac-layer-${key}`);
-                layersSelection[key] = !!cb?.checked;
-            });
-            pendingResult = {
-                areaType: areaTypeSel.value,
-                bufferKm: parseFloat(bufferInput.value) || 0,
-                layers: layersSelection
-            };
-            // Mover foco fuera del modal antes de ocultarlo para evitar warning de aria-hidden
-            try {
-                const focused = modalEl.querySelector(':focus');
-                if (focused && typeof focused.blur === 'function') focused.blur();
-            } catch (_) { /* noop */ }
-            bsModal.hide();
-        };
+function getSensitivityBandLabel(distances, index) {
+    const km = distances[index];
+    if (index === 0) return km === 0 ? 'Dentro del área' : `0 – ${km} km`;
+    return `${distances[index - 1]} – ${km} km`;
+}
 
-        bsModal.show();
+/**
+ * Calcula localidades, población y elementos sensibles por banda de distancia.
+ * Se busca una sola vez hasta la distancia mayor y cada feature cuenta en la primera distancia que la alcanza.
+ * @returns {Promise<{distances:number[], bands:Array<{label:string, km:number, localities:number, population:number, sensitive:number, layers:Object}>, analysisDate:string}>}
+ */
+async function runSensitivityAnalysis(kmlEntry, distances) {
+    const T = await ensureTurf();
+    const base = dissolveAreaPolygons(T, kmlEntry.geoJson) || kmlEntry.geoJson;
+    const zones = distances.map(km => km > 0 ? T.buffer(base, km, { units: 'kilometers' }) : base);
+    const searchArea = zones[zones.length - 1];
+    const bandOf = (feature) => zones.findIndex(zone => {
+        try { return T.booleanIntersects(feature, zone); } catch (_) { return false; }
     });
+    const bands = distances.map((km, index) => ({
+        label: getSensitivityBandLabel(distances, index), km, localities: 0, population: 0, sensitive: 0, layers: {}
+    }));
+
+    const layerIds = ['localidades', 'localidades_puntos', ...getSensitiveLayers().map(entry => entry.id)]
+        .filter(id => getLayerData(id)?.features?.length);
+    const localityKeys = new Set();
+    for (let i = 0; i < layerIds.length; i++) {
+        const id = layerIds[i];
+        updateProgress(10 + (i / layerIds.length) * 85, `Sensibilidad: ${getLayerDisplayName(id)}...`);
+        const found = await findIntersectingFeatures(T, id, getLayerData(id).features, searchArea);
+        const isLocality = id === 'localidades' || id === 'localidades_puntos';
+        found.forEach(feature => {
+            // Las localidades puntuales con polígono ya contado no se repiten
+            if (isLocality) {
+                const key = feature.properties && feature.properties.CVEGEO;
+                if (key && localityKeys.has(key)) return;
+                if (key) localityKeys.add(key);
+            }
+            const index = bandOf(feature);
+            if (index < 0) return;
+            const band = bands[index];
+            if (isLocality) {
+                band.localities++;
+                band.population += getFeaturePopulation(feature.properties);
+            } else {
+                band.sensitive++;
+                band.layers[id] = (band.layers[id] || 0) + 1;
+            }
+        });
+    }
+    return { distances, bands, analysisDate: new Date().toISOString() };
 }
 
 /**
- * Obtiene el estilo para una capa específica
+ * Filas de la tabla de sensibilidad: valores de cada banda y acumulados hasta su distancia
  */
-function getLayerStyle(layerName, baseColor) {
-    const styles = {
-        localidades: {
-            radius: 6,
-            color: baseColor,
-            weight: 2,
-            opacity: 0.8,
-            fillColor: baseColor,
-            fillOpacity: 0.6
-        },
-        municipios: {
-            color: baseColor,
-            weight: 2,
-            opacity: 0.7,
-            fillColor: baseColor,
-            fillOpacity: 0.1
-        },
-        default: {
-            color: baseColor,
-            weight: 2,
-            opacity: 0.8,
-            fillColor: baseColor,
-            fillOpacity: 0.3
+function buildSensitivityRows(sensitivity) {
+    const rows = [['Banda', 'Hasta (km)', 'Localidades', 'Población', 'Elementos sensibles',
+        'Localidades acumuladas', 'Población acumulada', 'Elementos sensibles acumulados']];
+    let localities = 0, population = 0, sensitive = 0;
+    sensitivity.bands.forEach(band => {
+        localities += band.localities;
+        population += band.population;
+        sensitive += band.sensitive;
+        rows.push([band.label, band.km, band.localities, band.population, band.sensitive, localities, population, sensitive]);
+    });
+    return rows;
+}
+
+/**
+ * Filas con los elementos sensibles de cada capa por banda
+ */
+function buildSensitivityLayerRows(sensitivity) {
+    const layerIds = getSensitiveLayers().map(entry => entry.id)
+        .filter(id => sensitivity.bands.some(band => band.layers[id]));
+    const rows = [['Banda', ...layerIds.map(id => getLayerDisplayName(id))]];
+    sensitivity.bands.forEach(band => rows.push([band.label, ...layerIds.map(id => band.layers[id] || 0)]));
+    return rows;
+}
+
+function renderSensitivityTable(sensitivity) {
+    const [header, ...rows] = buildSensitivityRows(sensitivity);
+    return `
+        <table class="table table-sm table-bordered small mb-2">
+            <thead class="table-light"><tr>${header.map((h, i) => `<th class="${i > 0 ? 'text-end' : ''}">${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map((value, i) => `<td class="${i > 0 ? 'text-end' : ''}">${i > 1 ? formatNumber(value) : value}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+}
+
+function renderSensitivityChart(containerId, sensitivity) {
+    const rows = buildSensitivityRows(sensitivity).slice(1);
+    Highcharts.chart(containerId, {
+        chart: { backgroundColor: 'transparent', style: { fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' } },
+        accessibility: { enabled: false }, title: { text: null }, credits: { enabled: false },
+        xAxis: { categories: rows.map(row => row[0]), labels: { style: { color: '#333', fontSize: '11px' } } },
+        yAxis: [
+            { title: { text: 'Elementos por banda', style: { color: '#7C1946', fontWeight: 'bold' } }, allowDecimals: false },
+            { title: { text: 'Población acumulada', style: { color: '#197E74', fontWeight: 'bold' } }, opposite: true }
+        ],
+        tooltip: { shared: true, valueDecimals: 0 },
+        series: [
+            { type: 'column', name: 'Localidades', data: rows.map(row => row[2]), color: '#7C1946' },
+            { type: 'column', name: 'Elementos sensibles', data: rows.map(row => row[4]), color: '#C49A3E' },
+            { type: 'line', name: 'Población acumulada', data: rows.map(row => row[6]), color: '#197E74', yAxis: 1 }
+        ]
+    });
+}
+
+function exportSensitivityExcel(kmlEntry) {
+    const sensitivity = kmlEntry.sensitivity;
+    const wb = XLSX.utils.book_new();
+    const header = [
+        [`Análisis de sensibilidad: ${kmlEntry.name}`],
+        ['Fecha', new Date(sensitivity.analysisDate).toLocaleString('es-MX')],
+        ['Distancias (km)', sensitivity.distances.join(', ')],
+        ['Población', 'Completa de cada localidad, contada en la primera banda que la alcanza'],
+        []
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([...header, ...buildSensitivityRows(sensitivity)]), 'Sensibilidad');
+    const layerRows = buildSensitivityLayerRows(sensitivity);
+    if (layerRows[0].length > 1) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(layerRows), 'Sensibles por capa');
+    }
+    const fileName = `sensibilidad_${kmlEntry.name.replace(/[^\w]+/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(wb, fileName);
+    showAlert(`Reporte de sensibilidad generado: ${fileName}`, 'success', 4000);
+}
+
+async function exportSensitivityPdf(kmlEntry, chartContainer) {
+    const sensitivity = kmlEntry.sensitivity;
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('p', 'mm', 'a4');
+    const primaryColor = [124, 25, 70];
+
+    pdf.setTextColor(...primaryColor);
+    pdf.setFontSize(18);
+    pdf.text('Análisis de sensibilidad por distancia', 20, 25);
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(11);
+    pdf.text(`Área: ${kmlEntry.name}`, 20, 37);
+    pdf.text(`Distancias: ${sensitivity.distances.join(', ')} km`, 20, 44);
+    pdf.setFontSize(9);
+    pdf.text('Cada elemento cuenta en la primera banda que lo alcanza; la población es la completa de cada localidad.', 20, 51);
+
+    // Tabla (la columna "Hasta (km)" se omite: la banda ya indica la distancia)
+    const pdfHeaders = ['Banda', 'Localidades', 'Población', 'Sensibles', 'Loc. acum.', 'Pobl. acum.', 'Sens. acum.'];
+    const columnsX = [20, 80, 102, 122, 146, 172, 195];
+    let yPos = 62;
+    pdf.setTextColor(...primaryColor);
+    pdfHeaders.forEach((text, i) => pdf.text(text, columnsX[i], yPos, i > 0 ? { align: 'right' } : undefined));
+    pdf.setTextColor(0, 0, 0);
+    yPos += 7;
+    buildSensitivityRows(sensitivity).slice(1).forEach(row => {
+        const [label, , ...values] = row;
+        pdf.text(label, columnsX[0], yPos);
+        values.forEach((value, i) => pdf.text(formatNumber(value), columnsX[i + 1], yPos, { align: 'right' }));
+        yPos += 7;
+    });
+
+    // Gráfica
+    if (chartContainer && typeof html2canvas === 'function') {
+        try {
+            const canvas = await html2canvas(chartContainer, { scale: 2, backgroundColor: '#ffffff', logging: false });
+            const width = 170;
+            const height = Math.min(120, width * canvas.height / canvas.width);
+            pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 20, yPos + 5, width, height);
+        } catch (error) {
+            console.warn('No se pudo capturar la gráfica de sensibilidad:', error);
         }
-    };
+    }
 
-    return styles[layerName] || styles.default;
+    pdf.setTextColor(100, 100, 100);
+    pdf.setFontSize(8);
+    pdf.text('Geovisualizador Multi-Área v3 - Gobierno de México', 105, 285, { align: 'center' });
+    const fileName = `sensibilidad_${kmlEntry.name.replace(/[^\w]+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
+    pdf.save(fileName);
+    showAlert(`Reporte de sensibilidad generado: ${fileName}`, 'success', 4000);
 }
 
 /**
- * Crea contenido de popup para una feature (versión multi-capa)
+ * Ventana del análisis de sensibilidad de un área: distancias a evaluar, tabla, gráfica y exportación
  */
-function buildPopupContent(feature, layerName) {
-    const props = feature.properties;
+function openSensitivityAnalysis(kmlId) {
+    const kmlEntry = kmlLayers.get(kmlId);
+    if (!kmlEntry) return;
 
-    switch (layerName) {
-        case 'localidades':
-            return `
-                <div class="popup-content">
-                    <strong>${props.NOMGEO || props.NOM_LOC || props.NOMBRE || 'Sin nombre'}</strong><br>
-                    <small><strong>CVEGEO:</strong> ${props.CVEGEO || 'N/A'}</small><br>
-                    <strong>Municipio:</strong> ${props.NOM_MUN || 'N/A'}<br>
-                    <strong>Estado:</strong> ${props.NOM_ENT || 'N/A'}<br>
-                    <strong>Población:</strong> ${formatNumber(props.POBTOT || props.POBTOTAL || 0)}<br>
-                    <strong>Ámbito:</strong> ${props.AMBITO || 'N/A'}
-                </div>
-            `;
-        case 'atlas':
-            return `
-                <div class="popup-content">
-                    <strong>${props.NOMBRE || props.nombre || 'Pueblo Indígena'}</strong><br>
-                    <strong>Tipo:</strong> ${props.TIPO || 'N/A'}<br>
-                    <strong>Familia:</strong> ${props.FAMILIA || 'N/A'}
-                </div>
-            `;
-        case 'municipios':
-            return `
-                <div class="popup-content">
-                    <strong>${props.NOMGEO || props.NOM_MUN || props.NOMBRE || 'Sin nombre'}</strong><br>
-                    <strong>Estado:</strong> ${props.NOM_ENT || 'N/A'}<br>
-                    <strong>Clave:</strong> ${props.CVEGEO || props.CVE_MUN || 'N/A'}
-                </div>
-            `;
-        case 'regiones':
-            return `
-                <div class="popup-content">
-                    <strong>${props.NOMBRE || props.nombre || 'Región Indígena'}</strong><br>
-                    <strong>Estado:</strong> ${props.ESTADO || props.NOM_ENT || 'N/A'}
-                </div>
-            `;
-        case 'lenguas':
-            return `
-                <div class="popup-content">
-                    <strong>${props.NOMBRE || props.nombre || 'Lengua Indígena'}</strong><br>
-                    <strong>Familia:</strong> ${props.FAMILIA || 'N/A'}<br>
-                    <strong>Grupo:</strong> ${props.GRUPO || 'N/A'}
+    const modalId = 'sensitivityModal';
+    let modalEl = document.getElementById(modalId);
+    if (modalEl) modalEl.remove();
+
+    const distancesText = (kmlEntry.sensitivity ? kmlEntry.sensitivity.distances : SENSITIVITY_DEFAULT_DISTANCES).join(', ');
+    modalEl = document.createElement('div');
+    modalEl.className = 'modal fade';
+    modalEl.id = modalId;
+    modalEl.tabIndex = -1;
+    modalEl.innerHTML = `
+        <div class="modal-dialog modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">Sensibilidad por distancia: ${kmlEntry.name}</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
                 </div>
-            `;
-        case 'anp_estatal':
-        case 'ramsar':
-        case 'sitio_arqueologico':
-        case 'z_historicos':
-            return `
-                <div class="popup-content">
-                    <strong>${props.NOMBRE || props.nombre || props.Name || 'Área Protegida'}</strong><br>
-                    <strong>Tipo:</strong> ${props.TIPO || props.CATEGORIA || 'N/A'}
+                <div class="modal-body">
+                    <div class="row g-2 align-items-end mb-2">
+                        <div class="col-md-8">
+                            <label class="form-label" for="sensitivityDistances">Distancias desde el polígono (km)</label>
+                            <input id="sensitivityDistances" type="text" class="form-control" value="${distancesText}">
+                        </div>
+                        <div class="col-md-4">
+                            <button type="button" class="btn btn-primary w-100" id="runSensitivityBtn"><i class="bi bi-play me-1"></i>Calcular</button>
+                        </div>
+                    </div>
+                    <div class="form-text mb-3">Una sola corrida: cada localidad y elemento sensible (capas marcadas como sensibles en el catálogo) cuenta en la primera distancia que lo alcanza.</div>
+                    <div id="sensitivityResults"></div>
+                    <div id="sensitivityChart" style="height:320px;"></div>
                 </div>
-            `;
-        default:
-            const name = props.NOMBRE || props.nombre || props.Name || props.name || 'Sin nombre';
-            return `
-                <div class="popup-content">
-                    <strong>${name}</strong><br>
-                    <small>Capa: ${layerName}</small>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-outline-success" id="sensitivityExcelBtn" disabled><i class="bi bi-file-earmark-excel me-1"></i>Excel</button>
+                    <button type="button" class="btn btn-outline-danger" id="sensitivityPdfBtn" disabled><i class="bi bi-file-earmark-pdf me-1"></i>PDF</button>
                 </div>
-            `;
-    }
+            </div>
+        </div>`;
+    document.body.appendChild(modalEl);
+
+    const resultsEl = modalEl.querySelector('#sensitivityResults');
+    const chartEl = modalEl.querySelector('#sensitivityChart');
+    const excelBtn = modalEl.querySelector('#sensitivityExcelBtn');
+    const pdfBtn = modalEl.querySelector('#sensitivityPdfBtn');
+    const showResults = () => {
+        if (!kmlEntry.sensitivity) return;
+        resultsEl.innerHTML = renderSensitivityTable(kmlEntry.sensitivity);
+        renderSensitivityChart(chartEl, kmlEntry.sensitivity);
+        excelBtn.disabled = false;
+        pdfBtn.disabled = false;
+    };
+
+    modalEl.querySelector('#runSensitivityBtn').addEventListener('click', async () => {
+        let distances;
+        try {
+            distances = parseSensitivityDistances(modalEl.querySelector('#sensitivityDistances').value);
+        } catch (error) {
+            showAlert(error.message, 'warning', 4000);
+            return;
+        }
+        analysisCancelRequested = false;
+        showPreloader();
+        setPreloaderCancelable(true);
+        updateProgress(5, `Sensibilidad de ${kmlEntry.name}...`);
+        try {
+            kmlEntry.sensitivity = await runSensitivityAnalysis(kmlEntry, distances);
+            showResults();
+        } catch (error) {
+            if (error.cancelled) {
+                showAlert('Análisis de sensibilidad cancelado', 'warning', 3000);
+            } else {
+                console.error('Error en el análisis de sensibilidad:', error);
+                showAlert('Error en el análisis de sensibilidad', 'danger', 4000);
+            }
+        } finally {
+            setPreloaderCancelable(false);
+            hidePreloader();
+        }
+    });
+    excelBtn.addEventListener('click', () => exportSensitivityExcel(kmlEntry));
+    pdfBtn.addEventListener('click', () => exportSensitivityPdf(kmlEntry, chartEl));
+
+    modalEl.addEventListener('shown.bs.modal', showResults, { once: true });
+    new bootstrap.Modal(modalEl).show();
 }
 
+window.openSensitivityAnalysis = openSensitivityAnalysis;
+
 // ============================================================================
 // FUNCIONES DE REPORTES GLOBALES
 // ============================================================================
@@ -6664,11 +12281,14 @@ function generateGlobalExcelReport() {
             ['Fecha de generación', new Date().toLocaleString('es-MX')],
             ['Total de áreas analizadas', kmlLayers.size],
             [''],
-            ['Área', 'Archivo KML', 'Superficie (km²)', 'Población Total', 'Elementos Totales', 'Densidad Poblacional']
+            ['Área', 'Archivo KML', 'Superficie (km²)', 'Población Total', 'Elementos Totales', 'Densidad Poblacional',
+                'Población sin prorrateo', 'Población prorrateada', 'Método de población']
         ];
 
         let totalArea = 0;
         let totalPopulation = 0;
+        let totalRawPopulation = 0;
+        let totalApportionedPopulation = 0;
         let totalElements = 0;
 
         kmlLayers.forEach((kmlEntry, kmlId) => {
@@ -6680,45 +12300,38 @@ function generateGlobalExcelReport() {
                     metrics.area,
                     metrics.totalPopulation,
                     metrics.totalElements,
-                    metrics.populationDensity
+                    metrics.populationDensity,
+                    metrics.rawPopulation ?? metrics.totalPopulation,
+                    metrics.apportionedPopulation ?? '',
+                    getPopulationMethodLabel(metrics.populationMethod)
                 ]);
 
                 totalArea += metrics.area;
                 totalPopulation += metrics.totalPopulation;
+                totalRawPopulation += metrics.rawPopulation ?? metrics.totalPopulation;
+                totalApportionedPopulation += metrics.apportionedPopulation || 0;
                 totalElements += metrics.totalElements;
             }
         });
 
         // Totales
-        summaryData.push([''], ['TOTALES', '', totalArea, totalPopulation, totalElements, '']);
+        summaryData.push([''], ['TOTALES', '', totalArea, totalPopulation, totalElements, '', totalRawPopulation, totalApportionedPopulation, '']);
 
         const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
         XLSX.utils.book_append_sheet(workbook, summarySheet, 'Resumen_Global');
 
-        // Generar hojas para cada capa con datos detallados agregados de todas las áreas
-        const layerConfigs = {
-            localidades: { property: 'CVEGEO', headers: ['CVEGEO', 'Localidad', 'Municipio', 'Estado', 'Ámbito', 'Población Total', 'Población Femenina', 'Población Masculina'] },
-            atlas: { property: 'CVEGEO', headers: ['CVEGEO', 'Localidad'] },
-            municipios: { property: 'CVEGEO', headers: ['CVEGEO', 'Municipio'] },
-            regiones: { property: 'Name', headers: ['Nombre'] },
-            ran: { property: 'Clv_Unica', headers: ['Clv_Unica', 'NOM_NUC', 'Municipio', 'Tipo'] },
-            lenguas: { property: 'Lengua', headers: ['Lengua', 'Total'] },
-            za_publico: { property: 'Zona Arqueológica', headers: ['Nombre', 'Estado', 'Municipio'] },
-            za_publico_a: { property: 'Zona Arqueológica', headers: ['Nombre', 'Estado', 'Municipio'] },
-            anp_estatal: { property: 'NOMBRE', headers: ['Nombre', 'Tipo', 'Categoría DEC', 'Entidad', 'Municipio DEC'] },
-            ramsar: { property: 'RAMSAR', headers: ['Nombre', 'Estado', 'Municipio'] },
-            sitio_arqueologico: { property: 'nombre', headers: ['Nombre', 'Estado', 'Municipio', 'Localidad'] },
-            z_historicos: { property: 'Nombre', headers: ['Nombre', 'Estado', 'Municipio'] },
-            loc_indigenas_datos: { property: 'LOCALIDAD', headers: ['Entidad', 'Municipio', 'Localidad', 'Población Total', 'PIHOGARES', 'pPIHOGARES', 'TIPOLOC_PI', 'POB_AFRO', 'pPOB_AFRO', 'TIPOLOC_AF', 'cve_ent', 'cve_mun', 'cve_loc', 'cvegeo'] },
-            rutaWixarika: { property: 'Name', headers: ['Nombre'] }
-        };
+        // Desglose por estado, municipio y núcleo agrario
+        appendAdministrativeSheet(workbook, Array.from(kmlLayers.values()).filter(k => k.isAnalyzed));
+        appendNearbySheet(workbook, Array.from(kmlLayers.values()).filter(k => k.isAnalyzed));
+        appendDemographicSheet(workbook, Array.from(kmlLayers.values()).filter(k => k.isAnalyzed));
+        appendIndigenousSheet(workbook, Array.from(kmlLayers.values()).filter(k => k.isAnalyzed));
+        appendPeoplesSheet(workbook, Array.from(kmlLayers.values()).filter(k => k.isAnalyzed));
+        appendRiskSheet(workbook, Array.from(kmlLayers.values()).filter(k => k.isAnalyzed));
 
-        // Agregar columna 'Área' a los headers para identificar de qué área viene cada elemento
-        Object.keys(layerConfigs).forEach(layerName => {
-            if (layerConfigs[layerName].headers[0] !== 'Área') {
-                layerConfigs[layerName].headers.unshift('Área');
-            }
-        });
+        // Generar hojas para cada capa con datos detallados agregados de todas las áreas (columnas según el catálogo)
+        // La columna 'Área' identifica de qué área viene cada elemento; las lenguas se agrupan por lengua y área
+        const layerConfigs = buildReportLayerConfigs(['Área', 'Posición']);
+        if (layerConfigs.lenguas) layerConfigs.lenguas.headers = ['Área', 'Lengua', 'Total'];
 
         // Recopilar todas las features por capa
         const allFeaturesByLayer = {};
@@ -6746,105 +12359,12 @@ function generateGlobalExcelReport() {
                 if (config) {
                     // Function to get value for a header
                     const getValueForHeader = (feature, header) => {
-                        let value = '';
-                        switch (header) {
-                            case 'Área':
-                                value = feature.areaName || '';
-                                break;
-                            case 'CVEGEO':
-                                value = feature.properties.CVEGEO || '';
-                                break;
-                            case 'Localidad':
-                                value = feature.properties.NOMGEO || feature.properties.NOM_LOC || feature.properties.nom_loc || feature.properties.LOCALIDAD || feature.properties.Localidad || '';
-                                break;
-                            case 'Municipio':
-                                value = feature.properties.NOMGEO || feature.properties.NOM_MUN || feature.properties.nom_mun || feature.properties.MUNICIPIO || feature.properties.MUNICIPIOS || '';
-                                break;
-                            case 'Estado':
-                                value = feature.properties.NOM_ENT || feature.properties.nom_ent || feature.properties.ESTADO || '';
-                                break;
-                            case 'Ámbito':
-                                value = feature.properties.AMBITO || '';
-                                break;
-                            case 'Cabecera':
-                                value = feature.properties.NOM_CAB || feature.properties.CABECERA || '';
-                                break;
-                            case 'Población Total':
-                                value = feature.properties.POBTOT || feature.properties.POBTOTAL || '';
-                                break;
-                            case 'Población Femenina':
-                                value = feature.properties.POBFEM || '';
-                                break;
-                            case 'Población Masculina':
-                                value = feature.properties.POBMAS || '';
-                                break;
-                            case 'Nombre':
-                                value = feature.properties[config.property] || feature.properties.NOMBRE || feature.properties.nombre || feature.properties.Name || '';
-                                break;
-                            case 'Tipo':
-                                value = feature.properties.TIPO || feature.properties.Tipo || feature.properties.tipo || '';
-                                break;
-                            case 'Descripción':
-                                value = feature.properties.Descripci || feature.properties.DESCRIPCION || '';
-                                break;
-                            case 'Categoría DEC':
-                                value = feature.properties.CAT_DEC || '';
-                                break;
-                            case 'Entidad':
-                                value = feature.properties.ENTIDAD || '';
-                                break;
-                            case 'Municipio DEC':
-                                value = feature.properties.MUN_DEC || '';
-                                break;
-                            case 'Clv_Unica':
-                                value = feature.properties.Clv_Unica || '';
-                                break;
-                            case 'Lengua':
-                                value = feature.properties.Lengua || feature.properties.LENGUA || '';
-                                break;
-                            case 'Zona Arqueológica':
-                                value = feature.properties["Zona Arqueológica"] || '';
-                                break;
-                            case 'RAMSAR':
-                                value = feature.properties.RAMSAR || '';
-                                break;
-                            case 'PIHOGARES':
-                                value = feature.properties.PIHOGARES || '';
-                                break;
-                            case 'pPIHOGARES':
-                                value = feature.properties.pPIHOGARES || '';
-                                break;
-                            case 'TIPOLOC_PI':
-                                value = feature.properties.TIPOLOC_PI || '';
-                                break;
-                            case 'POB_AFRO':
-                                value = feature.properties.POB_AFRO || '';
-                                break;
-                            case 'pPOB_AFRO':
-                                value = feature.properties.pPOB_AFRO || '';
-                                break;
-                            case 'TIPOLOC_AF':
-                                value = feature.properties.TIPOLOC_AF || '';
-                                break;
-                            case 'cve_ent':
-                                value = feature.properties.cve_ent || '';
-                                break;
-                            case 'cve_mun':
-                                value = feature.properties.cve_mun || '';
-                                break;
-                            case 'cve_loc':
-                                value = feature.properties.cve_loc || '';
-                                break;
-                            case 'cvegeo':
-                                value = feature.properties.cvegeo || '';
-                                break;
-                            case 'Total':
-                                value = 'N/A'; // For lenguas count
-                                break;
-                            default:
-                                value = feature.properties[header] || '';
-                        }
-                        return value;
+                        if (header === 'Área') return feature.areaName || '';
+                        if (header === 'Posición') return getContainmentLabel(feature.properties._contencion);
+                        if (header === 'Total') return 'N/A'; // For lenguas count
+                        if (CLIP_REPORT_HEADERS.includes(header)) return getClipColumnValue(feature, header);
+                        if (DISTANCE_REPORT_HEADERS.includes(header)) return getDistanceColumnValue(feature, header);
+                        return getCatalogColumnValue(layerName, feature, header);
                     };
 
                     // Filter headers to only include those with data
@@ -6854,6 +12374,14 @@ function generateGlobalExcelReport() {
                             return value && typeof value === 'string' && value.trim() !== '';
                         });
                     });
+                    // Superficie intersectada (numérica) cuando la capa tiene polígonos recortados al área
+                    if (layerName !== 'lenguas' && features.some(f => hasClipData(f.properties))) {
+                        filteredHeaders.push(...CLIP_REPORT_HEADERS);
+                    }
+                    // Distancias al proyecto (numéricas) en localidades y sitios
+                    if (layerName !== 'lenguas' && features.some(f => f.properties._dist_km != null)) {
+                        filteredHeaders.push(...DISTANCE_REPORT_HEADERS);
+                    }
 
                     let sheetData = [filteredHeaders];
 
@@ -6982,13 +12510,17 @@ async function generateGlobalPdfReport() {
 
         let totalArea = 0;
         let totalPopulation = 0;
+        let totalRawPopulation = 0;
         let totalElements = 0;
+        const populationMethods = new Set();
 
         kmlLayers.forEach(kmlEntry => {
             if (kmlEntry.metrics) {
                 totalArea += kmlEntry.metrics.area;
                 totalPopulation += kmlEntry.metrics.totalPopulation;
+                totalRawPopulation += kmlEntry.metrics.rawPopulation ?? kmlEntry.metrics.totalPopulation;
                 totalElements += kmlEntry.metrics.totalElements;
+                populationMethods.add(kmlEntry.metrics.populationMethod || 'completa');
             }
         });
 
@@ -6996,6 +12528,20 @@ async function generateGlobalPdfReport() {
         pdf.text(`Superficie total: ${formatNumber(totalArea)} km²`, 20, 65);
         pdf.text(`Población total intersectada: ${formatNumber(totalPopulation)} hab.`, 20, 80);
         pdf.text(`Elementos totales encontrados: ${formatNumber(totalElements)}`, 20, 95);
+        // Método de población: con prorrateo se indica también el total sin prorratear
+        if (populationMethods.has('superficie')) {
+            pdf.setFontSize(9);
+            pdf.text(`Población sin prorrateo: ${formatNumber(totalRawPopulation)} hab. Método: ${populationMethods.size > 1 ? 'mixto (ver cada área)' : getPopulationMethodLabel('superficie')}`, 20, 87);
+            pdf.setFontSize(12);
+        }
+
+        // Capas de referencia aportadas por el usuario (origen de los datos)
+        if (customReferenceLayers.length > 0) {
+            pdf.text('Capas de referencia del usuario:', 20, 115);
+            customReferenceLayers.forEach((entry, i) => {
+                pdf.text(`${entry.name}: ${entry.fileName} (${formatNumber(getLayerData(entry.id)?.features.length || 0)} elementos)`, 25, 125 + i * 8);
+            });
+        }
 
         // Página por cada área
         kmlLayers.forEach((kmlEntry) => {
@@ -7012,23 +12558,122 @@ async function generateGlobalPdfReport() {
                 pdf.setTextColor(0, 0, 0);
                 pdf.setFontSize(12);
 
-                pdf.text(`Archivo: ${kmlEntry.file.name}`, 20, 50);
+                const activeRun = getActiveRun(kmlEntry);
+                pdf.text(`Archivo: ${kmlEntry.file.name}${activeRun ? ` · corrida #${activeRun.id}` : ''}`, 20, 50);
                 pdf.text(`Superficie: ${formatNumber(metrics.area)} km²`, 20, 65);
-                pdf.text(`Población total: ${formatNumber(metrics.totalPopulation)} hab.`, 20, 80);
+                pdf.text(`Población total: ${describePopulation(metrics)}`, 20, 80);
+                pdf.setFontSize(9);
+                pdf.text(`Método: ${getPopulationMethodLabel(metrics.populationMethod)}`, 20, 87);
+                pdf.setFontSize(12);
                 pdf.text(`Elementos encontrados: ${formatNumber(metrics.totalElements)}`, 20, 95);
+                // Posición de los elementos respecto al polígono del proyecto
+                const containmentText = describeContainmentCounts(metrics.containment);
+                if (containmentText) {
+                    pdf.setFontSize(9);
+                    pdf.text(`Posición: ${containmentText}${metrics.nearMeters > 0 ? ` (cercanía: ${formatNumber(metrics.nearMeters)} m)` : ''}`, 20, 102);
+                    pdf.setFontSize(12);
+                }
 
                 // Mostrar capas con datos
                 let yPos = 115;
+
+                // Desglose por anillo de influencia
+                if (metrics.rings && metrics.rings.length > 0) {
+                    pdf.text('Anillos de influencia:', 20, yPos);
+                    yPos += 10;
+                    metrics.rings.forEach(ring => {
+                        pdf.text(`${ring.label} (${ring.innerKm}–${ring.outerKm} km): ${formatNumber(ring.area)} km², ${formatNumber(ring.totalPopulation)} hab., ${formatNumber(ring.totalElements)} elementos`, 25, yPos);
+                        yPos += 8;
+                    });
+                    yPos += 7;
+                }
+
+                // Corredor lineal: eje original y kilómetros con elementos
+                if (metrics.corridor) {
+                    const corridor = metrics.corridor;
+                    const axis = [`${formatNumber(corridor.widthM)} m de ancho`];
+                    if (corridor.lengthKm > 0) axis.push(`${formatNumber(corridor.lengthKm)} km de eje`);
+                    if (corridor.pointCount > 0) axis.push(`${corridor.pointCount} punto(s)`);
+                    pdf.text(`Corredor: ${axis.join(', ')}`, 20, yPos);
+                    yPos += 10;
+                    const withElements = corridor.segments.filter(s => s.totalElements > 0);
+                    withElements.slice(0, 10).forEach(segment => {
+                        pdf.text(`${formatCorridorKm(segment.fromKm, segment.toKm)}: ${formatNumber(segment.totalPopulation)} hab., ${formatNumber(segment.totalElements)} elementos`, 25, yPos);
+                        yPos += 8;
+                    });
+                    if (withElements.length > 10) {
+                        pdf.text(`... y ${withElements.length - 10} tramos más (ver Excel)`, 25, yPos);
+                        yPos += 8;
+                    }
+                    yPos += 7;
+                }
+
+                // Distancia al proyecto: bandas con elementos
+                if (metrics.distance) {
+                    const radius = describeDistanceRadius(metrics.distance);
+                    pdf.text(`Distancia al proyecto (geometría original${radius ? `, ${radius}` : ''}):`, 20, yPos);
+                    yPos += 10;
+                    metrics.distance.bands.forEach(band => {
+                        const count = Object.values(band.layers).reduce((sum, n) => sum + n, 0);
+                        if (count === 0) return;
+                        pdf.text(`${band.label}: ${formatNumber(count)} elementos, ${formatNumber(band.population)} hab.`, 25, yPos);
+                        yPos += 8;
+                    });
+                    yPos += 7;
+                }
+
                 pdf.text('Capas con intersecciones:', 20, yPos);
                 yPos += 15;
 
                 Object.entries(kmlEntry.clippedLayers).forEach(([layerName, layer]) => {
                     if (layer && layer.getLayers) {
                         const count = layer.getLayers().length;
-                        pdf.text(`${getLayerDisplayName(layerName)}: ${count} elementos`, 25, yPos);
+                        const haInside = kmlEntry.results?.[layerName]?.haInside;
+                        const surface = haInside > 0 ? ` (${formatNumber(haInside)} ha dentro)` : '';
+                        pdf.text(`${getLayerDisplayName(layerName)}: ${count} elementos${surface}`, 25, yPos);
                         yPos += 8;
                     }
                 });
+
+                // Polígonos con mayor superficie dentro del área (solo las filas que caben en la página)
+                const clippedRows = Object.entries(kmlEntry.results || {})
+                    .flatMap(([layerName, data]) => (data.features || [])
+                        .filter(f => hasClipData(f.properties))
+                        .map(f => ({ layerName, props: f.properties })))
+                    .sort((a, b) => b.props._ha_dentro - a.props._ha_dentro);
+                const maxRows = Math.floor((266 - (yPos + 22)) / 6);
+                if (clippedRows.length > 0 && maxRows > 0) {
+                    yPos += 7;
+                    pdf.text('Polígonos con mayor superficie dentro del área:', 20, yPos);
+                    yPos += 9;
+                    pdf.setFontSize(9);
+                    pdf.setTextColor(...secondaryColor);
+                    pdf.text('Capa', 25, yPos);
+                    pdf.text('Elemento', 70, yPos);
+                    pdf.text('Ha dentro', 150, yPos, { align: 'right' });
+                    pdf.text('% elemento', 172, yPos, { align: 'right' });
+                    pdf.text('% área', 192, yPos, { align: 'right' });
+                    pdf.setTextColor(0, 0, 0);
+                    yPos += 6;
+                    clippedRows.slice(0, maxRows).forEach(({ layerName, props }) => {
+                        pdf.text(getLayerDisplayName(layerName).substring(0, 26), 25, yPos);
+                        pdf.text(String(getCatalogFeatureLabel(layerName, props)).substring(0, 40), 70, yPos);
+                        pdf.text(formatNumber(props._ha_dentro), 150, yPos, { align: 'right' });
+                        pdf.text(`${props._pct_elemento}%`, 172, yPos, { align: 'right' });
+                        pdf.text(`${props._pct_area}%`, 192, yPos, { align: 'right' });
+                        yPos += 6;
+                    });
+                    if (clippedRows.length > maxRows) {
+                        pdf.text(`... y ${clippedRows.length - maxRows} polígonos más (ver Excel)`, 25, yPos);
+                    }
+                    pdf.setFontSize(12);
+                }
+                addNearbyPdfSection(pdf, kmlEntry, { primary: primaryColor, secondary: secondaryColor });
+                addAdministrativePdfSection(pdf, kmlEntry, { primary: primaryColor, secondary: secondaryColor });
+                addDemographicPdfSection(pdf, kmlEntry, { primary: primaryColor, secondary: secondaryColor });
+                addIndigenousPdfSection(pdf, kmlEntry, { primary: primaryColor, secondary: secondaryColor });
+                addPeoplesPdfSection(pdf, kmlEntry, { primary: primaryColor, secondary: secondaryColor });
+                addRiskPdfSection(pdf, kmlEntry, { primary: primaryColor, secondary: secondaryColor });
             } else {
                 pdf.setTextColor(100, 100, 100);
                 pdf.setFontSize(14);
@@ -7061,11 +12706,285 @@ async function generateGlobalPdfReport() {
 }
 
 /**
- * Genera análisis combinado de todas las áreas
+ * Recorta un polígono contra la huella combinada. La parte dentro es la unión de sus partes recortadas
+ * en cada área (cada una ya es el polígono ∩ área analizada), así que no hace falta la geometría original
+ * @param {Array} copies - la misma feature tal como quedó en cada área
+ */
+function clipFeatureToFootprint(T, copies, clipMask) {
+    const feature = copies[0];
+    if (!clipMask || !hasClipData(feature.properties)) return feature;
+    let inside = null;
+    copies.filter(copy => copy.properties._ha_dentro > 0).forEach(copy => {
+        try { inside = inside ? (T.union(inside, copy) || inside) : copy; } catch (error) {
+            console.warn('[DEBUG] No se pudo unir el recorte a la huella combinada:', error);
+        }
+    });
+    const insideHa = inside ? T.area(inside) / 10000 : 0;
+    const totalHa = feature.properties._ha_total || 0;
+    return {
+        ...feature,
+        geometry: inside ? inside.geometry : feature.geometry,
+        properties: {
+            ...feature.properties,
+            _ha_dentro: Number(insideHa.toFixed(2)),
+            _pct_elemento: totalHa > 0 ? Number(Math.min(100, insideHa / totalHa * 100).toFixed(2)) : 0,
+            _pct_area: clipMask.ha > 0 ? Number(Math.min(100, insideHa / clipMask.ha * 100).toFixed(2)) : 0
+        }
+    };
+}
+
+/**
+ * Análisis combinado: une las áreas activas analizadas en una sola huella y deduplica los elementos
+ * que aparecen en varias áreas, conservando en qué áreas cae cada uno.
+ * Deja el resultado en combinedAnalysis y dibuja la huella combinada en el mapa.
+ * @returns {Promise<object|null>} { areas, areaKm2, sumAreaKm2, layers: {layerName: {items, sumCount}}, uniqueElements, uniquePopulation, rawPopulation, populationMethod, duplicateElements }
+ */
+async function buildCombinedAnalysis() {
+    const areas = Array.from(kmlLayers.values()).filter(k => k.isActive && k.isAnalyzed && k.results);
+    if (areas.length < 2) {
+        showAlert('El análisis combinado requiere al menos dos áreas activas y analizadas', 'warning', 4000);
+        return null;
+    }
+    const skipped = Array.from(kmlLayers.values()).filter(k => k.isActive && !k.isAnalyzed);
+    if (skipped.length > 0) {
+        showAlert(`Se omiten ${skipped.length} área(s) activas sin analizar`, 'info', 4000);
+    }
+
+    const T = await ensureTurf();
+    // La huella es la unión de las geometrías analizadas (con sus anillos), no de los polígonos originales
+    let footprint = null;
+    areas.forEach(k => {
+        const polygon = dissolveAreaPolygons(T, k.metrics.analysisArea || k.geoJson);
+        if (!polygon) return;
+        try { footprint = footprint ? (T.union(footprint, polygon) || footprint) : polygon; } catch (error) {
+            console.warn('[DEBUG] No se pudo unir el área a la huella combinada:', error);
+        }
+    });
+    const clipMask = footprint ? buildClipMask(T, footprint) : null;
+    const areaKm2 = clipMask ? clipMask.ha / 100 : 0;
+
+    // Un registro por elemento único y capa, con todas las áreas donde aparece;
+    // los polígonos se vuelven a medir contra la huella combinada
+    const layers = groupFeaturesAcrossAreas(areas);
+    Object.values(layers).forEach(layer => {
+        layer.items.forEach(item => { item.feature = clipFeatureToFootprint(T, item.copies, clipMask); });
+    });
+
+    const uniqueElements = Object.values(layers).reduce((sum, layer) => sum + layer.items.length, 0);
+    const sumElements = Object.values(layers).reduce((sum, layer) => sum + layer.sumCount, 0);
+    // Mismo método de población que los análisis por área (prorrateo solo si todas las áreas lo usan)
+    const populationMethod = areas.every(k => k.metrics.populationMethod === 'superficie') ? 'superficie' : 'completa';
+    const uniqueLocalities = (layers.localidades?.items || []).map(item => item.feature);
+    const uniquePopulation = sumPopulation(uniqueLocalities, populationMethod);
+
+    if (combinedFootprintLayer && map.hasLayer(combinedFootprintLayer)) map.removeLayer(combinedFootprintLayer);
+    combinedFootprintLayer = footprint
+        ? L.geoJSON(footprint, { style: { color: '#7C1946', weight: 3, dashArray: '8, 6', fill: false } })
+            .bindPopup(createPopupContent('Huella combinada', '🧩', [
+                { value: `${areas.length} áreas`, isMain: true },
+                { label: 'Superficie', value: `${formatNumber(areaKm2)} km²` }
+            ]))
+            .addTo(map)
+        : null;
+
+    combinedAnalysis = {
+        areas: areas.map(k => ({ id: k.id, name: k.name, areaKm2: k.metrics?.area || 0, population: k.metrics?.totalPopulation || 0, elements: k.metrics?.totalElements || 0 })),
+        areaKm2,
+        sumAreaKm2: areas.reduce((sum, k) => sum + (k.metrics?.area || 0), 0),
+        layers,
+        uniqueElements,
+        uniquePopulation,
+        rawPopulation: sumPopulation(uniqueLocalities, 'completa'),
+        populationMethod,
+        duplicateElements: sumElements - uniqueElements,
+        date: new Date().toISOString()
+    };
+    combinedMode = true;
+    return combinedAnalysis;
+}
+
+/**
+ * Filas por capa del análisis combinado: únicos, suma por área y elementos en varias áreas
+ */
+function buildCombinedLayerRows(combined) {
+    const rows = [['Capa', 'Elementos únicos', 'Suma por área', 'En varias áreas']];
+    Object.entries(combined.layers)
+        .sort((a, b) => b[1].items.length - a[1].items.length)
+        .forEach(([layerName, layer]) => {
+            rows.push([getLayerDisplayName(layerName), layer.items.length, layer.sumCount, layer.items.filter(item => item.areaIds.length > 1).length]);
+        });
+    return rows;
+}
+
+/**
+ * Genera el reporte PDF del análisis combinado de las áreas activas
  */
 async function generateCombinedPdfReport() {
-    showAlert('Análisis combinado próximamente disponible', 'info');
-    // TODO: Implementar análisis combinado
+    try {
+        showPreloader();
+        updateProgress(10, 'Uniendo áreas activas...');
+        const combined = await buildCombinedAnalysis();
+        if (!combined) return;
+
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF('p', 'mm', 'a4');
+        const primaryColor = [124, 25, 70];
+        const secondaryColor = [25, 126, 116];
+        let yPos = 0;
+        // Salto de página cuando no cabe la siguiente línea
+        const ensureSpace = (height = 8) => {
+            if (yPos + height <= 270) return;
+            pdf.addPage();
+            yPos = 25;
+        };
+
+        // Portada
+        pdf.setFillColor(...primaryColor);
+        pdf.rect(0, 0, 210, 297, 'F');
+        pdf.setTextColor(255, 255, 255);
+        pdf.setFontSize(24);
+        pdf.text('Análisis Combinado', 105, 80, { align: 'center' });
+        pdf.setFontSize(14);
+        pdf.text(combined.areas.map(a => a.name).join(', ').substring(0, 90), 105, 100, { align: 'center' });
+        pdf.setFontSize(12);
+        pdf.text(`Fecha: ${new Date(combined.date).toLocaleString('es-MX')}`, 105, 130, { align: 'center' });
+
+        // Resumen
+        updateProgress(40, 'Generando resumen combinado...');
+        pdf.addPage();
+        pdf.setTextColor(...primaryColor);
+        pdf.setFontSize(18);
+        pdf.text('Resumen combinado', 20, 30);
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFontSize(12);
+        pdf.text(`Áreas combinadas: ${combined.areas.length}`, 20, 48);
+        pdf.text(`Huella combinada: ${formatNumber(combined.areaKm2)} km² (suma de áreas analizadas: ${formatNumber(combined.sumAreaKm2)} km²)`, 20, 60);
+        pdf.text(`Población única: ${formatNumber(combined.uniquePopulation)} hab. (${combined.populationMethod === 'superficie' ? 'prorrateada por superficie dentro de la huella' : 'completa por localidad'})`, 20, 72);
+        pdf.text(`Elementos únicos: ${formatNumber(combined.uniqueElements)} (${formatNumber(combined.duplicateElements)} conteos repetidos entre áreas)`, 20, 84);
+
+        yPos = 100;
+        pdf.setTextColor(...secondaryColor);
+        pdf.text('Por área (conteos individuales)', 20, yPos);
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFontSize(10);
+        yPos += 9;
+        combined.areas.forEach(area => {
+            ensureSpace();
+            pdf.text(`${area.name}: ${formatNumber(area.areaKm2)} km², ${formatNumber(area.population)} hab., ${formatNumber(area.elements)} elementos`, 25, yPos);
+            yPos += 7;
+        });
+
+        yPos += 6;
+        ensureSpace(20);
+        pdf.setFontSize(12);
+        pdf.setTextColor(...secondaryColor);
+        pdf.text('Por capa', 20, yPos);
+        pdf.setFontSize(10);
+        yPos += 9;
+        buildCombinedLayerRows(combined).forEach((row, index) => {
+            ensureSpace();
+            pdf.setTextColor(...(index === 0 ? secondaryColor : [0, 0, 0]));
+            pdf.text(String(row[0]).substring(0, 40), 25, yPos);
+            [row[1], row[2], row[3]].forEach((value, i) => {
+                pdf.text(index === 0 ? String(value) : formatNumber(value), 125 + i * 30, yPos, { align: 'right' });
+            });
+            yPos += 7;
+        });
+
+        // Detalle: cada elemento con las áreas donde cae
+        updateProgress(70, 'Atribuyendo elementos a sus áreas...');
+        Object.entries(combined.layers).forEach(([layerName, layer]) => {
+            if (layer.items.length === 0) return;
+            pdf.addPage();
+            yPos = 25;
+            pdf.setTextColor(...primaryColor);
+            pdf.setFontSize(14);
+            pdf.text(`${getLayerDisplayName(layerName)} (${formatNumber(layer.items.length)} únicos)`, 20, yPos);
+            pdf.setTextColor(0, 0, 0);
+            pdf.setFontSize(9);
+            yPos += 10;
+            layer.items
+                .slice()
+                .sort((a, b) => b.areaIds.length - a.areaIds.length)
+                .forEach(item => {
+                    ensureSpace(6);
+                    pdf.text(String(getCatalogFeatureLabel(layerName, item.feature.properties)).substring(0, 45), 25, yPos);
+                    pdf.text(getGroupedAreaNames(item, combined.areas).join(', ').substring(0, 70), 100, yPos);
+                    yPos += 6;
+                });
+        });
+
+        const pageCount = pdf.getNumberOfPages();
+        for (let i = 1; i <= pageCount; i++) {
+            pdf.setPage(i);
+            pdf.setTextColor(100, 100, 100);
+            pdf.setFontSize(8);
+            pdf.text('Geovisualizador Multi-Área v3 - Análisis combinado', 105, 285, { align: 'center' });
+            pdf.text(`Página ${i} de ${pageCount}`, 190, 285, { align: 'right' });
+        }
+
+        updateProgress(100, 'Descargando reporte...');
+        const fileName = `reporte_combinado_${new Date().toISOString().split('T')[0]}.pdf`;
+        pdf.save(fileName);
+        showAlert(`Reporte PDF combinado generado: ${fileName}`, 'success', 4000);
+    } catch (error) {
+        console.error('Error generando reporte combinado:', error);
+        showAlert('Error al generar el reporte combinado', 'danger', 4000);
+    } finally {
+        hidePreloader();
+    }
+}
+
+/**
+ * Genera el Excel del análisis combinado: resumen, capas y una hoja por capa con las áreas de cada elemento
+ */
+async function generateCombinedExcelReport() {
+    try {
+        const combined = await buildCombinedAnalysis();
+        if (!combined) return;
+
+        const workbook = XLSX.utils.book_new();
+        const summary = [
+            ['Análisis combinado de áreas'],
+            ['Fecha de generación', new Date(combined.date).toLocaleString('es-MX')],
+            ['Áreas combinadas', combined.areas.map(a => a.name).join(', ')],
+            ['Huella combinada (km²)', combined.areaKm2],
+            ['Suma de superficies analizadas por área (km²)', combined.sumAreaKm2],
+            ['Método de población', getPopulationMethodLabel(combined.populationMethod)],
+            ['Población única', combined.uniquePopulation],
+            ['Población única sin prorrateo', combined.rawPopulation],
+            ['Elementos únicos', combined.uniqueElements],
+            ['Conteos repetidos entre áreas', combined.duplicateElements],
+            [],
+            ['Área', 'Superficie (km²)', 'Población', 'Elementos'],
+            ...combined.areas.map(a => [a.name, a.areaKm2, a.population, a.elements])
+        ];
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), 'Resumen combinado');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(buildCombinedLayerRows(combined)), 'Capas');
+
+        const layerConfigs = buildReportLayerConfigs();
+        Object.entries(combined.layers).forEach(([layerName, layer]) => {
+            if (layer.items.length === 0) return;
+            const headers = layerConfigs[layerName]?.headers || [];
+            const rows = [['Elemento', 'Áreas', 'Número de áreas', ...headers]];
+            layer.items.forEach(item => {
+                rows.push([
+                    getCatalogFeatureLabel(layerName, item.feature.properties),
+                    getGroupedAreaNames(item, combined.areas).join(', '),
+                    item.areaIds.length,
+                    ...headers.map(header => getCatalogColumnValue(layerName, item.feature, header))
+                ]);
+            });
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), getLayerDisplayName(layerName).substring(0, 31));
+        });
+
+        const fileName = `reporte_combinado_${new Date().toISOString().split('T')[0]}.xlsx`;
+        XLSX.writeFile(workbook, fileName);
+        showAlert(`Reporte Excel combinado generado: ${fileName}`, 'success', 4000);
+    } catch (error) {
+        console.error('Error generando Excel combinado:', error);
+        showAlert('Error al generar el Excel combinado', 'danger', 4000);
+    }
 }
 
 // Exponer funciones globales para la UI
@@ -7075,6 +12994,7 @@ window.removeArea = removeArea;
 window.generateGlobalExcelReport = generateGlobalExcelReport;
 window.generateGlobalPdfReport = generateGlobalPdfReport;
 window.generateCombinedPdfReport = generateCombinedPdfReport;
+window.generateCombinedExcelReport = generateCombinedExcelReport;
 
 // =============================
 // REPORTE EXCEL POR ÁREA (SECCIÓN 3)
@@ -7095,16 +13015,80 @@ function generateAreaExcelReport(kmlId) {
             [`Análisis del Área: ${kmlEntry.name}`],
             ['Archivo KML', kmlEntry.file?.name || ''],
             ['Fecha de análisis', new Date(m.analysisDate || Date.now()).toLocaleString('es-MX')],
+            ['Corrida', kmlEntry.activeRunId ? `#${kmlEntry.activeRunId} de ${kmlEntry.runs.length} (${describeRunConfig(getActiveRun(kmlEntry)?.config)})` : ''],
             ['Tipo de área', m.areaType || kmlEntry.areaType || ''],
             ['Buffer aplicado', m.bufferUsed ? `${m.bufferRadius} km` : 'No'],
             ['Superficie (km²)', m.area || 0],
             ['Población Total', m.totalPopulation || 0],
+            ['Población sin prorrateo', m.rawPopulation ?? (m.totalPopulation || 0)],
+            ['Población prorrateada por superficie', m.apportionedPopulation ?? ''],
+            ['Método de población', getPopulationMethodLabel(m.populationMethod)],
             ['Elementos Totales', m.totalElements || 0],
+            ['Posición respecto al proyecto', describeContainmentCounts(m.containment)],
             ['Capas con resultados', m.layersFound || (kmlEntry.results ? Object.keys(kmlEntry.results).length : 0)]
         ];
         const summarySheet = XLSX.utils.aoa_to_sheet(summary);
         XLSX.utils.book_append_sheet(workbook, summarySheet, 'Resumen');
 
+        // Desglose por anillo de influencia
+        const ringRows = buildRingSummaryRows(m);
+        if (ringRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(ringRows), 'Anillos');
+        }
+
+        // Eje del corredor y estadísticas por kilómetro
+        const corridorRows = buildCorridorRows(kmlEntry);
+        if (corridorRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(corridorRows), 'Corredor');
+        }
+
+        // Distancia al proyecto: bandas y curva de población acumulada
+        const distanceRows = buildDistanceRows(m);
+        if (distanceRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(distanceRows), 'Distancias');
+        }
+        const curveRows = buildDistanceCurveRows(m);
+        if (curveRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(curveRows), 'Curva de población');
+        }
+        const distanceItemRows = buildDistanceItemRows(m);
+        if (distanceItemRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(distanceItemRows), 'Distancia por elemento');
+        }
+
+        // Elementos cercanos fuera del área (no incluidos en sus totales)
+        const nearbyRows = buildNearbyRows(m);
+        if (nearbyRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(nearbyRows), 'Cercanos');
+        }
+
+        // Desglose por estado, municipio y núcleo agrario
+        const administrativeRows = buildAdministrativeRows(m);
+        if (administrativeRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(administrativeRows), 'Desglose administrativo');
+        }
+
+        // Indicadores demográficos y pirámide de población
+        const demographicRows = buildDemographicRows(m);
+        if (demographicRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(demographicRows), 'Demografía');
+        }
+
+        // Síntesis de población indígena y afromexicana
+        const indigenousRows = buildIndigenousRows(m);
+        if (indigenousRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(indigenousRows), 'Indígena y afromexicana');
+        }
+
+        // Pueblos y lenguas presentes
+        const peoplesRows = buildPeoplesRows(m);
+        if (peoplesRows.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(peoplesRows), 'Pueblos y lenguas');
+        }
+
+        // Puntuación de riesgo social
+        appendRiskSheet(workbook, [kmlEntry]);
+
         // Generar hojas para cada capa con datos detallados
         const results = kmlEntry.results || {};
         Object.entries(results).forEach(([layerName, data]) => {
@@ -0,0 +1,88 @@
+/**
+ * Worker de intersecciones para el Geovisualizador Multi-Área (index3.js)
+ *
+ * Cada worker guarda una porción fija de cada capa nacional y, por cada análisis,
+ * devuelve los índices (globales) de las features que intersectan el área.
+ *
+ * Mensajes recibidos:
+ *   { type: 'load', layerKey, offset, features }  — guarda la porción de la capa
+ *   { type: 'drop', layerKey }                     — libera una versión anterior de la capa
+ *   { type: 'intersect', jobId, layerKey, area, candidates }
+ *       — calcula las intersecciones; `candidates` (opcional) son índices globales
+ *         preseleccionados por el índice espacial de la página
+ * Mensajes enviados:
+ *   { type: 'ready' } | { type: 'fatal', message }
+ *   { type: 'progress', jobId, done }
+ *   { type: 'result', jobId, indices }
+ *   { type: 'error', jobId, message }
+ */
+
+// La misma versión de Turf que usa la página, para que los resultados coincidan
+const TURF_CDNS = [
+    'https://cdn.jsdelivr.net/npm/@turf/turf@6/turf.min.js',
+    'https://unpkg.com/@turf/turf@6/turf.min.js'
+];
+
+const PROGRESS_EVERY = 250;
+const layers = new Map(); // layerKey -> { offset, features }
+
+function loadTurf() {
+    for (const url of TURF_CDNS) {
+        try {
+            importScripts(url);
+            if (self.turf) return true;
+        } catch (_) { /* Si falla un CDN, prueba el siguiente */ }
+    }
+    return false;
+}
+
+if (loadTurf()) {
+    self.postMessage({ type: 'ready' });
+} else {
+    self.postMessage({ type: 'fatal', message: 'Turf no disponible en el worker' });
+}
+
+self.onmessage = (event) => {
+    const msg = event.data || {};
+    switch (msg.type) {
+        case 'load':
+            layers.set(msg.layerKey, { offset: msg.offset, features: msg.features });
+            break;
+        case 'drop':
+            layers.delete(msg.layerKey);
+            break;
+        case 'intersect':
+            intersect(msg);
+            break;
+    }
+};
+
+function intersect({ jobId, layerKey, area, candidates }) {
+    const layer = layers.get(layerKey);
+    if (!layer) {
+        self.postMessage({ type: 'error', jobId, message: `Capa ${layerKey} no cargada en el worker` });
+        return;
+    }
+
+    try {
+        const indices = [];
+        const features = layer.features;
+        // Posiciones locales a revisar: los candidatos o la porción completa
+        const positions = candidates
+            ? candidates.map(index => index - layer.offset)
+            : features.map((_, i) => i);
+        for (let n = 0; n < positions.length; n++) {
+            const feature = features[positions[n]];
+            if (feature && feature.geometry && self.turf.booleanIntersects(feature, area)) {
+                indices.push(layer.offset + positions[n]);
+            }
+            if ((n + 1) % PROGRESS_EVERY === 0) {
+                self.postMessage({ type: 'progress', jobId, done: PROGRESS_EVERY });
+            }
+        }
+        self.postMessage({ type: 'progress', jobId, done: positions.length % PROGRESS_EVERY });
+        self.postMessage({ type: 'result', jobId, indices });
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message || String(error) });
+    }
+}